@@ -111,7 +111,15 @@ app.options('*', cors(corsOptions)); // Handle preflight for all routes
   // ============================================
   // BODY PARSING
   // ============================================
-  app.use(express.json({ limit: "50mb" }));
+  app.use(express.json({
+    limit: "50mb",
+    // Keep the exact bytes of webhook deliveries for signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/v1/whatsapp/webhook")) {
+        req.rawBody = buf;
+      }
+    },
+  }));
   app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
   // ============================================
@@ -154,6 +162,12 @@ app.options('*', cors(corsOptions)); // Handle preflight for all routes
     next();
   }, express.static(path.join(__dirname, "../uploads/media")));
 
+  // Files of the local storage driver (public URLs and signed presigned URLs)
+  const storageService = require("./services/storageService");
+  if (storageService.driverName === "local") {
+    app.use("/storage", storageService.getDriver().middleware());
+  }
+
   // ============================================
   // SESSION (NOW USING REDIS)
   // ============================================
@@ -1,6 +1,15 @@
 const Joi = require('joi');
 const logger = require('../utils/logger');
 
+/**
+ * Helper: string required only when STORAGE_DRIVER is the given driver
+ */
+const requiredFor = (driver) => Joi.string().when('STORAGE_DRIVER', {
+  is: driver,
+  then: Joi.required(),
+  otherwise: Joi.optional(),
+});
+
 /**
  * Environment Variables Schema
  */
@@ -47,6 +56,9 @@ const envSchema = Joi.object({
   MAX_FILE_SIZE: Joi.number().default(10485760),
   ALLOWED_IMAGE_TYPES: Joi.string().default('image/jpeg,image/png,image/gif,image/webp'),
   ALLOWED_VIDEO_TYPES: Joi.string().default('video/mp4,video/mpeg,video/quicktime'),
+  // ffmpeg/ffprobe binaries (default: the bundled @ffmpeg-installer/@ffprobe-installer builds)
+  FFMPEG_PATH: Joi.string().optional(),
+  FFPROBE_PATH: Joi.string().optional(),
 
   // Email
   MAIL_HOST: Joi.string().required(),
@@ -71,17 +83,29 @@ const envSchema = Joi.object({
   FACEBOOK_APP_SECRET: Joi.string().optional(),
   FACEBOOK_CALLBACK_URL: Joi.string().optional(),
 
+  // WhatsApp Cloud API (app secret signs webhook deliveries, falls back to FACEBOOK_APP_SECRET)
+  WHATSAPP_APP_SECRET: Joi.string().optional(),
+  WHATSAPP_WEBHOOK_VERIFY_TOKEN: Joi.string().optional(),
+
+  // File storage backend; credentials are only required for the chosen driver
+  STORAGE_DRIVER: Joi.string().lowercase().valid('s3', 'cloudinary', 'local').default('s3'),
+
+  // Local storage (STORAGE_DRIVER=local), relative to the project root
+  LOCAL_STORAGE_DIR: Joi.string().default('storage'),
+  LOCAL_STORAGE_URL: Joi.string().optional(), // default: APP_URL/storage
+  LOCAL_STORAGE_SECRET: Joi.string().min(32).optional(), // signs presigned URLs, default: SESSION_SECRET
+
   // Cloudinary
-  CLOUDINARY_CLOUD_NAME: Joi.string().required(),
-  CLOUDINARY_API_KEY: Joi.string().required(),
-  CLOUDINARY_API_SECRET: Joi.string().required(),
+  CLOUDINARY_CLOUD_NAME: requiredFor('cloudinary'),
+  CLOUDINARY_API_KEY: requiredFor('cloudinary'),
+  CLOUDINARY_API_SECRET: requiredFor('cloudinary'),
   CLOUDINARY_FOLDER: Joi.string().default('social-media-videos'),
 
   // AWS S3 Configuration
-  AWS_ACCESS_KEY_ID: Joi.string().required(),
-  AWS_SECRET_ACCESS_KEY: Joi.string().required(),
+  AWS_ACCESS_KEY_ID: requiredFor('s3'),
+  AWS_SECRET_ACCESS_KEY: requiredFor('s3'),
   AWS_REGION: Joi.string().default('us-east-1'),
-  AWS_S3_BUCKET_NAME: Joi.string().required(),
+  AWS_S3_BUCKET_NAME: requiredFor('s3'),
   AWS_S3_MEDIA_FOLDER: Joi.string().default('media'),
   AWS_S3_AVATARS_FOLDER: Joi.string().default('avatars'),
   AWS_S3_THUMBNAILS_FOLDER: Joi.string().default('thumbnails'),
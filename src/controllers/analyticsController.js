@@ -28,9 +28,9 @@ class AnalyticsController {
         success: true,
         data: metrics,
         meta: {
-          note: 'Metrics calculated from published posts in database',
+          note: 'Engagement metrics are synced periodically from each platform',
           dataSource: 'internal_db',
-          limitations: 'Social media engagement metrics (likes, shares) not available via free APIs',
+          limitations: 'Platforms that do not expose impressions or reach have no engagement rate',
         },
       });
     } catch (error) {
@@ -99,6 +99,92 @@ class AnalyticsController {
     }
   }
 
+  /**
+   * GET /api/v1/analytics/posts/top
+   * Get top performing posts
+   */
+  async getTopPosts(req, res, next) {
+    try {
+      const { brandId, period = '30d', provider, sortBy, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const posts = await analyticsService.getTopPosts(brandId, req.user._id, {
+        period,
+        provider,
+        sortBy,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: posts,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this brand\'s analytics',
+        });
+      }
+      if (error.message.startsWith('sortBy must be')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error('Top posts failed', error);
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/analytics/best-times
+   * Get recommended posting slots per channel
+   */
+  async getBestTimes(req, res, next) {
+    try {
+      const { brandId, channelId, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const recommendations = await analyticsService.getBestTimes(brandId, req.user._id, {
+        channelId,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: recommendations,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this brand\'s analytics',
+        });
+      }
+      if (error.message === 'Invalid channel ID') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error('Best times failed', error);
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/analytics/export/csv
    * Export analytics as CSV
@@ -1,6 +1,5 @@
 const authService = require("../services/authService");
 const emailService = require("../services/emailService");
-const cloudinaryService = require("../services/cloudinaryService");
 const logger = require('../utils/logger');
 const User = require('../models/User');
 
@@ -225,21 +224,8 @@ class AuthController {
         });
       }
 
-      // Upload to Cloudinary
-      const uploadResult = await cloudinaryService.uploadImage(req.file.path, {
-        folder: 'avatars',
-        public_id: `avatar-${req.user._id}`,
-        overwrite: true,
-      });
-
-      // Use 'url' not 'secure_url' - check what cloudinaryService returns
-      const avatarUrl = uploadResult.url || uploadResult.secure_url;
-
-      // Update user avatar
-      const user = await authService.uploadAvatar(
-        req.user._id,
-        avatarUrl
-      );
+      // Store the file and update the user avatar
+      const user = await authService.uploadAvatar(req.user._id, req.file);
 
       res.json({
         success: true,
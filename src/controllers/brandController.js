@@ -162,6 +162,43 @@ class BrandController {
     }
   }
 
+  /**
+   * GET /api/v1/brands/:brandId/queue-slots
+   */
+  async getQueueSlots(req, res, next) {
+    try {
+      const queue = await brandService.getQueueSlots(req.params.brandId, req.user._id);
+
+      res.json({
+        success: true,
+        data: queue,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * PUT /api/v1/brands/:brandId/queue-slots
+   */
+  async updateQueueSlots(req, res, next) {
+    try {
+      const queue = await brandService.updateQueueSlots(
+        req.params.brandId,
+        req.user._id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Queue slots updated successfully',
+        data: queue,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/brands/:brandId/members
    */
@@ -3,11 +3,9 @@ const ProviderFactory = require("../providers/ProviderFactory");
 const Channel = require("../models/Channel");
 const PublishedPost = require("../models/PublishedPost");
 const Media = require('../models/Media');
-const s3Service = require('../services/s3Service');
 const mongoose = require("mongoose");
 const path = require("path");
 const logger = require("../utils/logger");
-const cloudinaryService = require('../services/cloudinaryService');
 
 class ChannelController {
   async getAuthorizationUrl(req, res, next) {
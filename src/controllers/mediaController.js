@@ -48,6 +48,7 @@ class MediaController {
       console.log('📝 Parsed tags:', parsedTags);      
 
       const uploadedMedia = [];
+      let quotaError = null;
       
       for (const file of req.files) {
         try {
@@ -69,9 +70,21 @@ class MediaController {
           console.log('✅ File uploaded:', media._id, 'with tags:', media.tags);
         } catch (fileError) {
           console.error('❌ Failed to upload file:', file.originalname, fileError.message);
+          if (fileError.code === 'STORAGE_QUOTA_EXCEEDED') {
+            quotaError = fileError;
+          }
         }
       }
 
+      if (uploadedMedia.length === 0 && quotaError) {
+        return res.status(413).json({
+          success: false,
+          message: quotaError.message,
+          code: quotaError.code,
+          data: quotaError.quota,
+        });
+      }
+
       if (uploadedMedia.length === 0) {
         return res.status(500).json({
           success: false,
@@ -79,10 +92,16 @@ class MediaController {
         });
       }
 
+      // Files already in the library come back as the existing item
+      const duplicates = uploadedMedia.filter(m => m.duplicate).map(m => m._id);
+
       res.status(201).json({
         success: true,
-        message: `${uploadedMedia.length} file(s) uploaded successfully`,
+        message: duplicates.length > 0
+          ? `${uploadedMedia.length} file(s) uploaded successfully (${duplicates.length} already in the library)`
+          : `${uploadedMedia.length} file(s) uploaded successfully`,
         data: uploadedMedia,
+        duplicates,
       });
     } catch (error) {
       console.error('❌ Upload controller error:', {
@@ -227,11 +246,11 @@ class MediaController {
 
   /**
    * DELETE /api/v1/media/:id
-   * Delete media
+   * Move media to the trash (?confirm=true when scheduled posts still use it)
    */
   async deleteMedia(req, res, next) {
     try {
-      const { brandId } = req.query;
+      const { brandId, confirm } = req.query;
 
       if (!brandId) {
         return res.status(400).json({
@@ -240,13 +259,23 @@ class MediaController {
         });
       }
 
-      await mediaService.deleteMedia(req.params.id, brandId);
+      const result = await mediaService.deleteMedia(req.params.id, brandId, req.user._id, {
+        confirm: confirm === 'true',
+      });
 
       res.json({
         success: true,
-        message: 'Media deleted successfully',
+        message: 'Media moved to trash',
+        data: { purgeAt: result.purgeAt },
       });
     } catch (error) {
+      if (error.references) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { references: error.references },
+        });
+      }
       logger.error('❌ Delete media failed', { error: error.message });
       next(error);
     }
@@ -254,11 +283,11 @@ class MediaController {
 
   /**
    * POST /api/v1/media/bulk-delete
-   * Bulk delete media
+   * Bulk move media to the trash ({ confirm: true } includes media used by scheduled posts)
    */
   async bulkDeleteMedia(req, res, next) {
     try {
-      const { brandId, mediaIds } = req.body;
+      const { brandId, mediaIds, confirm } = req.body;
 
       if (!brandId || !mediaIds || !Array.isArray(mediaIds)) {
         return res.status(400).json({
@@ -267,7 +296,9 @@ class MediaController {
         });
       }
 
-      const results = await mediaService.bulkDeleteMedia(mediaIds, brandId);
+      const results = await mediaService.bulkDeleteMedia(mediaIds, brandId, req.user._id, {
+        confirm: confirm === true || confirm === 'true',
+      });
 
       res.json({
         success: true,
@@ -280,6 +311,95 @@ class MediaController {
     }
   }
 
+  /**
+   * GET /api/v1/media/trash
+   * Trashed media with their purge dates
+   */
+  async getTrash(req, res, next) {
+    try {
+      const { brandId, page, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await mediaService.getTrash(brandId, { page, limit });
+
+      res.json({
+        success: true,
+        data: result.media,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      logger.error('❌ Get trash failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/media/:id/restore
+   * Restore media from the trash
+   */
+  async restoreMedia(req, res, next) {
+    try {
+      const brandId = req.body.brandId || req.query.brandId;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const media = await mediaService.restoreMedia(req.params.id, brandId);
+
+      res.json({
+        success: true,
+        message: 'Media restored',
+        data: media,
+      });
+    } catch (error) {
+      logger.error('❌ Restore media failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/media/:id/permanent
+   * Delete trashed media and its files now
+   */
+  async permanentlyDeleteMedia(req, res, next) {
+    try {
+      const { brandId, confirm } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await mediaService.permanentlyDeleteMedia(req.params.id, brandId, {
+        confirm: confirm === 'true',
+      });
+
+      res.json(result);
+    } catch (error) {
+      if (error.references) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          data: { references: error.references },
+        });
+      }
+      logger.error('❌ Permanent delete failed', { error: error.message });
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/media/folders
    * Get all folders
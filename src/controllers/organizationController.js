@@ -1,4 +1,5 @@
 const organizationService = require('../services/organizationService');
+const storageQuotaService = require('../services/storageQuotaService');
 const Membership = require('../models/Membership');
 const User = require('../models/User');
 const emailService = require('../services/emailService');
@@ -105,6 +106,40 @@ class OrganizationController {
     }
   }
 
+  /**
+   * GET /api/v1/organizations/:id/storage
+   * Media storage usage against the subscription tier quota
+   */
+  async getStorageUsage(req, res, next) {
+    try {
+      const usage = await storageQuotaService.getOrganizationUsage(
+        req.user._id,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: usage,
+      });
+    } catch (error) {
+      if (error.message === 'Organization not found') {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this organization',
+        });
+      }
+
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/organizations/:id/members
    */
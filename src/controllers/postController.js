@@ -20,6 +20,36 @@ class PostController {
         message: 'Post created successfully',
         data: post,
       });
+    } catch (error) {
+      if (error.validation) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          data: error.validation,
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/posts/validate
+   */
+  async validatePost(req, res, next) {
+    try {
+      if (!req.body.brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await postService.validatePost(req.user._id, req.body);
+
+      res.json({
+        success: true,
+        data: result,
+      });
     } catch (error) {
       next(error);
     }
@@ -182,6 +212,129 @@ class PostController {
     }
   }
 
+  /**
+   * POST /api/v1/posts/:postId/schedules/:scheduleId/retry
+   */
+  async retrySchedule(req, res, next) {
+    try {
+      const post = await postService.retrySchedule(
+        req.user._id,
+        req.params.postId,
+        req.params.scheduleId
+      );
+
+      res.json({
+        success: true,
+        message: 'Schedule queued for retry',
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/posts/:id/queue
+   */
+  async addToQueue(req, res, next) {
+    try {
+      const { channels } = req.body;
+
+      if (!Array.isArray(channels) || channels.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'At least one channel is required',
+        });
+      }
+
+      const post = await postService.addToQueue(req.user._id, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Post added to queue',
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/posts/:id/submit
+   */
+  async submitForApproval(req, res, next) {
+    try {
+      const post = await postService.submitForApproval(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Post submitted for approval',
+        data: post,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/posts/:id/approve
+   */
+  async approvePost(req, res, next) {
+    try {
+      const post = await postService.approvePost(
+        req.user._id,
+        req.params.id,
+        req.body.comment
+      );
+
+      res.json({
+        success: true,
+        message: 'Post approved successfully',
+        data: post,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only brand owners and managers can approve posts',
+        });
+      }
+      next(error);
+    }
+  }
+
+  /**
+   * POST /api/v1/posts/:id/reject
+   */
+  async rejectPost(req, res, next) {
+    try {
+      const { comment } = req.body;
+
+      if (!comment || !comment.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'A comment is required when rejecting a post',
+        });
+      }
+
+      const post = await postService.rejectPost(req.user._id, req.params.id, comment);
+
+      res.json({
+        success: true,
+        message: 'Post rejected',
+        data: post,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only brand owners and managers can reject posts',
+        });
+      }
+      next(error);
+    }
+  }
+
   /**
    * GET /api/v1/posts/calendar
    */
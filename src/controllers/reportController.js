@@ -0,0 +1,182 @@
+const reportService = require('../services/reportService');
+const logger = require('../utils/logger');
+
+/**
+ * Map report service errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have access to this brand\'s reports',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || /^(Invalid|At least one)/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('Report request failed', { error: error.message });
+  next(error);
+};
+
+class ReportController {
+  /**
+   * GET /api/v1/analytics/reports/schedules?brandId=
+   */
+  async getSchedules(req, res, next) {
+    try {
+      const { brandId } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const schedules = await reportService.getSchedules(req.user._id, brandId);
+
+      res.json({
+        success: true,
+        data: schedules,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/analytics/reports/schedules
+   */
+  async createSchedule(req, res, next) {
+    try {
+      const { brandId, name, cadence, recipients } = req.body;
+
+      if (!brandId || !name || !cadence || !recipients) {
+        return res.status(400).json({
+          success: false,
+          message: 'brandId, name, cadence and recipients are required',
+        });
+      }
+
+      const schedule = await reportService.createSchedule(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Report schedule created successfully',
+        data: schedule,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/analytics/reports/schedules/:id
+   */
+  async updateSchedule(req, res, next) {
+    try {
+      const schedule = await reportService.updateSchedule(req.user._id, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Report schedule updated successfully',
+        data: schedule,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/analytics/reports/schedules/:id
+   */
+  async deleteSchedule(req, res, next) {
+    try {
+      await reportService.deleteSchedule(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Report schedule deleted successfully',
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/analytics/reports/schedules/:id/run
+   */
+  async runNow(req, res, next) {
+    try {
+      const report = await reportService.runNow(req.user._id, req.params.id);
+
+      res.json({
+        success: report.status === 'completed',
+        message: report.status === 'completed'
+          ? 'Report generated and sent'
+          : `Report generation failed: ${report.error}`,
+        data: report,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/analytics/reports?brandId=
+   */
+  async getReports(req, res, next) {
+    try {
+      const { brandId, page, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await reportService.getReports(req.user._id, brandId, { page, limit });
+
+      res.json({
+        success: true,
+        data: result.reports,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/analytics/reports/:id/download?format=pdf|xlsx
+   */
+  async downloadReport(req, res, next) {
+    try {
+      const download = await reportService.getDownloadUrl(
+        req.user._id,
+        req.params.id,
+        req.query.format
+      );
+
+      res.json({
+        success: true,
+        data: download,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new ReportController();
@@ -0,0 +1,101 @@
+const whatsappAccountHealthService = require('../services/whatsappAccountHealthService');
+const logger = require('../utils/logger');
+
+/**
+ * Map account health errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError' || /^Invalid/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('[WHATSAPP] Account health request failed', { error: error.message });
+  next(error);
+};
+
+class WhatsAppAccountHealthController {
+  /**
+   * GET /api/v1/whatsapp/health?brandId=
+   */
+  async getBrandHealth(req, res, next) {
+    try {
+      const { brandId } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const health = await whatsappAccountHealthService.getBrandHealth(req.user._id, brandId);
+
+      res.json({
+        success: true,
+        data: health,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/health/:channelId?from=&to=&limit=&includeAcknowledged=
+   */
+  async getHealth(req, res, next) {
+    try {
+      const { from, to, limit, includeAcknowledged } = req.query;
+      const health = await whatsappAccountHealthService.getHealth(req.user._id, req.params.channelId, {
+        from,
+        to,
+        limit,
+        includeAcknowledged,
+      });
+
+      res.json({
+        success: true,
+        data: health,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/health/:channelId/alerts/:alertId/acknowledge
+   */
+  async acknowledgeAlert(req, res, next) {
+    try {
+      const alert = await whatsappAccountHealthService.acknowledgeAlert(
+        req.user._id,
+        req.params.channelId,
+        req.params.alertId
+      );
+
+      res.json({
+        success: true,
+        message: 'Alert acknowledged',
+        data: alert,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WhatsAppAccountHealthController();
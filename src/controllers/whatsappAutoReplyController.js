@@ -0,0 +1,152 @@
+const whatsappAutoReplyService = require('../services/whatsappAutoReplyService');
+const logger = require('../utils/logger');
+
+/**
+ * Map auto-reply service errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError' || /^Invalid/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('[WHATSAPP] Auto-reply request failed', { error: error.message });
+  next(error);
+};
+
+class WhatsAppAutoReplyController {
+  /**
+   * GET /api/v1/whatsapp/auto-replies?brandId=
+   */
+  async getRules(req, res, next) {
+    try {
+      const { brandId } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const rules = await whatsappAutoReplyService.getRules(req.user._id, brandId);
+
+      res.json({
+        success: true,
+        data: rules,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/auto-replies
+   * Body: { brandId, channelId?, name, priority, trigger, cooldownMinutes, steps }
+   */
+  async createRule(req, res, next) {
+    try {
+      const { brandId, name, trigger, steps } = req.body;
+
+      if (!brandId || !name || !trigger?.type || !steps) {
+        return res.status(400).json({
+          success: false,
+          message: 'brandId, name, trigger.type and steps are required',
+        });
+      }
+
+      const rule = await whatsappAutoReplyService.createRule(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Auto-reply rule created',
+        data: rule,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/auto-replies/:id
+   */
+  async getRule(req, res, next) {
+    try {
+      const rule = await whatsappAutoReplyService.getRule(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: rule,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/whatsapp/auto-replies/:id
+   */
+  async updateRule(req, res, next) {
+    try {
+      const rule = await whatsappAutoReplyService.updateRule(req.user._id, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Auto-reply rule updated',
+        data: rule,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/whatsapp/auto-replies/:id
+   */
+  async deleteRule(req, res, next) {
+    try {
+      await whatsappAutoReplyService.deleteRule(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Auto-reply rule deleted',
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/auto-replies/:id/logs?page=&limit=
+   */
+  async getLogs(req, res, next) {
+    try {
+      const { page, limit } = req.query;
+      const result = await whatsappAutoReplyService.getLogs(req.user._id, req.params.id, { page, limit });
+
+      res.json({
+        success: true,
+        data: result.logs,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WhatsAppAutoReplyController();
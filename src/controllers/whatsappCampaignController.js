@@ -0,0 +1,209 @@
+const whatsappCampaignService = require('../services/whatsappCampaignService');
+const logger = require('../utils/logger');
+
+/**
+ * Map campaign service errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError' || /^Invalid/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('[WHATSAPP] Campaign request failed', { error: error.message });
+  next(error);
+};
+
+class WhatsAppCampaignController {
+  /**
+   * GET /api/v1/whatsapp/campaigns?brandId=&status=
+   */
+  async getCampaigns(req, res, next) {
+    try {
+      const { brandId, status, page, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await whatsappCampaignService.getCampaigns(req.user._id, brandId, { status, page, limit });
+
+      res.json({
+        success: true,
+        data: result.campaigns,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/campaigns
+   */
+  async createCampaign(req, res, next) {
+    try {
+      const { brandId, channelId, templateId, name } = req.body;
+
+      if (!brandId || !channelId || !templateId || !name) {
+        return res.status(400).json({
+          success: false,
+          message: 'brandId, channelId, templateId and name are required',
+        });
+      }
+
+      const campaign = await whatsappCampaignService.createCampaign(req.user._id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Campaign created',
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/campaigns/:id
+   */
+  async getCampaign(req, res, next) {
+    try {
+      const campaign = await whatsappCampaignService.getCampaign(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/whatsapp/campaigns/:id
+   */
+  async updateCampaign(req, res, next) {
+    try {
+      const campaign = await whatsappCampaignService.updateCampaign(req.user._id, req.params.id, req.body);
+
+      res.json({
+        success: true,
+        message: 'Campaign updated',
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * DELETE /api/v1/whatsapp/campaigns/:id
+   */
+  async deleteCampaign(req, res, next) {
+    try {
+      await whatsappCampaignService.deleteCampaign(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Campaign deleted',
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/campaigns/:id/schedule
+   * Body: { scheduledFor } (omit to send now)
+   */
+  async scheduleCampaign(req, res, next) {
+    try {
+      const campaign = await whatsappCampaignService.scheduleCampaign(
+        req.user._id,
+        req.params.id,
+        req.body.scheduledFor
+      );
+
+      res.json({
+        success: true,
+        message: 'Campaign scheduled',
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/campaigns/:id/cancel
+   */
+  async cancelCampaign(req, res, next) {
+    try {
+      const campaign = await whatsappCampaignService.cancelCampaign(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Campaign cancelled',
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/campaigns/:id/resume
+   */
+  async resumeCampaign(req, res, next) {
+    try {
+      const campaign = await whatsappCampaignService.resumeCampaign(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Campaign resumed',
+        data: campaign,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/campaigns/:id/recipients?status=
+   */
+  async getRecipients(req, res, next) {
+    try {
+      const { status, page, limit } = req.query;
+      const result = await whatsappCampaignService.getRecipients(req.user._id, req.params.id, { status, page, limit });
+
+      res.json({
+        success: true,
+        data: result.recipients,
+        stats: result.stats,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WhatsAppCampaignController();
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const whatsappContactService = require('../services/whatsappContactService');
+const logger = require('../utils/logger');
+
+/**
+ * Map contact import/export errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError' || /^Invalid/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('[WHATSAPP] Contact import/export failed', { error: error.message });
+  next(error);
+};
+
+class WhatsAppContactImportController {
+  /**
+   * POST /api/v1/whatsapp/contacts/import (multipart)
+   * Fields: file (CSV/XLSX), brandId, mapping (JSON), defaultCountryCode, updateExisting
+   */
+  async importContacts(req, res, next) {
+    try {
+      const { brandId, mapping, defaultCountryCode, updateExisting } = req.body;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A CSV or XLSX file is required',
+        });
+      }
+      if (!brandId) {
+        await fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const contactImport = await whatsappContactService.createImport(req.user._id, brandId, req.file, {
+        mapping,
+        defaultCountryCode,
+        updateExisting,
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Import queued',
+        data: contactImport,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/contacts/imports?brandId=
+   */
+  async getImports(req, res, next) {
+    try {
+      const { brandId, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const imports = await whatsappContactService.getImports(req.user._id, brandId, { limit });
+
+      res.json({
+        success: true,
+        data: imports,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/contacts/imports/:id (progress polling)
+   */
+  async getImport(req, res, next) {
+    try {
+      const contactImport = await whatsappContactService.getImport(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: contactImport,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/contacts/export?brandId=&format=csv|xlsx&tags=&groups=&search=&optedOut=
+   */
+  async exportContacts(req, res, next) {
+    try {
+      const { brandId, format = 'csv', tags, groups, search, optedOut } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      await whatsappContactService.exportContacts(
+        req.user._id,
+        brandId,
+        { tags, groups, search, optedOut },
+        format,
+        res
+      );
+    } catch (error) {
+      // The download already started, so it can only be cut short
+      if (res.headersSent) {
+        logger.error('[WHATSAPP] Contact export interrupted', { error: error.message });
+        return res.destroy(error);
+      }
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WhatsAppContactImportController();
@@ -3,8 +3,46 @@ const WhatsAppContact = require('../models/WhatsAppContact');
 const Channel = require('../models/Channel');
 const Membership = require('../models/Membership');
 const ProviderFactory = require('../providers/ProviderFactory');
+const whatsappConsentService = require('../services/whatsappConsentService');
+const whatsappContactService = require('../services/whatsappContactService');
+const whatsappInboxService = require('../services/whatsappInboxService');
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const { buildInteractive } = require('../utils/whatsappInteractive');
 const logger = require('../utils/logger');
 
+const OPTED_OUT_ERROR = 'Contact has opted out of WhatsApp messages';
+const CONSENT_FIELDS = ['optedIn', 'optedInAt', 'optedOutAt'];
+const WINDOW_CLOSED_ERROR = 'Outside the 24-hour customer service window, send a template instead';
+
+/**
+ * Refused results for opted-out recipients (routes pass handlers unbound, so this lives outside the class)
+ */
+const optedOutResults = (contacts) => contacts.map(contact => ({
+  recipient: contact.phone,
+  success: false,
+  error: OPTED_OUT_ERROR,
+}));
+
+/**
+ * Split allowed recipients by the 24-hour customer service window (free-form messages only)
+ */
+const partitionByWindow = async (channelId, contacts) => {
+  const openIds = await whatsappInboxService.getOpenWindowContactIds(channelId, contacts.map(c => c._id));
+  return {
+    inWindow: contacts.filter(contact => openIds.has(contact._id.toString())),
+    windowClosed: contacts.filter(contact => !openIds.has(contact._id.toString())),
+  };
+};
+
+/**
+ * 400 response when every recipient opted out
+ */
+const sendAllOptedOut = (res, optedOut) => res.status(400).json({
+  success: false,
+  message: 'All recipients have opted out of WhatsApp messages',
+  data: { results: optedOutResults(optedOut) },
+});
+
 class WhatsAppController {
   /**
    * POST /api/v1/whatsapp/connect
@@ -74,7 +112,7 @@ class WhatsAppController {
    */
   async getTemplates(req, res, next) {
     try {
-      const { brandId, channelId } = req.query;
+      const { brandId, channelId, status, includeDeleted } = req.query;
 
       // Check access
       const membership = await Membership.findOne({
@@ -104,8 +142,15 @@ class WhatsAppController {
         const provider = ProviderFactory.getProvider('whatsapp', channel);
         templates = await provider.getTemplates();
       } else {
-        // Fetch from database
-        templates = await WhatsAppTemplate.find({ brand: brandId })
+        // Fetch from database (kept in sync with the provider; removed ones only on request)
+        const query = { brand: brandId };
+        if (status) {
+          query.status = status;
+        } else if (includeDeleted !== 'true') {
+          query.status = { $ne: 'DELETED' };
+        }
+
+        templates = await WhatsAppTemplate.find(query)
           .populate('createdBy', 'name email')
           .sort('-createdAt');
       }
@@ -122,63 +167,95 @@ class WhatsAppController {
 
   /**
    * POST /api/v1/whatsapp/templates
-   * Create template
+   * Create template (validated by the template builder before submission)
    */
   async createTemplate(req, res, next) {
     try {
-      const { brandId, channelId, name, language, category, components } = req.body;
+      const template = await whatsappTemplateService.createTemplate(req.user._id, req.body);
 
-      // Check access
-      const membership = await Membership.findOne({
-        user: req.user._id,
-        brand: brandId,
+      res.status(201).json({
+        success: true,
+        message: 'Template created (pending approval)',
+        data: template,
       });
-
-      if (!membership || !membership.permissions.includes('create_posts')) {
+    } catch (error) {
+      if (error.message === 'Permission denied') {
         return res.status(403).json({
           success: false,
           message: 'Permission denied',
         });
       }
-
-      // Get channel
-      const channel = await Channel.findById(channelId);
-      if (!channel) {
+      if (error.message === 'Channel not found') {
         return res.status(404).json({
           success: false,
           message: 'Channel not found',
         });
       }
+      if (/^Invalid template/.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error('[WHATSAPP] Template creation failed', { error: error.message });
+      next(error);
+    }
+  }
 
-      // Create template via API
-      const provider = ProviderFactory.getProvider('whatsapp', channel);
-      const result = await provider.createTemplate({
-        name,
-        language,
-        category,
-        components,
-      });
+  /**
+   * POST /api/v1/whatsapp/templates/preview
+   * Validate header, body, footer and buttons and render the message with its example values
+   */
+  async previewTemplate(req, res, next) {
+    try {
+      const result = whatsappTemplateService.previewTemplate(req.body);
 
-      // Save to database
-      const template = await WhatsAppTemplate.create({
-        brand: brandId,
-        channel: channelId,
-        name,
-        language,
-        category,
-        components,
-        platformTemplateId: result.id,
-        status: 'PENDING',
-        createdBy: req.user._id,
+      res.json({
+        success: true,
+        data: result,
       });
+    } catch (error) {
+      logger.error('[WHATSAPP] Template preview failed', { error: error.message });
+      next(error);
+    }
+  }
 
-      res.status(201).json({
+  /**
+   * POST /api/v1/whatsapp/templates/sync
+   * Reconcile local templates of a number with the provider now
+   */
+  async syncTemplates(req, res, next) {
+    try {
+      const { brandId, channelId } = req.body;
+
+      if (!brandId || !channelId) {
+        return res.status(400).json({
+          success: false,
+          message: 'brandId and channelId are required',
+        });
+      }
+
+      const result = await whatsappTemplateService.syncTemplatesForUser(req.user._id, brandId, channelId);
+
+      res.json({
         success: true,
-        message: 'Template created (pending approval)',
-        data: template,
+        message: `Templates synced: ${result.added} added, ${result.updated} updated, ${result.deleted} deleted`,
+        data: result,
       });
     } catch (error) {
-      logger.error('[WHATSAPP] Template creation failed', { error: error.message });
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission denied',
+        });
+      }
+      if (error.message === 'Channel not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Channel not found',
+        });
+      }
+      logger.error('[WHATSAPP] Template sync failed', { error: error.message });
       next(error);
     }
   }
@@ -236,7 +313,7 @@ class WhatsAppController {
    */
   async getContacts(req, res, next) {
     try {
-      const { brandId, tags, groups, search, page = 1, limit = 50 } = req.query;
+      const { brandId, tags, groups, search, optedOut, page = 1, limit = 50 } = req.query;
 
       // Check access
       const membership = await Membership.findOne({
@@ -251,23 +328,7 @@ class WhatsAppController {
         });
       }
 
-      const query = { brand: brandId };
-
-      if (tags) {
-        query.tags = { $in: Array.isArray(tags) ? tags : [tags] };
-      }
-
-      if (groups) {
-        query.groups = { $in: Array.isArray(groups) ? groups : [groups] };
-      }
-
-      if (search) {
-        query.$or = [
-          { name: { $regex: search, $options: 'i' } },
-          { phone: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } },
-        ];
-      }
+      const query = whatsappContactService.buildContactQuery(brandId, { tags, groups, search, optedOut });
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
@@ -301,7 +362,7 @@ class WhatsAppController {
    */
   async createContact(req, res, next) {
     try {
-      const { brandId, name, phone, email, tags, groups, customFields, notes } = req.body;
+      const { brandId, name, phone, email, tags, groups, customFields, notes, optedIn } = req.body;
 
       // Check access
       const membership = await Membership.findOne({
@@ -328,6 +389,15 @@ class WhatsAppController {
         createdBy: req.user._id,
       });
 
+      // Consent only changes through the audited path
+      if (optedIn === true) {
+        await whatsappConsentService.setConsent(contact, 'opt_in', {
+          source: 'manual',
+          performedBy: req.user._id,
+          note: 'Opted in when the contact was created',
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'Contact created',
@@ -352,7 +422,9 @@ class WhatsAppController {
   async updateContact(req, res, next) {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const updates = { ...req.body };
+      // Consent fields change only through POST /contacts/:id/consent (audited)
+      CONSENT_FIELDS.forEach(field => delete updates[field]);
 
       const contact = await WhatsAppContact.findById(id);
       if (!contact) {
@@ -430,6 +502,64 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * POST /api/v1/whatsapp/contacts/:id/consent
+   * Opt a contact in or out on their behalf (recorded in the consent audit trail)
+   */
+  async updateContactConsent(req, res, next) {
+    try {
+      const { action, note } = req.body;
+
+      if (!['opt_in', 'opt_out'].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: 'action must be opt_in or opt_out',
+        });
+      }
+
+      const contact = await whatsappConsentService.updateContactConsent(req.user._id, req.params.id, { action, note });
+
+      res.json({
+        success: true,
+        message: action === 'opt_out' ? 'Contact opted out' : 'Contact opted in',
+        data: contact,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({ success: false, message: error.message });
+      }
+      if (error.message === 'Contact not found') {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      logger.error('[WHATSAPP] Consent update failed', { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/contacts/:id/consent
+   * Consent audit trail of a contact
+   */
+  async getContactConsent(req, res, next) {
+    try {
+      const history = await whatsappConsentService.getConsentHistory(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      if (error.message === 'Permission denied') {
+        return res.status(403).json({ success: false, message: error.message });
+      }
+      if (error.message === 'Contact not found') {
+        return res.status(404).json({ success: false, message: error.message });
+      }
+      logger.error('[WHATSAPP] Failed to fetch consent history', { error: error.message });
+      next(error);
+    }
+  }
+
   /**
    * POST /api/v1/whatsapp/send-template
    * Send template message
@@ -486,18 +616,24 @@ class WhatsAppController {
         });
       }
 
+      const { allowed, optedOut } = whatsappConsentService.partitionRecipients(recipients);
+      if (allowed.length === 0) {
+        return sendAllOptedOut(res, optedOut);
+      }
+
       // Send messages
       const provider = ProviderFactory.getProvider('whatsapp', channel);
-      const results = await provider.sendTemplateMessage(
+      const sendResults = await provider.sendTemplateMessage(
         templateName,
         languageCode || 'en',
-        recipients,
+        allowed,
         components || []
       );
+      const results = [...sendResults, ...optedOutResults(optedOut)];
 
       // Update last message sent timestamp
       await WhatsAppContact.updateMany(
-        { _id: { $in: recipientIds } },
+        { _id: { $in: allowed.map(contact => contact._id) } },
         { lastMessageSentAt: new Date() }
       );
 
@@ -570,10 +706,30 @@ class WhatsAppController {
         });
       }
 
+      const { allowed, optedOut } = whatsappConsentService.partitionRecipients(recipients);
+      if (allowed.length === 0) {
+        return sendAllOptedOut(res, optedOut);
+      }
+
+      // Free-form messages are only allowed inside the customer service window
+      const { inWindow, windowClosed } = await partitionByWindow(channel._id, allowed);
+      const refused = [
+        ...optedOutResults(optedOut),
+        ...windowClosed.map(contact => ({ recipient: contact.phone, success: false, error: WINDOW_CLOSED_ERROR })),
+      ];
+
+      if (inWindow.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No recipient is inside the 24-hour customer service window, send a template instead',
+          data: { results: refused },
+        });
+      }
+
       const provider = ProviderFactory.getProvider('whatsapp', channel);
-      const results = [];
+      const results = refused;
 
-      for (const recipient of recipients) {
+      for (const recipient of inWindow) {
         try {
           const result = await provider.sendTextMessage(recipient.phone, text, previewUrl);
           results.push({ recipient: recipient.phone, ...result });
@@ -649,10 +805,30 @@ class WhatsAppController {
         });
       }
 
+      const { allowed, optedOut } = whatsappConsentService.partitionRecipients(recipients);
+      if (allowed.length === 0) {
+        return sendAllOptedOut(res, optedOut);
+      }
+
+      // Free-form messages are only allowed inside the customer service window
+      const { inWindow, windowClosed } = await partitionByWindow(channel._id, allowed);
+      const refused = [
+        ...optedOutResults(optedOut),
+        ...windowClosed.map(contact => ({ recipient: contact.phone, success: false, error: WINDOW_CLOSED_ERROR })),
+      ];
+
+      if (inWindow.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No recipient is inside the 24-hour customer service window, send a template instead',
+          data: { results: refused },
+        });
+      }
+
       const provider = ProviderFactory.getProvider('whatsapp', channel);
-      const results = [];
+      const results = refused;
 
-      for (const recipient of recipients) {
+      for (const recipient of inWindow) {
         try {
           const result = await provider.sendMediaMessage(
             recipient.phone,
@@ -684,6 +860,115 @@ class WhatsAppController {
       next(error);
     }
   }
+
+  /**
+   * POST /api/v1/whatsapp/send-interactive/:kind (buttons | list | cta-url)
+   * Body: { channelId, recipientIds, header?, body, footer?, ...kind fields }
+   */
+  async sendInteractiveMessage(req, res, next) {
+    try {
+      const { channelId, recipientIds } = req.body;
+
+      if (!channelId || !recipientIds) {
+        return res.status(400).json({
+          success: false,
+          message: 'Missing required fields',
+        });
+      }
+
+      // Validated against Meta's limits before any recipient is looked up
+      let interactive;
+      try {
+        interactive = buildInteractive(req.params.kind, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      const channel = await Channel.findById(channelId);
+      if (!channel) {
+        return res.status(404).json({
+          success: false,
+          message: 'Channel not found',
+        });
+      }
+
+      const membership = await Membership.findOne({
+        user: req.user._id,
+        brand: channel.brand,
+      });
+
+      if (!membership || !membership.permissions.includes('publish_posts')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Permission denied',
+        });
+      }
+
+      const recipients = await WhatsAppContact.find({
+        _id: { $in: recipientIds },
+        brand: channel.brand,
+      });
+
+      if (recipients.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No valid recipients found',
+        });
+      }
+
+      const { allowed, optedOut } = whatsappConsentService.partitionRecipients(recipients);
+      if (allowed.length === 0) {
+        return sendAllOptedOut(res, optedOut);
+      }
+
+      // Interactive messages are free-form, so only inside the customer service window
+      const { inWindow, windowClosed } = await partitionByWindow(channel._id, allowed);
+      const refused = [
+        ...optedOutResults(optedOut),
+        ...windowClosed.map(contact => ({ recipient: contact.phone, success: false, error: WINDOW_CLOSED_ERROR })),
+      ];
+
+      if (inWindow.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No recipient is inside the 24-hour customer service window, send a template instead',
+          data: { results: refused },
+        });
+      }
+
+      const provider = ProviderFactory.getProvider('whatsapp', channel);
+      const results = refused;
+
+      for (const recipient of inWindow) {
+        try {
+          const result = await provider.sendInteractiveMessage(recipient.phone, interactive);
+          results.push({ recipient: recipient.phone, ...result });
+
+          await new Promise(resolve => setTimeout(resolve, 1000));
+        } catch (error) {
+          results.push({
+            recipient: recipient.phone,
+            success: false,
+            error: error.message,
+          });
+        }
+      }
+
+      const successCount = results.filter(r => r.success).length;
+
+      res.json({
+        success: true,
+        message: `Sent to ${successCount}/${recipients.length} recipients`,
+        data: { results },
+      });
+    } catch (error) {
+      logger.error('[WHATSAPP] Interactive send failed', { error: error.message });
+      next(error);
+    }
+  }
 }
 
 module.exports = new WhatsAppController();
\ No newline at end of file
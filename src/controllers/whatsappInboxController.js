@@ -0,0 +1,192 @@
+const whatsappInboxService = require('../services/whatsappInboxService');
+const logger = require('../utils/logger');
+
+/**
+ * Map inbox service errors to HTTP status codes
+ * (routes pass the handlers unbound, so this lives outside the class)
+ */
+const handleError = (error, res, next) => {
+  if (error.message === 'Permission denied') {
+    return res.status(403).json({
+      success: false,
+      message: 'Permission denied',
+    });
+  }
+  if (/not found/i.test(error.message)) {
+    return res.status(404).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  if (error.name === 'ValidationError' || error.name === 'CastError' || /^(Invalid|Customer service window closed)/.test(error.message)) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error('[WHATSAPP] Inbox request failed', { error: error.message });
+  next(error);
+};
+
+class WhatsAppInboxController {
+  /**
+   * GET /api/v1/whatsapp/conversations?brandId=&status=&assignedTo=me|unassigned|<userId>&search=
+   */
+  async getConversations(req, res, next) {
+    try {
+      const { brandId, status, assignedTo, channelId, search, page, limit } = req.query;
+
+      if (!brandId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Brand ID is required',
+        });
+      }
+
+      const result = await whatsappInboxService.getConversations(req.user._id, brandId, {
+        status,
+        assignedTo,
+        channelId,
+        search,
+        page,
+        limit,
+      });
+
+      res.json({
+        success: true,
+        data: result.conversations,
+        counts: result.counts,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/conversations/:id
+   */
+  async getConversation(req, res, next) {
+    try {
+      const conversation = await whatsappInboxService.getConversation(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: conversation,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * GET /api/v1/whatsapp/conversations/:id/messages?before=&limit=
+   */
+  async getMessages(req, res, next) {
+    try {
+      const { before, limit } = req.query;
+      const result = await whatsappInboxService.getMessages(req.user._id, req.params.id, { before, limit });
+
+      res.json({
+        success: true,
+        data: result.messages,
+        hasMore: result.hasMore,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/conversations/:id/messages
+   * Body: { text } inside the 24h window, or { templateName, languageCode, components }
+   */
+  async sendReply(req, res, next) {
+    try {
+      const message = await whatsappInboxService.sendReply(req.user._id, req.params.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Message sent',
+        data: message,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/conversations/:id/read
+   */
+  async markAsRead(req, res, next) {
+    try {
+      const conversation = await whatsappInboxService.markAsRead(req.user._id, req.params.id);
+
+      res.json({
+        success: true,
+        data: conversation,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/conversations/:id/assign
+   * Body: { userId } (null to unassign)
+   */
+  async assignConversation(req, res, next) {
+    try {
+      const conversation = await whatsappInboxService.assignConversation(
+        req.user._id,
+        req.params.id,
+        req.body.userId
+      );
+
+      res.json({
+        success: true,
+        message: conversation.assignedTo ? 'Conversation assigned' : 'Conversation unassigned',
+        data: conversation,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * PATCH /api/v1/whatsapp/conversations/:id/status
+   * Body: { status: open|pending|closed }
+   */
+  async updateStatus(req, res, next) {
+    try {
+      const conversation = await whatsappInboxService.updateStatus(req.user._id, req.params.id, req.body.status);
+
+      res.json({
+        success: true,
+        message: `Conversation ${conversation.status}`,
+        data: conversation,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+
+  /**
+   * POST /api/v1/whatsapp/conversations/:id/notes
+   */
+  async addNote(req, res, next) {
+    try {
+      const note = await whatsappInboxService.addNote(req.user._id, req.params.id, req.body.text);
+
+      res.status(201).json({
+        success: true,
+        message: 'Note added',
+        data: note,
+      });
+    } catch (error) {
+      handleError(error, res, next);
+    }
+  }
+}
+
+module.exports = new WhatsAppInboxController();
@@ -1,5 +1,5 @@
 const logger = require('../utils/logger');
-const whatsappWebhookService = require('../services/whatsappWebhookService');
+const queueManager = require('../queues/queueManager');
 
 class WhatsAppWebhookController {
   /**
@@ -42,7 +42,8 @@ class WhatsAppWebhookController {
 
   /**
    * POST /api/v1/whatsapp/webhook
-   * Handle incoming webhook events from WhatsApp
+   * Queue webhook events from WhatsApp (signature checked by verifyMetaSignature)
+   * Events are processed by processWhatsAppWebhookJob; duplicates are skipped there.
    */
   async handleIncomingWebhook(req, res, next) {
     try {
@@ -53,112 +54,28 @@ class WhatsAppWebhookController {
         hasEntry: !!body.entry,
       });
 
-      // ✅ Acknowledge receipt immediately (CRITICAL for Meta)
-      res.sendStatus(200);
-
       if (body.object !== 'whatsapp_business_account') {
         logger.warn('⚠️ Invalid webhook object type', { object: body.object });
-        return;
+        return res.sendStatus(200);
       }
 
       if (!body.entry || body.entry.length === 0) {
         logger.warn('⚠️ No entries in webhook payload');
-        return;
+        return res.sendStatus(200);
       }
 
-      // ✅ Process each entry
-      for (const entry of body.entry) {
-        if (!entry.changes || entry.changes.length === 0) {
-          continue;
-        }
-
-        for (const change of entry.changes) {
-          const field = change.field;
-          const value = change.value;
-
-          logger.info(`📥 Processing webhook field: ${field}`);
-
-          // ✅ Route based on field type
-          switch (field) {
-            case 'messages':
-              await this.handleMessagesField(value);
-              break;
+      const job = await queueManager.addWhatsAppWebhookJob(body);
 
-            case 'message_template_status_update':
-              await whatsappWebhookService.handleTemplateStatusUpdate(value);
-              break;
-
-            case 'phone_number_quality_update':
-              await whatsappWebhookService.handleQualityUpdate(value);
-              break;
-
-            case 'message_echoes':
-              await whatsappWebhookService.handleMessageEcho(value);
-              break;
-
-            default:
-              logger.warn(`⚠️ Unhandled webhook field: ${field}`, { value });
-          }
-        }
-      }
+      // ✅ Acknowledge once queued (CRITICAL for Meta)
+      res.sendStatus(200);
 
-      logger.info('✅ WhatsApp webhook processed successfully');
+      logger.info('📋 WhatsApp webhook queued', { jobId: job.id });
     } catch (error) {
-      logger.error('❌ WhatsApp webhook processing error', {
+      // Not acknowledged, so Meta redelivers it later
+      logger.error('❌ Failed to queue WhatsApp webhook', {
         message: error.message,
-        stack: error.stack,
-        body: req.body,
       });
-    }
-  }
-
-  /**
-   * Handle messages field (incoming messages, statuses, calls)
-   */
-  async handleMessagesField(value) {
-    // ✅ 1. Handle incoming messages
-    if (value.messages && value.messages.length > 0) {
-      for (const message of value.messages) {
-        // ✅ Check if it's a call
-        if (message.type === 'call_log') {
-          await whatsappWebhookService.handleCallLog({
-            from: message.from,
-            callId: message.call_log.id,
-            timestamp: message.timestamp,
-            callStatus: message.call_log.status, // missed, rejected, accepted
-            videoCall: message.call_log.video || false,
-            metadata: value.metadata,
-          });
-        } else {
-          // Regular message
-          await whatsappWebhookService.handleIncomingMessage({
-            from: message.from,
-            messageId: message.id,
-            timestamp: message.timestamp,
-            type: message.type,
-            text: message.text?.body,
-            image: message.image,
-            video: message.video,
-            audio: message.audio,
-            document: message.document,
-            contacts: value.contacts,
-            metadata: value.metadata,
-          });
-        }
-      }
-    }
-
-    // ✅ 2. Handle message status updates
-    if (value.statuses && value.statuses.length > 0) {
-      for (const status of value.statuses) {
-        await whatsappWebhookService.handleMessageStatus({
-          messageId: status.id,
-          recipientId: status.recipient_id,
-          status: status.status,
-          timestamp: status.timestamp,
-          errors: status.errors,
-        });
-      }
+      res.sendStatus(500);
     }
   }
 }
@@ -1,8 +1,16 @@
 const cron = require('node-cron');
 const Post = require('../models/Post');
+const Channel = require('../models/Channel');
+const postService = require('../services/postService');
 const queueManager = require('../queues/queueManager');
+const { getNextOccurrence } = require('../utils/recurrence');
 const logger = require('../utils/logger');
 
+// Occurrences are materialized this far ahead so their delayed jobs are in place on time
+const RECURRENCE_LOOKAHEAD_MS = 10 * 60 * 1000;
+// Occurrences missed by more than this (e.g. workers were down) are skipped, not published late
+const RECURRENCE_MISSED_GRACE_MS = 60 * 60 * 1000;
+
 class ScheduleChecker {
   constructor() {
     this.cronJob = null;
@@ -15,6 +23,8 @@ class ScheduleChecker {
     // Run every minute
     this.cronJob = cron.schedule('* * * * *', async () => {
       logger.info('⏰ Schedule checker running...');
+      await this.materializeRecurringPosts();
+      await this.recycleEvergreenPosts();
       await this.checkDueSchedules();
     });
 
@@ -51,11 +61,15 @@ class ScheduleChecker {
         asiaKolkata: now.toLocaleString('en-US', { timeZone: 'Asia/Kolkata' }),
       });
 
-      // Find posts with pending schedules that are due
+      // Find posts with pending schedules that are due (skip posts awaiting approval)
       const posts = await Post.find({
         status: { $in: ['scheduled', 'draft'] },
         'schedules.status': 'pending',
         'schedules.scheduledFor': { $lte: nowUTC }, // ✅ USE UTC TIME
+        $or: [
+          { 'settings.requireApproval': { $ne: true } },
+          { 'settings.approvalStatus': 'approved' },
+        ],
       }).populate('brand');
 
       if (posts.length === 0) {
@@ -141,6 +155,185 @@ class ScheduleChecker {
       });
     }
   }
+
+  /**
+   * Put published evergreen posts back into the queue once their recycle interval is up
+   */
+  async recycleEvergreenPosts() {
+    try {
+      const posts = await Post.find({
+        'queue.isEvergreen': true,
+        'queue.nextRecycleAt': { $lte: new Date() },
+        status: 'published',
+      });
+
+      for (const post of posts) {
+        try {
+          const channels = await Channel.find({
+            _id: { $in: post.queue.channels },
+            connectionStatus: 'active',
+          });
+
+          if (channels.length === 0) {
+            logger.warn('⚠️ Evergreen post has no active channels, stopping recycling', {
+              postId: post._id,
+            });
+            post.queue.nextRecycleAt = undefined;
+            await post.save();
+            continue;
+          }
+
+          post.queue.recycleCount += 1;
+          const schedules = await postService.queueOnChannels(post, channels);
+
+          logger.info('♻️ Evergreen post recycled', {
+            postId: post._id,
+            recycleCount: post.queue.recycleCount,
+            slots: schedules.map(s => s.scheduledFor.toISOString()),
+          });
+        } catch (error) {
+          logger.error('❌ Failed to recycle evergreen post', {
+            postId: post._id,
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Evergreen recycler error:', {
+        message: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  /**
+   * Turn upcoming occurrences of recurring posts into schedules and queue them
+   */
+  async materializeRecurringPosts() {
+    try {
+      const now = new Date();
+      const horizon = new Date(now.getTime() + RECURRENCE_LOOKAHEAD_MS);
+
+      const posts = await Post.find({
+        'recurrence.status': 'active',
+        'recurrence.nextOccurrenceAt': { $lte: horizon },
+        $or: [
+          { 'settings.requireApproval': { $ne: true } },
+          { 'settings.approvalStatus': 'approved' },
+        ],
+      }).populate('brand', 'settings.timezone');
+
+      if (posts.length === 0) {
+        return;
+      }
+
+      logger.info(`🔁 Found ${posts.length} recurring posts with upcoming occurrences`);
+
+      for (const post of posts) {
+        try {
+          await this.materializeOccurrence(post, now);
+        } catch (error) {
+          logger.error('❌ Failed to materialize recurring post', {
+            postId: post._id,
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('❌ Recurrence materializer error:', {
+        message: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+
+  /**
+   * Materialize the post's next occurrence (one schedule per recurrence channel)
+   * and advance recurrence.nextOccurrenceAt
+   */
+  async materializeOccurrence(post, now) {
+    const timezone = post.brand?.settings?.timezone || 'UTC';
+    const { rule, startAt } = post.recurrence;
+    const occurrenceAt = post.recurrence.nextOccurrenceAt;
+    const isMissed = now.getTime() - occurrenceAt.getTime() > RECURRENCE_MISSED_GRACE_MS;
+
+    const newSchedules = [];
+
+    if (isMissed) {
+      logger.warn('⚠️ Skipping missed recurring occurrence', {
+        postId: post._id,
+        occurrenceAt: occurrenceAt.toISOString(),
+      });
+    } else {
+      const next = getNextOccurrence(rule, startAt, timezone, new Date(occurrenceAt.getTime() - 1));
+
+      for (const recurrenceChannel of post.recurrence.channels) {
+        post.schedules.push({
+          channel: recurrenceChannel.channel,
+          provider: recurrenceChannel.provider,
+          scheduledFor: occurrenceAt,
+          status: 'pending',
+          occurrenceIndex: next ? next.index : undefined,
+          override: recurrenceChannel.override,
+        });
+        newSchedules.push(post.schedules[post.schedules.length - 1]);
+      }
+
+      post.recurrence.occurrenceCount += 1;
+      post.recurrence.lastOccurrenceAt = occurrenceAt;
+    }
+
+    // Advance to the next occurrence still worth publishing
+    const after = isMissed ? new Date(now.getTime() - RECURRENCE_MISSED_GRACE_MS) : occurrenceAt;
+    const following = getNextOccurrence(rule, startAt, timezone, after);
+
+    if (following) {
+      post.recurrence.nextOccurrenceAt = following.date;
+    } else {
+      post.recurrence.status = 'completed';
+      post.recurrence.nextOccurrenceAt = undefined;
+    }
+
+    if (post.status === 'draft') {
+      post.status = 'scheduled';
+    }
+
+    await post.save();
+
+    // Queued like regular due schedules, so the next pass doesn't pick them up again
+    for (const schedule of newSchedules) {
+      try {
+        const job = await queueManager.addPublishJob(
+          post._id.toString(),
+          schedule._id.toString(),
+          schedule.scheduledFor
+        );
+        schedule.status = 'queued';
+        schedule.jobId = job.id;
+      } catch (error) {
+        logger.error('❌ Failed to queue recurring schedule', {
+          postId: post._id,
+          scheduleId: schedule._id,
+          error: error.message,
+        });
+
+        schedule.status = 'failed';
+        schedule.error = error.message;
+      }
+    }
+
+    if (newSchedules.length > 0) {
+      await post.save();
+    }
+
+    logger.info('🔁 Recurring occurrence processed', {
+      postId: post._id,
+      occurrenceAt: occurrenceAt.toISOString(),
+      skipped: isMissed,
+      schedulesCreated: newSchedules.length,
+      nextOccurrenceAt: post.recurrence.nextOccurrenceAt?.toISOString() || null,
+    });
+  }
 }
 
-module.exports = new ScheduleChecker();
\ No newline at end of file
+module.exports = new ScheduleChecker();
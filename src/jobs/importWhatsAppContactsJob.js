@@ -0,0 +1,179 @@
+const fs = require('fs');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppContactImport = require('../models/WhatsAppContactImport');
+const whatsappContactService = require('../services/whatsappContactService');
+const logger = require('../utils/logger');
+
+// Rows written per bulk operation (progress is saved after each)
+const BATCH_SIZE = 500;
+
+class ImportWhatsAppContactsJob {
+  /**
+   * Import an uploaded contacts file: normalize phones, dedupe on brand + phone, record row errors
+   */
+  async process(job) {
+    const { importId } = job.data;
+
+    const contactImport = await WhatsAppContactImport.findById(importId);
+    if (!contactImport || contactImport.status !== 'queued') {
+      return { skipped: true, status: contactImport?.status };
+    }
+
+    contactImport.status = 'processing';
+    contactImport.startedAt = new Date();
+    await contactImport.save();
+
+    try {
+      const { header, rows } = await whatsappContactService.readImportFile(contactImport.filePath, contactImport.format);
+      const columns = whatsappContactService.resolveColumns(header, contactImport.mapping);
+
+      contactImport.totalRows = rows.length;
+      await contactImport.save();
+
+      // First line of each phone in the file
+      const seen = new Map();
+
+      for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+        const batch = rows.slice(start, start + BATCH_SIZE);
+        await this.importBatch(contactImport, batch, columns, seen);
+
+        contactImport.processedRows = start + batch.length;
+        await contactImport.save();
+        await job.progress(contactImport.progress);
+      }
+
+      contactImport.status = 'completed';
+      contactImport.completedAt = new Date();
+      await contactImport.save();
+
+      logger.info('✅ Contact import completed', {
+        importId,
+        totalRows: contactImport.totalRows,
+        ...contactImport.stats.toObject(),
+      });
+
+      return { importId, stats: contactImport.stats.toObject() };
+    } catch (error) {
+      contactImport.status = 'failed';
+      contactImport.error = error.message;
+      contactImport.completedAt = new Date();
+      await contactImport.save();
+
+      logger.error('❌ Contact import failed', { importId, error: error.message });
+      return { importId, failed: true, error: error.message };
+    } finally {
+      await fs.promises.unlink(contactImport.filePath).catch(() => {});
+      await WhatsAppContactImport.updateOne({ _id: contactImport._id }, { $unset: { filePath: 1 } });
+    }
+  }
+
+  /**
+   * Create new contacts and merge into existing ones (tags and groups are added, not replaced)
+   */
+  async importBatch(contactImport, batch, columns, seen) {
+    const { brand, createdBy, updateExisting, defaultCountryCode } = contactImport;
+    const valid = [];
+
+    for (const { line, values } of batch) {
+      const mapped = whatsappContactService.mapRow(values, columns, defaultCountryCode);
+
+      if (mapped.error) {
+        this.addRowError(contactImport, line, mapped.phone || values[columns.phone], mapped.error);
+      } else if (seen.has(mapped.phone)) {
+        this.addRowError(contactImport, line, mapped.phone, `Duplicate of row ${seen.get(mapped.phone)}`);
+      } else {
+        seen.set(mapped.phone, line);
+        valid.push({ line, ...mapped });
+      }
+    }
+
+    if (valid.length === 0) return;
+
+    const existing = await WhatsAppContact.find({ brand, phone: { $in: valid.map(row => row.phone) } }).select('phone');
+    const existingPhones = new Set(existing.map(contact => contact.phone));
+
+    const ops = [];
+    const opRows = [];
+
+    for (const row of valid) {
+      if (!existingPhones.has(row.phone)) {
+        const document = {
+          brand,
+          name: row.name || row.phone,
+          phone: row.phone,
+          email: row.email,
+          tags: row.tags,
+          groups: row.groups,
+          customFields: row.customFields,
+          createdBy,
+        };
+
+        // Validated here so bulkWrite never drops operations (their indexes map errors to rows)
+        const validationError = new WhatsAppContact(document).validateSync();
+        if (validationError) {
+          this.addRowError(contactImport, row.line, row.phone, validationError.message);
+          continue;
+        }
+
+        ops.push({ insertOne: { document } });
+        opRows.push({ ...row, action: 'created' });
+      } else if (updateExisting) {
+        const $set = {};
+        if (row.name) $set.name = row.name;
+        if (row.email) $set.email = row.email;
+        Object.entries(row.customFields).forEach(([field, value]) => {
+          $set[`customFields.${field}`] = value;
+        });
+
+        ops.push({
+          updateOne: {
+            filter: { brand, phone: row.phone },
+            update: {
+              ...(Object.keys($set).length > 0 && { $set }),
+              $addToSet: { tags: { $each: row.tags }, groups: { $each: row.groups } },
+            },
+          },
+        });
+        opRows.push({ ...row, action: 'updated' });
+      } else {
+        contactImport.stats.skipped++;
+      }
+    }
+
+    if (ops.length === 0) return;
+
+    const failed = new Map();
+    try {
+      await WhatsAppContact.bulkWrite(ops, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors) throw error;
+      // Unordered: the other operations were still applied
+      error.writeErrors.forEach(writeError => {
+        failed.set(writeError.index, writeError.code === 11000
+          ? 'Contact with this phone number was created meanwhile'
+          : writeError.errmsg);
+      });
+    }
+
+    opRows.forEach((row, index) => {
+      if (failed.has(index)) {
+        this.addRowError(contactImport, row.line, row.phone, failed.get(index));
+      } else {
+        contactImport.stats[row.action]++;
+      }
+    });
+  }
+
+  /**
+   * Helper: count a failed row, keeping the first MAX_ROW_ERRORS details
+   */
+  addRowError(contactImport, row, phone, error) {
+    contactImport.stats.failed++;
+
+    if (contactImport.rowErrors.length < WhatsAppContactImport.MAX_ROW_ERRORS) {
+      contactImport.rowErrors.push({ row, phone, error });
+    }
+  }
+}
+
+module.exports = new ImportWhatsAppContactsJob();
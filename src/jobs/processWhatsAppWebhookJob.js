@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const whatsappWebhookService = require('../services/whatsappWebhookService');
+const idempotency = require('../utils/idempotency');
+const logger = require('../utils/logger');
+
+class ProcessWhatsAppWebhookJob {
+  /**
+   * Process one webhook delivery queued by whatsappWebhookController
+   * Each event is claimed in the idempotency store first, so Meta's redeliveries and
+   * Bull retries only run the events that have not been processed yet.
+   */
+  async process(job) {
+    const { payload } = job.data;
+    const events = this.extractEvents(payload);
+
+    let processed = 0;
+    let duplicates = 0;
+    const failures = [];
+
+    for (const event of events) {
+      const claimed = await idempotency.claim(event.key);
+      if (!claimed) {
+        duplicates++;
+        continue;
+      }
+
+      try {
+        await event.handle();
+        await idempotency.complete(event.key);
+        processed++;
+      } catch (error) {
+        await idempotency.release(event.key);
+        failures.push({ key: event.key, error: error.message });
+      }
+    }
+
+    if (failures.length > 0) {
+      logger.error('❌ WhatsApp webhook events failed', {
+        jobId: job.id,
+        attempt: job.attemptsMade + 1,
+        failures,
+      });
+      // Bull retries the job; events that succeeded are skipped as duplicates
+      throw new Error(`${failures.length} of ${events.length} webhook events failed`);
+    }
+
+    if (duplicates > 0) {
+      logger.info('♻️ Duplicate WhatsApp webhook events skipped', { jobId: job.id, duplicates });
+    }
+
+    return { events: events.length, processed, duplicates };
+  }
+
+  /**
+   * Flatten a webhook payload into events with an idempotency key and a handler
+   */
+  extractEvents(payload) {
+    const events = [];
+
+    for (const entry of payload?.entry || []) {
+      for (const change of entry.changes || []) {
+        const { field, value } = change;
+        if (!value) continue;
+
+        switch (field) {
+          case 'messages':
+            events.push(...this.extractMessageEvents(value));
+            break;
+
+          // Redeliveries repeat entry.time; a later transition back to the same state has a new one
+          case 'message_template_status_update':
+            events.push({
+              key: `whatsapp:template:${value.message_template_id}:${value.event}:${entry.time}`,
+              handle: () => whatsappWebhookService.handleTemplateStatusUpdate({ ...value, businessAccountId: entry.id }),
+            });
+            break;
+
+          case 'phone_number_quality_update':
+            // Quality updates carry no ID, so the payload and its time identify the event
+            events.push({
+              key: `whatsapp:quality:${entry.time}:${this.hashValue(value)}`,
+              handle: () => whatsappWebhookService.handleQualityUpdate(value),
+            });
+            break;
+
+          case 'message_echoes':
+            events.push({
+              key: `whatsapp:echo:${(value.messages || []).map(m => m.id).join(',') || this.hashValue(value)}`,
+              handle: () => whatsappWebhookService.handleMessageEcho(value),
+            });
+            break;
+
+          default:
+            logger.warn(`⚠️ Unhandled webhook field: ${field}`, { value });
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Events of the messages field (incoming messages, calls, status updates)
+   */
+  extractMessageEvents(value) {
+    const events = [];
+
+    for (const message of value.messages || []) {
+      if (message.type === 'call_log') {
+        events.push({
+          key: `whatsapp:call:${message.call_log.id}`,
+          handle: () => whatsappWebhookService.handleCallLog({
+            from: message.from,
+            callId: message.call_log.id,
+            timestamp: message.timestamp,
+            callStatus: message.call_log.status, // missed, rejected, accepted
+            videoCall: message.call_log.video || false,
+            metadata: value.metadata,
+          }),
+        });
+      } else {
+        events.push({
+          key: `whatsapp:message:${message.id}`,
+          handle: () => whatsappWebhookService.handleIncomingMessage({
+            from: message.from,
+            messageId: message.id,
+            timestamp: message.timestamp,
+            type: message.type,
+            text: message.text?.body,
+            image: message.image,
+            video: message.video,
+            audio: message.audio,
+            document: message.document,
+            interactive: message.interactive,
+            button: message.button,
+            contacts: value.contacts,
+            metadata: value.metadata,
+          }),
+        });
+      }
+    }
+
+    // One event per status transition: sent, delivered and read share the message ID, redeliveries repeat the timestamp
+    for (const status of value.statuses || []) {
+      events.push({
+        key: `whatsapp:status:${status.id}:${status.status}:${status.timestamp}`,
+        handle: () => whatsappWebhookService.handleMessageStatus({
+          messageId: status.id,
+          recipientId: status.recipient_id,
+          status: status.status,
+          timestamp: status.timestamp,
+          errors: status.errors,
+        }),
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Helper: stable hash of an event payload
+   */
+  hashValue(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+  }
+}
+
+module.exports = new ProcessWhatsAppWebhookJob();
@@ -4,26 +4,37 @@ const Channel = require('../models/Channel');
 const ProviderFactory = require('../providers/ProviderFactory');
 const emailService = require('../services/emailService');
 const notificationService = require('../services/notificationService');
+const mediaService = require('../services/mediaService');
+const queueManager = require('../queues/queueManager');
+const { isTransientError, getRetryAfterMs } = require('../utils/publishErrors');
 const logger = require('../utils/logger');
 
+const DEFAULT_MAX_RETRIES = 3;
+
 class PublishPostJob {
   async process(job) {
     const { postId, scheduleId } = job.data;
+    let post;
+    let schedule;
+    let channel;
+    let payload;
+    let publishResult;
 
+    // Only failures up to and including the platform publish are retried or marked failed
     try {
       logger.info('📤 Publishing post', { postId, scheduleId });
 
       // 1. Find post
-      const post = await Post.findById(postId)
+      post = await Post.findById(postId)
         .populate('createdBy', 'name email')
-        .populate('brand', 'name');
+        .populate('brand', 'name settings.evergreenRecycleDays');
 
       if (!post) {
         throw new Error(`Post ${postId} not found`);
       }
 
       // 2. Find schedule
-      const schedule = post.schedules.id(scheduleId);
+      schedule = post.schedules.id(scheduleId);
       if (!schedule) {
         throw new Error(`Schedule ${scheduleId} not found`);
       }
@@ -33,8 +44,14 @@ class PublishPostJob {
         return;
       }
 
+      // Jobs queued before approval was revoked must not publish
+      if (post.isAwaitingApproval()) {
+        logger.warn(`⚠️ Post ${postId} is awaiting approval, skipping schedule ${scheduleId}`);
+        return;
+      }
+
       // 3. Get channel
-      const channel = await Channel.findById(schedule.channel);
+      channel = await Channel.findById(schedule.channel);
       if (!channel) {
         throw new Error(`Channel ${schedule.channel} not found`);
       }
@@ -46,145 +63,248 @@ class PublishPostJob {
       // 4. Get provider instance
       const provider = ProviderFactory.getProvider(channel.provider, channel);
 
-      // 5. Publish to platform
-      const publishResult = await provider.publish({
-        content: post.content,
-        title: post.title,
-        mediaUrls: post.mediaUrls || [],
-        hashtags: post.hashtags || [],
+      // 5. Publish to platform (channel override wins over post-level content)
+      payload = post.getContentForSchedule(schedule);
+      // Library media is cropped/resized/transcoded for the platform when it doesn't fit
+      const mediaUrls = await mediaService.getRenditionUrls(post.brand._id, payload.mediaUrls, schedule.provider);
+      publishResult = await provider.publish({
+        content: payload.content,
+        title: payload.title,
+        mediaUrls,
+        hashtags: payload.hashtags,
       });
+    } catch (error) {
+      logger.error('❌ Post publishing failed', {
+        errorMessage: error.message,
+        postId,
+        scheduleId,
+      });
+
+      return await this.handleFailure(error, postId, scheduleId);
+    }
 
-      logger.info('✅ Platform publish successful', {
-        platformPostId: publishResult.id || publishResult.platformPostId,
-        platformUrl: publishResult.url || publishResult.platformUrl,
+    const platformPostId = publishResult.id || publishResult.platformPostId;
+    const platformUrl = publishResult.url || publishResult.platformUrl;
+
+    logger.info('✅ Platform publish successful', { platformPostId, platformUrl });
+
+    // The post is live: recording errors are logged, never retried (that would publish it twice)
+    try {
+      await this.recordPublished({ post, schedule, channel, payload, platformPostId, platformUrl });
+    } catch (error) {
+      logger.error('❌ Post published but recording the result failed', {
+        error: error.message,
+        postId,
+        scheduleId,
+        platformPostId,
+        platformUrl,
       });
+    }
+
+    logger.info('✅ Post published successfully', {
+      postId,
+      scheduleId,
+      platformPostId,
+    });
+
+    return {
+      success: true,
+      platformPostId,
+      platformUrl,
+    };
+  }
 
-      // 6. Update schedule status
-      schedule.status = 'published';
-      schedule.publishedAt = new Date();
-      schedule.platformPostId = publishResult.id || publishResult.platformPostId;
-      schedule.platformUrl = publishResult.url || publishResult.platformUrl;
-      
-      // ✅ UPDATE POST STATUS TO "PUBLISHED"
-      // Check if all schedules are published
-      const allPublished = post.schedules.every(s => 
-        s._id.equals(schedule._id) || s.status === 'published'
-      );
-      
-      if (allPublished) {
-        post.status = 'published';
+  /**
+   * Persist a successful publish
+   * The schedule's platform result is written first, on its own, so nothing later can lose it.
+   */
+  async recordPublished({ post, schedule, channel, payload, platformPostId, platformUrl }) {
+    const publishedAt = new Date();
+
+    await Post.updateOne(
+      { _id: post._id, 'schedules._id': schedule._id },
+      {
+        $set: {
+          'schedules.$.status': 'published',
+          'schedules.$.publishedAt': publishedAt,
+          'schedules.$.platformPostId': platformPostId,
+          'schedules.$.platformUrl': platformUrl,
+        },
       }
-      
-      await post.save();
+    );
 
-      // 7. Create PublishedPost record
-      const publishedPost = await PublishedPost.create({
-        post: post._id,
-        brand: post.brand._id,
-        channel: channel._id,
-        publishedBy: post.createdBy._id,
-        provider: schedule.provider,
-        platformPostId: publishResult.id || publishResult.platformPostId,
-        platformUrl: publishResult.url || publishResult.platformUrl,
-        title: post.title,
-        content: post.content,
-        mediaUrls: post.mediaUrls || [],
-        mediaType: post.mediaType || 'none',
-        status: 'published',
-        publishedAt: new Date(),
-      });
+    schedule.status = 'published';
+    schedule.publishedAt = publishedAt;
+    schedule.platformPostId = platformPostId;
+    schedule.platformUrl = platformUrl;
+
+    // ✅ UPDATE POST STATUS TO "PUBLISHED"
+    // Check if all schedules are published
+    const allPublished = post.schedules.every(s => 
+      s._id.equals(schedule._id) || s.status === 'published'
+    );
+    
+    if (allPublished) {
+      // Recurring posts stay scheduled until the series completes
+      post.status = post.hasActiveRecurrence() ? 'scheduled' : 'published';
+
+      // Evergreen posts go back into the queue after the recycle interval
+      if (post.queue?.isEvergreen) {
+        const days = post.queue.recycleIntervalDays || post.brand.settings?.evergreenRecycleDays || 30;
+        post.queue.nextRecycleAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      }
+    }
+    
+    await post.save();
 
-      logger.info('✅ PublishedPost record created', {
-        publishedPostId: publishedPost._id,
+    // Create PublishedPost record
+    const publishedPost = await PublishedPost.create({
+      post: post._id,
+      brand: post.brand._id,
+      channel: channel._id,
+      publishedBy: post.createdBy._id,
+      provider: schedule.provider,
+      platformPostId,
+      platformUrl,
+      title: payload.title,
+      content: payload.content,
+      mediaUrls: payload.mediaUrls,
+      mediaType: payload.mediaType,
+      status: 'published',
+      publishedAt,
+      analytics: {
+        nextSyncAt: new Date(Date.now() + 60 * 60 * 1000), // First analytics pull after an hour
+      },
+    });
+
+    logger.info('✅ PublishedPost record created', {
+      publishedPostId: publishedPost._id,
+    });
+
+    // SEND SUCCESS NOTIFICATION (NON-BLOCKING)
+    notificationService.notifyPostPublished(
+      post.createdBy._id,
+      post.brand._id,
+      {
+        postId: post._id,
+        content: payload.content,
+        platform: schedule.provider,
+        platformPostId,
+        platformUrl,
+      }
+    ).catch(err => {
+      logger.error('⚠️ Notification failed (non-critical)', {
+        error: err.message,
+        postId: post._id,
       });
+    });
 
-      // 8. SEND SUCCESS NOTIFICATION (NON-BLOCKING)
-      notificationService.notifyPostPublished(
-        post.createdBy._id,
-        post.brand._id,
+    // Send email notification (NON-BLOCKING)
+    if (post.settings?.notifyOnPublish) {
+      emailService.sendPostPublishedEmail(
+        post.createdBy.email,
+        post.createdBy.name,
         {
-          postId: post._id,
-          content: post.content,
-          platform: schedule.provider,
-          platformPostId: publishResult.id || publishResult.platformPostId,
-          platformUrl: publishResult.url || publishResult.platformUrl,
+          content: payload.content,
+          platforms: [schedule.provider],
+          publishedAt,
+          id: post._id,
         }
       ).catch(err => {
-        logger.error('⚠️ Notification failed (non-critical)', {
+        logger.error('⚠️ Email failed (non-critical)', {
           error: err.message,
-          postId,
+          postId: post._id,
         });
       });
+    }
+  }
 
-      // 9. Send email notification (NON-BLOCKING)
-      if (post.settings?.notifyOnPublish) {
-        emailService.sendPostPublishedEmail(
-          post.createdBy.email,
-          post.createdBy.name,
-          {
-            content: post.content,
-            platforms: [schedule.provider],
-            publishedAt: new Date(),
-            id: post._id,
-          }
-        ).catch(err => {
-          logger.error('⚠️ Email failed (non-critical)', {
-            error: err.message,
-            postId,
-          });
-        });
-      }
+  /**
+   * Retry transient failures with backoff, otherwise mark the schedule failed
+   * (and the post, unless it is an active recurring series)
+   */
+  async handleFailure(error, postId, scheduleId) {
+    const post = await Post.findById(postId)
+      .populate('createdBy', 'name email')
+      .populate('brand', 'settings.maxPublishRetries');
+    const schedule = post?.schedules.id(scheduleId);
+
+    if (!schedule) {
+      throw error;
+    }
+
+    // Transient failures (network, 5xx, rate limits) go back on the retry queue with backoff
+    const maxRetries = post.brand?.settings?.maxPublishRetries ?? DEFAULT_MAX_RETRIES;
+    if (isTransientError(error) && schedule.retryCount < maxRetries) {
+      const attempt = schedule.retryCount + 1;
+      const delay = queueManager.getRetryDelay(attempt, getRetryAfterMs(error));
+      const retryJob = await queueManager.retryJob(postId, scheduleId, attempt, delay);
+
+      schedule.retryCount = attempt;
+      schedule.status = 'queued';
+      schedule.error = error.message;
+      schedule.jobId = retryJob.id;
+      await post.save();
 
-      logger.info('✅ Post published successfully', {
+      logger.warn('🔁 Transient publish failure, retry scheduled', {
         postId,
         scheduleId,
-        platformPostId: publishResult.id || publishResult.platformPostId,
+        attempt,
+        maxRetries,
+        delay,
       });
 
       return {
-        success: true,
-        platformPostId: publishResult.id || publishResult.platformPostId,
-        platformUrl: publishResult.url || publishResult.platformUrl,
+        success: false,
+        retrying: true,
+        attempt,
+        error: error.message,
       };
+    }
 
-    } catch (error) {
-      logger.error('❌ Post publishing failed', {
-        errorMessage: error.message,
-        postId,
-        scheduleId,
+    // Permanent failure (or retries exhausted)
+    schedule.status = 'failed';
+    schedule.error = error.message;
+    // One failed occurrence doesn't fail an active recurring series
+    post.status = post.hasActiveRecurrence() ? 'scheduled' : 'failed';
+    await post.save();
+
+    const payload = post.getContentForSchedule(schedule);
+
+    // SEND FAILURE NOTIFICATION (NON-BLOCKING)
+    notificationService.notifyPostFailed(
+      post.createdBy._id,
+      post.brand._id,
+      {
+        postId: post._id,
+        content: payload.content,
+        platform: schedule.provider,
+      },
+      error.message
+    ).catch(err => {
+      logger.error('⚠️ Failure notification failed', {
+        error: err.message,
       });
+    });
 
-      // Update schedule status
-      const post = await Post.findById(postId).populate('createdBy');
-      if (post) {
-        const schedule = post.schedules.id(scheduleId);
-        if (schedule) {
-          schedule.status = 'failed';
-          schedule.error = error.message;
-          schedule.attempts = (schedule.attempts || 0) + 1;
-          post.status = 'failed'; // ✅ Mark post as failed
-          await post.save();
-
-          // SEND FAILURE NOTIFICATION (NON-BLOCKING)
-          notificationService.notifyPostFailed(
-            post.createdBy._id,
-            post.brand._id,
-            {
-              postId: post._id,
-              content: post.content,
-              platform: schedule.provider,
-            },
-            error.message
-          ).catch(err => {
-            logger.error('⚠️ Failure notification failed', {
-              error: err.message,
-            });
-          });
-        }
-      }
+    // Send failure email (NON-BLOCKING)
+    emailService.sendPostFailedEmail(
+      post.createdBy.email,
+      post.createdBy.name,
+      {
+        content: payload.content,
+        platforms: [schedule.provider],
+        id: post._id,
+      },
+      error.message
+    ).catch(err => {
+      logger.error('⚠️ Email failed (non-critical)', {
+        error: err.message,
+        postId,
+      });
+    });
 
-      throw error;
-    }
+    throw error;
   }
 }
 
@@ -0,0 +1,53 @@
+const cron = require('node-cron');
+const mediaService = require('../services/mediaService');
+const logger = require('../utils/logger');
+
+class PurgeMediaTrashJob {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start cron job (runs daily at 03:30)
+   */
+  start() {
+    this.cronJob = cron.schedule('30 3 * * *', async () => {
+      await this.purge();
+    });
+
+    logger.info('🔥 Media trash purge cron job started (daily)');
+  }
+
+  /**
+   * Stop cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      logger.info('🔥 Media trash purge cron job stopped');
+    }
+  }
+
+  /**
+   * Remove trashed media whose retention has passed
+   */
+  async purge() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const result = await mediaService.purgeExpiredTrash();
+
+      if (result.purged > 0 || result.kept > 0 || result.failed > 0) {
+        logger.info('🔥 Media trash purged', result);
+      }
+    } catch (error) {
+      logger.error('❌ Media trash purge run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new PurgeMediaTrashJob();
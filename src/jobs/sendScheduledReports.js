@@ -0,0 +1,84 @@
+const cron = require('node-cron');
+const ScheduledReport = require('../models/ScheduledReport');
+const Brand = require('../models/Brand');
+const reportService = require('../services/reportService');
+const logger = require('../utils/logger');
+
+class ScheduledReportSender {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start cron job (runs every 15 minutes)
+   */
+  start() {
+    this.cronJob = cron.schedule('*/15 * * * *', async () => {
+      await this.sendDueReports();
+    });
+
+    logger.info('📑 Scheduled report cron job started (every 15 minutes)');
+  }
+
+  /**
+   * Stop cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      logger.info('📑 Scheduled report cron job stopped');
+    }
+  }
+
+  /**
+   * Generate and email every report whose delivery time has passed
+   */
+  async sendDueReports() {
+    // Rendering can outlast the cron interval, don't start a second pass
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const now = new Date();
+      const dueReports = await ScheduledReport.find({
+        status: 'active',
+        nextRunAt: { $lte: now },
+      }).limit(50);
+
+      for (const report of dueReports) {
+        try {
+          // Move the schedule forward first so a crash mid-render doesn't resend
+          const brand = await Brand.findById(report.brand).select('settings.timezone status');
+          if (!brand || brand.status === 'deleted') {
+            report.status = 'paused';
+            report.nextRunAt = undefined;
+            await report.save();
+            continue;
+          }
+
+          report.lastRunAt = now;
+          report.nextRunAt = reportService.getNextRunAt(report, brand.settings?.timezone || 'UTC', now);
+          await report.save();
+
+          await reportService.generateReport(report);
+        } catch (error) {
+          logger.error('❌ Scheduled report failed', {
+            reportId: report._id,
+            error: error.message,
+          });
+        }
+      }
+
+      if (dueReports.length > 0) {
+        logger.info('📑 Scheduled reports processed', { count: dueReports.length });
+      }
+    } catch (error) {
+      logger.error('❌ Scheduled report check failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new ScheduledReportSender();
@@ -0,0 +1,234 @@
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const WhatsAppCampaignRecipient = require('../models/WhatsAppCampaignRecipient');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const queueManager = require('../queues/queueManager');
+const whatsappCampaignService = require('../services/whatsappCampaignService');
+const { isTransientError, getRetryAfterMs } = require('../utils/publishErrors');
+const logger = require('../utils/logger');
+
+// Recipients messaged per job; the job then queues the next batch
+const BATCH_SIZE = 50;
+// Keeps well under the Cloud API throughput limit (80 messages/second per number)
+const SEND_INTERVAL_MS = 100;
+const NEXT_BATCH_DELAY_MS = 1000;
+// Pause after a rate limit or outage when the API gives no Retry-After
+const TRANSIENT_BACKOFF_MS = 60 * 1000;
+
+class SendWhatsAppCampaignJob {
+  /**
+   * Send one batch of a campaign, throttled to the channel's messaging limit tier
+   */
+  async process(job) {
+    const { campaignId } = job.data;
+
+    const campaign = await WhatsAppCampaign.findById(campaignId);
+    if (!campaign || !['scheduled', 'sending'].includes(campaign.status)) {
+      return { skipped: true, status: campaign?.status };
+    }
+
+    const [channel, template, health] = await Promise.all([
+      Channel.findById(campaign.channel),
+      WhatsAppTemplate.findById(campaign.template),
+      WhatsAppAccountHealth.findOne({ channel: campaign.channel }).select('qualityRating'),
+    ]);
+
+    if (!channel || channel.connectionStatus !== 'active') {
+      return await this.failCampaign(campaign, 'WhatsApp channel is not connected');
+    }
+    if (!template || template.status !== 'APPROVED') {
+      return await this.failCampaign(campaign, 'Template is not approved');
+    }
+    // Sending on a RED number risks a lower tier or a ban; wait for a manual resume
+    if (health?.qualityRating === 'RED') {
+      await whatsappCampaignService.pauseCampaign(campaign, 'Quality rating is RED');
+      return { paused: true };
+    }
+
+    if (campaign.status === 'scheduled') {
+      await whatsappCampaignService.startCampaign(campaign);
+    }
+
+    const budget = await whatsappCampaignService.getSendingBudget(channel._id);
+    if (budget.remaining <= 0) {
+      logger.info('⏳ Campaign paused by messaging limit', {
+        campaignId,
+        limit: budget.limit,
+        resumesAt: budget.resetAt,
+      });
+      return await this.queueNextBatch(campaign, budget.resetAt.getTime() - Date.now());
+    }
+
+    const recipients = await WhatsAppCampaignRecipient.find({ campaign: campaign._id, status: 'pending' })
+      .sort({ _id: 1 })
+      .limit(Math.min(BATCH_SIZE, budget.remaining));
+
+    const contacts = await WhatsAppContact.find({ _id: { $in: recipients.map(r => r.contact) } });
+    const contactsById = new Map(contacts.map(c => [c._id.toString(), c]));
+
+    const provider = ProviderFactory.getProvider('whatsapp', channel);
+    let sent = 0;
+    let failed = 0;
+    let backoffMs = null;
+
+    for (const recipient of recipients) {
+      const contact = contactsById.get(recipient.contact.toString());
+      let components;
+      let result;
+
+      try {
+        if (!contact) {
+          throw new Error('Contact no longer exists');
+        }
+        // Opted out after the campaign started
+        if (contact.hasOptedOut()) {
+          throw new Error('Contact has opted out of WhatsApp messages');
+        }
+
+        // Claimed before sending, so a recipient is never messaged twice even if saving the result fails
+        const { modifiedCount } = await WhatsAppCampaignRecipient.updateOne(
+          { _id: recipient._id, status: 'pending' },
+          { status: 'sending' }
+        );
+        if (modifiedCount === 0) {
+          continue;
+        }
+
+        components = whatsappCampaignService.buildComponents(campaign, contact);
+        result = await provider.sendTemplate(recipient.phone, template.name, template.language, components);
+      } catch (error) {
+        // Leave the recipient pending and stop the batch until the API recovers
+        if (isTransientError(error)) {
+          await WhatsAppCampaignRecipient.updateOne(
+            { _id: recipient._id, status: 'sending' },
+            { status: 'pending' }
+          ).catch(() => {});
+          backoffMs = getRetryAfterMs(error) || TRANSIENT_BACKOFF_MS;
+          logger.warn('⚠️ Campaign send throttled', { campaignId, error: error.message, backoffMs });
+          break;
+        }
+
+        recipient.status = 'failed';
+        recipient.error = error.message;
+        recipient.failedAt = new Date();
+        await recipient.save();
+        failed++;
+
+        await new Promise(resolve => setTimeout(resolve, SEND_INTERVAL_MS));
+        continue;
+      }
+
+      // The message is out: bookkeeping errors are logged, never turn it into a failure or a resend
+      sent++;
+      recipient.status = 'sent';
+      recipient.messageId = result.messageId;
+      recipient.sentAt = new Date();
+
+      try {
+        // Stored first and in one write, so status webhooks find the recipient as early as possible
+        await WhatsAppCampaignRecipient.updateOne(
+          { _id: recipient._id },
+          { status: 'sent', messageId: recipient.messageId, sentAt: recipient.sentAt }
+        );
+        await this.recordMessage(campaign, channel, template, recipient, components);
+        await WhatsAppContact.updateOne({ _id: contact._id }, { lastMessageSentAt: recipient.sentAt });
+      } catch (error) {
+        logger.error('❌ Campaign message sent but recording it failed', {
+          campaignId,
+          recipientId: recipient._id,
+          messageId: result.messageId,
+          error: error.message,
+        });
+      }
+
+      await new Promise(resolve => setTimeout(resolve, SEND_INTERVAL_MS));
+    }
+
+    await WhatsAppCampaign.updateOne(
+      { _id: campaign._id },
+      { $inc: { 'stats.sent': sent, 'stats.failed': failed } }
+    );
+
+    const pending = await WhatsAppCampaignRecipient.countDocuments({ campaign: campaign._id, status: 'pending' });
+
+    if (pending === 0) {
+      await WhatsAppCampaign.updateOne(
+        { _id: campaign._id, status: 'sending' },
+        { status: 'completed', completedAt: new Date(), $unset: { jobId: 1 } }
+      );
+      logger.info('✅ WhatsApp campaign completed', { campaignId });
+      return { sent, failed, completed: true };
+    }
+
+    await this.queueNextBatch(campaign, backoffMs ?? NEXT_BATCH_DELAY_MS);
+    return { sent, failed, pending };
+  }
+
+  /**
+   * Helper: queue the next batch unless the campaign was cancelled meanwhile
+   */
+  async queueNextBatch(campaign, delay) {
+    const current = await WhatsAppCampaign.findById(campaign._id).select('status');
+    if (current?.status !== 'sending') {
+      return { stopped: true, status: current?.status };
+    }
+
+    const job = await queueManager.addCampaignJob(campaign._id.toString(), delay);
+    await WhatsAppCampaign.updateOne({ _id: campaign._id }, { jobId: job.id });
+
+    return { nextBatchAt: new Date(Date.now() + Math.max(delay, 0)) };
+  }
+
+  /**
+   * Helper: stop a campaign that can't be sent
+   */
+  async failCampaign(campaign, reason) {
+    campaign.status = 'failed';
+    campaign.error = reason;
+    campaign.completedAt = new Date();
+    campaign.jobId = undefined;
+    await campaign.save();
+
+    logger.error('❌ WhatsApp campaign failed', { campaignId: campaign._id, reason });
+    return { failed: true, reason };
+  }
+
+  /**
+   * Helper: keep the outbound message so status webhooks and history find it
+   */
+  async recordMessage(campaign, channel, template, recipient, components) {
+    try {
+      await WhatsAppMessage.create({
+        messageId: recipient.messageId,
+        brand: campaign.brand,
+        channel: channel._id,
+        from: channel.platformUsername || channel.providerData.phoneNumberId,
+        to: recipient.phone,
+        phoneNumberId: channel.providerData.phoneNumberId,
+        direction: 'outbound',
+        type: 'template',
+        status: 'sent',
+        content: {
+          template: {
+            name: template.name,
+            language: template.language,
+            components,
+          },
+        },
+        timestamp: recipient.sentAt,
+      });
+    } catch (error) {
+      logger.warn('⚠️ Failed to record campaign message', {
+        campaignId: campaign._id,
+        messageId: recipient.messageId,
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new SendWhatsAppCampaignJob();
@@ -0,0 +1,235 @@
+const cron = require('node-cron');
+const PublishedPost = require('../models/PublishedPost');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const queueManager = require('../queues/queueManager');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Decaying sync frequency by post age; posts older than the last tier stop syncing
+const SYNC_TIERS = [
+  { maxAge: DAY_MS, interval: HOUR_MS },
+  { maxAge: 30 * DAY_MS, interval: DAY_MS },
+  { maxAge: 90 * DAY_MS, interval: 7 * DAY_MS },
+];
+const MAX_SYNC_AGE_MS = SYNC_TIERS[SYNC_TIERS.length - 1].maxAge;
+
+// Read calls allowed per channel token. Pulls for one channel are spaced evenly across the window.
+// Twitter free tier allows a single tweet lookup per 15 minutes.
+const PROVIDER_RATE_LIMITS = {
+  facebook: { max: 150, windowMs: HOUR_MS },
+  instagram: { max: 150, windowMs: HOUR_MS },
+  twitter: { max: 1, windowMs: 15 * 60 * 1000 },
+  linkedin: { max: 100, windowMs: HOUR_MS },
+  youtube: { max: 100, windowMs: HOUR_MS },
+};
+
+const SCHEDULER_INTERVAL_MS = 5 * 60 * 1000;
+const SCHEDULER_BATCH_SIZE = 500;
+// A queued pull keeps its post out of the scheduler for this long (covers crashed workers)
+const SYNC_LEASE_MS = HOUR_MS;
+
+class SyncAnalyticsJob {
+  constructor() {
+    this.cronJob = null;
+    // channelId -> timestamp of the next free rate-limit slot
+    this.nextSlotAt = new Map();
+  }
+
+  /**
+   * Start cron job (runs every 5 minutes)
+   */
+  start() {
+    this.cronJob = cron.schedule('*/5 * * * *', async () => {
+      await this.scheduleDueSyncs();
+    });
+
+    logger.info('📈 Analytics sync cron job started (every 5 minutes)');
+  }
+
+  /**
+   * Stop cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      logger.info('📈 Analytics sync cron job stopped');
+    }
+  }
+
+  /**
+   * Next sync time for a post, or null once it is too old to track
+   */
+  getNextSyncAt(publishedAt, now = new Date()) {
+    const age = now.getTime() - new Date(publishedAt).getTime();
+    const tier = SYNC_TIERS.find(t => age < t.maxAge);
+    return tier ? new Date(now.getTime() + tier.interval) : null;
+  }
+
+  /**
+   * Queue analytics pulls for posts whose sync is due, spaced per channel rate limit
+   */
+  async scheduleDueSyncs() {
+    try {
+      const now = new Date();
+
+      // Channels already booked beyond this run would only fill the batch with deferred posts
+      const busyChannels = [...this.nextSlotAt.entries()]
+        .filter(([, slotAt]) => slotAt - now.getTime() > SCHEDULER_INTERVAL_MS)
+        .map(([channelId]) => channelId);
+
+      const duePosts = await PublishedPost.find({
+        status: { $in: ['published', 'updated'] },
+        channel: { $nin: busyChannels },
+        $or: [
+          { 'analytics.nextSyncAt': { $lte: now } },
+          // Posts published before syncing existed
+          {
+            'analytics.nextSyncAt': { $exists: false },
+            'analytics.lastSyncedAt': { $exists: false },
+            publishedAt: { $gte: new Date(now.getTime() - MAX_SYNC_AGE_MS) },
+          },
+        ],
+      })
+        .sort({ 'analytics.nextSyncAt': 1 })
+        .limit(SCHEDULER_BATCH_SIZE)
+        .select('channel provider');
+
+      if (duePosts.length === 0) {
+        return;
+      }
+
+      let queued = 0;
+      let deferred = 0;
+
+      for (const post of duePosts) {
+        const limit = PROVIDER_RATE_LIMITS[post.provider] || { max: 60, windowMs: HOUR_MS };
+        const spacing = Math.ceil(limit.windowMs / limit.max);
+        const channelKey = post.channel.toString();
+
+        const runAt = Math.max(now.getTime(), this.nextSlotAt.get(channelKey) || 0);
+
+        // Leave the rest for a later run rather than building a long backlog of delayed jobs
+        if (runAt - now.getTime() > SCHEDULER_INTERVAL_MS) {
+          deferred++;
+          continue;
+        }
+
+        try {
+          // Lease first, the pull itself sets the real next sync time
+          await PublishedPost.updateOne(
+            { _id: post._id },
+            { $set: { 'analytics.nextSyncAt': new Date(runAt + SYNC_LEASE_MS) } }
+          );
+
+          await queueManager.addAnalyticsJob(post._id.toString(), runAt - now.getTime());
+          this.nextSlotAt.set(channelKey, runAt + spacing);
+          queued++;
+        } catch (error) {
+          logger.error('❌ Failed to queue analytics sync', {
+            publishedPostId: post._id,
+            error: error.message,
+          });
+        }
+      }
+
+      logger.info('📈 Analytics syncs queued', { due: duePosts.length, queued, deferred });
+    } catch (error) {
+      logger.error('❌ Analytics sync scheduler failed', { error: error.message });
+    }
+  }
+
+  /**
+   * Pull metrics for one published post and record a snapshot
+   */
+  async process(job) {
+    const { publishedPostId } = job.data;
+    const now = new Date();
+
+    const publishedPost = await PublishedPost.findById(publishedPostId);
+    if (!publishedPost || !['published', 'updated'].includes(publishedPost.status)) {
+      return { skipped: true };
+    }
+
+    let raw = null;
+    let syncError = null;
+
+    const channel = await Channel.findById(publishedPost.channel);
+    if (!channel) {
+      syncError = 'Channel not found';
+    } else if (channel.connectionStatus !== 'active') {
+      syncError = `Channel is not active (status: ${channel.connectionStatus})`;
+    } else {
+      try {
+        const provider = ProviderFactory.getProvider(channel.provider, channel);
+        raw = await provider.getPostAnalytics(publishedPost.platformPostId);
+        if (!raw) {
+          syncError = 'No analytics returned by provider';
+        }
+      } catch (error) {
+        syncError = error.message;
+      }
+    }
+
+    if (raw) {
+      const metrics = this.normalizeMetrics(raw);
+
+      await AnalyticsSnapshot.create({
+        publishedPost: publishedPost._id,
+        brand: publishedPost.brand,
+        channel: publishedPost.channel,
+        provider: publishedPost.provider,
+        metrics,
+        raw,
+        capturedAt: now,
+      });
+
+      Object.entries(metrics).forEach(([key, value]) => {
+        publishedPost.analytics[key] = value;
+      });
+      publishedPost.analytics.lastSyncedAt = now;
+      publishedPost.analytics.syncCount = (publishedPost.analytics.syncCount || 0) + 1;
+      publishedPost.analytics.lastSyncError = undefined;
+    } else {
+      publishedPost.analytics.lastSyncError = syncError;
+      logger.warn('⚠️ Analytics sync failed', { publishedPostId, error: syncError });
+    }
+
+    const nextSyncAt = this.getNextSyncAt(publishedPost.publishedAt, now);
+    publishedPost.analytics.nextSyncAt = nextSyncAt || undefined;
+    await publishedPost.save();
+
+    return {
+      synced: !!raw,
+      nextSyncAt,
+    };
+  }
+
+  /**
+   * Map provider-specific analytics onto the PublishedPost.analytics fields
+   * Metrics the provider didn't return are left out so existing values are kept.
+   */
+  normalizeMetrics(raw) {
+    const pick = (...values) => values.find(v => typeof v === 'number' && Number.isFinite(v));
+
+    const metrics = {
+      likes: pick(raw.likes),
+      comments: pick(raw.comments, raw.replies),
+      shares: pick(raw.shares, raw.retweets),
+      clicks: pick(raw.clicks),
+      impressions: pick(raw.impressions, raw.views),
+      reach: pick(raw.reach),
+      views: pick(raw.views),
+      saves: pick(raw.saves, raw.saved),
+    };
+
+    return Object.fromEntries(
+      Object.entries(metrics).filter(([, value]) => value !== undefined)
+    );
+  }
+}
+
+module.exports = new SyncAnalyticsJob();
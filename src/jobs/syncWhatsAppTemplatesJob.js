@@ -0,0 +1,62 @@
+const cron = require('node-cron');
+const Channel = require('../models/Channel');
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+const logger = require('../utils/logger');
+
+class SyncWhatsAppTemplatesJob {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start cron job (runs every hour)
+   */
+  start() {
+    this.cronJob = cron.schedule('20 * * * *', async () => {
+      await this.syncAllChannels();
+    });
+
+    logger.info('📝 WhatsApp template sync cron job started (every hour)');
+  }
+
+  /**
+   * Stop cron job
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      logger.info('📝 WhatsApp template sync cron job stopped');
+    }
+  }
+
+  /**
+   * Reconcile the templates of every connected WhatsApp number with the provider
+   */
+  async syncAllChannels() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const channels = await Channel.find({ provider: 'whatsapp', connectionStatus: 'active' });
+
+      for (const channel of channels) {
+        try {
+          await whatsappTemplateService.syncChannelTemplates(channel);
+        } catch (error) {
+          // One broken token must not stop the other accounts
+          logger.error('❌ WhatsApp template sync failed', {
+            channelId: channel._id,
+            error: error.message,
+          });
+        }
+      }
+    } catch (error) {
+      logger.error('❌ WhatsApp template sync run failed', { error: error.message });
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = new SyncWhatsAppTemplatesJob();
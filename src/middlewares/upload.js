@@ -3,13 +3,16 @@ const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const storageQuotaService = require('../services/storageQuotaService');
+const mediaService = require('../services/mediaService');
 
 // Ensure upload directories exist (temporary storage before S3 upload)
 const uploadsDir = path.join(__dirname, '../../uploads');
 const avatarsDir = path.join(uploadsDir, 'avatars');
 const mediaDir = path.join(uploadsDir, 'media');
+const importsDir = path.join(uploadsDir, 'imports');
 
-[uploadsDir, avatarsDir, mediaDir].forEach(dir => {
+[uploadsDir, avatarsDir, mediaDir, importsDir].forEach(dir => {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
     logger.info('📁 Created upload directory', { dir });
@@ -53,6 +56,15 @@ const mediaStorage = multer.diskStorage({
   },
 });
 
+// Kept until the import job has read it
+const importStorage = multer.diskStorage({
+  destination: (req, file, cb) => cb(null, importsDir),
+  filename: (req, file, cb) => {
+    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
+    cb(null, `contacts-${uniqueSuffix}${path.extname(file.originalname).toLowerCase()}`);
+  },
+});
+
 // File filters
 const imageFilter = (req, file, cb) => {
   logger.info('🔍 Checking image filter', { 
@@ -98,6 +110,14 @@ const mediaFilter = (req, file, cb) => {
   }
 };
 
+const spreadsheetFilter = (req, file, cb) => {
+  if (/^\.(csv|xlsx)$/.test(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV and XLSX files are allowed'));
+  }
+};
+
 // Multer instances
 const uploadAvatar = multer({
   storage: avatarStorage,
@@ -105,12 +125,21 @@ const uploadAvatar = multer({
   fileFilter: imageFilter,
 }).single('avatar');
 
+// Largest per-file limit of any tier; the brand's own tier limit is checked after upload
+const maxMediaFileSize = storageQuotaService.getMaxFileSize();
+
 const uploadMedia = multer({
   storage: mediaStorage,
-  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+  limits: { fileSize: maxMediaFileSize },
   fileFilter: mediaFilter,
 }).array('media', 10); // Max 10 files
 
+const uploadContactsFile = multer({
+  storage: importStorage,
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB
+  fileFilter: spreadsheetFilter,
+}).single('file');
+
 // Enhanced middleware wrapper with better error handling
 const uploadMediaWithLogging = (req, res, next) => {
   logger.info('📤 Upload middleware triggered', {
@@ -132,7 +161,7 @@ const uploadMediaWithLogging = (req, res, next) => {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({
             success: false,
-            message: 'File too large. Maximum size is 100MB.',
+            message: `File too large. Maximum size is ${storageQuotaService.formatBytes(maxMediaFileSize)}.`,
           });
         }
         if (err.code === 'LIMIT_FILE_COUNT') {
@@ -172,11 +201,84 @@ const uploadMediaWithLogging = (req, res, next) => {
       });
     }
 
+    enforceStorageQuota(req, res, next);
+  });
+};
+
+/**
+ * Reject uploads that exceed the storage quota of the brand or its organization (413)
+ * Only members get quota details; files already in the library are not counted.
+ */
+const enforceStorageQuota = async (req, res, next) => {
+  if (!req.body.brandId || !req.files || req.files.length === 0) {
+    return next();
+  }
+
+  const removeFiles = () => Promise.all(req.files.map(f => fs.promises.unlink(f.path).catch(() => {})));
+
+  try {
+    if (!(await storageQuotaService.isBrandMember(req.user._id, req.body.brandId))) {
+      await removeFiles();
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+      });
+    }
+
+    // Reused by mediaService.uploadMedia for deduplication
+    for (const file of req.files) {
+      file.contentHash = await mediaService.computeContentHash(file.path);
+    }
+
+    await storageQuotaService.assertCanStore(req.body.brandId, req.files);
+    next();
+  } catch (error) {
+    if (error.statusCode !== 413) {
+      // Brand lookups fail again, with a proper response, further down the chain
+      logger.warn('⚠️ Storage quota check skipped', { error: error.message });
+      return next();
+    }
+
+    await removeFiles();
+
+    logger.warn('⚠️ Upload rejected by storage quota', {
+      brandId: req.body.brandId,
+      files: req.files.length,
+      error: error.message,
+    });
+
+    return res.status(413).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      data: error.quota,
+    });
+  }
+};
+
+/**
+ * Single contacts spreadsheet in the 'file' field
+ */
+const uploadContactsFileWithErrors = (req, res, next) => {
+  uploadContactsFile(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'File too large. Maximum size is 20MB.'
+        : err.code === 'LIMIT_UNEXPECTED_FILE'
+          ? `Unexpected field: ${err.field}. Use 'file' as the field name.`
+          : err.message;
+
+      return res.status(400).json({
+        success: false,
+        message,
+      });
+    }
     next();
   });
 };
 
 module.exports = {
   uploadAvatar,
+  uploadContactsFile: uploadContactsFileWithErrors,
   uploadMedia: uploadMediaWithLogging, // Use the enhanced version
 };
\ No newline at end of file
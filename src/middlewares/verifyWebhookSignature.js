@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+const SIGNATURE_PREFIX = 'sha256=';
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header (HMAC SHA-256 of the raw body with the app secret)
+ * Requires req.rawBody, captured by the JSON body parser for webhook routes.
+ */
+const verifyMetaSignature = (req, res, next) => {
+  const appSecret = process.env.WHATSAPP_APP_SECRET || process.env.FACEBOOK_APP_SECRET;
+
+  if (!appSecret) {
+    // Fail closed in every environment: an unset secret must not let forged deliveries through
+    logger.error('❌ Webhook rejected - configuration error: set WHATSAPP_APP_SECRET (or FACEBOOK_APP_SECRET) to verify webhook signatures');
+    return res.status(500).json({
+      success: false,
+      message: 'Webhook signature verification is not configured',
+    });
+  }
+
+  const header = req.get(SIGNATURE_HEADER);
+
+  if (!header || !header.startsWith(SIGNATURE_PREFIX) || !req.rawBody) {
+    logger.warn('⚠️ Webhook rejected - missing signature', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Missing webhook signature',
+    });
+  }
+
+  const expected = crypto
+    .createHmac('sha256', appSecret)
+    .update(req.rawBody)
+    .digest();
+  const received = Buffer.from(header.slice(SIGNATURE_PREFIX.length), 'hex');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    logger.warn('⚠️ Webhook rejected - invalid signature', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature',
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyMetaSignature,
+};
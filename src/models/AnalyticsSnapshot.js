@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+/**
+ * Point-in-time engagement metrics for a published post
+ * Written by the analytics sync worker on every successful pull.
+ */
+const analyticsSnapshotSchema = new mongoose.Schema({
+  publishedPost: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PublishedPost',
+    required: true,
+  },
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+  },
+  provider: {
+    type: String,
+    enum: ['linkedin', 'facebook', 'instagram', 'twitter', 'youtube'],
+    required: true,
+  },
+  metrics: {
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+    shares: { type: Number, default: 0 },
+    clicks: { type: Number, default: 0 },
+    impressions: { type: Number, default: 0 },
+    reach: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 },
+  },
+  // Raw provider response, kept for metrics we don't map yet
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  capturedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+analyticsSnapshotSchema.index({ publishedPost: 1, capturedAt: 1 });
+analyticsSnapshotSchema.index({ brand: 1, capturedAt: -1 });
+
+module.exports = mongoose.model('AnalyticsSnapshot', analyticsSnapshotSchema);
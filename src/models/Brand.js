@@ -36,6 +36,51 @@ const brandSchema = new mongoose.Schema({
       type: Boolean,
       default: false,
     },
+    // Weekly posting slots per channel used by "add to queue" (brand timezone)
+    // Channels without slots fall back to defaultPostingTime every day
+    queueSlots: [{
+      channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel',
+        required: true,
+      },
+      weekday: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      hour: { type: Number, min: 0, max: 23, required: true },
+      minute: { type: Number, min: 0, max: 59, default: 0 },
+    }],
+    evergreenRecycleDays: {
+      type: Number,
+      min: 1,
+      default: 30,
+    },
+    // Automatic republish attempts for transient provider failures (0 disables retries)
+    maxPublishRetries: {
+      type: Number,
+      min: 0,
+      max: 10,
+      default: 3,
+    },
+    // WhatsApp consent keywords (matched against the whole inbound message, case-insensitive)
+    whatsapp: {
+      optOutKeywords: {
+        type: [String],
+        default: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'],
+      },
+      optInKeywords: {
+        type: [String],
+        default: ['START', 'SUBSCRIBE', 'UNSTOP'],
+      },
+      optOutReply: {
+        type: String,
+        maxlength: 1024,
+        default: 'You have been unsubscribed and will no longer receive messages from us. Reply START to subscribe again.',
+      },
+      optInReply: {
+        type: String,
+        maxlength: 1024,
+        default: 'You are subscribed again. Reply STOP at any time to unsubscribe.',
+      },
+    },
     allowedPlatforms: [{
       type: String,
       enum: ['facebook', 'instagram', 'twitter', 'linkedin', 'youtube', 'tiktok'],
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * A rendered analytics report (kept for download)
+ */
+const generatedReportSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  scheduledReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScheduledReport',
+    index: true,
+  },
+  // Set for reports run on demand
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  files: [{
+    format: {
+      type: String,
+      enum: ['pdf', 'xlsx'],
+      required: true,
+    },
+    filename: String,
+    key: String, // Storage key
+    storageDriver: String, // Backend holding the key (unset: s3)
+    size: Number,
+  }],
+  recipients: [String],
+  status: {
+    type: String,
+    enum: ['completed', 'failed'],
+    default: 'completed',
+  },
+  error: String,
+  sentAt: Date,
+}, {
+  timestamps: true,
+});
+
+generatedReportSchema.index({ brand: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GeneratedReport', generatedReportSchema);
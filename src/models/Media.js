@@ -31,8 +31,12 @@ const mediaSchema = new mongoose.Schema({
     type: Number, // in bytes
     required: true,
   },
+  // SHA-256 of the file; uploads matching an item of the same brand return that item
+  contentHash: {
+    type: String,
+  },
   
-  // S3 Storage
+  // Storage (field names predate pluggable storage; they hold the key/URL on any backend)
   s3Key: {
     type: String,
     required: true,
@@ -46,11 +50,16 @@ const mediaSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  storageDriver: {
+    type: String,
+    enum: ['s3', 'cloudinary', 'local'],
+    default: 's3',
+  },
   
   // Media Type
   type: {
     type: String,
-    enum: ['image', 'video', 'document'],
+    enum: ['image', 'video', 'audio', 'document'],
     required: true,
     index: true,
   },
@@ -67,10 +76,40 @@ const mediaSchema = new mongoose.Schema({
       fps: Number,
       aspectRatio: String,
       thumbnailUrl: String,
+      thumbnailKey: String,
     },
     default: {},
   },
 
+  // Platform copies (cropped, resized or transcoded) made on first publish, see utils/mediaRenditions
+  renditions: [{
+    _id: false,
+    profile: {
+      type: String, // e.g. instagram-image-v1
+      required: true,
+    },
+    platform: String,
+    s3Key: String,
+    s3Url: String,
+    storageDriver: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    duration: Number,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+
+  // Where the file came from (inbound WhatsApp media is copied into the library)
+  source: {
+    type: String,
+    enum: ['upload', 'whatsapp'],
+    default: 'upload',
+  },
+
   // Organization
   folder: {
     type: String,
@@ -112,6 +151,14 @@ const mediaSchema = new mongoose.Schema({
     default: 'active',
     index: true,
   },
+
+  // Trash: deleted items can be restored until purgeAt, then their files are removed
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  purgeAt: Date,
   
 }, {
   timestamps: true,
@@ -123,6 +170,16 @@ mediaSchema.index({ brand: 1, folder: 1, status: 1 });
 mediaSchema.index({ brand: 1, tags: 1, status: 1 });
 mediaSchema.index({ brand: 1, uploadedBy: 1 });
 mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ brand: 1, contentHash: 1 });
+// One active item per file and brand, so concurrent uploads of the same file cannot both be stored
+mediaSchema.index(
+  { brand: 1, contentHash: 1, status: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: 'active', contentHash: { $type: 'string' } },
+  }
+);
+mediaSchema.index({ status: 1, purgeAt: 1 });
 
 // Virtual: Get file extension
 mediaSchema.virtual('extension').get(function() {
@@ -150,9 +207,21 @@ mediaSchema.methods.markAsUsed = function(postId) {
   return this.save();
 };
 
-// Method: Soft delete
-mediaSchema.methods.softDelete = function() {
+// Method: Soft delete (move to trash)
+mediaSchema.methods.softDelete = function(userId, purgeAt) {
   this.status = 'deleted';
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+  this.purgeAt = purgeAt;
+  return this.save();
+};
+
+// Method: Restore from trash
+mediaSchema.methods.restore = function() {
+  this.status = 'active';
+  this.deletedAt = undefined;
+  this.deletedBy = undefined;
+  this.purgeAt = undefined;
   return this.save();
 };
 
@@ -29,6 +29,10 @@ const notificationSchema = new mongoose.Schema({
       'approval_granted',    // Post approved
       'approval_rejected',   // Post rejected
       'media_uploaded',      // Media uploaded to library
+      'whatsapp_message',    // New message in an assigned WhatsApp conversation
+      'whatsapp_assigned',   // WhatsApp conversation assigned
+      'whatsapp_quality',    // WhatsApp quality rating or messaging limit changed
+      'storage_quota',       // Organization storage nearing its quota
       'system',              // System notification
     ],
     required: true,
@@ -56,6 +60,10 @@ const notificationSchema = new mongoose.Schema({
     platformPostId: String,
     platformUrl: String,
     error: String,
+    comment: String,
+    conversationId: mongoose.Schema.Types.ObjectId,
+    alertId: mongoose.Schema.Types.ObjectId,
+    organizationId: mongoose.Schema.Types.ObjectId,
     // Add any other relevant data
   },
 
@@ -46,6 +46,11 @@ const organizationSchema = new mongoose.Schema({
     },
     validUntil: Date,
   },
+  // Highest storage quota warning sent (0, 80 or 95); reset when usage drops below 80%
+  storageWarningLevel: {
+    type: Number,
+    default: 0,
+  },
   status: {
     type: String,
     enum: ['active', 'suspended', 'deleted'],
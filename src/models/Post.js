@@ -1,5 +1,36 @@
 const mongoose = require('mongoose');
 
+// Per-channel content override (shared by one-off schedules and recurrence channels)
+const channelOverrideSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    maxlength: 200,
+  },
+  content: {
+    type: String,
+    maxlength: 10000,
+  },
+  hashtags: {
+    type: [String],
+    default: undefined,
+  },
+  mediaUrls: {
+    type: [String],
+    default: undefined,
+  },
+  mediaType: {
+    type: String,
+    enum: ['none', 'image', 'video', 'carousel', 'multiImage'],
+  },
+  mediaLibraryItems: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+    }],
+    default: undefined,
+  },
+}, { _id: false });
+
 const postSchema = new mongoose.Schema({
   // Ownership
   brand: {
@@ -72,8 +103,78 @@ const postSchema = new mongoose.Schema({
       default: 0,
     },
     jobId: String, // Bull queue job ID
+
+    // Set when the schedule was materialized from the recurrence rule (0-based)
+    occurrenceIndex: Number,
+    // Set when scheduledFor was assigned from the brand's queue slots
+    fromQueue: Boolean,
+
+    // Optional per-channel copy/media; unset fields fall back to the post-level value
+    override: {
+      type: channelOverrideSchema,
+      default: undefined,
+    },
   }],
 
+  // Recurrence (RRULE evaluated in Brand.settings.timezone)
+  // checkDueSchedules materializes each occurrence into `schedules` shortly before it is due
+  recurrence: {
+    rule: String, // e.g. FREQ=WEEKLY;BYDAY=MO;COUNT=10
+    startAt: Date,
+    channels: [{
+      channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Channel',
+        required: true,
+      },
+      provider: {
+        type: String,
+        enum: ['linkedin', 'facebook', 'instagram', 'twitter', 'youtube'],
+        required: true,
+      },
+      override: {
+        type: channelOverrideSchema,
+        default: undefined,
+      },
+    }],
+    status: {
+      type: String,
+      enum: ['active', 'paused', 'completed'],
+      default: 'active',
+    },
+    occurrenceCount: {
+      type: Number,
+      default: 0,
+    },
+    lastOccurrenceAt: Date,
+    nextOccurrenceAt: {
+      type: Date,
+      index: true,
+    },
+  },
+
+  // Posting queue (Buffer-style slots) and evergreen recycling
+  queue: {
+    channels: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Channel',
+    }],
+    isEvergreen: {
+      type: Boolean,
+      default: false,
+    },
+    recycleIntervalDays: Number, // Falls back to Brand.settings.evergreenRecycleDays
+    recycleCount: {
+      type: Number,
+      default: 0,
+    },
+    lastQueuedAt: Date,
+    nextRecycleAt: {
+      type: Date,
+      index: true,
+    },
+  },
+
   // Post Status
   status: {
     type: String,
@@ -93,12 +194,54 @@ const postSchema = new mongoose.Schema({
       ref: 'User',
     },
     approvedAt: Date,
+    approvalStatus: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected'],
+      default: 'none',
+      index: true,
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    submittedAt: Date,
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    rejectedAt: Date,
+    rejectionComment: {
+      type: String,
+      maxlength: 1000,
+    },
     notifyOnPublish: {
       type: Boolean,
       default: true,
     },
   },
 
+  // Approval audit trail (submit -> approve/reject, repeatable)
+  approvalHistory: [{
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected'],
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    comment: {
+      type: String,
+      maxlength: 1000,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+
   // Metadata
   publishedCount: {
     type: Number,
@@ -135,6 +278,29 @@ postSchema.methods.hasSchedules = function() {
   return this.schedules && this.schedules.length > 0;
 };
 
+postSchema.methods.hasActiveRecurrence = function() {
+  return !!this.recurrence?.rule && this.recurrence.status === 'active';
+};
+
+// True when the post must not be queued yet because it still needs a reviewer's sign-off
+postSchema.methods.isAwaitingApproval = function() {
+  return !!this.settings?.requireApproval && this.settings.approvalStatus !== 'approved';
+};
+
+// Resolve the payload to publish for a schedule, applying its channel override
+postSchema.methods.getContentForSchedule = function(schedule) {
+  const override = schedule.override || {};
+  const hasMediaOverride = Array.isArray(override.mediaUrls);
+
+  return {
+    title: override.title !== undefined ? override.title : this.title,
+    content: override.content !== undefined ? override.content : this.content,
+    hashtags: Array.isArray(override.hashtags) ? override.hashtags : (this.hashtags || []),
+    mediaUrls: hasMediaOverride ? override.mediaUrls : (this.mediaUrls || []),
+    mediaType: hasMediaOverride ? (override.mediaType || 'none') : (this.mediaType || 'none'),
+  };
+};
+
 postSchema.methods.getPendingSchedules = function() {
   return this.schedules.filter(s => s.status === 'pending' && s.scheduledFor <= new Date());
 };
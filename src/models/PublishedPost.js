@@ -79,7 +79,14 @@ const publishedPostSchema = new mongoose.Schema({
     shares: { type: Number, default: 0 },
     clicks: { type: Number, default: 0 },
     impressions: { type: Number, default: 0 },
+    reach: { type: Number, default: 0 },
+    views: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 },
     lastSyncedAt: { type: Date },
+    // Decaying sync schedule (hourly on day 1, then daily, then weekly); unset once syncing stops
+    nextSyncAt: { type: Date, index: true },
+    syncCount: { type: Number, default: 0 },
+    lastSyncError: { type: String },
   },
 
   // Metadata
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const REPORT_METRICS = ['summary', 'engagement', 'platforms', 'contentTypes', 'trends', 'topPosts'];
+
+/**
+ * Recurring analytics report definition
+ * The report cron renders it as PDF/XLSX and emails it to the recipients.
+ */
+const scheduledReportSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+    index: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+
+  // Reporting window, resolved in the brand timezone at run time
+  period: {
+    type: String,
+    enum: ['previous_week', 'previous_month', 'last_7_days', 'last_30_days'],
+    default: 'previous_week',
+  },
+  metrics: {
+    type: [{
+      type: String,
+      enum: REPORT_METRICS,
+    }],
+    default: REPORT_METRICS,
+  },
+  // Empty means every channel of the brand
+  channels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+  }],
+  recipients: {
+    type: [{
+      type: String,
+      lowercase: true,
+      trim: true,
+    }],
+    validate: [list => list.length > 0 && list.length <= 20, 'Between 1 and 20 recipients are required'],
+  },
+  formats: {
+    type: [{
+      type: String,
+      enum: ['pdf', 'xlsx'],
+    }],
+    default: ['pdf', 'xlsx'],
+  },
+
+  // Cadence (brand timezone)
+  cadence: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true,
+  },
+  dayOfWeek: { type: Number, min: 0, max: 6, default: 1 }, // weekly, 0 = Sunday
+  dayOfMonth: { type: Number, min: 1, max: 28, default: 1 }, // monthly
+  hour: { type: Number, min: 0, max: 23, default: 8 },
+
+  status: {
+    type: String,
+    enum: ['active', 'paused'],
+    default: 'active',
+  },
+  lastRunAt: Date,
+  nextRunAt: {
+    type: Date,
+    index: true,
+  },
+}, {
+  timestamps: true,
+});
+
+scheduledReportSchema.index({ status: 1, nextRunAt: 1 });
+
+scheduledReportSchema.statics.METRICS = REPORT_METRICS;
+
+module.exports = mongoose.model('ScheduledReport', scheduledReportSchema);
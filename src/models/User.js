@@ -33,6 +33,9 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Storage key/backend of an uploaded avatar (replaced avatars are deleted)
+  avatarKey: String,
+  avatarStorageDriver: String,
   timezone: {
     type: String,
     default: 'UTC',
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const QUALITY_RATINGS = ['GREEN', 'YELLOW', 'RED', 'UNKNOWN'];
+const MESSAGING_LIMITS = ['TIER_NOT_SET', 'TIER_50', 'TIER_250', 'TIER_1K', 'TIER_10K', 'TIER_100K', 'TIER_UNLIMITED'];
+
 const whatsappAccountHealthSchema = new mongoose.Schema({
   channel: {
     type: mongoose.Schema.Types.ObjectId,
@@ -14,12 +17,12 @@ const whatsappAccountHealthSchema = new mongoose.Schema({
   },
   qualityRating: {
     type: String,
-    enum: ['GREEN', 'YELLOW', 'RED', 'UNKNOWN'],
+    enum: QUALITY_RATINGS,
     default: 'UNKNOWN',
   },
   messagingLimit: {
     type: String,
-    enum: ['TIER_NOT_SET', 'TIER_50', 'TIER_250', 'TIER_1K', 'TIER_10K', 'TIER_100K', 'TIER_UNLIMITED'],
+    enum: MESSAGING_LIMITS,
     default: 'TIER_NOT_SET',
   },
   qualityScore: {
@@ -35,17 +38,26 @@ const whatsappAccountHealthSchema = new mongoose.Schema({
   // Historical quality updates
   history: [{
     qualityRating: String,
+    qualityScore: Number,
     messagingLimit: String,
     timestamp: Date,
-    reason: String, // Why quality changed
+    reason: String, // Why quality changed (Meta event: FLAGGED, UNFLAGGED, UPGRADE, DOWNGRADE)
   }],
   // Alerts
   alerts: [{
     type: {
       type: String,
-      enum: ['QUALITY_DEGRADED', 'LIMIT_REACHED', 'ACCOUNT_RESTRICTED'],
+      enum: ['QUALITY_DEGRADED', 'LIMIT_REACHED', 'LIMIT_CHANGED', 'ACCOUNT_RESTRICTED'],
     },
     message: String,
+    qualityRating: String,
+    messagingLimit: String,
+    previousMessagingLimit: String,
+    // Campaigns paused because of this alert
+    pausedCampaigns: {
+      type: Number,
+      default: 0,
+    },
     severity: {
       type: String,
       enum: ['info', 'warning', 'critical'],
@@ -58,6 +70,7 @@ const whatsappAccountHealthSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    acknowledgedAt: Date,
     createdAt: {
       type: Date,
       default: Date.now,
@@ -67,4 +80,7 @@ const whatsappAccountHealthSchema = new mongoose.Schema({
   timestamps: true,
 });
 
+whatsappAccountHealthSchema.statics.QUALITY_RATINGS = QUALITY_RATINGS;
+whatsappAccountHealthSchema.statics.MESSAGING_LIMITS = MESSAGING_LIMITS;
+
 module.exports = mongoose.model('WhatsAppAccountHealth', whatsappAccountHealthSchema);
\ No newline at end of file
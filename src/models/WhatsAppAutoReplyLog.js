@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Execution log of auto-reply rules (kept for 90 days)
+const whatsappAutoReplyLogSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppAutoReplyRule',
+    required: true,
+  },
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppContact',
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppConversation',
+  },
+  // What fired the rule: its trigger, or a reply continuing a flow
+  trigger: {
+    type: String,
+    enum: ['keyword', 'regex', 'away', 'greeting', 'flow'],
+    required: true,
+  },
+  steps: [String], // Step keys sent in this execution
+  inboundMessageId: String,
+  sentMessageIds: [String],
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true,
+  },
+  error: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 90 * 24 * 60 * 60,
+  },
+});
+
+whatsappAutoReplyLogSchema.index({ rule: 1, createdAt: -1 });
+whatsappAutoReplyLogSchema.index({ rule: 1, contact: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WhatsAppAutoReplyLog', whatsappAutoReplyLogSchema);
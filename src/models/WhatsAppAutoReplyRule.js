@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One message of a flow; steps with branches wait for the contact's reply
+const flowStepSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  message: {
+    type: {
+      type: String,
+      enum: ['text', 'image', 'video', 'document', 'audio'],
+      default: 'text',
+    },
+    text: {
+      type: String,
+      maxlength: 4096,
+    },
+    mediaUrl: String,
+    caption: {
+      type: String,
+      maxlength: 1024,
+    },
+  },
+  // Reply (button/list ID or title, or typed text) -> next step
+  branches: [{
+    _id: false,
+    match: {
+      type: [String],
+      required: true,
+    },
+    next: {
+      type: String,
+      required: true,
+    },
+  }],
+  // Step sent right after this one when there are no branches
+  next: String,
+}, { _id: false });
+
+const whatsappAutoReplyRuleSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  // Unset applies to every WhatsApp number of the brand
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Lower runs first when several rules match
+  priority: {
+    type: Number,
+    default: 100,
+  },
+
+  trigger: {
+    type: {
+      type: String,
+      enum: ['keyword', 'regex', 'away', 'greeting'],
+      required: true,
+    },
+    keywords: [String],
+    matchType: {
+      type: String,
+      enum: ['exact', 'contains'],
+      default: 'exact',
+    },
+    pattern: String,
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    // Away rules reply outside these hours (Brand.settings.timezone)
+    businessHours: [{
+      _id: false,
+      weekday: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+      start: { type: String, match: TIME_PATTERN, required: true },
+      end: { type: String, match: TIME_PATTERN, required: true },
+    }],
+  },
+
+  // Minimum time before the rule replies to the same contact again (0 = every match)
+  cooldownMinutes: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+
+  steps: {
+    type: [flowStepSchema],
+    validate: {
+      validator: (steps) => steps.length > 0 && steps.length <= 20,
+      message: 'A rule needs between 1 and 20 steps',
+    },
+  },
+
+  executionCount: {
+    type: Number,
+    default: 0,
+  },
+  lastExecutedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+whatsappAutoReplyRuleSchema.index({ brand: 1, isActive: 1, priority: 1 });
+
+module.exports = mongoose.model('WhatsAppAutoReplyRule', whatsappAutoReplyRuleSchema);
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const whatsappCampaignSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+    index: true,
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+  },
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppTemplate',
+    required: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+
+  // Audience: contacts matching every criterion given (any tag, any group, all custom fields)
+  segment: {
+    tags: [String],
+    groups: [String],
+    customFields: {
+      type: Map,
+      of: String,
+    },
+  },
+
+  // Template placeholders ({{position}}) filled per contact
+  // field: name, phone, email or a customFields key
+  variables: [{
+    _id: false,
+    component: {
+      type: String,
+      enum: ['HEADER', 'BODY'],
+      default: 'BODY',
+    },
+    position: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    field: {
+      type: String,
+      required: true,
+    },
+    fallback: String,
+  }],
+
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'sending', 'paused', 'completed', 'cancelled', 'failed'],
+    default: 'draft',
+    index: true,
+  },
+  scheduledFor: Date,
+  jobId: String, // Bull job ID of the next batch
+  startedAt: Date,
+  completedAt: Date,
+  error: String,
+  // Set while paused (e.g. the number's quality rating dropped to RED)
+  pausedAt: Date,
+  pausedReason: String,
+
+  // Recipient totals (delivered includes read)
+  stats: {
+    total: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    read: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+whatsappCampaignSchema.index({ brand: 1, createdAt: -1 });
+whatsappCampaignSchema.index({ channel: 1, status: 1 });
+
+module.exports = mongoose.model('WhatsAppCampaign', whatsappCampaignSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Per-recipient delivery tracking of a campaign (status updated from WhatsApp webhooks)
+const whatsappCampaignRecipientSchema = new mongoose.Schema({
+  campaign: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppCampaign',
+    required: true,
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppContact',
+    required: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+  },
+  // sending: claimed by a batch; a recipient left there by a crash is never messaged again
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'delivered', 'read', 'failed'],
+    default: 'pending',
+  },
+  messageId: String,
+  error: String,
+  sentAt: Date,
+  deliveredAt: Date,
+  readAt: Date,
+  failedAt: Date,
+}, {
+  timestamps: true,
+});
+
+whatsappCampaignRecipientSchema.index({ campaign: 1, contact: 1 }, { unique: true });
+whatsappCampaignRecipientSchema.index({ campaign: 1, status: 1 });
+whatsappCampaignRecipientSchema.index({ messageId: 1 }, { sparse: true });
+// Messaging limit window per channel
+whatsappCampaignRecipientSchema.index({ channel: 1, sentAt: -1 });
+
+module.exports = mongoose.model('WhatsAppCampaignRecipient', whatsappCampaignRecipientSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of WhatsApp consent changes and keyword requests (kept when the contact is deleted)
+const whatsappConsentLogSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppContact',
+  },
+  phone: {
+    type: String,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: ['opt_in', 'opt_out'],
+    required: true,
+  },
+  // keyword: inbound STOP/START message, manual: changed by a team member
+  source: {
+    type: String,
+    enum: ['keyword', 'manual'],
+    required: true,
+  },
+  keyword: String,
+  messageId: String, // Inbound WhatsApp message that carried the keyword
+  // false: a keyword repeated the contact's current state (kept for the audit trail)
+  changed: {
+    type: Boolean,
+    default: true,
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  note: {
+    type: String,
+    maxlength: 500,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+whatsappConsentLogSchema.index({ contact: 1, createdAt: -1 });
+whatsappConsentLogSchema.index({ brand: 1, phone: 1, createdAt: -1 });
+// One entry per keyword message, so a webhook retry neither logs nor confirms it twice
+whatsappConsentLogSchema.index(
+  { contact: 1, messageId: 1 },
+  { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('WhatsAppConsentLog', whatsappConsentLogSchema);
@@ -55,4 +55,9 @@ whatsappContactSchema.index({ brand: 1, phone: 1 }, { unique: true });
 whatsappContactSchema.index({ brand: 1, tags: 1 });
 whatsappContactSchema.index({ brand: 1, groups: 1 });
 
+// Opted-out contacts must not be messaged until they opt in again
+whatsappContactSchema.methods.hasOptedOut = function() {
+  return !!this.optedOutAt;
+};
+
 module.exports = mongoose.model('WhatsAppContact', whatsappContactSchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Row errors kept on the import (the counters still cover every row)
+const MAX_ROW_ERRORS = 1000;
+
+// Bulk contact import from an uploaded CSV/XLSX file, processed by a background job
+const whatsappContactImportSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  filename: {
+    type: String,
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true,
+  },
+  // Temporary upload, removed once processed
+  filePath: String,
+
+  // Contact field -> column header; customFields maps field name -> column header
+  mapping: {
+    name: String,
+    phone: String,
+    email: String,
+    tags: String,
+    groups: String,
+    customFields: {
+      type: Map,
+      of: String,
+    },
+  },
+  // Prepended to numbers written without an international prefix (e.g. "49")
+  defaultCountryCode: String,
+  // Existing contacts (same brand and phone) are updated instead of skipped
+  updateExisting: {
+    type: Boolean,
+    default: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+  },
+  jobId: String,
+  totalRows: {
+    type: Number,
+    default: 0,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+  },
+  stats: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  rowErrors: [{
+    _id: false,
+    row: Number, // 1-based line in the file, header included
+    phone: String,
+    error: String,
+  }],
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.filePath;
+      return ret;
+    },
+  },
+  toObject: { virtuals: true },
+});
+
+whatsappContactImportSchema.index({ brand: 1, createdAt: -1 });
+
+whatsappContactImportSchema.virtual('progress').get(function() {
+  return this.totalRows > 0 ? Math.round((this.processedRows / this.totalRows) * 100) : 0;
+});
+
+whatsappContactImportSchema.statics.MAX_ROW_ERRORS = MAX_ROW_ERRORS;
+
+module.exports = mongoose.model('WhatsAppContactImport', whatsappContactImportSchema);
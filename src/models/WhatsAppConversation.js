@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+// Free-form messages are allowed for 24 hours after the contact's last message
+const CUSTOMER_SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Team inbox thread: one per WhatsApp number (channel) and contact, reopened by inbound messages
+const whatsappConversationSchema = new mongoose.Schema({
+  brand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Brand',
+    required: true,
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+  },
+  contact: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppContact',
+    required: true,
+  },
+  phone: {
+    type: String,
+    required: true,
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'pending', 'closed'],
+    default: 'open',
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  assignedAt: Date,
+  closedAt: Date,
+
+  // Inbound messages not yet read by the team
+  unreadCount: {
+    type: Number,
+    default: 0,
+  },
+  lastMessageAt: Date,
+  lastMessagePreview: String,
+  lastMessageDirection: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+  },
+  // Start of the current 24-hour customer service window
+  lastInboundAt: Date,
+
+  // Auto-reply flow waiting for the contact's answer
+  autoReplyFlow: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WhatsAppAutoReplyRule',
+    },
+    step: String,
+    expiresAt: Date,
+  },
+
+  // Internal notes (never sent to the contact)
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+      maxlength: 2000,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+whatsappConversationSchema.index({ channel: 1, contact: 1 }, { unique: true });
+whatsappConversationSchema.index({ brand: 1, status: 1, lastMessageAt: -1 });
+whatsappConversationSchema.index({ brand: 1, assignedTo: 1, lastMessageAt: -1 });
+
+// End of the customer service window (null when the contact never wrote)
+whatsappConversationSchema.virtual('windowExpiresAt').get(function() {
+  return this.lastInboundAt
+    ? new Date(this.lastInboundAt.getTime() + CUSTOMER_SERVICE_WINDOW_MS)
+    : null;
+});
+
+whatsappConversationSchema.methods.isWindowOpen = function(now = new Date()) {
+  return !!this.lastInboundAt && now - this.lastInboundAt < CUSTOMER_SERVICE_WINDOW_MS;
+};
+
+whatsappConversationSchema.statics.CUSTOMER_SERVICE_WINDOW_MS = CUSTOMER_SERVICE_WINDOW_MS;
+
+module.exports = mongoose.model('WhatsAppConversation', whatsappConversationSchema);
@@ -17,6 +17,11 @@ const whatsappMessageSchema = new mongoose.Schema({
     ref: 'Channel',
     index: true,
   },
+  // Team inbox thread (messages exchanged with a known contact)
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WhatsAppConversation',
+  },
   from: {
     type: String,
     required: true,
@@ -39,7 +44,7 @@ const whatsappMessageSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'video', 'audio', 'document', 'template', 'interactive', 'call'], // ✅ ADD 'call'
+    enum: ['text', 'image', 'video', 'audio', 'document', 'template', 'interactive', 'button', 'call'], // ✅ ADD 'call'
     required: true,
   },
   status: {
@@ -79,6 +84,13 @@ const whatsappMessageSchema = new mongoose.Schema({
       language: String,
       components: mongoose.Schema.Types.Mixed,
     },
+    // Reply to buttons/lists: button_reply, list_reply, or button for template quick replies
+    interactive: {
+      type: { type: String },
+      id: String,
+      title: String,
+      description: String,
+    },
     // ✅ ADD: Call metadata
     call: {
       callId: String,
@@ -98,6 +110,18 @@ const whatsappMessageSchema = new mongoose.Schema({
   lastStatusUpdate: {
     type: Date,
   },
+  // Library copy of inbound media (Meta media IDs expire)
+  media: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media',
+  },
+  // Why inbound media was not copied (unsupported type, too large)
+  mediaError: String,
+  // Team member who sent the message from the inbox
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
   errors: [{
     code: Number,
     title: String,
@@ -118,6 +142,7 @@ const whatsappMessageSchema = new mongoose.Schema({
 whatsappMessageSchema.index({ phoneNumberId: 1, timestamp: -1 });
 whatsappMessageSchema.index({ from: 1, timestamp: -1 });
 whatsappMessageSchema.index({ brand: 1, timestamp: -1 });
+whatsappMessageSchema.index({ conversation: 1, timestamp: -1 });
 whatsappMessageSchema.index({ direction: 1, status: 1, timestamp: -1 });
 whatsappMessageSchema.index({ type: 1, 'content.call.callStatus': 1 }); // ✅ ADD: Index for call queries
 
@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
 
+// Cloud API review statuses, plus DELETED for templates removed from the account
+const STATUSES = [
+  'PENDING',
+  'APPROVED',
+  'REJECTED',
+  'PAUSED',
+  'DISABLED',
+  'IN_APPEAL',
+  'PENDING_DELETION',
+  'DELETED',
+];
+
 const whatsappTemplateSchema = new mongoose.Schema({
   brand: {
     type: mongoose.Schema.Types.ObjectId,
@@ -29,9 +41,13 @@ const whatsappTemplateSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['PENDING', 'APPROVED', 'REJECTED'],
+    enum: STATUSES,
     default: 'PENDING',
   },
+  // Review feedback kept from the provider (e.g. INVALID_FORMAT, PROMOTIONAL)
+  rejectedReason: String,
+  deletedAt: Date,
+  lastSyncedAt: Date,
   components: [{
     type: {
       type: String,
@@ -41,10 +57,12 @@ const whatsappTemplateSchema = new mongoose.Schema({
     text: String,
     example: mongoose.Schema.Types.Mixed,
     buttons: [{
-      type: String,
+      _id: false,
+      type: { type: String },
       text: String,
       url: String,
       phone_number: String,
+      example: mongoose.Schema.Types.Mixed,
     }],
   }],
   platformTemplateId: String,
@@ -57,6 +75,10 @@ const whatsappTemplateSchema = new mongoose.Schema({
   timestamps: true,
 });
 
-whatsappTemplateSchema.index({ brand: 1, name: 1 }, { unique: true });
+// One template per name and language on a WhatsApp Business Account number
+whatsappTemplateSchema.index({ channel: 1, name: 1, language: 1 }, { unique: true });
+whatsappTemplateSchema.index({ brand: 1, status: 1 });
+
+whatsappTemplateSchema.statics.STATUSES = STATUSES;
 
 module.exports = mongoose.model('WhatsAppTemplate', whatsappTemplateSchema);
\ No newline at end of file
@@ -139,6 +139,18 @@ class BaseProvider {
     return new Date() >= this.channel.tokenExpiresAt;
   }
 
+  /**
+   * Build a publish error that keeps the HTTP status and network code of the cause
+   * so the publish job can tell transient failures from permanent ones
+   */
+  publishError(message, cause) {
+    const error = new Error(message);
+    error.statusCode = cause?.response?.status;
+    error.code = cause?.code;
+    error.retryAfter = cause?.response?.headers?.['retry-after'];
+    return error;
+  }
+
   /**
    * Log provider action
    */
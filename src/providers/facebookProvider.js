@@ -229,10 +229,11 @@ class FacebookProvider extends BaseProvider {
       );
     } catch (error) {
       this.logError("Publish failed", error);
-      throw new Error(
+      throw this.publishError(
         `Facebook publish failed: ${
           error.response?.data?.error?.message || error.message
-        }`
+        }`,
+        error
       );
     }
   }
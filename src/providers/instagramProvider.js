@@ -382,10 +382,11 @@ class InstagramProvider extends BaseProvider {
       }
     } catch (error) {
       this.logError("Publish failed", error);
-      throw new Error(
+      throw this.publishError(
         `Instagram publish failed: ${
           error.response?.data?.error?.message || error.message
-        }`
+        }`,
+        error
       );
     }
   }
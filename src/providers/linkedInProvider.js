@@ -473,10 +473,11 @@ class LinkedInProvider extends BaseProvider {
         });
       }
       
-      throw new Error(
+      throw this.publishError(
         `LinkedIn publish failed: ${
           error.response?.data?.message || error.message
-        }`
+        }`,
+        error
       );
     }
   }
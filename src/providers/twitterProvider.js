@@ -338,10 +338,11 @@ class TwitterProvider extends BaseProvider {
       };
     } catch (error) {
       this.logError("Publish failed", error);
-      throw new Error(
+      throw this.publishError(
         `Twitter publish failed: ${
           error.response?.data?.errors?.[0]?.message || error.message
-        }`
+        }`,
+        error
       );
     }
   }
@@ -1,3 +1,6 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
 const axios = require('axios');
 const BaseProvider = require('./baseProvider');
 const logger = require('../utils/logger');
@@ -163,26 +166,78 @@ class WhatsAppProvider extends BaseProvider {
   }
 
   /**
-   * Get message templates
+   * Send template message to one recipient (campaign sends, no built-in delay)
    */
-  async getTemplates() {
+  async sendTemplate(recipientPhone, templateName, languageCode, components = []) {
     try {
       const config = this.getConfig();
       const accessToken = this.getAccessToken();
-      const businessAccountId = this.channel.providerData.businessAccountId;
+      const phoneNumberId = this.channel.providerData.phoneNumberId;
 
-      const response = await axios.get(
-        `${config.apiUrl}/${businessAccountId}/message_templates`,
+      const response = await axios.post(
+        `${config.apiUrl}/${phoneNumberId}/messages`,
         {
-          headers: { Authorization: `Bearer ${accessToken}` },
-          params: {
-            fields: 'name,status,language,category,components',
-            limit: 100,
+          messaging_product: 'whatsapp',
+          to: recipientPhone,
+          type: 'template',
+          template: {
+            name: templateName,
+            language: { code: languageCode },
+            components,
+          },
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
           },
         }
       );
 
-      return response.data.data;
+      return {
+        success: true,
+        messageId: response.data.messages[0].id,
+      };
+    } catch (error) {
+      logger.error('[WHATSAPP] Template send failed', {
+        recipient: recipientPhone,
+        template: templateName,
+        error: error.response?.data,
+      });
+      throw this.publishError(error.response?.data?.error?.message || error.message, error);
+    }
+  }
+
+  /**
+   * Get message templates
+   */
+  async getTemplates() {
+    try {
+      const config = this.getConfig();
+      const accessToken = this.getAccessToken();
+      const businessAccountId = this.channel.providerData.businessAccountId;
+      const templates = [];
+      let after;
+
+      // Follow the cursor so accounts with more than one page are listed completely
+      do {
+        const response = await axios.get(
+          `${config.apiUrl}/${businessAccountId}/message_templates`,
+          {
+            headers: { Authorization: `Bearer ${accessToken}` },
+            params: {
+              fields: 'id,name,status,language,category,components,rejected_reason',
+              limit: 100,
+              ...(after && { after }),
+            },
+          }
+        );
+
+        templates.push(...response.data.data);
+        after = response.data.paging?.next ? response.data.paging.cursors?.after : null;
+      } while (after);
+
+      return templates;
     } catch (error) {
       logger.error('[WHATSAPP] Failed to fetch templates', {
         message: error.message,
@@ -339,6 +394,51 @@ class WhatsAppProvider extends BaseProvider {
     }
   }
 
+  /**
+   * Send interactive message (reply buttons, list or CTA URL built by utils/whatsappInteractive)
+   */
+  async sendInteractiveMessage(recipientPhone, interactive) {
+    try {
+      const config = this.getConfig();
+      const accessToken = this.getAccessToken();
+      const phoneNumberId = this.channel.providerData.phoneNumberId;
+
+      const response = await axios.post(
+        `${config.apiUrl}/${phoneNumberId}/messages`,
+        {
+          messaging_product: 'whatsapp',
+          recipient_type: 'individual',
+          to: recipientPhone,
+          type: 'interactive',
+          interactive,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json',
+          },
+        }
+      );
+
+      logger.info('[WHATSAPP] Interactive message sent', {
+        recipient: recipientPhone,
+        type: interactive.type,
+        messageId: response.data.messages[0].id,
+      });
+
+      return {
+        success: true,
+        messageId: response.data.messages[0].id,
+      };
+    } catch (error) {
+      logger.error('[WHATSAPP] Interactive send failed', {
+        recipient: recipientPhone,
+        error: error.response?.data,
+      });
+      throw error;
+    }
+  }
+
   /**
    * ✅ NEW: Send text message
    */
@@ -417,6 +517,64 @@ class WhatsAppProvider extends BaseProvider {
       return false;
     }
   }
+
+  /**
+   * Download inbound media by its media ID (IDs expire, so files must be copied while valid)
+   * Refuses files over maxBytes before and while downloading.
+   * @returns {object} - { mimeType, size, sha256 }
+   */
+  async downloadMedia(mediaId, destinationPath, maxBytes = Infinity) {
+    try {
+      const config = this.getConfig();
+      const accessToken = this.getAccessToken();
+
+      // The media object holds a short-lived download URL
+      const { data: info } = await axios.get(`${config.apiUrl}/${mediaId}`, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+
+      const tooLarge = (bytes) => Object.assign(
+        new Error(`Media too large: ${bytes} bytes (limit ${maxBytes})`),
+        { code: 'MEDIA_TOO_LARGE' }
+      );
+
+      if (info.file_size > maxBytes) {
+        throw tooLarge(info.file_size);
+      }
+
+      const response = await axios.get(info.url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        responseType: 'stream',
+        timeout: 5 * 60 * 1000,
+      });
+
+      let size = 0;
+      const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(size > maxBytes ? tooLarge(size) : null, chunk);
+        },
+      });
+
+      await pipeline(response.data, limiter, fs.createWriteStream(destinationPath));
+
+      logger.info('[WHATSAPP] Media downloaded', { mediaId, mimeType: info.mime_type, size });
+
+      return {
+        mimeType: info.mime_type,
+        size,
+        sha256: info.sha256,
+      };
+    } catch (error) {
+      await fs.promises.unlink(destinationPath).catch(() => {});
+      logger.error('[WHATSAPP] Media download failed', {
+        mediaId,
+        message: error.message,
+        response: error.response?.data,
+      });
+      throw error.code === 'MEDIA_TOO_LARGE' ? error : this.publishError(error.message, error);
+    }
+  }
 }
 
 module.exports = WhatsAppProvider;
\ No newline at end of file
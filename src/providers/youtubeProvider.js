@@ -369,10 +369,11 @@ class YouTubeProvider extends BaseProvider {
         });
       }
 
-      throw new Error(
+      throw this.publishError(
         `YouTube upload failed: ${
           error.response?.data?.error?.message || error.message
-        }`
+        }`,
+        error
       );
     }
   }
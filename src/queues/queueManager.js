@@ -1,6 +1,19 @@
 const Bull = require('bull');
+const Post = require('../models/Post');
 const logger = require('../utils/logger');
 
+// Exponential backoff for automatic republish attempts: 1m, 2m, 4m, ... capped at 1h
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const RETRY_JOB_PREFIX = 'retry-';
+const CAMPAIGN_JOB_PREFIX = 'campaign-';
+const CONTACT_IMPORT_JOB_PREFIX = 'contact-import-';
+const WHATSAPP_MEDIA_JOB_PREFIX = 'whatsapp-media-';
+
+// Webhook deliveries are acknowledged before processing, so failed events are retried here
+const WEBHOOK_JOB_ATTEMPTS = 5;
+const WEBHOOK_BACKOFF_DELAY_MS = 10 * 1000;
+
 class QueueManager {
   constructor() {
     // ✅ CORRECT: Bull-compatible Redis configuration
@@ -37,6 +50,10 @@ class QueueManager {
     this.publishQueue = new Bull('post-publishing', redisConfig);
     this.retryQueue = new Bull('post-retry', redisConfig);
     this.analyticsQueue = new Bull('analytics-sync', redisConfig);
+    this.webhookQueue = new Bull('whatsapp-webhooks', redisConfig);
+    this.campaignQueue = new Bull('whatsapp-campaigns', redisConfig);
+    this.contactImportQueue = new Bull('whatsapp-contact-imports', redisConfig);
+    this.mediaQueue = new Bull('whatsapp-media', redisConfig);
 
     this.setupEventListeners();
   }
@@ -91,6 +108,88 @@ class QueueManager {
         postId: job.data.postId
       });
     });
+
+    this.analyticsQueue.on('error', (error) => {
+      logger.error('❌ Analytics queue error:', {
+        message: error.message,
+        code: error.code,
+      });
+    });
+
+    this.webhookQueue.on('error', (error) => {
+      logger.error('❌ Webhook queue error:', {
+        message: error.message,
+        code: error.code,
+      });
+    });
+
+    this.webhookQueue.on('failed', (job, err) => {
+      logger.error('❌ Webhook job failed', {
+        jobId: job.id,
+        attemptsMade: job.attemptsMade,
+        willRetry: job.attemptsMade < job.opts.attempts,
+        error: err.message,
+      });
+    });
+
+    this.campaignQueue.on('error', (error) => {
+      logger.error('❌ Campaign queue error:', {
+        message: error.message,
+        code: error.code,
+      });
+    });
+
+    this.campaignQueue.on('failed', (job, err) => {
+      logger.error('❌ Campaign batch failed', {
+        jobId: job.id,
+        campaignId: job.data.campaignId,
+        error: err.message,
+      });
+    });
+
+    this.contactImportQueue.on('failed', (job, err) => {
+      logger.error('❌ Contact import failed', {
+        jobId: job.id,
+        importId: job.data.importId,
+        error: err.message,
+      });
+    });
+
+    this.mediaQueue.on('failed', (job, err) => {
+      logger.error('❌ WhatsApp media copy failed', {
+        jobId: job.id,
+        messageId: job.data.messageId,
+        attemptsMade: job.attemptsMade,
+        willRetry: job.attemptsMade < job.opts.attempts,
+        error: err.message,
+      });
+    });
+
+    this.retryQueue.on('error', (error) => {
+      logger.error('❌ Retry queue error:', {
+        message: error.message,
+        code: error.code,
+      });
+    });
+
+    this.retryQueue.on('completed', (job, result) => {
+      logger.info('✅ Retry job completed', {
+        jobId: job.id,
+        postId: job.data.postId,
+        scheduleId: job.data.scheduleId,
+        attempt: job.data.attempt,
+        result,
+      });
+    });
+
+    this.retryQueue.on('failed', (job, err) => {
+      logger.error('❌ Retry job failed', {
+        jobId: job.id,
+        postId: job.data.postId,
+        attempt: job.data.attempt,
+        error: err.message,
+      });
+    });
   }
 
   /**
@@ -98,6 +197,12 @@ class QueueManager {
    */
   async addPublishJob(postId, scheduleId, scheduledFor, priority = 'normal') {
     try {
+      // Never queue a post that still needs a reviewer's sign-off
+      const post = await Post.findById(postId).select('settings');
+      if (post && post.isAwaitingApproval()) {
+        throw new Error('Post is awaiting approval and cannot be queued');
+      }
+
       const scheduledDate = new Date(scheduledFor);
       const now = new Date();
       let delay = scheduledDate.getTime() - now.getTime();
@@ -119,11 +224,7 @@ class QueueManager {
         {
           delay,
           priority: jobPriority,
-          attempts: 3,
-          backoff: {
-            type: 'exponential',
-            delay: 5000,
-          },
+          attempts: 1, // Transient failures are retried through retryQueue with backoff
           removeOnComplete: false, // ✅ Keep completed jobs for debugging
           removeOnFail: false,
           timeout: 60000, // ✅ 60 second timeout per job
@@ -152,11 +253,12 @@ class QueueManager {
   }
 
   /**
-   * Cancel scheduled job
+   * Cancel scheduled job (publish, retry or campaign batch)
    */
   async cancelJob(jobId) {
     try {
-      const job = await this.publishQueue.getJob(jobId);
+      const queue = this.getQueueForJob(jobId);
+      const job = await queue.getJob(jobId);
       if (job) {
         await job.remove();
         logger.info('🗑️ Job cancelled', { jobId });
@@ -170,25 +272,180 @@ class QueueManager {
   }
 
   /**
-   * Retry failed job
+   * Helper: queue that owns a job ID (by prefix)
+   */
+  getQueueForJob(jobId) {
+    const id = String(jobId);
+    if (id.startsWith(RETRY_JOB_PREFIX)) return this.retryQueue;
+    if (id.startsWith(CAMPAIGN_JOB_PREFIX)) return this.campaignQueue;
+    return this.publishQueue;
+  }
+
+  /**
+   * Backoff before retry attempt n (1-based), honouring the platform's Retry-After when longer
    */
-  async retryJob(postId, scheduleId) {
+  getRetryDelay(attempt, retryAfterMs = null) {
+    const backoff = Math.min(RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(attempt - 1, 0)), RETRY_MAX_DELAY_MS);
+    return retryAfterMs ? Math.max(backoff, Math.min(retryAfterMs, RETRY_MAX_DELAY_MS)) : backoff;
+  }
+
+  /**
+   * Queue a republish attempt on the retry queue
+   * attempt 0 is a manual retry and runs immediately
+   */
+  async retryJob(postId, scheduleId, attempt = 0, delay = 0) {
     try {
-      await this.publishQueue.add(
-        { postId, scheduleId },
+      const job = await this.retryQueue.add(
+        { postId, scheduleId, attempt },
         {
-          delay: 0,
+          jobId: `${RETRY_JOB_PREFIX}${scheduleId}-${Date.now()}`,
+          delay,
           priority: 1,
-          attempts: 3,
+          attempts: 1,
+          removeOnComplete: true,
+          removeOnFail: false,
+          timeout: 60000,
         }
       );
-      logger.info('🔄 Job retried', { postId, scheduleId });
+
+      logger.info('🔄 Retry job queued', {
+        jobId: job.id,
+        postId,
+        scheduleId,
+        attempt,
+        willRunAt: new Date(Date.now() + delay).toISOString(),
+      });
+
+      return job;
     } catch (error) {
       logger.error('Failed to retry job', { error: error.message, postId });
       throw error;
     }
   }
 
+  /**
+   * Queue an analytics pull for a published post
+   * The job ID is per post so a post is never queued twice while a pull is pending
+   */
+  async addAnalyticsJob(publishedPostId, delay = 0) {
+    try {
+      return await this.analyticsQueue.add(
+        { publishedPostId },
+        {
+          jobId: `analytics-${publishedPostId}`,
+          delay,
+          attempts: 1,
+          removeOnComplete: true,
+          removeOnFail: true,
+          timeout: 30000,
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to add analytics job', { error: error.message, publishedPostId });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the next send batch of a WhatsApp campaign
+   * Each batch queues the following one, so a campaign has at most one pending job.
+   */
+  async addCampaignJob(campaignId, delay = 0) {
+    try {
+      const job = await this.campaignQueue.add(
+        { campaignId },
+        {
+          jobId: `${CAMPAIGN_JOB_PREFIX}${campaignId}-${Date.now()}`,
+          delay: Math.max(delay, 0),
+          attempts: 3,
+          backoff: { type: 'exponential', delay: 30000 },
+          removeOnComplete: true,
+          removeOnFail: false,
+          timeout: 10 * 60 * 1000,
+        }
+      );
+
+      logger.info('📣 Campaign batch queued', {
+        jobId: job.id,
+        campaignId,
+        willRunAt: new Date(Date.now() + Math.max(delay, 0)).toISOString(),
+      });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to add campaign job', { error: error.message, campaignId });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a WhatsApp contact import
+   * Not retried: a partial run has already written contacts, the import is marked failed instead.
+   */
+  async addContactImportJob(importId) {
+    try {
+      const job = await this.contactImportQueue.add(
+        { importId },
+        {
+          jobId: `${CONTACT_IMPORT_JOB_PREFIX}${importId}`,
+          attempts: 1,
+          removeOnComplete: true,
+          removeOnFail: false,
+          timeout: 30 * 60 * 1000,
+        }
+      );
+
+      logger.info('📇 Contact import queued', { jobId: job.id, importId });
+      return job;
+    } catch (error) {
+      logger.error('Failed to add contact import job', { error: error.message, importId });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the copy of an inbound message's media into the brand's library
+   */
+  async addWhatsAppMediaJob(messageId) {
+    try {
+      return await this.mediaQueue.add(
+        { messageId: messageId.toString() },
+        {
+          jobId: `${WHATSAPP_MEDIA_JOB_PREFIX}${messageId}`,
+          attempts: 5,
+          backoff: { type: 'exponential', delay: 30000 },
+          removeOnComplete: true,
+          removeOnFail: false,
+          timeout: 10 * 60 * 1000,
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to add WhatsApp media job', { error: error.message, messageId });
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a WhatsApp webhook delivery for asynchronous processing
+   */
+  async addWhatsAppWebhookJob(payload) {
+    try {
+      return await this.webhookQueue.add(
+        { payload, receivedAt: new Date().toISOString() },
+        {
+          attempts: WEBHOOK_JOB_ATTEMPTS,
+          backoff: { type: 'exponential', delay: WEBHOOK_BACKOFF_DELAY_MS },
+          removeOnComplete: true,
+          removeOnFail: false,
+          timeout: 60000,
+        }
+      );
+    } catch (error) {
+      logger.error('Failed to add webhook job', { error: error.message });
+      throw error;
+    }
+  }
+
   /**
    * Get queue statistics
    */
@@ -223,6 +480,11 @@ class QueueManager {
     const gracePeriod = 24 * 60 * 60 * 1000; // 24 hours
     await this.publishQueue.clean(gracePeriod, 'completed');
     await this.publishQueue.clean(gracePeriod * 7, 'failed'); // Keep failed jobs for 7 days
+    await this.retryQueue.clean(gracePeriod * 7, 'failed');
+    await this.webhookQueue.clean(gracePeriod * 7, 'failed');
+    await this.campaignQueue.clean(gracePeriod * 7, 'failed');
+    await this.contactImportQueue.clean(gracePeriod * 7, 'failed');
+    await this.mediaQueue.clean(gracePeriod * 7, 'failed');
     logger.info('🧹 Queue cleanup completed');
   }
 
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
+const reportController = require('../controllers/reportController');
 const { requireAuth } = require('../middlewares/auth');
+const { validateObjectId } = require('../middlewares/validateInput');
 
 router.use(requireAuth);
 
@@ -47,6 +49,72 @@ router.get('/channels', analyticsController.getChannelPerformance);
  */
 router.get('/trends', analyticsController.getPostingTrends);
 
+/**
+ * @swagger
+ * /api/v1/analytics/posts/top:
+ *   get:
+ *     summary: Get top performing posts by engagement
+ *     tags: [Analytics]
+ *     parameters:
+ *       - name: brandId
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: period
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [7d, 30d, 90d, all]
+ *           default: 30d
+ *       - name: provider
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: sortBy
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [engagement, engagementRate, impressions, reach, likes, comments, shares]
+ *           default: engagement
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Ranked published posts with engagement metrics
+ */
+router.get('/posts/top', analyticsController.getTopPosts);
+
+/**
+ * @swagger
+ * /api/v1/analytics/best-times:
+ *   get:
+ *     summary: Get best times to post per channel (brand timezone)
+ *     tags: [Analytics]
+ *     parameters:
+ *       - name: brandId
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: channelId
+ *         in: query
+ *         schema:
+ *           type: string
+ *       - name: limit
+ *         in: query
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *     responses:
+ *       200:
+ *         description: Ranked weekday/hour slots, from history or platform defaults
+ */
+router.get('/best-times', analyticsController.getBestTimes);
+
 /**
  * @swagger
  * /api/v1/analytics/export/csv:
@@ -56,4 +124,65 @@ router.get('/trends', analyticsController.getPostingTrends);
  */
 router.get('/export/csv', analyticsController.exportCSV);
 
+// ========== SCHEDULED REPORTS ==========
+
+/**
+ * @swagger
+ * /api/v1/analytics/reports/schedules:
+ *   get:
+ *     summary: List report schedules of a brand
+ *     tags: [Analytics]
+ *   post:
+ *     summary: Create a weekly or monthly PDF/XLSX report schedule
+ *     tags: [Analytics]
+ */
+router.get('/reports/schedules', reportController.getSchedules);
+router.post('/reports/schedules', reportController.createSchedule);
+
+/**
+ * @swagger
+ * /api/v1/analytics/reports/schedules/{id}:
+ *   patch:
+ *     summary: Update a report schedule
+ *     tags: [Analytics]
+ *   delete:
+ *     summary: Delete a report schedule (generated reports are kept)
+ *     tags: [Analytics]
+ */
+router.patch('/reports/schedules/:id', validateObjectId('id'), reportController.updateSchedule);
+router.delete('/reports/schedules/:id', validateObjectId('id'), reportController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/v1/analytics/reports/schedules/{id}/run:
+ *   post:
+ *     summary: Generate and send a scheduled report now
+ *     tags: [Analytics]
+ */
+router.post('/reports/schedules/:id/run', validateObjectId('id'), reportController.runNow);
+
+/**
+ * @swagger
+ * /api/v1/analytics/reports:
+ *   get:
+ *     summary: List generated reports of a brand
+ *     tags: [Analytics]
+ */
+router.get('/reports', reportController.getReports);
+
+/**
+ * @swagger
+ * /api/v1/analytics/reports/{id}/download:
+ *   get:
+ *     summary: Get a temporary download link for a generated report
+ *     tags: [Analytics]
+ *     parameters:
+ *       - name: format
+ *         in: query
+ *         schema:
+ *           type: string
+ *           enum: [pdf, xlsx]
+ */
+router.get('/reports/:id/download', validateObjectId('id'), reportController.downloadReport);
+
 module.exports = router;
\ No newline at end of file
@@ -22,6 +22,10 @@ router.patch('/:brandId', validateObjectId('brandId'), brandController.updateBra
 // Validate :brandId parameter
 router.delete('/:brandId', validateObjectId('brandId'), brandController.deleteBrand);
 
+// ========== POSTING QUEUE ==========
+router.get('/:brandId/queue-slots', validateObjectId('brandId'), brandController.getQueueSlots);
+router.put('/:brandId/queue-slots', validateObjectId('brandId'), brandController.updateQueueSlots);
+
 // ========== TEAM MANAGEMENT ==========
 // alidate :brandId parameter
 router.get('/:brandId/members', validateObjectId('brandId'), brandController.getBrandMembers);
@@ -5,7 +5,7 @@ const { requireAuth } = require('../middlewares/auth');
 const { validateObjectId, sanitizeQuery } = require('../middlewares/validateInput');
 const { uploadMedia } = require('../middlewares/upload');
 const { validateRequest, schemas } = require('../middlewares/validateRequest');
-const s3Service = require('../services/s3Service');
+const storageService = require('../services/storageService');
 
 /**
  * @swagger
@@ -125,10 +125,11 @@ router.get('/:id/posts', validateObjectId('id'), channelController.getPosts);
 // Test endpoint
 router.get('/test-s3', requireAuth, async (req, res, next) => {
   try {
-    const isConnected = await s3Service.testConnection();
+    const isConnected = await storageService.testConnection();
     res.json({
       success: isConnected,
-      message: isConnected ? 'S3 connection successful' : 'S3 connection failed',
+      driver: storageService.driverName,
+      message: isConnected ? 'Storage connection successful' : 'Storage connection failed',
     });
   } catch (error) {
     next(error);
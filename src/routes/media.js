@@ -20,11 +20,14 @@ router.get('/folders', mediaController.getFolders);
 router.get('/folders-metadata', mediaController.getFoldersMetadata);
 router.get('/tags', mediaController.getPopularTags);
 router.get('/stats', mediaController.getStorageStats);
+router.get('/trash', mediaController.getTrash);
 
 // Validate :id parameter for media-specific routes
 router.get('/:id', validateObjectId('id'), mediaController.getMediaById);
 router.patch('/:id', validateObjectId('id'), mediaController.updateMedia);
 router.delete('/:id', validateObjectId('id'), mediaController.deleteMedia);
+router.post('/:id/restore', validateObjectId('id'), mediaController.restoreMedia);
+router.delete('/:id/permanent', validateObjectId('id'), mediaController.permanentlyDeleteMedia);
 
 // BULK DELETE (validate array of IDs in controller)
 router.post('/bulk-delete', mediaController.bulkDeleteMedia);
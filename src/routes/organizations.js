@@ -27,6 +27,10 @@ router.get('/:id/brands', validateObjectId('id'), brandController.getOrganizatio
 // Validate :id parameter
 router.post('/:id/brands', validateObjectId('id'), brandController.createBrandUnderOrganization);
 
+// ========== STORAGE ==========
+// Validate :id parameter
+router.get('/:id/storage', validateObjectId('id'), organizationController.getStorageUsage);
+
 // ========== MEMBERS MANAGEMENT ==========
 // Validate :id parameter
 router.get('/:id/members', validateObjectId('id'), organizationController.getMembers);
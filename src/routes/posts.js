@@ -11,6 +11,9 @@ router.use(sanitizeQuery); // Sanitize all query params
 // CREATE POST (no ID validation needed)
 router.post('/', postController.createPost);
 
+// PRE-PUBLISH VALIDATION (no ID validation needed)
+router.post('/validate', postController.validatePost);
+
 // GET POSTS (apply query sanitization)
 router.get('/', postController.getPosts);
 
@@ -29,6 +32,14 @@ router.delete('/:id', validateObjectId('id'), postController.deletePost);
 // Validate :id parameter
 router.post('/:id/schedule', validateObjectId('id'), postController.schedulePost);
 
+// POSTING QUEUE (next free brand slot per channel)
+router.post('/:id/queue', validateObjectId('id'), postController.addToQueue);
+
+// APPROVAL WORKFLOW
+router.post('/:id/submit', validateObjectId('id'), postController.submitForApproval);
+router.post('/:id/approve', validateObjectId('id'), postController.approvePost);
+router.post('/:id/reject', validateObjectId('id'), postController.rejectPost);
+
 // Validate both :postId and :scheduleId
 router.delete(
   '/:postId/schedules/:scheduleId',
@@ -37,4 +48,12 @@ router.delete(
   postController.cancelSchedule
 );
 
+// RETRY FAILED SCHEDULE
+router.post(
+  '/:postId/schedules/:scheduleId/retry',
+  validateObjectId('postId'),
+  validateObjectId('scheduleId'),
+  postController.retrySchedule
+);
+
 module.exports = router;
\ No newline at end of file
@@ -2,8 +2,15 @@ const express = require('express');
 const router = express.Router();
 const whatsappController = require('../controllers/whatsappController');
 const whatsappWebhookController = require('../controllers/whatsappWebhookController');
+const whatsappCampaignController = require('../controllers/whatsappCampaignController');
+const whatsappInboxController = require('../controllers/whatsappInboxController');
+const whatsappAutoReplyController = require('../controllers/whatsappAutoReplyController');
+const whatsappContactImportController = require('../controllers/whatsappContactImportController');
+const whatsappAccountHealthController = require('../controllers/whatsappAccountHealthController');
 const { requireAuth } = require('../middlewares/auth');
 const { validateObjectId, sanitizeQuery } = require('../middlewares/validateInput');
+const { verifyMetaSignature } = require('../middlewares/verifyWebhookSignature');
+const { uploadContactsFile } = require('../middlewares/upload');
 
 // ============================================
 // WEBHOOK ROUTES (NO AUTH REQUIRED) 
@@ -12,8 +19,8 @@ const { validateObjectId, sanitizeQuery } = require('../middlewares/validateInpu
 // GET webhook verification (Meta's initial handshake)
 router.get('/webhook', whatsappWebhookController.verifyWebhook);
 
-// POST webhook events (incoming messages and status updates)
-router.post('/webhook', whatsappWebhookController.handleIncomingWebhook);
+// POST webhook events (incoming messages and status updates), signed by Meta
+router.post('/webhook', verifyMetaSignature, whatsappWebhookController.handleIncomingWebhook);
 
 // ============================================
 // API ROUTES (AUTH REQUIRED)
@@ -28,23 +35,71 @@ router.post('/connect', whatsappController.connectAccount);
 // TEMPLATES
 router.get('/templates', whatsappController.getTemplates);
 router.post('/templates', whatsappController.createTemplate);
+router.post('/templates/preview', whatsappController.previewTemplate);
+router.post('/templates/sync', whatsappController.syncTemplates);
 router.delete('/templates/:id', validateObjectId('id'), whatsappController.deleteTemplate);
 
 // CONTACTS
 router.get('/contacts', whatsappController.getContacts);
 router.post('/contacts', whatsappController.createContact);
+router.post('/contacts/import', uploadContactsFile, whatsappContactImportController.importContacts);
+router.get('/contacts/imports', whatsappContactImportController.getImports);
+router.get('/contacts/imports/:id', validateObjectId('id'), whatsappContactImportController.getImport);
+router.get('/contacts/export', whatsappContactImportController.exportContacts);
 router.patch('/contacts/:id', validateObjectId('id'), whatsappController.updateContact);
 router.delete('/contacts/:id', validateObjectId('id'), whatsappController.deleteContact);
+router.get('/contacts/:id/consent', validateObjectId('id'), whatsappController.getContactConsent);
+router.post('/contacts/:id/consent', validateObjectId('id'), whatsappController.updateContactConsent);
 
 // MESSAGING
 router.post('/send-template', whatsappController.sendTemplateMessage);
 router.post('/send-text', whatsappController.sendTextMessage);
 router.post('/send-media', whatsappController.sendMediaMessage);
+router.post('/send-interactive/:kind', whatsappController.sendInteractiveMessage);
+
+// CAMPAIGNS
+router.get('/campaigns', whatsappCampaignController.getCampaigns);
+router.post('/campaigns', whatsappCampaignController.createCampaign);
+router.get('/campaigns/:id', validateObjectId('id'), whatsappCampaignController.getCampaign);
+router.patch('/campaigns/:id', validateObjectId('id'), whatsappCampaignController.updateCampaign);
+router.delete('/campaigns/:id', validateObjectId('id'), whatsappCampaignController.deleteCampaign);
+router.post('/campaigns/:id/schedule', validateObjectId('id'), whatsappCampaignController.scheduleCampaign);
+router.post('/campaigns/:id/cancel', validateObjectId('id'), whatsappCampaignController.cancelCampaign);
+router.post('/campaigns/:id/resume', validateObjectId('id'), whatsappCampaignController.resumeCampaign);
+router.get('/campaigns/:id/recipients', validateObjectId('id'), whatsappCampaignController.getRecipients);
+
+// TEAM INBOX
+router.get('/conversations', whatsappInboxController.getConversations);
+router.get('/conversations/:id', validateObjectId('id'), whatsappInboxController.getConversation);
+router.get('/conversations/:id/messages', validateObjectId('id'), whatsappInboxController.getMessages);
+router.post('/conversations/:id/messages', validateObjectId('id'), whatsappInboxController.sendReply);
+router.post('/conversations/:id/read', validateObjectId('id'), whatsappInboxController.markAsRead);
+router.post('/conversations/:id/assign', validateObjectId('id'), whatsappInboxController.assignConversation);
+router.patch('/conversations/:id/status', validateObjectId('id'), whatsappInboxController.updateStatus);
+router.post('/conversations/:id/notes', validateObjectId('id'), whatsappInboxController.addNote);
+
+// AUTO-REPLIES
+router.get('/auto-replies', whatsappAutoReplyController.getRules);
+router.post('/auto-replies', whatsappAutoReplyController.createRule);
+router.get('/auto-replies/:id', validateObjectId('id'), whatsappAutoReplyController.getRule);
+router.patch('/auto-replies/:id', validateObjectId('id'), whatsappAutoReplyController.updateRule);
+router.delete('/auto-replies/:id', validateObjectId('id'), whatsappAutoReplyController.deleteRule);
+router.get('/auto-replies/:id/logs', validateObjectId('id'), whatsappAutoReplyController.getLogs);
+
+// ACCOUNT HEALTH
+router.get('/health', whatsappAccountHealthController.getBrandHealth);
+router.get('/health/:channelId', validateObjectId('channelId'), whatsappAccountHealthController.getHealth);
+router.post(
+  '/health/:channelId/alerts/:alertId/acknowledge',
+  validateObjectId('channelId'),
+  validateObjectId('alertId'),
+  whatsappAccountHealthController.acknowledgeAlert
+);
 
 // MESSAGE HISTORY
 router.get('/messages', async (req, res, next) => {
   try {
-    const { brandId, phoneNumberId, limit = 50, page = 1 } = req.query;
+    const { brandId, phoneNumberId, type, limit = 50, page = 1 } = req.query;
 
     if (!brandId && !phoneNumberId) {
       return res.status(400).json({
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const path = require('path');
+require('dotenv').config();
+
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const GeneratedReport = require('../models/GeneratedReport');
+const User = require('../models/User');
+const StorageFactory = require('../storage/StorageFactory');
+const { getContentType } = require('../storage/contentTypes');
+
+/**
+ * Copy stored files from one storage backend to another and repoint the database
+ *
+ *   npm run storage:migrate -- --from s3 --to local [--brand <id>] [--dry-run] [--delete-source]
+ *
+ * Media (with thumbnails and renditions), report files and avatars keep their keys,
+ * so only URLs and storage driver fields change. Post media URLs are rewritten too.
+ * Already-migrated items no longer match --from, so an interrupted run can be restarted.
+ * Set STORAGE_DRIVER to the target driver once the run completes.
+ */
+
+const tempDir = path.join(__dirname, '../../uploads/storage-migration');
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, deleteSource: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--brand': args.brand = argv[++i]; break;
+      case '--dry-run': args.dryRun = true; break;
+      case '--delete-source': args.deleteSource = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!StorageFactory.isDriverSupported(args.from || '') || !StorageFactory.isDriverSupported(args.to || '')) {
+    throw new Error(`--from and --to must be one of: ${StorageFactory.getSupportedDrivers().join(', ')}`);
+  }
+  if (args.from === args.to) {
+    throw new Error('--from and --to must be different drivers');
+  }
+  if (args.brand && !mongoose.Types.ObjectId.isValid(args.brand)) {
+    throw new Error('--brand must be a brand ID');
+  }
+
+  return args;
+};
+
+// Documents written before pluggable storage have no driver field and live on S3
+const driverQuery = (field, driver) => (driver === 's3'
+  ? { $or: [{ [field]: 's3' }, { [field]: { $exists: false } }, { [field]: null }] }
+  : { [field]: driver });
+
+/**
+ * Copy one object (same key) through a temporary local file; returns its URL on the target
+ */
+const copyObject = async (source, target, key) => {
+  const tempPath = path.join(tempDir, `${Date.now()}-${path.basename(key)}`);
+
+  try {
+    await source.download(key, tempPath);
+    await target.putFile(key, tempPath, { contentType: getContentType(key) });
+    return target.getPublicUrl(key);
+  } finally {
+    await fs.unlink(tempPath).catch(() => {});
+  }
+};
+
+/**
+ * Rewrite a library URL wherever posts reference it (post, schedule and recurrence media)
+ */
+const rewritePostUrls = async (brandId, oldUrl, newUrl) => {
+  const paths = [
+    { filter: 'mediaUrls', update: 'mediaUrls.$[url]' },
+    { filter: 'schedules.override.mediaUrls', update: 'schedules.$[item].override.mediaUrls.$[url]', item: 'override.mediaUrls' },
+    { filter: 'recurrence.channels.override.mediaUrls', update: 'recurrence.channels.$[item].override.mediaUrls.$[url]', item: 'override.mediaUrls' },
+  ];
+
+  for (const { filter, update, item } of paths) {
+    await Post.updateMany(
+      { brand: brandId, [filter]: oldUrl },
+      { $set: { [update]: newUrl } },
+      { arrayFilters: [{ url: oldUrl }, ...(item ? [{ [`item.${item}`]: oldUrl }] : [])] }
+    );
+  }
+};
+
+const migrateMedia = async ({ from, to, brand, dryRun, deleteSource }, source, target, stats) => {
+  const query = { ...driverQuery('storageDriver', from), ...(brand && { brand }) };
+
+  if (dryRun) {
+    stats.media.found = await Media.countDocuments(query);
+    return;
+  }
+
+  const cursor = Media.find(query).cursor();
+  for await (const media of cursor) {
+    stats.media.found++;
+
+    try {
+      const copied = [media.s3Key];
+      const update = {
+        s3Url: await copyObject(source, target, media.s3Key),
+        s3Bucket: target.location,
+        storageDriver: to,
+      };
+
+      if (media.metadata?.thumbnailKey) {
+        update['metadata.thumbnailUrl'] = await copyObject(source, target, media.metadata.thumbnailKey);
+        copied.push(media.metadata.thumbnailKey);
+      }
+
+      // Renditions made after a driver switch may already be elsewhere
+      const renditions = [];
+      for (const rendition of media.renditions || []) {
+        const current = rendition.toObject();
+        if ((current.storageDriver || from) === from && current.s3Key) {
+          current.s3Url = await copyObject(source, target, current.s3Key);
+          current.storageDriver = to;
+          copied.push(current.s3Key);
+        }
+        renditions.push(current);
+      }
+      update.renditions = renditions;
+
+      await Media.updateOne({ _id: media._id }, { $set: update });
+      await rewritePostUrls(media.brand, media.s3Url, update.s3Url);
+
+      if (deleteSource) {
+        for (const key of copied) {
+          await source.delete(key).catch(error => console.warn(`⚠️  Could not delete ${key}: ${error.message}`));
+        }
+      }
+
+      stats.media.migrated++;
+    } catch (error) {
+      stats.media.failed++;
+      console.error(`❌ Media ${media._id} (${media.s3Key}): ${error.message}`);
+    }
+  }
+};
+
+const migrateReports = async ({ from, to, brand, dryRun, deleteSource }, source, target, stats) => {
+  const query = { 'files.key': { $exists: true }, ...(brand && { brand }) };
+  const onSource = file => file.key && (file.storageDriver || 's3') === from;
+
+  const cursor = GeneratedReport.find(query).cursor();
+  for await (const report of cursor) {
+    const files = report.files.filter(onSource);
+    if (files.length === 0) continue;
+    stats.reports.found += files.length;
+    if (dryRun) continue;
+
+    for (const file of files) {
+      try {
+        await copyObject(source, target, file.key);
+        await GeneratedReport.updateOne(
+          { _id: report._id },
+          { $set: { 'files.$[file].storageDriver': to } },
+          { arrayFilters: [{ 'file.key': file.key }] }
+        );
+        if (deleteSource) {
+          await source.delete(file.key).catch(error => console.warn(`⚠️  Could not delete ${file.key}: ${error.message}`));
+        }
+        stats.reports.migrated++;
+      } catch (error) {
+        stats.reports.failed++;
+        console.error(`❌ Report ${report._id} (${file.key}): ${error.message}`);
+      }
+    }
+  }
+};
+
+const migrateAvatars = async ({ from, to, dryRun, deleteSource }, source, target, stats) => {
+  const query = { avatarKey: { $exists: true, $ne: null }, ...driverQuery('avatarStorageDriver', from) };
+
+  if (dryRun) {
+    stats.avatars.found = await User.countDocuments(query);
+    return;
+  }
+
+  const cursor = User.find(query).select('avatar avatarKey avatarStorageDriver').cursor();
+  for await (const user of cursor) {
+    stats.avatars.found++;
+
+    try {
+      const avatar = await copyObject(source, target, user.avatarKey);
+      await User.updateOne({ _id: user._id }, { $set: { avatar, avatarStorageDriver: to } });
+      if (deleteSource) {
+        await source.delete(user.avatarKey).catch(error => console.warn(`⚠️  Could not delete ${user.avatarKey}: ${error.message}`));
+      }
+      stats.avatars.migrated++;
+    } catch (error) {
+      stats.avatars.failed++;
+      console.error(`❌ Avatar of user ${user._id} (${user.avatarKey}): ${error.message}`);
+    }
+  }
+};
+
+async function migrateStorage() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log('Usage: npm run storage:migrate -- --from <s3|cloudinary|local> --to <s3|cloudinary|local> [--brand <id>] [--dry-run] [--delete-source]');
+    process.exit(1);
+  }
+
+  try {
+    const source = StorageFactory.getDriver(args.from);
+    const target = StorageFactory.getDriver(args.to);
+
+    if (!args.dryRun) {
+      await target.testConnection();
+      await fs.mkdir(tempDir, { recursive: true });
+    }
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+    console.log(`\n🚚 ${args.dryRun ? 'Dry run: ' : ''}${args.from} → ${args.to}${args.brand ? ` (brand ${args.brand})` : ''}`);
+
+    const stats = {
+      media: { found: 0, migrated: 0, failed: 0 },
+      reports: { found: 0, migrated: 0, failed: 0 },
+      avatars: { found: 0, migrated: 0, failed: 0 },
+    };
+
+    await migrateMedia(args, source, target, stats);
+    await migrateReports(args, source, target, stats);
+    // Avatars belong to users, not brands
+    if (!args.brand) {
+      await migrateAvatars(args, source, target, stats);
+    }
+
+    console.log('\n📊 Result:');
+    Object.entries(stats).forEach(([name, s]) => {
+      console.log(`   ${name}: ${s.found} found, ${s.migrated} migrated, ${s.failed} failed`);
+    });
+
+    await mongoose.disconnect();
+
+    const failed = Object.values(stats).reduce((sum, s) => sum + s.failed, 0);
+    if (failed > 0) {
+      console.log('\n⚠️  Some items failed; fix the errors above and run the command again');
+      process.exit(1);
+    }
+    console.log(`\n✅ Migration complete${args.dryRun ? '' : `. Set STORAGE_DRIVER=${args.to} to use the new backend.`}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateStorage();
@@ -4,8 +4,28 @@ const Channel = require('../models/Channel');
 const Brand = require('../models/Brand');
 const Membership = require('../models/Membership');
 const mongoose = require('mongoose');
+const { getZonedParts } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+// Interactions that count towards engagement
+const ENGAGEMENT_FIELDS = ['likes', 'comments', 'shares', 'clicks', 'saves'];
+const TOP_POST_SORT_FIELDS = ['engagement', 'engagementRate', 'impressions', 'reach', 'likes', 'comments', 'shares'];
+
+// Best-time recommendations
+const BEST_TIME_LOOKBACK_DAYS = 90;
+const BEST_TIME_MIN_POSTS = 10; // Synced posts a channel needs before its own history is used
+const BEST_TIME_MIN_SLOT_POSTS = 2; // Posts a weekday/hour slot needs to be ranked
+
+// Commonly recommended [weekday (0 = Sunday), hour] slots per platform, in brand-local time
+// Used when a channel has too little history
+const PLATFORM_BEST_TIMES = {
+  facebook: [[3, 9], [2, 9], [4, 9], [3, 13], [2, 13], [5, 11]],
+  instagram: [[2, 11], [3, 11], [1, 11], [4, 11], [3, 14], [5, 10]],
+  twitter: [[3, 9], [2, 9], [4, 9], [1, 9], [3, 12], [5, 9]],
+  linkedin: [[3, 8], [2, 10], [4, 9], [3, 10], [2, 8], [4, 12]],
+  youtube: [[5, 15], [4, 15], [6, 10], [0, 10], [5, 17], [6, 15]],
+};
+
 class AnalyticsService {
   /**
    * Check if user has access to brand analytics
@@ -50,7 +70,7 @@ class AnalyticsService {
       const publishedPosts = await PublishedPost.find({
         brand: brandId,
         publishedAt: { $gte: startDate },
-        status: 'published',
+        status: { $in: ['published', 'updated'] },
       }).populate('channel', 'provider displayName avatar');
 
       // 2️⃣ GET FAILED POSTS
@@ -103,6 +123,16 @@ class AnalyticsService {
       // 🔟 RECENT ACTIVITY
       const recentActivity = await this.getRecentActivity(brandId, 10);
 
+      // 1️⃣1️⃣ ENGAGEMENT AND PREVIOUS-PERIOD COMPARISON
+      const engagement = this.summarizeEngagement(publishedPosts);
+      const comparison = await this.getPeriodComparison(brandId, dateRange, startDate, {
+        totalPublished,
+        ...engagement,
+      });
+
+      // 1️⃣2️⃣ TOP PERFORMING POSTS
+      const topPosts = this.rankPosts(publishedPosts, 'engagement', 5);
+
       return {
         summary: {
           totalPublished,
@@ -117,10 +147,13 @@ class AnalyticsService {
             end: new Date().toISOString(),
           },
         },
+        engagement,
+        comparison,
         platformStats,
         contentTypeStats,
         postingTrends,
         topPostingDays,
+        topPosts,
         recentActivity,
       };
     } catch (error) {
@@ -138,19 +171,29 @@ class AnalyticsService {
     posts.forEach(post => {
       const provider = post.provider || post.channel?.provider || 'unknown';
       if (!platformMap[provider]) {
-        platformMap[provider] = { count: 0 };
+        platformMap[provider] = [];
       }
-      platformMap[provider].count++;
+      platformMap[provider].push(post);
     });
 
     const total = posts.length || 1;
 
-    return Object.entries(platformMap).map(([provider, data]) => ({
-      provider,
-      totalPosts: data.count,
-      totalChannels: 1,
-      percentage: ((data.count / total) * 100).toFixed(1),
-    }));
+    return Object.entries(platformMap).map(([provider, platformPosts]) => {
+      const channels = new Set(platformPosts.map(p => (p.channel?._id || p.channel)?.toString()));
+      const engagement = this.summarizeEngagement(platformPosts);
+
+      return {
+        provider,
+        totalPosts: platformPosts.length,
+        totalChannels: channels.size,
+        percentage: ((platformPosts.length / total) * 100).toFixed(1),
+        totalEngagement: engagement.totalEngagement,
+        avgEngagement: engagement.avgEngagement,
+        impressions: engagement.impressions,
+        reach: engagement.reach,
+        engagementRate: engagement.engagementRate,
+      };
+    }).sort((a, b) => b.totalEngagement - a.totalEngagement);
   }
 
   /**
@@ -162,22 +205,29 @@ class AnalyticsService {
     posts.forEach(post => {
       const type = post.mediaType || 'text';
       if (!typeMap[type]) {
-        typeMap[type] = 0;
+        typeMap[type] = [];
       }
-      typeMap[type]++;
+      typeMap[type].push(post);
     });
 
     const total = posts.length || 1;
 
-    return Object.entries(typeMap).map(([type, count]) => ({
-      type,
-      count,
-      percentage: ((count / total) * 100).toFixed(1),
-    }));
+    return Object.entries(typeMap).map(([type, typePosts]) => {
+      const engagement = this.summarizeEngagement(typePosts);
+
+      return {
+        type,
+        count: typePosts.length,
+        percentage: ((typePosts.length / total) * 100).toFixed(1),
+        totalEngagement: engagement.totalEngagement,
+        avgEngagement: engagement.avgEngagement,
+        engagementRate: engagement.engagementRate,
+      };
+    }).sort((a, b) => b.avgEngagement - a.avgEngagement);
   }
 
   /**
-   * Calculate posting trends over time
+   * Calculate posting and engagement trends over time
    */
   calculateTrends(posts, daysInRange) {
     const trends = [];
@@ -188,12 +238,19 @@ class AnalyticsService {
       date.setDate(date.getDate() - i);
       const dateStr = date.toISOString().split('T')[0];
 
-      const count = posts.filter(post => {
+      const dayPosts = posts.filter(post => {
         const postDate = new Date(post.publishedAt).toISOString().split('T')[0];
         return postDate === dateStr;
-      }).length;
-
-      trends.push({ date: dateStr, count });
+      });
+      const engagement = this.summarizeEngagement(dayPosts);
+
+      trends.push({
+        date: dateStr,
+        count: dayPosts.length,
+        engagement: engagement.totalEngagement,
+        impressions: engagement.impressions,
+        reach: engagement.reach,
+      });
     }
 
     return trends;
@@ -281,11 +338,333 @@ class AnalyticsService {
     const posts = await PublishedPost.find({
       brand: brandId,
       publishedAt: { $gte: startDate },
-    }).select('publishedAt provider');
+    }).select('publishedAt provider analytics');
 
     return this.calculateTrends(posts, this.getDaysInRange(dateRange));
   }
 
+  /**
+   * Get top performing posts
+   * sortBy: engagement (default), engagementRate, impressions, reach, likes, comments or shares
+   */
+  async getTopPosts(brandId, userId, options = {}) {
+    const membership = await this.checkBrandAccess(userId, brandId);
+    if (!membership) {
+      throw new Error('Permission denied');
+    }
+
+    const { period = '30d', provider, sortBy = 'engagement' } = options;
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 50);
+
+    if (!TOP_POST_SORT_FIELDS.includes(sortBy)) {
+      throw new Error(`sortBy must be one of: ${TOP_POST_SORT_FIELDS.join(', ')}`);
+    }
+
+    const query = {
+      brand: brandId,
+      publishedAt: { $gte: this.getStartDate(period) },
+      status: { $in: ['published', 'updated'] },
+    };
+    if (provider) {
+      query.provider = provider;
+    }
+
+    const posts = await PublishedPost.find(query)
+      .populate('channel', 'provider displayName avatar')
+      .populate('post', 'title');
+
+    return this.rankPosts(posts, sortBy, limit);
+  }
+
+  /**
+   * Sort posts by an engagement metric and attach the computed values
+   */
+  rankPosts(posts, sortBy = 'engagement', limit = 10) {
+    return posts
+      .map(post => {
+        const analytics = post.analytics || {};
+        const engagement = this.getEngagement(post);
+
+        return {
+          _id: post._id,
+          post: post.post,
+          provider: post.provider,
+          channel: post.channel,
+          title: post.title,
+          content: post.content?.substring(0, 200),
+          mediaType: post.mediaType,
+          platformUrl: post.platformUrl,
+          publishedAt: post.publishedAt,
+          likes: analytics.likes || 0,
+          comments: analytics.comments || 0,
+          shares: analytics.shares || 0,
+          clicks: analytics.clicks || 0,
+          impressions: analytics.impressions || 0,
+          reach: analytics.reach || 0,
+          engagement,
+          engagementRate: this.getEngagementRate(engagement, analytics),
+          lastSyncedAt: analytics.lastSyncedAt || null,
+        };
+      })
+      .sort((a, b) => (b[sortBy] || 0) - (a[sortBy] || 0) || b.publishedAt - a.publishedAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Engagement totals and rate for a set of posts
+   */
+  summarizeEngagement(posts) {
+    const totals = {
+      likes: 0,
+      comments: 0,
+      shares: 0,
+      clicks: 0,
+      saves: 0,
+      impressions: 0,
+      reach: 0,
+      views: 0,
+    };
+
+    // Only posts with impressions/reach count towards the rate, so platforms without them don't inflate it
+    let rateEngagement = 0;
+    let rateBase = 0;
+
+    posts.forEach(post => {
+      Object.keys(totals).forEach(key => {
+        totals[key] += post.analytics?.[key] || 0;
+      });
+
+      const base = post.analytics?.impressions || post.analytics?.reach || 0;
+      if (base > 0) {
+        rateEngagement += this.getEngagement(post);
+        rateBase += base;
+      }
+    });
+
+    const totalEngagement = ENGAGEMENT_FIELDS.reduce((sum, key) => sum + totals[key], 0);
+
+    return {
+      ...totals,
+      totalEngagement,
+      avgEngagement: posts.length > 0 ? parseFloat((totalEngagement / posts.length).toFixed(2)) : 0,
+      engagementRate: this.getEngagementRate(rateEngagement, { impressions: rateBase }),
+      syncedPosts: posts.filter(p => p.analytics?.lastSyncedAt).length,
+    };
+  }
+
+  /**
+   * Compare the current period with the one right before it
+   * Returns null for 'all' since there is no previous period.
+   */
+  async getPeriodComparison(brandId, dateRange, startDate, current) {
+    if (dateRange === 'all') {
+      return null;
+    }
+
+    const days = this.getDaysInRange(dateRange);
+    const previousStart = new Date(startDate.getTime() - days * 24 * 60 * 60 * 1000);
+
+    const previousPosts = await PublishedPost.find({
+      brand: brandId,
+      publishedAt: { $gte: previousStart, $lt: startDate },
+      status: { $in: ['published', 'updated'] },
+    }).select('analytics');
+
+    const previous = {
+      totalPublished: previousPosts.length,
+      ...this.summarizeEngagement(previousPosts),
+    };
+
+    const metrics = ['totalPublished', 'totalEngagement', 'impressions', 'reach', 'engagementRate'];
+    const comparison = {
+      previousPeriod: {
+        start: previousStart.toISOString(),
+        end: startDate.toISOString(),
+      },
+    };
+
+    metrics.forEach(metric => {
+      comparison[metric] = {
+        current: current[metric],
+        previous: previous[metric],
+        change: this.getPercentChange(current[metric], previous[metric]),
+      };
+    });
+
+    return comparison;
+  }
+
+  /**
+   * Best times to post for each active channel of a brand (or a single channel)
+   */
+  async getBestTimes(brandId, userId, options = {}) {
+    const membership = await this.checkBrandAccess(userId, brandId);
+    if (!membership) {
+      throw new Error('Permission denied');
+    }
+
+    const brand = await Brand.findById(brandId).select('settings.timezone');
+    const timezone = brand?.settings?.timezone || 'UTC';
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 5, 1), 24);
+
+    const query = { brand: brandId, connectionStatus: 'active' };
+    if (options.channelId) {
+      if (!mongoose.Types.ObjectId.isValid(String(options.channelId))) {
+        throw new Error('Invalid channel ID');
+      }
+      query._id = options.channelId;
+    }
+
+    const channels = await Channel.find(query).select('provider displayName avatar');
+
+    return await Promise.all(
+      channels.map(channel => this.getChannelBestTimes(channel, timezone, limit))
+    );
+  }
+
+  /**
+   * Rank weekday/hour slots for one channel by average engagement of past posts
+   * Falls back to platform defaults when the channel has too little synced history.
+   *
+   * @returns {Promise<{ channel, timezone, source: 'history'|'default', sampleSize, slots }>}
+   *   slots: [{ weekday, hour, score, posts, source }] best first
+   */
+  async getChannelBestTimes(channel, timezone = 'UTC', limit = 5) {
+    const since = new Date(Date.now() - BEST_TIME_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    const posts = await PublishedPost.find({
+      channel: channel._id,
+      status: { $in: ['published', 'updated'] },
+      publishedAt: { $gte: since },
+      'analytics.lastSyncedAt': { $exists: true },
+    }).select('publishedAt analytics');
+
+    const defaults = (PLATFORM_BEST_TIMES[channel.provider] || [])
+      .map(([weekday, hour]) => ({ weekday, hour, score: null, posts: 0, source: 'default' }));
+
+    let slots = [];
+
+    if (posts.length >= BEST_TIME_MIN_POSTS) {
+      const buckets = new Map();
+
+      posts.forEach(post => {
+        const { weekday, hour } = getZonedParts(post.publishedAt, timezone);
+        const key = `${weekday}:${hour}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, { weekday, hour, total: 0, posts: 0 });
+        }
+        const bucket = buckets.get(key);
+        bucket.total += this.getPostScore(post);
+        bucket.posts++;
+      });
+
+      slots = [...buckets.values()]
+        .filter(b => b.posts >= BEST_TIME_MIN_SLOT_POSTS)
+        .map(b => ({
+          weekday: b.weekday,
+          hour: b.hour,
+          score: parseFloat((b.total / b.posts).toFixed(2)),
+          posts: b.posts,
+          source: 'history',
+        }))
+        .sort((a, b) => b.score - a.score || b.posts - a.posts);
+    }
+
+    const source = slots.length > 0 ? 'history' : 'default';
+
+    // Top up thin history with defaults that aren't already ranked
+    defaults.forEach(slot => {
+      if (!slots.some(s => s.weekday === slot.weekday && s.hour === slot.hour)) {
+        slots.push(slot);
+      }
+    });
+
+    return {
+      channel: {
+        _id: channel._id,
+        provider: channel.provider,
+        displayName: channel.displayName,
+        avatar: channel.avatar,
+      },
+      timezone,
+      source,
+      sampleSize: posts.length,
+      slots: slots.slice(0, limit),
+    };
+  }
+
+  /**
+   * Analytics for an explicit date range, used by scheduled reports
+   *
+   * @param {string} brandId
+   * @param {Object} options - { start: Date, end: Date (exclusive), channelIds: [], timezone }
+   */
+  async getReportData(brandId, options) {
+    const { start, end, channelIds = [], timezone = 'UTC' } = options;
+
+    const query = {
+      brand: brandId,
+      publishedAt: { $gte: start, $lt: end },
+    };
+    if (channelIds.length > 0) {
+      query.channel = { $in: channelIds };
+    }
+
+    const [publishedPosts, totalFailed] = await Promise.all([
+      PublishedPost.find({ ...query, status: { $in: ['published', 'updated'] } })
+        .populate('channel', 'provider displayName avatar')
+        .populate('post', 'title'),
+      PublishedPost.countDocuments({ ...query, status: 'failed' }),
+    ]);
+
+    // Daily buckets in the brand timezone
+    const byDay = new Map();
+    publishedPosts.forEach(post => {
+      const { year, month, day } = getZonedParts(post.publishedAt, timezone);
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      if (!byDay.has(date)) byDay.set(date, []);
+      byDay.get(date).push(post);
+    });
+
+    const trends = [];
+    for (let time = start.getTime(); time < end.getTime(); time += 24 * 60 * 60 * 1000) {
+      const { year, month, day } = getZonedParts(new Date(time), timezone);
+      const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+      if (trends.some(t => t.date === date)) continue;
+
+      const engagement = this.summarizeEngagement(byDay.get(date) || []);
+      trends.push({
+        date,
+        count: (byDay.get(date) || []).length,
+        engagement: engagement.totalEngagement,
+        impressions: engagement.impressions,
+        reach: engagement.reach,
+      });
+    }
+
+    const totalPublished = publishedPosts.length;
+
+    return {
+      summary: {
+        totalPublished,
+        totalFailed,
+        successRate: totalPublished + totalFailed > 0
+          ? parseFloat(((totalPublished / (totalPublished + totalFailed)) * 100).toFixed(2))
+          : 100,
+        totalChannels: new Set(publishedPosts.map(p => (p.channel?._id || p.channel)?.toString())).size,
+        dateRange: {
+          start: start.toISOString(),
+          end: end.toISOString(),
+        },
+      },
+      engagement: this.summarizeEngagement(publishedPosts),
+      platforms: this.groupByPlatform(publishedPosts),
+      contentTypes: this.groupByContentType(publishedPosts),
+      trends,
+      topPosts: this.rankPosts(publishedPosts, 'engagement', 10),
+    };
+  }
+
   /**
    * Export analytics to CSV format
    */
@@ -300,15 +679,19 @@ class AnalyticsService {
     csv += `Success Rate,${metrics.summary.successRate}%\n`;
     csv += `Posts Per Day,${metrics.summary.postsPerDay}\n`;
     csv += `Period,${metrics.summary.period}\n`;
+    csv += `Total Engagement,${metrics.engagement.totalEngagement}\n`;
+    csv += `Impressions,${metrics.engagement.impressions}\n`;
+    csv += `Reach,${metrics.engagement.reach}\n`;
+    csv += `Engagement Rate,${metrics.engagement.engagementRate ?? ''}%\n`;
 
-    csv += '\nPlatform,Posts,Percentage\n';
+    csv += '\nPlatform,Posts,Percentage,Engagement,Engagement Rate\n';
     metrics.platformStats.forEach(p => {
-      csv += `${p.provider},${p.totalPosts},${p.percentage}%\n`;
+      csv += `${p.provider},${p.totalPosts},${p.percentage}%,${p.totalEngagement},${p.engagementRate ?? ''}%\n`;
     });
 
-    csv += '\nContent Type,Count,Percentage\n';
+    csv += '\nContent Type,Count,Percentage,Avg Engagement\n';
     metrics.contentTypeStats.forEach(c => {
-      csv += `${c.type},${c.count},${c.percentage}%\n`;
+      csv += `${c.type},${c.count},${c.percentage}%,${c.avgEngagement}\n`;
     });
 
     return csv;
@@ -335,6 +718,40 @@ class AnalyticsService {
     }
   }
 
+  /**
+   * Total interactions on a published post
+   */
+  getEngagement(post) {
+    return ENGAGEMENT_FIELDS.reduce((sum, key) => sum + (post.analytics?.[key] || 0), 0);
+  }
+
+  /**
+   * Per-post score for slot ranking: engagement rate when the platform reports
+   * impressions/reach, raw engagement otherwise
+   */
+  getPostScore(post) {
+    const engagement = this.getEngagement(post);
+    return this.getEngagementRate(engagement, post.analytics) ?? engagement;
+  }
+
+  /**
+   * Engagement as a percentage of impressions (reach when the platform has no impressions)
+   * null when neither is known
+   */
+  getEngagementRate(engagement, analytics = {}) {
+    const base = analytics.impressions || analytics.reach || 0;
+    if (base === 0) return null;
+    return parseFloat(((engagement / base) * 100).toFixed(2));
+  }
+
+  /**
+   * Percent change, null when there is nothing to compare against
+   */
+  getPercentChange(current, previous) {
+    if (current === null || current === undefined || !previous) return null;
+    return parseFloat((((current - previous) / previous) * 100).toFixed(1));
+  }
+
   /**
    * Get days in range
    */
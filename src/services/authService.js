@@ -1,7 +1,9 @@
 const User = require("../models/User");
 const { generateTokenPair } = require("../utils/jwt");
 const crypto = require("crypto");
+const fs = require("fs").promises;
 const emailService = require("./emailService");
+const storageService = require("./storageService");
 const logger = require('../utils/logger');
 const { generateDeviceFingerprint, getDeviceName, getLocationFromIP } = require('../utils/deviceFingerprint');
 
@@ -541,17 +543,26 @@ async setPasswordForGoogleUser(userId, newPassword) {
    /**
    * Upload Avatar
    */
-  async uploadAvatar(userId, avatarUrl) {
+  async uploadAvatar(userId, file) {
     const user = await User.findById(userId);
 
     if (!user) {
+      await fs.unlink(file.path).catch(() => {});
       throw new Error('User not found');
     }
 
-    // Update avatar URL (Cloudinary URL)
-    user.avatar = avatarUrl;
+    const previous = { key: user.avatarKey, driver: user.avatarStorageDriver };
+    const upload = await storageService.uploadAvatar(file.path, userId);
+
+    user.avatar = upload.url;
+    user.avatarKey = upload.key;
+    user.avatarStorageDriver = upload.driver;
     await user.save();
 
+    if (previous.key) {
+      await storageService.deleteFile(previous.key, previous.driver).catch(() => {});
+    }
+
     return user;
   }
 }
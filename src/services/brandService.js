@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Brand = require('../models/Brand');
 const Membership = require('../models/Membership');
 const Channel = require('../models/Channel');
@@ -146,6 +147,122 @@ class BrandService {
     return brand;
   }
 
+  /**
+   * Get brand queue slots
+   */
+  async getQueueSlots(brandId, userId) {
+    const brand = await Brand.findById(brandId)
+      .populate('settings.queueSlots.channel', 'provider displayName avatar');
+
+    if (!brand || brand.status === 'deleted') {
+      throw new Error('Brand not found');
+    }
+
+    const membership = await Membership.findOne({
+      user: userId,
+      brand: brandId,
+    });
+
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    return {
+      timezone: brand.settings.timezone,
+      defaultPostingTime: brand.settings.defaultPostingTime,
+      evergreenRecycleDays: brand.settings.evergreenRecycleDays,
+      slots: brand.settings.queueSlots,
+    };
+  }
+
+  /**
+   * Replace brand queue slots
+   */
+  async updateQueueSlots(brandId, userId, data) {
+    const brand = await Brand.findById(brandId);
+
+    if (!brand || brand.status === 'deleted') {
+      throw new Error('Brand not found');
+    }
+
+    const membership = await Membership.findOne({
+      user: userId,
+      brand: brandId,
+    });
+
+    if (!membership || !membership.hasPermission('manage_brand')) {
+      throw new Error('Permission denied');
+    }
+
+    const { slots, evergreenRecycleDays } = data;
+
+    if (slots !== undefined) {
+      if (!Array.isArray(slots) || slots.some(slot => !slot || typeof slot !== 'object')) {
+        throw this.slotError('Slots must be an array');
+      }
+
+      const channelIds = [...new Set(slots.map(slot => String(slot.channel)))];
+      if (!channelIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        throw this.slotError('Invalid channel');
+      }
+
+      const invalidTime = slots.find(slot => !this.isValidSlotTime(slot));
+      if (invalidTime) {
+        throw this.slotError('Invalid slot time: weekday must be 0-6, hour 0-23 and minute 0-59');
+      }
+
+      const channelCount = await Channel.countDocuments({
+        _id: { $in: channelIds },
+        brand: brandId,
+      });
+
+      if (channelCount !== channelIds.length) {
+        throw this.slotError('Invalid channel');
+      }
+
+      // Drop exact duplicates so one slot can't be handed out twice
+      const seen = new Set();
+      brand.settings.queueSlots = slots
+        .map(slot => ({
+          channel: slot.channel,
+          weekday: Number(slot.weekday),
+          hour: Number(slot.hour),
+          minute: Number(slot.minute || 0),
+        }))
+        .filter(slot => {
+          const key = `${slot.channel}:${slot.weekday}:${slot.hour}:${slot.minute}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+    }
+
+    if (evergreenRecycleDays !== undefined) {
+      brand.settings.evergreenRecycleDays = evergreenRecycleDays;
+    }
+
+    await brand.save();
+    return this.getQueueSlots(brandId, userId);
+  }
+
+  /**
+   * Helper: whether a queue slot names a valid weekday, hour and minute
+   */
+  isValidSlotTime(slot) {
+    const inRange = (value, max) => ['number', 'string'].includes(typeof value) && String(value).trim() !== ''
+      && Number.isInteger(Number(value)) && Number(value) >= 0 && Number(value) <= max;
+    return inRange(slot.weekday, 6) && inRange(slot.hour, 23) && inRange(slot.minute ?? 0, 59);
+  }
+
+  /**
+   * Helper: 400 error for invalid queue slots
+   */
+  slotError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
   /**
    * Delete brand (soft delete)
    */
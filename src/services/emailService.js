@@ -374,6 +374,28 @@ class EmailService {
     });
   }
 
+  /**
+   * Send WhatsApp Quality Rating / Messaging Limit Alert
+   */
+  async sendWhatsAppQualityAlertEmail(email, userName, alertData) {
+    return await this.sendEmail({
+      to: email,
+      subject: `${alertData.severity === 'critical' ? '🚨' : '⚠️'} WhatsApp Account Alert for ${alertData.brandName} - SocialFlow`,
+      template: 'whatsapp-quality-alert',
+      data: {
+        userName,
+        brandName: alertData.brandName,
+        phoneNumber: alertData.phoneNumber,
+        message: alertData.message,
+        qualityRating: alertData.qualityRating,
+        messagingLimit: alertData.messagingLimit,
+        pausedCampaigns: alertData.pausedCampaigns,
+        healthUrl: `${process.env.CLIENT_URL}/whatsapp/health/${alertData.channelId}`,
+        appName: process.env.APP_NAME || 'SocialFlow',
+      },
+    });
+  }
+
   /**
    * Send Daily Summary Email
    */
@@ -395,6 +417,29 @@ class EmailService {
     });
   }
 
+  /**
+   * Send Scheduled Analytics Report Email (PDF/XLSX attached)
+   */
+  async sendAnalyticsReportEmail(recipients, reportData, attachments = []) {
+    return await this.sendEmail({
+      to: recipients,
+      subject: `📑 ${reportData.reportName} - ${reportData.brandName}`,
+      template: 'analytics-report',
+      data: {
+        brandName: reportData.brandName,
+        reportName: reportData.reportName,
+        period: reportData.period,
+        primaryColor: reportData.primaryColor,
+        totalPublished: reportData.summary?.totalPublished || 0,
+        totalEngagement: reportData.engagement?.totalEngagement || 0,
+        impressions: reportData.engagement?.impressions || 0,
+        engagementRate: reportData.engagement?.engagementRate,
+        appName: process.env.APP_NAME || 'SocialFlow',
+      },
+      attachments,
+    });
+  }
+
   /**
    * Send Test Email
    */
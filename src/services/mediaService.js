@@ -1,16 +1,49 @@
 const Media = require("../models/Media");
 const Folder = require("../models/Folder");
-const s3Service = require("./s3Service");
+const Post = require("../models/Post");
+const storageService = require("./storageService");
+const storageQuotaService = require("./storageQuotaService");
+const postValidationService = require("./postValidationService");
 const sharp = require("sharp");
 const logger = require("../utils/logger");
+const { ffmpeg, probe, parseFrameRate, run, captureFrame } = require("../utils/ffmpeg");
+const {
+  RENDITION_PROFILES,
+  getRenditionProfile,
+  getRenditionKey,
+  planRendition,
+} = require("../utils/mediaRenditions");
+const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
 const mongoose = require("mongoose");
 
+const thumbnailsDir = path.join(__dirname, "../../uploads/thumbnails");
+const renditionsDir = path.join(__dirname, "../../uploads/renditions");
+const THUMBNAIL_WIDTH = 640;
+// Trashed media can be restored for this long before its files are purged
+const TRASH_RETENTION_DAYS = 30;
+// Schedules that will still publish the media
+const PENDING_SCHEDULE_STATUSES = ["pending", "queued"];
+// Transcoding a long video takes a while; still kill runs that hang
+const RENDER_TIMEOUT_SECONDS = 30 * 60;
+// JPEG/WebP quality and scale tried in turn until an image fits the byte limit
+const IMAGE_ENCODE_STEPS = [
+  { quality: 90, scale: 1 },
+  { quality: 80, scale: 1 },
+  { quality: 70, scale: 1 },
+  { quality: 70, scale: 0.75 },
+  { quality: 70, scale: 0.5 },
+];
+
 class MediaService {
   /**
-   * Upload media file to S3 and save to database
+   * Upload media file to storage and save to database
    */
   async uploadMedia(file, userId, brandId, options = {}) {
+    let metadata = {};
+
     try {
       logger.info("📤 Uploading media to library", {
         originalName: file.originalname,
@@ -20,24 +53,59 @@ class MediaService {
       });
 
       const type = this.getMediaType(file.mimetype);
-      const uploadResult = await s3Service.uploadFile(file.path, "media", {
+
+      // The same file uploaded again returns the existing library item
+      const contentHash = file.contentHash || await this.computeContentHash(file.path);
+      const existing = await Media.findOne({
+        brand: brandId,
+        contentHash,
+        status: { $ne: "deleted" },
+      });
+      if (existing) {
+        await fs.promises.unlink(file.path).catch(() => {});
+        logger.info("♻️ Duplicate upload, returning existing media", {
+          mediaId: existing._id,
+          originalName: file.originalname,
+          brandId,
+        });
+        existing.duplicate = true;
+        return existing;
+      }
+
+      try {
+        await storageQuotaService.assertCanStore(brandId, [file]);
+      } catch (quotaError) {
+        await fs.promises.unlink(file.path).catch(() => {});
+        throw quotaError;
+      }
+
+      // Read the local file before the upload removes it
+      metadata = await this.extractMetadata(file.path, type);
+      if (type === "video") {
+        Object.assign(metadata, await this.createVideoThumbnail(file.path, metadata, {
+          brandId: brandId.toString(),
+          uploadedBy: userId.toString(),
+        }));
+      }
+
+      const uploadResult = await storageService.uploadFile(file.path, "media", {
         brandId: brandId.toString(),
         uploadedBy: userId.toString(),
         type,
       });
 
-      const metadata = await this.extractMetadata(file.path, type);
-
-      const media = await Media.create({
+      const media = await this.createUniqueMedia({
         brand: brandId,
         uploadedBy: userId,
         filename: uploadResult.fileName,
         originalName: file.originalname,
         mimeType: file.mimetype,
         size: uploadResult.size,
+        contentHash,
         s3Key: uploadResult.key,
         s3Url: uploadResult.url,
         s3Bucket: uploadResult.bucket,
+        storageDriver: uploadResult.driver,
         type,
         metadata,
         tags: options.tags || [],
@@ -45,6 +113,9 @@ class MediaService {
         altText: options.altText || "",
         caption: options.caption || "",
       });
+      if (media.duplicate) {
+        return media;
+      }
 
       logger.info("✅ Media uploaded successfully", {
         mediaId: media._id,
@@ -53,8 +124,15 @@ class MediaService {
         tags: media.tags,
       });
 
+      await storageQuotaService.checkWarningThresholds(brandId);
+
       return media;
     } catch (error) {
+      // The poster is useless without its video
+      if (metadata.thumbnailKey) {
+        await storageService.deleteFile(metadata.thumbnailKey).catch(() => {});
+      }
+
       logger.error("❌ Media upload failed", {
         error: error.message,
         file: file.originalname,
@@ -63,6 +141,45 @@ class MediaService {
     }
   }
 
+  /**
+   * Create a library item; when a concurrent upload of the same file was stored first,
+   * this copy's files are removed and the existing item is returned (marked duplicate)
+   */
+  async createUniqueMedia(fields) {
+    try {
+      return await Media.create(fields);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await Media.findOne({
+        brand: fields.brand,
+        contentHash: fields.contentHash,
+        status: "active",
+      });
+      if (!existing) throw error;
+
+      for (const key of [fields.s3Key, fields.metadata?.thumbnailKey].filter(Boolean)) {
+        await storageService.deleteFile(key, fields.storageDriver).catch(() => {});
+      }
+
+      logger.info("♻️ Concurrent duplicate upload, returning existing media", {
+        mediaId: existing._id,
+        brandId: fields.brand,
+      });
+      existing.duplicate = true;
+      return existing;
+    }
+  }
+
+  /**
+   * SHA-256 of a file's contents (hex)
+   */
+  async computeContentHash(filePath) {
+    const hash = crypto.createHash("sha256");
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest("hex");
+  }
+
   /**
  * Get media library for a brand
  */
@@ -205,35 +322,87 @@ async getMediaLibrary(brandId, filters = {}) {
   }
 
   /**
-   * Delete media (soft delete)
+   * Posts that will still publish a media item (pending/queued schedules or an active recurrence)
+   */
+  async findPendingReferences(media) {
+    const posts = await Post.find({
+      brand: media.brand,
+      $and: [
+        {
+          $or: [
+            { _id: { $in: media.usedInPosts || [] } },
+            { mediaLibraryItems: media._id },
+            { "schedules.override.mediaLibraryItems": media._id },
+            { "recurrence.channels.override.mediaLibraryItems": media._id },
+            { mediaUrls: media.s3Url },
+            { "schedules.override.mediaUrls": media.s3Url },
+            { "recurrence.channels.override.mediaUrls": media.s3Url },
+          ],
+        },
+        {
+          $or: [
+            { "schedules.status": { $in: PENDING_SCHEDULE_STATUSES } },
+            { "recurrence.status": "active" },
+          ],
+        },
+      ],
+    }).select("title schedules.status schedules.scheduledFor schedules.provider recurrence.status");
+
+    return posts.map((post) => {
+      const pending = post.schedules
+        .filter((s) => PENDING_SCHEDULE_STATUSES.includes(s.status))
+        .sort((a, b) => a.scheduledFor - b.scheduledFor);
+
+      return {
+        postId: post._id,
+        title: post.title,
+        nextScheduledFor: pending[0]?.scheduledFor,
+        providers: [...new Set(pending.map((s) => s.provider))],
+        recurring: post.recurrence?.status === "active",
+      };
+    });
+  }
+
+  /**
+   * Helper: refuse to remove media that scheduled posts still use, unless confirmed
    */
-  async deleteMedia(mediaId, brandId) {
+  async assertNotReferenced(media, confirm) {
+    if (confirm) return;
+
+    const references = await this.findPendingReferences(media);
+    if (references.length > 0) {
+      const error = new Error(
+        `Media is used by ${references.length} scheduled post(s). Confirm to delete it anyway.`
+      );
+      error.statusCode = 409;
+      error.references = references;
+      throw error;
+    }
+  }
+
+  /**
+   * Delete media (move to trash, restorable for TRASH_RETENTION_DAYS)
+   */
+  async deleteMedia(mediaId, brandId, userId, { confirm = false } = {}) {
     try {
       const media = await Media.findOne({
         _id: mediaId,
         brand: brandId,
+        status: { $ne: "deleted" },
       });
 
       if (!media) {
         throw new Error("Media not found");
       }
 
-      // Check if media is used in any posts
-      if (media.usageCount > 0) {
-        throw new Error(
-          `Cannot delete media that is used in ${media.usageCount} post(s). Archive it instead.`
-        );
-      }
+      await this.assertNotReferenced(media, confirm);
 
-      // Soft delete
-      await media.softDelete();
+      const purgeAt = new Date(Date.now() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+      await media.softDelete(userId, purgeAt);
 
-      // Optionally delete from S3 (uncomment if you want hard delete)
-      // await s3Service.deleteFile(media.s3Key);
+      logger.info("🗑️ Media moved to trash", { mediaId, purgeAt, confirmed: confirm });
 
-      logger.info("✅ Media deleted", { mediaId });
-
-      return { success: true, message: "Media deleted successfully" };
+      return { success: true, message: "Media moved to trash", purgeAt };
     } catch (error) {
       logger.error("❌ Delete media failed", {
         error: error.message,
@@ -246,7 +415,7 @@ async getMediaLibrary(brandId, filters = {}) {
   /**
    * Bulk delete media
    */
-  async bulkDeleteMedia(mediaIds, brandId) {
+  async bulkDeleteMedia(mediaIds, brandId, userId, options = {}) {
     try {
       const results = {
         deleted: [],
@@ -255,10 +424,10 @@ async getMediaLibrary(brandId, filters = {}) {
 
       for (const mediaId of mediaIds) {
         try {
-          await this.deleteMedia(mediaId, brandId);
+          await this.deleteMedia(mediaId, brandId, userId, options);
           results.deleted.push(mediaId);
         } catch (error) {
-          results.failed.push({ mediaId, error: error.message });
+          results.failed.push({ mediaId, error: error.message, references: error.references });
         }
       }
 
@@ -269,6 +438,126 @@ async getMediaLibrary(brandId, filters = {}) {
     }
   }
 
+  /**
+   * Trashed media of a brand, soonest purge first
+   */
+  async getTrash(brandId, { page = 1, limit = 50 } = {}) {
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const query = { brand: brandId, status: "deleted" };
+
+    const [media, total] = await Promise.all([
+      Media.find(query)
+        .populate("deletedBy", "name email")
+        .sort({ purgeAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Media.countDocuments(query),
+    ]);
+
+    return {
+      media,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Restore media from the trash
+   */
+  async restoreMedia(mediaId, brandId) {
+    const media = await Media.findOne({ _id: mediaId, brand: brandId, status: "deleted" });
+    if (!media) {
+      throw new Error("Media not found in trash");
+    }
+
+    try {
+      await media.restore();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const conflict = new Error("The same file is already in the media library");
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    logger.info("♻️ Media restored from trash", { mediaId });
+
+    return media;
+  }
+
+  /**
+   * Delete trashed media and its files now instead of at purgeAt
+   */
+  async permanentlyDeleteMedia(mediaId, brandId, { confirm = false } = {}) {
+    const media = await Media.findOne({ _id: mediaId, brand: brandId, status: "deleted" });
+    if (!media) {
+      throw new Error("Media not found in trash");
+    }
+
+    await this.assertNotReferenced(media, confirm);
+    await this.purgeMedia(media);
+
+    return { success: true, message: "Media permanently deleted" };
+  }
+
+  /**
+   * Helper: remove the stored files of a media item (original, poster, renditions) and the item
+   */
+  async purgeMedia(media) {
+    const files = [
+      { key: media.s3Key, driver: media.storageDriver },
+      { key: media.metadata?.thumbnailKey, driver: media.storageDriver },
+      ...(media.renditions || []).map((r) => ({ key: r.s3Key, driver: r.storageDriver || media.storageDriver })),
+    ].filter((file) => file.key);
+
+    // A failed delete keeps the item so the next purge retries it
+    for (const file of files) {
+      await storageService.deleteFile(file.key, file.driver);
+    }
+    await Media.deleteOne({ _id: media._id });
+
+    logger.info("🔥 Media purged", { mediaId: media._id, files: files.length });
+  }
+
+  /**
+   * Purge trash items past their retention (run daily by the media trash purge job)
+   * Items that scheduled posts still use are kept until those posts are done.
+   */
+  async purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const cursor = Media.find({
+      status: "deleted",
+      $or: [
+        { purgeAt: { $lte: new Date() } },
+        // Deleted before the trash had a retention date
+        { purgeAt: { $exists: false }, updatedAt: { $lte: cutoff } },
+      ],
+    }).cursor();
+
+    const result = { purged: 0, kept: 0, failed: 0 };
+    for await (const media of cursor) {
+      try {
+        const references = await this.findPendingReferences(media);
+        if (references.length > 0) {
+          result.kept++;
+          continue;
+        }
+
+        await this.purgeMedia(media);
+        result.purged++;
+      } catch (error) {
+        result.failed++;
+        logger.error("❌ Media purge failed", { mediaId: media._id, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Get folders for a brand
    */
@@ -407,23 +696,25 @@ async getMediaLibrary(brandId, filters = {}) {
       if (type === "image") {
         const metadata = await sharp(filePath).metadata();
 
+        // EXIF orientations 5-8 display the image rotated by 90 degrees
+        const rotated = metadata.orientation >= 5;
+        const width = rotated ? metadata.height : metadata.width;
+        const height = rotated ? metadata.width : metadata.height;
+
         return {
-          width: metadata.width,
-          height: metadata.height,
-          aspectRatio: this.calculateAspectRatio(
-            metadata.width,
-            metadata.height
-          ),
+          width,
+          height,
+          aspectRatio: this.calculateAspectRatio(width, height),
           format: metadata.format,
         };
       }
 
-      // For videos, you'd use a library like fluent-ffmpeg
-      // Simplified version here
       if (type === "video") {
-        return {
-          format: path.extname(filePath).substring(1),
-        };
+        return await this.probeVideo(filePath);
+      }
+
+      if (type === "audio") {
+        return await this.probeAudio(filePath);
       }
 
       return {};
@@ -436,12 +727,301 @@ async getMediaLibrary(brandId, filters = {}) {
     }
   }
 
+  /**
+   * Duration, display dimensions, frame rate, codec and bitrate of a video (ffprobe)
+   */
+  async probeVideo(filePath) {
+    const { format, streams } = await probe(filePath);
+    const video = streams.find((stream) => stream.codec_type === "video");
+    if (!video) {
+      throw new Error("No video stream found");
+    }
+
+    // Phones record portrait video as landscape frames with a rotation flag
+    // (older files: rotate tag; newer: display matrix side data, flattened by fluent-ffmpeg)
+    const rotation = Number(video.tags?.rotate ?? video.rotation ?? 0);
+    const rotated = Math.abs(rotation) % 180 === 90;
+    const width = rotated ? video.height : video.width;
+    const height = rotated ? video.width : video.height;
+
+    const duration = Number(format.duration ?? video.duration);
+    const bitrate = Number(format.bit_rate ?? video.bit_rate);
+
+    return {
+      width,
+      height,
+      aspectRatio: width && height ? this.calculateAspectRatio(width, height) : undefined,
+      duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : undefined,
+      fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate) || undefined,
+      codec: video.codec_name,
+      bitrate: Number.isFinite(bitrate) ? bitrate : undefined,
+      format: path.extname(filePath).substring(1).toLowerCase(),
+    };
+  }
+
+  /**
+   * Duration, codec and bitrate of an audio file (ffprobe)
+   */
+  async probeAudio(filePath) {
+    const { format, streams } = await probe(filePath);
+    const audio = streams.find((stream) => stream.codec_type === "audio");
+
+    const duration = Number(format.duration ?? audio?.duration);
+    const bitrate = Number(format.bit_rate ?? audio?.bit_rate);
+
+    return {
+      duration: Number.isFinite(duration) ? Math.round(duration * 100) / 100 : undefined,
+      codec: audio?.codec_name,
+      bitrate: Number.isFinite(bitrate) ? bitrate : undefined,
+      format: path.extname(filePath).substring(1).toLowerCase(),
+    };
+  }
+
+  /**
+   * Capture a poster frame and upload it as the video's thumbnail
+   * Returns { thumbnailUrl, thumbnailKey }, or {} when no frame could be taken
+   */
+  async createVideoThumbnail(filePath, videoMetadata = {}, storageMetadata = {}) {
+    const thumbnailPath = path.join(thumbnailsDir, `${path.parse(filePath).name}-poster.jpg`);
+
+    try {
+      await fs.promises.mkdir(thumbnailsDir, { recursive: true });
+
+      // 1s in skips black lead-in frames; very short clips use their midpoint
+      const { duration, width } = videoMetadata;
+      const seconds = duration > 2 ? 1 : (duration || 0) / 2;
+      await captureFrame(filePath, thumbnailPath, {
+        seconds,
+        width: Math.min(width || THUMBNAIL_WIDTH, THUMBNAIL_WIDTH),
+      });
+
+      const upload = await storageService.uploadThumbnail(thumbnailPath, storageMetadata);
+      return { thumbnailUrl: upload.url, thumbnailKey: upload.key };
+    } catch (error) {
+      logger.warn("⚠️ Failed to create video thumbnail", {
+        error: error.message,
+        filePath,
+      });
+      return {};
+    } finally {
+      await fs.promises.unlink(thumbnailPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Media URLs to publish on a platform: library items are swapped for their platform
+   * rendition (created on first use); a failed rendition falls back to the original
+   */
+  async getRenditionUrls(brandId, mediaUrls = [], platform) {
+    if (!RENDITION_PROFILES[platform] || mediaUrls.length === 0) {
+      return mediaUrls;
+    }
+
+    const mediaItems = await Media.find({ brand: brandId, s3Url: { $in: mediaUrls } });
+    const byUrl = new Map(mediaItems.map((m) => [m.s3Url, m]));
+    const urls = [];
+
+    for (const url of mediaUrls) {
+      const media = byUrl.get(url);
+
+      try {
+        const rendition = media ? await this.getRendition(media, platform) : null;
+        urls.push(rendition ? rendition.s3Url : url);
+      } catch (error) {
+        logger.warn("⚠️ Rendition failed, publishing the original", {
+          mediaId: media._id,
+          platform,
+          error: error.message,
+        });
+        urls.push(url);
+      }
+    }
+
+    return urls;
+  }
+
+  /**
+   * Cached or new platform rendition of a media item (null when the original fits)
+   */
+  async getRendition(media, platform) {
+    const profile = getRenditionProfile(platform, media.type, media.mimeType);
+    if (!profile) {
+      return null;
+    }
+
+    const renditionKey = getRenditionKey(platform, media.type);
+    const cached = media.renditions.find((r) => r.profile === renditionKey);
+    if (cached) {
+      return cached;
+    }
+
+    const limits = postValidationService.getPlatformLimits(platform);
+    const { _id, ...metadata } = media.toObject().metadata || {};
+    const subject = {
+      type: media.type,
+      mimeType: media.mimeType,
+      size: media.size,
+      metadata,
+    };
+
+    // Decide from stored metadata when possible, so fitting originals are never downloaded
+    const hasDimensions = subject.metadata.width && subject.metadata.height;
+    if (hasDimensions && !planRendition(subject, limits, profile)) {
+      return null;
+    }
+
+    await fs.promises.mkdir(renditionsDir, { recursive: true });
+    const basePath = path.join(renditionsDir, `${media._id}-${renditionKey}`);
+    const sourcePath = `${basePath}-source${path.extname(media.s3Key)}`;
+    let outputPath = null;
+
+    try {
+      await storageService.downloadFile(media.s3Key, sourcePath, media.storageDriver);
+
+      // Items uploaded before metadata extraction ran get it backfilled
+      if (!hasDimensions) {
+        subject.metadata = { ...subject.metadata, ...(await this.extractMetadata(sourcePath, media.type)) };
+        await Media.updateOne({ _id: media._id }, { $set: { metadata: subject.metadata } });
+      }
+
+      const plan = planRendition(subject, limits, profile);
+      if (!plan) {
+        return null;
+      }
+
+      const extension = plan.type === "video" ? ".mp4" : `.${plan.format === "jpeg" ? "jpg" : plan.format}`;
+      outputPath = `${basePath}${extension}`;
+
+      if (plan.type === "image") {
+        await this.renderImage(sourcePath, outputPath, plan);
+      } else {
+        await this.renderVideo(sourcePath, outputPath, plan);
+      }
+
+      const { size } = await fs.promises.stat(outputPath);
+      if (plan.maxBytes && size > plan.maxBytes) {
+        throw new Error(`Rendition is ${this.formatBytes(size)}, still over ${this.formatBytes(plan.maxBytes)}`);
+      }
+      const details = await this.extractMetadata(outputPath, media.type);
+
+      const upload = await storageService.uploadFile(outputPath, "media/renditions", {
+        brandId: media.brand.toString(),
+        parentId: media._id.toString(),
+        platform,
+      });
+
+      const rendition = {
+        profile: renditionKey,
+        platform,
+        s3Key: upload.key,
+        s3Url: upload.url,
+        storageDriver: upload.driver,
+        mimeType: upload.contentType,
+        size: upload.size,
+        width: details.width,
+        height: details.height,
+        duration: details.duration,
+        createdAt: new Date(),
+      };
+
+      // Another publish may have rendered the same profile meanwhile
+      const { modifiedCount } = await Media.updateOne(
+        { _id: media._id, "renditions.profile": { $ne: renditionKey } },
+        { $push: { renditions: rendition } }
+      );
+      if (modifiedCount === 0) {
+        await storageService.deleteFile(upload.key, upload.driver).catch(() => {});
+        const current = await Media.findById(media._id).select("renditions");
+        return current?.renditions.find((r) => r.profile === renditionKey) || null;
+      }
+
+      logger.info("✅ Media rendition created", {
+        mediaId: media._id,
+        platform,
+        size: this.formatBytes(rendition.size),
+        width: rendition.width,
+        height: rendition.height,
+      });
+
+      return rendition;
+    } finally {
+      await fs.promises.unlink(sourcePath).catch(() => {});
+      if (outputPath) {
+        await fs.promises.unlink(outputPath).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Crop, resize and re-encode an image (sharp), stepping quality down until it fits plan.maxBytes
+   */
+  async renderImage(sourcePath, outputPath, plan) {
+    for (const step of IMAGE_ENCODE_STEPS) {
+      // Orient first so the crop box matches the displayed image
+      let image = sharp(sourcePath).rotate();
+      if (plan.crop) {
+        image = image.extract(plan.crop);
+      }
+      image = image.resize(
+        Math.round(plan.width * step.scale),
+        Math.round(plan.height * step.scale),
+        { fit: "fill" }
+      );
+
+      if (plan.format === "jpeg") {
+        image = image.flatten({ background: "#ffffff" }).jpeg({ quality: step.quality, mozjpeg: true });
+      } else if (plan.format === "webp") {
+        image = image.webp({ quality: step.quality });
+      } else {
+        image = image.png({ compressionLevel: 9 });
+      }
+
+      const { size } = await image.toFile(outputPath);
+      if (!plan.maxBytes || size <= plan.maxBytes) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Crop, scale and transcode a video to H.264/AAC MP4 (ffmpeg) within the planned bitrate
+   */
+  async renderVideo(sourcePath, outputPath, plan) {
+    const filters = [];
+    if (plan.crop) {
+      filters.push(`crop=${plan.crop.width}:${plan.crop.height}:${plan.crop.left}:${plan.crop.top}`);
+    }
+    filters.push(`scale=${plan.width}:${plan.height}`, "setsar=1");
+    if (plan.fps) {
+      filters.push(`fps=${plan.fps}`);
+    }
+
+    await run(
+      ffmpeg(sourcePath, { timeout: RENDER_TIMEOUT_SECONDS })
+        .videoFilters(filters)
+        .videoCodec("libx264")
+        .audioCodec("aac")
+        .audioBitrate(Math.round(plan.audioBitrate / 1000))
+        .outputOptions([
+          "-preset veryfast",
+          "-crf 23",
+          `-maxrate ${plan.videoBitrate}`,
+          `-bufsize ${plan.videoBitrate * 2}`,
+          "-pix_fmt yuv420p",
+          "-movflags +faststart",
+        ])
+        .format("mp4")
+        .output(outputPath)
+    );
+  }
+
   /**
    * Get media type from MIME type
    */
   getMediaType(mimeType) {
     if (mimeType.startsWith("image/")) return "image";
     if (mimeType.startsWith("video/")) return "video";
+    if (mimeType.startsWith("audio/")) return "audio";
     return "document";
   }
 
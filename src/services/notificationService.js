@@ -258,6 +258,97 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify: Post Submitted For Approval (one notification per reviewer)
+   */
+  async notifyApprovalRequired(reviewerIds, brandId, postData) {
+    try {
+      await Promise.all(reviewerIds.map(userId => this.createNotification({
+        userId,
+        brandId,
+        type: 'approval_required',
+        title: '📝 Post Awaiting Approval',
+        message: `${postData.submittedByName || 'A team member'} submitted "${postData.content.substring(0, 50)}..." for review.`,
+        data: {
+          postId: postData.postId,
+        },
+        actionUrl: `/posts/${postData.postId}`,
+        actionText: 'Review Post',
+        priority: 'high',
+      })));
+
+      logger.info('✅ Approval required notifications sent', {
+        reviewers: reviewerIds.length,
+        postId: postData.postId,
+      });
+    } catch (error) {
+      logger.error('❌ Notify approval required failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify: Post Approved
+   */
+  async notifyApprovalGranted(userId, brandId, postData) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'approval_granted',
+        title: '✅ Post Approved',
+        message: `Your post "${postData.content.substring(0, 50)}..." was approved by ${postData.reviewerName || 'a reviewer'}.`,
+        data: {
+          postId: postData.postId,
+        },
+        actionUrl: `/posts/${postData.postId}`,
+        actionText: 'View Post',
+        priority: 'medium',
+      });
+
+      logger.info('✅ Approval granted notification sent', {
+        userId,
+        postId: postData.postId,
+      });
+    } catch (error) {
+      logger.error('❌ Notify approval granted failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify: Post Rejected
+   */
+  async notifyApprovalRejected(userId, brandId, postData, comment) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'approval_rejected',
+        title: '↩️ Post Changes Requested',
+        message: `Your post "${postData.content.substring(0, 50)}..." was rejected by ${postData.reviewerName || 'a reviewer'}: ${comment.substring(0, 300)}`,
+        data: {
+          postId: postData.postId,
+          comment,
+        },
+        actionUrl: `/posts/${postData.postId}`,
+        actionText: 'Edit Post',
+        priority: 'high',
+      });
+
+      logger.info('✅ Approval rejected notification sent', {
+        userId,
+        postId: postData.postId,
+      });
+    } catch (error) {
+      logger.error('❌ Notify approval rejected failed', {
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Notify: Channel Disconnected
    */
@@ -320,6 +411,108 @@ class NotificationService {
       });
     }
   }
+
+  /**
+   * Notify: New Message In An Assigned WhatsApp Conversation
+   */
+  async notifyWhatsAppMessage(userId, brandId, conversationData) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'whatsapp_message',
+        title: '💬 New WhatsApp Message',
+        message: `${conversationData.contactName}: ${(conversationData.preview || '').substring(0, 100)}`,
+        data: {
+          conversationId: conversationData.conversationId,
+        },
+        actionUrl: `/whatsapp/inbox/${conversationData.conversationId}`,
+        actionText: 'Open Conversation',
+        priority: 'high',
+        expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
+      });
+    } catch (error) {
+      logger.error('❌ Notify WhatsApp message failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify: WhatsApp Conversation Assigned
+   */
+  async notifyConversationAssigned(userId, brandId, conversationData) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'whatsapp_assigned',
+        title: '📥 Conversation Assigned',
+        message: `${conversationData.assignedByName || 'A team member'} assigned you the conversation with ${conversationData.contactName}.`,
+        data: {
+          conversationId: conversationData.conversationId,
+        },
+        actionUrl: `/whatsapp/inbox/${conversationData.conversationId}`,
+        actionText: 'Open Conversation',
+        priority: 'medium',
+      });
+    } catch (error) {
+      logger.error('❌ Notify conversation assigned failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify: WhatsApp Quality Rating Or Messaging Limit Changed
+   */
+  async notifyWhatsAppQualityAlert(userId, brandId, alertData) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'whatsapp_quality',
+        title: alertData.severity === 'critical' ? '🚨 WhatsApp Quality Alert' : '⚠️ WhatsApp Quality Alert',
+        message: alertData.message,
+        data: {
+          channelId: alertData.channelId,
+          alertId: alertData.alertId,
+        },
+        actionUrl: `/whatsapp/health/${alertData.channelId}`,
+        actionText: 'View Account Health',
+        priority: alertData.severity === 'critical' ? 'urgent' : 'high',
+      });
+    } catch (error) {
+      logger.error('❌ Notify WhatsApp quality alert failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Notify: Organization Storage Nearing Quota
+   */
+  async notifyStorageQuotaWarning(userId, brandId, quotaData) {
+    try {
+      await this.createNotification({
+        userId,
+        brandId,
+        type: 'storage_quota',
+        title: quotaData.threshold >= 95 ? '🚨 Storage Almost Full' : '⚠️ Storage Running Low',
+        message: `${quotaData.organizationName} has used ${quotaData.percentUsed}% of its ${quotaData.tier} plan storage`,
+        data: {
+          organizationId: quotaData.organizationId,
+        },
+        actionUrl: `/organizations/${quotaData.organizationId}/storage`,
+        actionText: 'View Storage',
+        priority: quotaData.threshold >= 95 ? 'urgent' : 'high',
+      });
+    } catch (error) {
+      logger.error('❌ Notify storage quota warning failed', {
+        error: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new NotificationService();
\ No newline at end of file
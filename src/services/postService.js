@@ -1,11 +1,32 @@
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Channel = require('../models/Channel');
 const Membership = require('../models/Membership');
 const Media = require('../models/Media');
 const Brand = require('../models/Brand');
 const queueManager = require('../queues/queueManager');
+const notificationService = require('./notificationService');
+const postValidationService = require('./postValidationService');
+const analyticsService = require('./analyticsService');
+const { parseRRule, getOccurrences, getNextOccurrence } = require('../utils/recurrence');
+const { isValidTimezone, getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+// Roles allowed to approve or reject posts submitted for review
+const APPROVER_ROLES = ['owner', 'manager'];
+// Post.settings fields owned by the approval workflow, never taken from the request
+const APPROVAL_SETTINGS = [
+  'requireApproval', 'approvalStatus', 'approvedBy', 'approvedAt',
+  'submittedBy', 'submittedAt', 'rejectedBy', 'rejectedAt', 'rejectionComment',
+];
+
+// How far ahead "add to queue" looks for a free slot
+const QUEUE_SEARCH_DAYS = 56;
+
+// "Schedule at best time": top recommended slots considered and minimum lead time
+const BEST_TIME_SLOT_COUNT = 3;
+const BEST_TIME_MIN_LEAD_MS = 15 * 60 * 1000;
+
 class PostService {
   /**
    * Helper: Check if user has access to brand
@@ -52,27 +73,46 @@ class PostService {
       throw new Error('Permission denied');
     }
 
+    // Brand-level approval requirement can't be bypassed per post
+    const brand = await Brand.findById(brandId);
+    const requireApproval = !!(brand?.settings?.requireApproval || settings?.requireApproval);
+
     // Validate schedules have valid channels
     const validatedSchedules = [];
+    const reservedSlots = new Set();
     for (const schedule of schedules || []) {
       const channel = await Channel.findById(schedule.channel || schedule.channelId);
       if (!channel || channel.brand.toString() !== brandId) {
         throw new Error('Invalid channel');
       }
 
+      // "Add to queue": take the channel's next free slot instead of a picked date
+      // "Best time": soonest free slot among the channel's top recommended slots
+      let scheduledFor = schedule.scheduledFor;
+      if (schedule.queue) {
+        scheduledFor = await this.findNextQueueSlot(brand, channel._id, reservedSlots);
+      } else if (schedule.bestTime) {
+        scheduledFor = await this.findBestTimeSlot(brand, channel, reservedSlots);
+      }
+
       // FIX: Check if this is an immediate publish (scheduledFor is in the past or within 5 seconds)
-      const scheduledDate = new Date(schedule.scheduledFor);
+      const scheduledDate = new Date(scheduledFor);
       const now = new Date();
       const isImmediate = scheduledDate.getTime() - now.getTime() < 5000;
 
       validatedSchedules.push({
         channel: channel._id,
         provider: channel.provider,
-        scheduledFor: schedule.scheduledFor,
-        status: isImmediate ? 'queued' : 'pending', // Mark as queued for immediate
+        scheduledFor,
+        // Mark as queued for immediate (posts awaiting approval stay pending)
+        status: isImmediate && !requireApproval ? 'queued' : 'pending',
+        fromQueue: !!schedule.queue || undefined,
+        override: await this.validateScheduleOverride(schedule.override, brandId),
       });
     }
 
+    const queuedChannels = validatedSchedules.filter(s => s.fromQueue).map(s => s.channel);
+
     // Get media library items if provided
     let mediaLibraryItems = [];
     let resolvedMediaUrls = mediaUrls || [];
@@ -88,6 +128,28 @@ class PostService {
       resolvedMediaUrls = mediaItems.map(m => m.s3Url);
     }
 
+    // Recurrence (optional)
+    const recurrence = data.recurrence
+      ? await this.buildRecurrence(data.recurrence, brand)
+      : undefined;
+
+    // Check every scheduled channel's limits before anything is saved
+    const validation = await postValidationService.validatePost({
+      brandId,
+      title,
+      content,
+      hashtags,
+      mediaUrls: resolvedMediaUrls,
+      schedules: [...validatedSchedules, ...(recurrence?.channels || [])],
+    });
+
+    if (!validation.valid) {
+      const error = new Error('Post failed platform validation');
+      error.statusCode = 400;
+      error.validation = validation;
+      throw error;
+    }
+
     // Determine media type
     const mediaType = this.detectMediaType(resolvedMediaUrls);
 
@@ -96,6 +158,8 @@ class PostService {
     if (validatedSchedules.length > 0) {
       const hasQueued = validatedSchedules.some(s => s.status === 'queued');
       initialStatus = hasQueued ? 'publishing' : 'scheduled';
+    } else if (recurrence) {
+      initialStatus = 'scheduled';
     }
 
     // Create post
@@ -109,15 +173,29 @@ class PostService {
       mediaType,
       mediaLibraryItems,
       schedules: validatedSchedules,
+      recurrence,
+      queue: queuedChannels.length > 0 ? {
+        channels: queuedChannels,
+        isEvergreen: !!data.evergreen,
+        recycleIntervalDays: data.recycleIntervalDays,
+        lastQueuedAt: new Date(),
+      } : undefined,
       status: initialStatus,
-      settings: settings || {},
+      // Caller settings are kept; the approval workflow fields are only set by the service
+      settings: {
+        ...Object.fromEntries(
+          Object.entries(settings || {}).filter(([key]) => !APPROVAL_SETTINGS.includes(key))
+        ),
+        requireApproval,
+        approvalStatus: 'none',
+      },
     });
 
     await post.save();
 
-    // If scheduled, add to queue
+    // If scheduled, add to queue (approval-gated posts are queued once approved)
     for (const schedule of post.schedules) {
-      if (schedule.scheduledFor) {
+      if (schedule.scheduledFor && !requireApproval) {
         const job = await queueManager.addPublishJob(
           post._id,
           schedule._id,
@@ -144,6 +222,58 @@ class PostService {
       .populate('mediaLibraryItems', 's3Url originalName type');
   }
 
+  /**
+   * Validate post against each scheduled channel's platform limits (no side effects)
+   */
+  async validatePost(userId, data) {
+    const { brandId, title, content, hashtags, mediaUrls, mediaLibraryIds, schedules } = data;
+
+    const membership = await this.checkBrandAccess(userId, brandId);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    const resolvedSchedules = [];
+    for (const schedule of schedules || []) {
+      const channel = await Channel.findById(schedule.channel || schedule.channelId);
+      if (!channel || channel.brand.toString() !== brandId) {
+        throw new Error('Invalid channel');
+      }
+
+      resolvedSchedules.push({
+        channel: channel._id,
+        provider: channel.provider,
+        override: await this.validateScheduleOverride(schedule.override, brandId),
+      });
+    }
+
+    // Recurring channels are checked the same way as one-off schedules
+    if (data.recurrence) {
+      const brand = await Brand.findById(brandId);
+      const recurrence = await this.buildRecurrence(data.recurrence, brand);
+      resolvedSchedules.push(...recurrence.channels);
+    }
+
+    let resolvedMediaUrls = mediaUrls || [];
+    if (mediaLibraryIds && mediaLibraryIds.length > 0) {
+      const mediaItems = await Media.find({
+        _id: { $in: mediaLibraryIds },
+        brand: brandId,
+        status: 'active',
+      });
+      resolvedMediaUrls = mediaItems.map(m => m.s3Url);
+    }
+
+    return await postValidationService.validatePost({
+      brandId,
+      title,
+      content,
+      hashtags,
+      mediaUrls: resolvedMediaUrls,
+      schedules: resolvedSchedules,
+    });
+  }
+
   /**
    * Get brand posts
    */
@@ -219,6 +349,13 @@ class PostService {
       throw new Error('Cannot update published or failed posts');
     }
 
+    // Any edit to an approved or in-review post sends it back for approval
+    const isContentChange = ['title', 'content', 'hashtags', 'mediaLibraryIds', 'schedules', 'recurrence']
+      .some(field => data[field] !== undefined);
+    if (isContentChange && ['pending', 'approved'].includes(post.settings?.approvalStatus)) {
+      await this.resetApproval(post);
+    }
+
     // Update fields
     if (data.title !== undefined) post.title = data.title;
     if (data.content !== undefined) post.content = data.content;
@@ -259,6 +396,7 @@ class PostService {
           provider: channel.provider,
           scheduledFor: schedule.scheduledFor,
           status: 'pending',
+          override: await this.validateScheduleOverride(schedule.override, post.brand),
         });
       }
 
@@ -266,7 +404,7 @@ class PostService {
 
       // Queue new schedules
     for (const schedule of post.schedules) {
-      if (schedule.scheduledFor) {
+      if (schedule.scheduledFor && !post.isAwaitingApproval()) {
         const job = await queueManager.addPublishJob(
           post._id,
           schedule._id,
@@ -281,6 +419,20 @@ class PostService {
       post.status = validatedSchedules.length > 0 ? 'scheduled' : 'draft';
     }
 
+    // Handle recurrence updates (null stops the series; a new rule starts a fresh series)
+    if (data.recurrence !== undefined) {
+      if (data.recurrence === null) {
+        post.recurrence = undefined;
+      } else {
+        const brand = await Brand.findById(post.brand);
+        post.recurrence = await this.buildRecurrence(data.recurrence, brand);
+      }
+    }
+
+    if (post.status === 'draft' && post.hasActiveRecurrence()) {
+      post.status = 'scheduled';
+    }
+
     await post.save();
 
     return await Post.findById(post._id)
@@ -289,6 +441,452 @@ class PostService {
       .populate('mediaLibraryItems', 's3Url originalName type');
   }
 
+  /**
+   * Add post to the brand's posting queue on the given channels
+   */
+  async addToQueue(userId, postId, data) {
+    const { channels, evergreen, recycleIntervalDays } = data;
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      throw new Error('Post not found');
+    }
+
+    const membership = await this.checkBrandAccess(userId, post.brand);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    if (!membership.hasPermission('create_posts')) {
+      throw new Error('Permission denied');
+    }
+
+    if (!['draft', 'scheduled', 'published'].includes(post.status)) {
+      throw new Error('Post cannot be queued in its current state');
+    }
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+      throw new Error('At least one channel is required');
+    }
+
+    const channelDocs = [];
+    for (const channelId of channels) {
+      const channel = await Channel.findById(channelId);
+      if (!channel || channel.brand.toString() !== post.brand.toString()) {
+        throw new Error('Invalid channel');
+      }
+      channelDocs.push(channel);
+    }
+
+    if (evergreen !== undefined) post.queue.isEvergreen = !!evergreen;
+    if (recycleIntervalDays !== undefined) post.queue.recycleIntervalDays = recycleIntervalDays;
+
+    await this.queueOnChannels(post, channelDocs);
+
+    logger.info('Post added to queue', {
+      postId,
+      userId,
+      channels: channelDocs.length,
+      evergreen: post.queue.isEvergreen,
+    });
+
+    return await this.getPopulatedPost(post._id);
+  }
+
+  /**
+   * Helper: Assign the next free queue slot on each channel, save and queue jobs
+   * Shared by "add to queue" and evergreen recycling.
+   */
+  async queueOnChannels(post, channels) {
+    const brand = await Brand.findById(post.brand);
+    const reservedSlots = new Set();
+    const newSchedules = [];
+
+    for (const channel of channels) {
+      const scheduledFor = await this.findNextQueueSlot(brand, channel._id, reservedSlots);
+      post.schedules.push({
+        channel: channel._id,
+        provider: channel.provider,
+        scheduledFor,
+        status: 'pending',
+        fromQueue: true,
+      });
+      newSchedules.push(post.schedules[post.schedules.length - 1]);
+    }
+
+    const queuedIds = new Set(post.queue.channels.map(id => id.toString()));
+    channels.forEach(channel => queuedIds.add(channel._id.toString()));
+    post.queue.channels = [...queuedIds];
+    post.queue.lastQueuedAt = new Date();
+    post.queue.nextRecycleAt = undefined;
+    post.status = 'scheduled';
+
+    await post.save();
+
+    if (!post.isAwaitingApproval()) {
+      for (const schedule of newSchedules) {
+        const job = await queueManager.addPublishJob(
+          post._id,
+          schedule._id,
+          new Date(schedule.scheduledFor)
+        );
+        schedule.jobId = job.id;
+      }
+      await post.save();
+    }
+
+    return newSchedules;
+  }
+
+  /**
+   * Helper: Next free queue slot for a channel (brand timezone)
+   * A slot is taken when another pending/queued schedule on the channel is already at that time.
+   * `reserved` collects slots handed out in the current request.
+   * `candidateSlots` ([{ weekday, hour, minute }]) replaces the brand's slots when given.
+   */
+  async findNextQueueSlot(brand, channelId, reserved = new Set(), after = new Date(), candidateSlots = null) {
+    const timezone = brand.settings?.timezone || 'UTC';
+
+    let slots = candidateSlots || (brand.settings?.queueSlots || [])
+      .filter(slot => slot.channel.toString() === channelId.toString());
+
+    if (slots.length === 0) {
+      const { hour = 9, minute = 0 } = brand.settings?.defaultPostingTime || {};
+      slots = [0, 1, 2, 3, 4, 5, 6].map(weekday => ({ weekday, hour, minute }));
+    }
+
+    const busyPosts = await Post.find({
+      brand: brand._id,
+      schedules: {
+        $elemMatch: {
+          channel: channelId,
+          status: { $in: ['pending', 'queued'] },
+          scheduledFor: { $gt: after },
+        },
+      },
+    }).select('schedules.channel schedules.status schedules.scheduledFor');
+
+    const busy = new Set();
+    busyPosts.forEach(busyPost => {
+      busyPost.schedules.forEach(s => {
+        if (s.channel.toString() === channelId.toString() && ['pending', 'queued'].includes(s.status)) {
+          busy.add(new Date(s.scheduledFor).getTime());
+        }
+      });
+    });
+
+    const local = getZonedParts(after, timezone);
+
+    for (let offset = 0; offset < QUEUE_SEARCH_DAYS; offset++) {
+      const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+      const daySlots = slots
+        .filter(slot => slot.weekday === day.getUTCDay())
+        .sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute));
+
+      for (const slot of daySlots) {
+        const candidate = zonedTimeToUtc({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          hour: slot.hour,
+          minute: slot.minute,
+        }, timezone);
+
+        const key = `${channelId}:${candidate.getTime()}`;
+        if (candidate <= after || busy.has(candidate.getTime()) || reserved.has(key)) {
+          continue;
+        }
+
+        reserved.add(key);
+        return candidate;
+      }
+    }
+
+    throw new Error(`No free queue slot in the next ${QUEUE_SEARCH_DAYS} days`);
+  }
+
+  /**
+   * Helper: Next free slot among a channel's best-time recommendations (brand timezone)
+   */
+  async findBestTimeSlot(brand, channel, reserved = new Set()) {
+    const timezone = brand.settings?.timezone || 'UTC';
+    const { slots } = await analyticsService.getChannelBestTimes(channel, timezone, BEST_TIME_SLOT_COUNT);
+
+    if (slots.length === 0) {
+      return this.findNextQueueSlot(brand, channel._id, reserved);
+    }
+
+    // Leave a little lead time so the job isn't queued for a slot that is about to pass
+    const after = new Date(Date.now() + BEST_TIME_MIN_LEAD_MS);
+    const candidateSlots = slots.map(({ weekday, hour }) => ({ weekday, hour, minute: 0 }));
+
+    return this.findNextQueueSlot(brand, channel._id, reserved, after, candidateSlots);
+  }
+
+  /**
+   * Submit post for approval
+   */
+  async submitForApproval(userId, postId) {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      throw new Error('Post not found');
+    }
+
+    // Check access
+    const membership = await this.checkBrandAccess(userId, post.brand);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    // Check permission
+    if (!membership.hasPermission('create_posts')) {
+      throw new Error('Permission denied');
+    }
+
+    if (!post.settings?.requireApproval) {
+      throw new Error('Approval is not required for this post');
+    }
+
+    if (!['draft', 'scheduled'].includes(post.status)) {
+      throw new Error('Only draft or scheduled posts can be submitted for approval');
+    }
+
+    if (!['none', 'rejected'].includes(post.settings.approvalStatus)) {
+      throw new Error(`Post is already ${post.settings.approvalStatus}`);
+    }
+
+    post.settings.approvalStatus = 'pending';
+    post.settings.submittedBy = userId;
+    post.settings.submittedAt = new Date();
+    post.settings.rejectedBy = undefined;
+    post.settings.rejectedAt = undefined;
+    post.settings.rejectionComment = undefined;
+    post.approvalHistory.push({ action: 'submitted', user: userId });
+
+    await post.save();
+
+    // Notify reviewers (NON-BLOCKING)
+    const reviewerIds = await this.getApproverIds(post.brand, userId);
+    const User = require('../models/User');
+    const submitter = await User.findById(userId).select('name');
+
+    notificationService.notifyApprovalRequired(reviewerIds, post.brand, {
+      postId: post._id,
+      content: post.content,
+      submittedByName: submitter?.name,
+    }).catch(err => {
+      logger.error('⚠️ Approval notification failed (non-critical)', {
+        error: err.message,
+        postId,
+      });
+    });
+
+    logger.info('Post submitted for approval', {
+      postId,
+      userId,
+      reviewers: reviewerIds.length,
+    });
+
+    return await this.getPopulatedPost(post._id);
+  }
+
+  /**
+   * Approve post and queue its pending schedules
+   */
+  async approvePost(userId, postId, comment) {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      throw new Error('Post not found');
+    }
+
+    const membership = await this.checkBrandAccess(userId, post.brand);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    if (!APPROVER_ROLES.includes(membership.role)) {
+      throw new Error('Permission denied');
+    }
+
+    if (post.settings?.approvalStatus !== 'pending') {
+      throw new Error('Post is not awaiting approval');
+    }
+
+    // Sign-off has to come from someone other than the submitter
+    if (post.settings.submittedBy?.equals(userId)) {
+      const error = new Error('You cannot approve a post you submitted');
+      error.statusCode = 403;
+      throw error;
+    }
+
+    post.settings.approvalStatus = 'approved';
+    post.settings.approvedBy = userId;
+    post.settings.approvedAt = new Date();
+    post.approvalHistory.push({ action: 'approved', user: userId, comment });
+
+    // Save first so queueManager sees the approved state
+    await post.save();
+
+    const now = new Date();
+    for (const schedule of post.schedules) {
+      if (schedule.status !== 'pending' || !schedule.scheduledFor) {
+        continue;
+      }
+
+      const job = await queueManager.addPublishJob(
+        post._id,
+        schedule._id,
+        new Date(schedule.scheduledFor)
+      );
+      // Queued, so checkDueSchedules doesn't queue it a second time when it comes due
+      schedule.status = 'queued';
+      schedule.jobId = job.id;
+
+      // Overdue schedules publish immediately
+      if (new Date(schedule.scheduledFor).getTime() - now.getTime() < 5000) {
+        post.status = 'publishing';
+      }
+    }
+
+    await post.save();
+
+    const User = require('../models/User');
+    const reviewer = await User.findById(userId).select('name');
+
+    notificationService.notifyApprovalGranted(post.createdBy, post.brand, {
+      postId: post._id,
+      content: post.content,
+      reviewerName: reviewer?.name,
+    }).catch(err => {
+      logger.error('⚠️ Approval notification failed (non-critical)', {
+        error: err.message,
+        postId,
+      });
+    });
+
+    logger.info('Post approved', { postId, userId });
+
+    return await this.getPopulatedPost(post._id);
+  }
+
+  /**
+   * Reject post with reviewer comment
+   */
+  async rejectPost(userId, postId, comment) {
+    if (!comment || !comment.trim()) {
+      throw new Error('A comment is required when rejecting a post');
+    }
+
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      throw new Error('Post not found');
+    }
+
+    const membership = await this.checkBrandAccess(userId, post.brand);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    if (!APPROVER_ROLES.includes(membership.role)) {
+      throw new Error('Permission denied');
+    }
+
+    if (post.settings?.approvalStatus !== 'pending') {
+      throw new Error('Post is not awaiting approval');
+    }
+
+    post.settings.approvalStatus = 'rejected';
+    post.settings.rejectedBy = userId;
+    post.settings.rejectedAt = new Date();
+    post.settings.rejectionComment = comment.trim();
+    post.approvalHistory.push({ action: 'rejected', user: userId, comment: comment.trim() });
+
+    await post.save();
+
+    const User = require('../models/User');
+    const reviewer = await User.findById(userId).select('name');
+
+    notificationService.notifyApprovalRejected(post.createdBy, post.brand, {
+      postId: post._id,
+      content: post.content,
+      reviewerName: reviewer?.name,
+    }, comment.trim()).catch(err => {
+      logger.error('⚠️ Rejection notification failed (non-critical)', {
+        error: err.message,
+        postId,
+      });
+    });
+
+    logger.info('Post rejected', { postId, userId });
+
+    return await this.getPopulatedPost(post._id);
+  }
+
+  /**
+   * Helper: Send an approved/in-review post back to the "none" approval state,
+   * pulling any jobs that were queued on the strength of the old approval
+   */
+  async resetApproval(post) {
+    for (const schedule of post.schedules) {
+      if (['pending', 'queued'].includes(schedule.status)) {
+        if (schedule.jobId) {
+          await queueManager.cancelJob(schedule.jobId);
+          schedule.jobId = undefined;
+        }
+        schedule.status = 'pending';
+      }
+    }
+
+    if (post.status === 'publishing') {
+      post.status = 'scheduled';
+    }
+
+    post.settings.approvalStatus = 'none';
+    post.settings.approvedBy = undefined;
+    post.settings.approvedAt = undefined;
+  }
+
+  /**
+   * Helper: User IDs of brand and organization members allowed to approve posts
+   */
+  async getApproverIds(brandId, excludeUserId) {
+    const brand = await Brand.findById(brandId);
+    if (!brand) {
+      return [];
+    }
+
+    const memberships = await Membership.find({
+      $or: [
+        { brand: brandId },
+        { organization: brand.organization, brand: null },
+      ],
+      role: { $in: APPROVER_ROLES },
+      status: 'active',
+    }).select('user');
+
+    const ids = memberships
+      .map(m => m.user.toString())
+      .filter(id => id !== excludeUserId?.toString());
+
+    return [...new Set(ids)];
+  }
+
+  /**
+   * Helper: Load post with the relations the API returns
+   */
+  async getPopulatedPost(postId) {
+    return await Post.findById(postId)
+      .populate('createdBy', 'name email')
+      .populate('schedules.channel', 'provider displayName avatar')
+      .populate('schedules.override.mediaLibraryItems', 's3Url originalName type')
+      .populate('mediaLibraryItems', 's3Url originalName type')
+      .populate('approvalHistory.user', 'name email avatar');
+  }
+
   /**
    * Delete post (from DB AND platform if published)
    */
@@ -363,7 +961,7 @@ class PostService {
       s => ['pending', 'queued'].includes(s.status)
     );
 
-    if (!hasPendingSchedules) {
+    if (!hasPendingSchedules && !post.hasActiveRecurrence()) {
       post.status = 'draft';
       await post.save();
     }
@@ -371,6 +969,55 @@ class PostService {
     return post;
   }
 
+  /**
+   * Manually retry a failed schedule
+   * Resets the automatic retry budget and publishes immediately via the retry queue
+   */
+  async retrySchedule(userId, postId, scheduleId) {
+    const post = await Post.findById(postId);
+
+    if (!post) {
+      throw new Error('Post not found');
+    }
+
+    const membership = await this.checkBrandAccess(userId, post.brand);
+    if (!membership) {
+      throw new Error('Access denied');
+    }
+
+    if (!membership.hasPermission('publish_posts')) {
+      throw new Error('Permission denied');
+    }
+
+    const schedule = post.schedules.id(scheduleId);
+    if (!schedule) {
+      throw new Error('Schedule not found');
+    }
+
+    if (schedule.status !== 'failed') {
+      throw new Error('Only failed schedules can be retried');
+    }
+
+    if (post.isAwaitingApproval()) {
+      throw new Error('Post is awaiting approval and cannot be queued');
+    }
+
+    // Save the queued state first, the retry job runs without delay
+    schedule.status = 'queued';
+    schedule.retryCount = 0;
+    schedule.error = undefined;
+    post.status = 'publishing';
+    await post.save();
+
+    const job = await queueManager.retryJob(post._id.toString(), schedule._id.toString());
+    schedule.jobId = job.id;
+    await post.save();
+
+    logger.info('🔄 Schedule retry requested', { postId, scheduleId, userId });
+
+    return post;
+  }
+
   /**
    * Get calendar view
    */
@@ -422,9 +1069,193 @@ class PostService {
       });
     });
 
+    // Future occurrences of recurring posts that haven't been materialized yet
+    const recurringPosts = await Post.find({
+      brand: brandId,
+      'recurrence.status': 'active',
+      'recurrence.nextOccurrenceAt': { $lte: end },
+    })
+      .populate('createdBy', 'name avatar')
+      .populate('recurrence.channels.channel', 'provider displayName');
+
+    if (recurringPosts.length > 0) {
+      const brand = await Brand.findById(brandId).select('settings.timezone');
+      const timezone = brand?.settings?.timezone || 'UTC';
+
+      recurringPosts.forEach(post => {
+        const { rule, startAt, nextOccurrenceAt } = post.recurrence;
+        const after = new Date(Math.max(start.getTime(), nextOccurrenceAt.getTime()) - 1);
+        const occurrences = getOccurrences(rule, startAt, timezone, { after, before: end, limit: 500 });
+
+        occurrences.forEach(({ date, index }) => {
+          const dateKey = date.toISOString().split('T')[0];
+          if (!calendar[dateKey]) {
+            calendar[dateKey] = [];
+          }
+          post.recurrence.channels.forEach(recurrenceChannel => {
+            calendar[dateKey].push({
+              ...post.toObject(),
+              scheduleId: null,
+              channel: recurrenceChannel.channel,
+              scheduledFor: date,
+              scheduleStatus: 'recurring',
+              occurrenceIndex: index,
+            });
+          });
+        });
+      });
+    }
+
     return calendar;
   }
 
+  /**
+   * Validate recurrence input and compute its first occurrence
+   * Input: { rule: 'FREQ=WEEKLY;BYDAY=MO', startAt, channels: [channelId | { channel, override }] }
+   */
+  async buildRecurrence(input, brand) {
+    if (!brand) {
+      throw new Error('Brand not found');
+    }
+
+    const { rule, startAt, channels } = input;
+    const timezone = brand.settings?.timezone || 'UTC';
+
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Brand timezone '${timezone}' is not valid`);
+    }
+
+    parseRRule(rule); // throws on unsupported rules
+
+    const start = new Date(startAt || Date.now());
+    if (Number.isNaN(start.getTime())) {
+      throw new Error('Invalid recurrence start date');
+    }
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+      throw new Error('Recurrence requires at least one channel');
+    }
+
+    const recurrenceChannels = [];
+    for (const entry of channels) {
+      const channelId = entry?.channel || entry?.channelId || entry;
+      const channel = await Channel.findById(channelId);
+      if (!channel || channel.brand.toString() !== brand._id.toString()) {
+        throw new Error('Invalid channel');
+      }
+
+      recurrenceChannels.push({
+        channel: channel._id,
+        provider: channel.provider,
+        override: await this.validateScheduleOverride(entry?.override, brand._id),
+      });
+    }
+
+    // First occurrence that is still in the future
+    const next = getNextOccurrence(rule, start, timezone, new Date());
+    if (!next) {
+      throw new Error('Recurrence rule has no future occurrences');
+    }
+
+    return {
+      rule: rule.trim().replace(/^RRULE:/i, '').toUpperCase(),
+      startAt: start,
+      channels: recurrenceChannels,
+      status: 'active',
+      occurrenceCount: 0,
+      nextOccurrenceAt: next.date,
+    };
+  }
+
+  /**
+   * Validate and normalize a per-channel content override
+   * Returns undefined when no override fields are set
+   */
+  async validateScheduleOverride(override, brandId) {
+    if (override === undefined || override === null) {
+      return undefined;
+    }
+
+    if (typeof override !== 'object' || Array.isArray(override)) {
+      throw this.overrideError('Channel override must be an object');
+    }
+
+    const normalized = {};
+
+    if (override.title !== undefined) {
+      if (typeof override.title !== 'string' || override.title.length > 200) {
+        throw this.overrideError('Channel override title must be a string of at most 200 characters');
+      }
+      normalized.title = override.title;
+    }
+
+    if (override.content !== undefined) {
+      if (typeof override.content !== 'string' || !override.content.trim()) {
+        throw this.overrideError('Channel override content must be a non-empty string');
+      }
+      if (override.content.length > 10000) {
+        throw this.overrideError('Channel override content must be at most 10000 characters');
+      }
+      normalized.content = override.content;
+    }
+
+    if (override.hashtags !== undefined) {
+      if (!Array.isArray(override.hashtags) || override.hashtags.some(tag => typeof tag !== 'string')) {
+        throw this.overrideError('Channel override hashtags must be an array of strings');
+      }
+      normalized.hashtags = override.hashtags;
+    }
+
+    // Media: library IDs take precedence over raw URLs, same as the post-level fields
+    if (override.mediaLibraryIds !== undefined) {
+      if (!Array.isArray(override.mediaLibraryIds)) {
+        throw this.overrideError('Channel override mediaLibraryIds must be an array');
+      }
+      if (!override.mediaLibraryIds.every(id => mongoose.Types.ObjectId.isValid(String(id)))) {
+        throw this.overrideError('Channel override mediaLibraryIds must be media IDs');
+      }
+
+      // The same item may be used more than once
+      const uniqueIds = [...new Set(override.mediaLibraryIds.map(String))];
+      const mediaItems = await Media.find({
+        _id: { $in: uniqueIds },
+        brand: brandId,
+        status: 'active',
+      });
+
+      if (mediaItems.length !== uniqueIds.length) {
+        throw this.overrideError('Channel override references media that does not exist in this brand');
+      }
+
+      // Preserve the requested order
+      const byId = new Map(mediaItems.map(m => [m._id.toString(), m]));
+      const ordered = override.mediaLibraryIds.map(id => byId.get(id.toString()));
+
+      normalized.mediaLibraryItems = ordered.map(m => m._id);
+      normalized.mediaUrls = ordered.map(m => m.s3Url);
+    } else if (override.mediaUrls !== undefined) {
+      if (!Array.isArray(override.mediaUrls) || override.mediaUrls.some(url => typeof url !== 'string')) {
+        throw this.overrideError('Channel override mediaUrls must be an array of strings');
+      }
+      normalized.mediaUrls = override.mediaUrls;
+    }
+
+    if (normalized.mediaUrls) {
+      normalized.mediaType = this.detectMediaType(normalized.mediaUrls);
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : undefined;
+  }
+
+  /**
+   * Helper: 400 error for an invalid channel override
+   */
+  overrideError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
   /**
    * Detect media type from URLs
    */
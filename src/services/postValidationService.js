@@ -0,0 +1,307 @@
+const Media = require('../models/Media');
+const { getRenditionProfile, planRendition } = require('../utils/mediaRenditions');
+
+/**
+ * Platform publishing limits
+ * - text: max characters of content + hashtags as the provider sends it
+ * - media: min/max attachments, allowed types and whether images/videos can be mixed
+ * - aspectRatio: width / height range
+ * - duration: video seconds range
+ * - videoCodecs / fps: accepted video codecs (ffprobe names) and frame rate range
+ * - hashtags: hard max (error) and recommended max (warning)
+ */
+const PLATFORM_LIMITS = {
+  twitter: {
+    text: 280,
+    media: { min: 0, maxImages: 4, maxVideos: 1, allowMixed: false },
+    imageMaxBytes: 5 * 1024 * 1024,
+    videoMaxBytes: 512 * 1024 * 1024,
+    duration: { min: 0.5, max: 140 },
+    hashtags: { max: null, recommended: 2 },
+  },
+  instagram: {
+    text: 2200,
+    media: { min: 1, maxImages: 10, maxVideos: 10, maxItems: 10, allowMixed: true },
+    imageMaxBytes: 8 * 1024 * 1024,
+    videoMaxBytes: 100 * 1024 * 1024,
+    aspectRatio: { min: 0.8, max: 1.91 },
+    videoAspectRatio: { min: 0.5625, max: 1.91 },
+    duration: { min: 3, max: 90 },
+    videoCodecs: ['h264', 'hevc'],
+    fps: { min: 23, max: 60 },
+    hashtags: { max: 30, recommended: 10 },
+  },
+  facebook: {
+    text: 63206,
+    media: { min: 0, maxImages: 10, maxVideos: 1, allowMixed: false },
+    imageMaxBytes: 10 * 1024 * 1024,
+    videoMaxBytes: 4 * 1024 * 1024 * 1024,
+    duration: { min: 1, max: 240 * 60 },
+    hashtags: { max: null, recommended: 3 },
+  },
+  linkedin: {
+    text: 3000,
+    media: { min: 0, maxImages: 20, maxVideos: 1, allowMixed: false },
+    imageMaxBytes: 10 * 1024 * 1024,
+    videoMaxBytes: 200 * 1024 * 1024,
+    aspectRatio: { min: 1 / 2.4, max: 2.4 },
+    duration: { min: 3, max: 30 * 60 },
+    hashtags: { max: null, recommended: 5 },
+  },
+  youtube: {
+    text: 5000,
+    title: 100,
+    media: { min: 1, maxImages: 0, maxVideos: 1, allowMixed: false },
+    videoMaxBytes: 2048 * 1024 * 1024,
+    duration: { min: 1, max: 12 * 60 * 60 },
+    shorts: { maxDuration: 180, maxAspectRatio: 1 },
+    hashtags: { max: 60, recommended: 15 },
+  },
+};
+
+const VIDEO_URL_PATTERN = /\.(mp4|mov|avi|webm|mkv)(\?.*)?$/i;
+const HASHTAG_PATTERN = /#[\p{L}\p{N}_]+/gu;
+
+class PostValidationService {
+  /**
+   * Validate a post against the limits of every scheduled channel
+   *
+   * @param {Object} post - { brandId, title, content, hashtags, mediaUrls, schedules }
+   *   schedules: [{ channel, provider, override }] with channels already resolved
+   * @returns {Promise<{ valid: boolean, channels: Array }>}
+   */
+  async validatePost(post) {
+    const channels = [];
+
+    for (const schedule of post.schedules || []) {
+      const override = schedule.override || {};
+      const hasMediaOverride = Array.isArray(override.mediaUrls);
+
+      const payload = {
+        title: override.title !== undefined ? override.title : post.title,
+        content: override.content !== undefined ? override.content : post.content,
+        hashtags: Array.isArray(override.hashtags) ? override.hashtags : (post.hashtags || []),
+        mediaUrls: hasMediaOverride ? override.mediaUrls : (post.mediaUrls || []),
+      };
+
+      const mediaItems = await this.resolveMedia(post.brandId, payload.mediaUrls);
+      const result = this.validateForPlatform(schedule.provider, payload, mediaItems);
+
+      channels.push({
+        channel: schedule.channel?._id || schedule.channel,
+        provider: schedule.provider,
+        valid: result.errors.length === 0,
+        errors: result.errors,
+        warnings: result.warnings,
+      });
+    }
+
+    return {
+      valid: channels.every(c => c.valid),
+      channels,
+    };
+  }
+
+  /**
+   * Check one payload against one platform's limits
+   * mediaItems is aligned with payload.mediaUrls (null when the URL is not in the library)
+   */
+  validateForPlatform(provider, payload, mediaItems = []) {
+    const limits = PLATFORM_LIMITS[provider];
+    const errors = [];
+    const warnings = [];
+
+    if (!limits) {
+      warnings.push(`No validation rules for provider '${provider}'`);
+      return { errors, warnings };
+    }
+
+    const content = payload.content || '';
+    const hashtags = payload.hashtags || [];
+    const mediaUrls = payload.mediaUrls || [];
+
+    // 1. Character count (providers append hashtags after a blank line)
+    let fullText = content;
+    if (hashtags.length > 0) {
+      fullText += `\n\n${hashtags.join(' ')}`;
+    }
+    const textLength = Array.from(fullText).length;
+
+    if (!content.trim()) {
+      errors.push('Content is required');
+    }
+    if (textLength > limits.text) {
+      errors.push(`Text exceeds ${limits.text} character limit (${textLength} chars)`);
+    }
+
+    if (limits.title) {
+      const title = payload.title || '';
+      if (title.length > limits.title) {
+        errors.push(`Title exceeds ${limits.title} character limit (${title.length} chars)`);
+      } else if (!title) {
+        warnings.push(`No title set, the first ${limits.title} characters of the content will be used`);
+      }
+    }
+
+    // 2. Hashtags (explicit list plus inline #tags in the content)
+    const inlineTags = content.match(HASHTAG_PATTERN) || [];
+    const tagSet = new Set([
+      ...hashtags.map(tag => (tag.startsWith('#') ? tag : `#${tag}`).toLowerCase()),
+      ...inlineTags.map(tag => tag.toLowerCase()),
+    ]);
+
+    if (limits.hashtags.max && tagSet.size > limits.hashtags.max) {
+      errors.push(`Too many hashtags (${tagSet.size}), maximum is ${limits.hashtags.max}`);
+    } else if (limits.hashtags.recommended && tagSet.size > limits.hashtags.recommended) {
+      warnings.push(`${tagSet.size} hashtags used, ${limits.hashtags.recommended} or fewer is recommended`);
+    }
+
+    // 3. Media count and type
+    const items = mediaUrls.map((url, index) => {
+      const media = mediaItems[index] || null;
+      const isVideo = media ? media.type === 'video' : VIDEO_URL_PATTERN.test(url);
+      return { url, media, isVideo };
+    });
+    const videos = items.filter(i => i.isVideo);
+    const images = items.filter(i => !i.isVideo);
+
+    if (items.length < limits.media.min) {
+      errors.push(provider === 'youtube'
+        ? 'YouTube requires a video'
+        : `At least ${limits.media.min} media item(s) required`);
+    }
+    if (limits.media.maxItems && items.length > limits.media.maxItems) {
+      errors.push(`Too many media items (${items.length}), maximum is ${limits.media.maxItems}`);
+    }
+    if (images.length > limits.media.maxImages) {
+      errors.push(limits.media.maxImages === 0
+        ? 'Images are not supported'
+        : `Too many images (${images.length}), maximum is ${limits.media.maxImages}`);
+    }
+    if (videos.length > limits.media.maxVideos) {
+      errors.push(`Too many videos (${videos.length}), maximum is ${limits.media.maxVideos}`);
+    }
+    if (!limits.media.allowMixed && images.length > 0 && videos.length > 0) {
+      errors.push('Images and videos cannot be combined in one post');
+    }
+
+    // 4. Per-item size, aspect ratio and duration (needs Media.metadata)
+    items.forEach(({ media, isVideo }, index) => {
+      const label = `Media ${index + 1}`;
+
+      if (!media) {
+        warnings.push(`${label} is not in the media library, size and dimensions could not be checked`);
+        return;
+      }
+
+      // Size, ratio and codec problems of library items are fixed by a rendition at publish time
+      const adjustable = this.canAdjust(provider, limits, media);
+      const fixable = adjustable ? warnings : errors;
+      const fixNote = adjustable ? ', an adjusted copy will be published' : '';
+
+      const maxBytes = isVideo ? limits.videoMaxBytes : limits.imageMaxBytes;
+      if (maxBytes && media.size > maxBytes) {
+        fixable.push(`${label} is ${this.formatBytes(media.size)}, maximum is ${this.formatBytes(maxBytes)}${fixNote}`);
+      }
+
+      const { width, height, duration, codec, fps } = media.metadata || {};
+      const ratioLimits = isVideo ? (limits.videoAspectRatio || limits.aspectRatio) : limits.aspectRatio;
+
+      if (ratioLimits) {
+        if (width && height) {
+          const ratio = width / height;
+          if (ratio < ratioLimits.min - 0.01 || ratio > ratioLimits.max + 0.01) {
+            fixable.push(
+              `${label} aspect ratio ${ratio.toFixed(2)}:1 is outside the allowed range ` +
+              `${ratioLimits.min.toFixed(2)}:1 to ${ratioLimits.max.toFixed(2)}:1${fixNote}`
+            );
+          }
+        } else {
+          warnings.push(`${label} has no dimensions recorded, aspect ratio could not be checked`);
+        }
+      }
+
+      if (isVideo && limits.duration) {
+        if (typeof duration === 'number' && duration > 0) {
+          if (duration < limits.duration.min) {
+            errors.push(`${label} is ${duration}s long, minimum is ${limits.duration.min}s`);
+          } else if (duration > limits.duration.max) {
+            errors.push(`${label} is ${duration}s long, maximum is ${limits.duration.max}s`);
+          }
+        } else {
+          warnings.push(`${label} has no duration recorded, length could not be checked`);
+        }
+      }
+
+      if (isVideo && limits.videoCodecs && codec && !limits.videoCodecs.includes(codec)) {
+        fixable.push(`${label} is encoded as ${codec}, supported codecs are ${limits.videoCodecs.join(', ')}${fixNote}`);
+      }
+      if (isVideo && limits.fps && fps && (fps < limits.fps.min || fps > limits.fps.max)) {
+        warnings.push(`${label} runs at ${fps} fps, recommended range is ${limits.fps.min}-${limits.fps.max} fps`);
+      }
+
+      // YouTube Shorts eligibility (only relevant when the user tagged it as a Short)
+      if (provider === 'youtube' && isVideo && limits.shorts) {
+        const wantsShort = /#shorts/i.test(`${payload.title || ''} ${fullText}`);
+        if (wantsShort) {
+          if (typeof duration === 'number' && duration > limits.shorts.maxDuration) {
+            warnings.push(`${label} is longer than ${limits.shorts.maxDuration}s and will not be treated as a Short`);
+          }
+          if (width && height && width / height > limits.shorts.maxAspectRatio) {
+            warnings.push(`${label} is not vertical or square and will not be treated as a Short`);
+          }
+        }
+      }
+    });
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Whether a library item can be converted to fit a platform (see utils/mediaRenditions)
+   */
+  canAdjust(provider, limits, media) {
+    const profile = getRenditionProfile(provider, media.type, media.mimeType);
+    if (!profile) return false;
+
+    try {
+      planRendition(media, limits, profile);
+      return true;
+    } catch (error) {
+      // e.g. a video too long to fit the size limit at any usable bitrate
+      return false;
+    }
+  }
+
+  /**
+   * Limits of a platform (null when it has no rules)
+   */
+  getPlatformLimits(provider) {
+    return PLATFORM_LIMITS[provider] || null;
+  }
+
+  /**
+   * Find library items for media URLs (order preserved, null for unknown URLs)
+   */
+  async resolveMedia(brandId, mediaUrls) {
+    if (!mediaUrls || mediaUrls.length === 0) {
+      return [];
+    }
+
+    const mediaItems = await Media.find({
+      brand: brandId,
+      s3Url: { $in: mediaUrls },
+    }).select('s3Url type mimeType size metadata');
+
+    const byUrl = new Map(mediaItems.map(m => [m.s3Url, m]));
+    return mediaUrls.map(url => byUrl.get(url) || null);
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+}
+
+module.exports = new PostValidationService();
@@ -0,0 +1,326 @@
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const axios = require('axios');
+const { getZonedParts } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const DEFAULT_BRANDING = {
+  primaryColor: '#667eea',
+  secondaryColor: '#764ba2',
+  accentColor: '#f093fb',
+};
+
+const METRIC_LABELS = {
+  summary: 'Summary',
+  engagement: 'Engagement',
+  platforms: 'Platforms',
+  contentTypes: 'Content Types',
+  trends: 'Daily Trends',
+  topPosts: 'Top Posts',
+};
+
+/**
+ * Render analytics report data as branded PDF and XLSX files
+ */
+class ReportRenderService {
+  /**
+   * Render every requested format
+   *
+   * @param {Object} report - { name, brand, timezone, periodStart, periodEnd, metrics, data }
+   * @param {Array<string>} formats - 'pdf' and/or 'xlsx'
+   * @returns {Promise<Array<{ format, filename, buffer, contentType }>>}
+   */
+  async render(report, formats) {
+    const baseName = this.getBaseFilename(report);
+    const files = [];
+
+    if (formats.includes('pdf')) {
+      files.push({
+        format: 'pdf',
+        filename: `${baseName}.pdf`,
+        buffer: await this.renderPdf(report),
+        contentType: 'application/pdf',
+      });
+    }
+
+    if (formats.includes('xlsx')) {
+      files.push({
+        format: 'xlsx',
+        filename: `${baseName}.xlsx`,
+        buffer: await this.renderXlsx(report),
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Render PDF report
+   */
+  async renderPdf(report) {
+    const { brand, data, metrics } = report;
+    const colors = this.getColors(brand);
+    const logo = await this.loadLogo(brand.logo);
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(colors.primaryColor);
+    if (logo) {
+      try {
+        doc.image(logo, 50, 20, { fit: [50, 50] });
+      } catch (error) {
+        logger.warn('⚠️ Report logo could not be embedded', { error: error.message });
+      }
+    }
+    doc.fillColor('#ffffff')
+      .fontSize(20)
+      .text(brand.name, logo ? 115 : 50, 25)
+      .fontSize(11)
+      .text(`${report.name} · ${this.formatPeriod(report)}`, logo ? 115 : 50, 55);
+
+    doc.fillColor('#333333').moveDown(3);
+    doc.y = 120;
+
+    const section = (title) => {
+      if (doc.y > doc.page.height - 150) doc.addPage();
+      doc.moveDown(0.5)
+        .fillColor(colors.secondaryColor)
+        .fontSize(14)
+        .text(title, 50)
+        .moveDown(0.3)
+        .fillColor('#333333')
+        .fontSize(10);
+    };
+
+    const row = (cells, widths, bold = false) => {
+      if (doc.y > doc.page.height - 70) doc.addPage();
+      const y = doc.y;
+      let x = 50;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      cells.forEach((cell, i) => {
+        doc.text(String(cell ?? '-'), x, y, { width: widths[i] - 5, ellipsis: true, lineBreak: false });
+        x += widths[i];
+      });
+      doc.font('Helvetica');
+      doc.y = y + 16;
+    };
+
+    if (metrics.includes('summary')) {
+      section(METRIC_LABELS.summary);
+      row(['Posts published', data.summary.totalPublished], [200, 200]);
+      row(['Failed posts', data.summary.totalFailed], [200, 200]);
+      row(['Success rate', `${data.summary.successRate}%`], [200, 200]);
+      row(['Channels posted to', data.summary.totalChannels], [200, 200]);
+    }
+
+    if (metrics.includes('engagement')) {
+      section(METRIC_LABELS.engagement);
+      const e = data.engagement;
+      row(['Total engagement', e.totalEngagement], [200, 200]);
+      row(['Likes / Comments / Shares', `${e.likes} / ${e.comments} / ${e.shares}`], [200, 200]);
+      row(['Impressions', e.impressions], [200, 200]);
+      row(['Reach', e.reach], [200, 200]);
+      row(['Engagement rate', e.engagementRate !== null ? `${e.engagementRate}%` : 'n/a'], [200, 200]);
+    }
+
+    if (metrics.includes('platforms')) {
+      section(METRIC_LABELS.platforms);
+      const widths = [110, 70, 100, 100, 100];
+      row(['Platform', 'Posts', 'Engagement', 'Impressions', 'Eng. rate'], widths, true);
+      data.platforms.forEach(p => row([
+        p.provider, p.totalPosts, p.totalEngagement, p.impressions,
+        p.engagementRate !== null ? `${p.engagementRate}%` : 'n/a',
+      ], widths));
+    }
+
+    if (metrics.includes('contentTypes')) {
+      section(METRIC_LABELS.contentTypes);
+      const widths = [130, 80, 120, 120];
+      row(['Type', 'Posts', 'Avg engagement', 'Eng. rate'], widths, true);
+      data.contentTypes.forEach(c => row([
+        c.type, c.count, c.avgEngagement,
+        c.engagementRate !== null ? `${c.engagementRate}%` : 'n/a',
+      ], widths));
+    }
+
+    if (metrics.includes('trends')) {
+      section(METRIC_LABELS.trends);
+      const widths = [120, 80, 120, 120];
+      row(['Date', 'Posts', 'Engagement', 'Impressions'], widths, true);
+      data.trends.forEach(t => row([t.date, t.count, t.engagement, t.impressions], widths));
+    }
+
+    if (metrics.includes('topPosts')) {
+      section(METRIC_LABELS.topPosts);
+      const widths = [70, 250, 90, 85];
+      row(['Platform', 'Post', 'Engagement', 'Published'], widths, true);
+      data.topPosts.forEach(p => row([
+        p.provider,
+        (p.title || p.content || '').replace(/\s+/g, ' ').substring(0, 60),
+        p.engagement,
+        this.formatDate(p.publishedAt, report.timezone),
+      ], widths));
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  /**
+   * Render XLSX report (one sheet per metric section)
+   */
+  async renderXlsx(report) {
+    const { brand, data, metrics } = report;
+    const colors = this.getColors(brand);
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = process.env.APP_NAME || 'SocialFlow';
+    workbook.created = new Date();
+
+    const addSheet = (name, columns, rows) => {
+      const sheet = workbook.addWorksheet(name);
+      sheet.columns = columns.map(([header, key, width = 18]) => ({ header, key, width }));
+      rows.forEach(r => sheet.addRow(r));
+
+      const header = sheet.getRow(1);
+      header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+      header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: this.toArgb(colors.primaryColor) } };
+      return sheet;
+    };
+
+    if (metrics.includes('summary') || metrics.includes('engagement')) {
+      const rows = [
+        { metric: 'Brand', value: brand.name },
+        { metric: 'Report', value: report.name },
+        { metric: 'Period', value: this.formatPeriod(report) },
+      ];
+      if (metrics.includes('summary')) {
+        rows.push(
+          { metric: 'Posts published', value: data.summary.totalPublished },
+          { metric: 'Failed posts', value: data.summary.totalFailed },
+          { metric: 'Success rate (%)', value: data.summary.successRate },
+          { metric: 'Channels posted to', value: data.summary.totalChannels }
+        );
+      }
+      if (metrics.includes('engagement')) {
+        const e = data.engagement;
+        rows.push(
+          { metric: 'Total engagement', value: e.totalEngagement },
+          { metric: 'Likes', value: e.likes },
+          { metric: 'Comments', value: e.comments },
+          { metric: 'Shares', value: e.shares },
+          { metric: 'Clicks', value: e.clicks },
+          { metric: 'Impressions', value: e.impressions },
+          { metric: 'Reach', value: e.reach },
+          { metric: 'Engagement rate (%)', value: e.engagementRate }
+        );
+      }
+      addSheet('Summary', [['Metric', 'metric', 28], ['Value', 'value', 40]], rows);
+    }
+
+    if (metrics.includes('platforms')) {
+      addSheet(METRIC_LABELS.platforms, [
+        ['Platform', 'provider'], ['Posts', 'totalPosts'], ['Channels', 'totalChannels'],
+        ['Engagement', 'totalEngagement'], ['Avg engagement', 'avgEngagement'],
+        ['Impressions', 'impressions'], ['Reach', 'reach'], ['Engagement rate (%)', 'engagementRate'],
+      ], data.platforms);
+    }
+
+    if (metrics.includes('contentTypes')) {
+      addSheet(METRIC_LABELS.contentTypes, [
+        ['Type', 'type'], ['Posts', 'count'], ['Engagement', 'totalEngagement'],
+        ['Avg engagement', 'avgEngagement'], ['Engagement rate (%)', 'engagementRate'],
+      ], data.contentTypes);
+    }
+
+    if (metrics.includes('trends')) {
+      addSheet(METRIC_LABELS.trends, [
+        ['Date', 'date', 14], ['Posts', 'count'], ['Engagement', 'engagement'],
+        ['Impressions', 'impressions'], ['Reach', 'reach'],
+      ], data.trends);
+    }
+
+    if (metrics.includes('topPosts')) {
+      addSheet(METRIC_LABELS.topPosts, [
+        ['Platform', 'provider', 12], ['Channel', 'channel', 20], ['Post', 'text', 60],
+        ['Engagement', 'engagement'], ['Likes', 'likes'], ['Comments', 'comments'],
+        ['Shares', 'shares'], ['Impressions', 'impressions'], ['Engagement rate (%)', 'engagementRate'],
+        ['Published', 'publishedAt', 22], ['URL', 'platformUrl', 40],
+      ], data.topPosts.map(p => ({
+        ...p,
+        channel: p.channel?.displayName || '',
+        text: (p.title || p.content || '').replace(/\s+/g, ' '),
+        publishedAt: new Date(p.publishedAt),
+      })));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  // ========== HELPER METHODS ==========
+
+  getColors(brand) {
+    const branding = brand.branding || {};
+    const valid = value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+    return {
+      primaryColor: valid(branding.primaryColor) ? branding.primaryColor : DEFAULT_BRANDING.primaryColor,
+      secondaryColor: valid(branding.secondaryColor) ? branding.secondaryColor : DEFAULT_BRANDING.secondaryColor,
+      accentColor: valid(branding.accentColor) ? branding.accentColor : DEFAULT_BRANDING.accentColor,
+    };
+  }
+
+  toArgb(hex) {
+    return `FF${hex.replace('#', '').toUpperCase()}`;
+  }
+
+  /**
+   * Download the brand logo (PNG/JPEG only, which is what PDFKit can embed)
+   */
+  async loadLogo(logoUrl) {
+    if (!logoUrl || !/^https?:\/\//i.test(logoUrl)) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(logoUrl, { responseType: 'arraybuffer', timeout: 10000 });
+      const contentType = response.headers['content-type'] || '';
+      if (!/image\/(png|jpe?g)/i.test(contentType)) {
+        return null;
+      }
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.warn('⚠️ Failed to load brand logo for report', { logoUrl, error: error.message });
+      return null;
+    }
+  }
+
+  formatPeriod(report) {
+    const timezone = report.timezone || 'UTC';
+    // periodEnd is exclusive, show the last day covered
+    return `${this.formatDate(report.periodStart, timezone)} to ${this.formatDate(new Date(report.periodEnd).getTime() - 1, timezone)}`;
+  }
+
+  formatDate(date, timezone = 'UTC') {
+    const { year, month, day } = getZonedParts(date, timezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  getBaseFilename(report) {
+    const slug = `${report.brand.name}-${report.name}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return `${slug || 'report'}-${this.formatDate(report.periodStart, report.timezone)}`;
+  }
+}
+
+module.exports = new ReportRenderService();
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const ScheduledReport = require('../models/ScheduledReport');
+const GeneratedReport = require('../models/GeneratedReport');
+const Brand = require('../models/Brand');
+const Channel = require('../models/Channel');
+const analyticsService = require('./analyticsService');
+const reportRenderService = require('./reportRenderService');
+const emailService = require('./emailService');
+const storageService = require('./storageService');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// Roles allowed to create, change and delete report schedules
+const REPORT_MANAGER_ROLES = ['owner', 'manager'];
+
+const EDITABLE_FIELDS = [
+  'name', 'period', 'metrics', 'channels', 'recipients', 'formats',
+  'cadence', 'dayOfWeek', 'dayOfMonth', 'hour', 'status',
+];
+
+class ReportService {
+  /**
+   * Helper: brand membership with analytics access (manage = owner/manager only)
+   */
+  async checkReportAccess(userId, brandId, manage = false) {
+    const membership = await analyticsService.checkBrandAccess(userId, brandId);
+
+    if (!membership || !membership.hasPermission('view_analytics')) {
+      throw new Error('Permission denied');
+    }
+    if (manage && !REPORT_MANAGER_ROLES.includes(membership.role)) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * List report schedules of a brand
+   */
+  async getSchedules(userId, brandId) {
+    await this.checkReportAccess(userId, brandId);
+
+    return await ScheduledReport.find({ brand: brandId })
+      .populate('channels', 'provider displayName avatar')
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Create report schedule
+   */
+  async createSchedule(userId, data) {
+    const { brandId } = data;
+    await this.checkReportAccess(userId, brandId, true);
+
+    const brand = await Brand.findById(brandId);
+    if (!brand || brand.status === 'deleted') {
+      throw new Error('Brand not found');
+    }
+
+    const report = new ScheduledReport({ brand: brandId, createdBy: userId });
+    await this.applyScheduleFields(report, data, brand);
+    await report.save();
+
+    logger.info('📑 Report schedule created', { reportId: report._id, brandId, cadence: report.cadence });
+    return report;
+  }
+
+  /**
+   * Update report schedule
+   */
+  async updateSchedule(userId, reportId, data) {
+    const report = await ScheduledReport.findById(reportId);
+    if (!report) {
+      throw new Error('Report schedule not found');
+    }
+
+    await this.checkReportAccess(userId, report.brand, true);
+
+    const brand = await Brand.findById(report.brand);
+    await this.applyScheduleFields(report, data, brand);
+    await report.save();
+
+    return report;
+  }
+
+  /**
+   * Delete report schedule (generated reports are kept)
+   */
+  async deleteSchedule(userId, reportId) {
+    const report = await ScheduledReport.findById(reportId);
+    if (!report) {
+      throw new Error('Report schedule not found');
+    }
+
+    await this.checkReportAccess(userId, report.brand, true);
+    await report.deleteOne();
+
+    return { success: true };
+  }
+
+  /**
+   * Generate and send a scheduled report now, outside its cadence
+   */
+  async runNow(userId, reportId) {
+    const report = await ScheduledReport.findById(reportId);
+    if (!report) {
+      throw new Error('Report schedule not found');
+    }
+
+    await this.checkReportAccess(userId, report.brand, true);
+
+    return await this.generateReport(report, { generatedBy: userId });
+  }
+
+  /**
+   * List generated reports of a brand (newest first)
+   */
+  async getReports(userId, brandId, { page = 1, limit = 20 } = {}) {
+    await this.checkReportAccess(userId, brandId);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      GeneratedReport.find({ brand: brandId })
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      GeneratedReport.countDocuments({ brand: brandId }),
+    ]);
+
+    return {
+      reports,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Temporary download link for a generated report file
+   */
+  async getDownloadUrl(userId, generatedReportId, format) {
+    const report = await GeneratedReport.findById(generatedReportId);
+    if (!report) {
+      throw new Error('Report not found');
+    }
+
+    await this.checkReportAccess(userId, report.brand);
+
+    const file = format
+      ? report.files.find(f => f.format === format)
+      : report.files[0];
+    if (!file) {
+      throw new Error('Report file not found');
+    }
+
+    const expiresIn = 3600;
+    return {
+      url: await storageService.getPresignedUrl(file.key, expiresIn, file.storageDriver),
+      filename: file.filename,
+      format: file.format,
+      expiresIn,
+    };
+  }
+
+  /**
+   * Render, store and email one report run
+   * Always records a GeneratedReport, marked failed when rendering or storage fails.
+   */
+  async generateReport(schedule, { generatedBy } = {}) {
+    const brand = await Brand.findById(schedule.brand).select('name logo branding settings.timezone');
+    if (!brand) {
+      throw new Error('Brand not found');
+    }
+
+    const timezone = brand.settings?.timezone || 'UTC';
+    const { start, end } = this.getPeriodRange(schedule.period, timezone);
+
+    const generated = new GeneratedReport({
+      brand: brand._id,
+      scheduledReport: schedule._id,
+      generatedBy,
+      name: schedule.name,
+      periodStart: start,
+      periodEnd: end,
+      recipients: schedule.recipients,
+    });
+
+    try {
+      const data = await analyticsService.getReportData(brand._id, {
+        start,
+        end,
+        channelIds: schedule.channels,
+        timezone,
+      });
+
+      const files = await reportRenderService.render({
+        name: schedule.name,
+        brand,
+        timezone,
+        periodStart: start,
+        periodEnd: end,
+        metrics: schedule.metrics,
+        data,
+      }, schedule.formats);
+
+      for (const file of files) {
+        const upload = await storageService.uploadBuffer(
+          file.buffer,
+          file.filename,
+          `${storageService.reportsFolder}/${brand._id}`,
+          file.contentType
+        );
+        generated.files.push({
+          format: file.format,
+          filename: file.filename,
+          key: upload.key,
+          storageDriver: upload.driver,
+          size: upload.size,
+        });
+      }
+
+      const result = await emailService.sendAnalyticsReportEmail(schedule.recipients, {
+        brandName: brand.name,
+        reportName: schedule.name,
+        period: reportRenderService.formatPeriod({ periodStart: start, periodEnd: end, timezone }),
+        summary: data.summary,
+        engagement: data.engagement,
+        primaryColor: reportRenderService.getColors(brand).primaryColor,
+      }, files.map(f => ({ filename: f.filename, content: f.buffer, contentType: f.contentType })));
+
+      if (result?.success === false) {
+        generated.error = `Email delivery failed: ${result.error}`;
+      } else {
+        generated.sentAt = new Date();
+      }
+
+      logger.info('📑 Report generated', {
+        reportId: schedule._id,
+        brandId: brand._id,
+        files: generated.files.length,
+        sent: !!generated.sentAt,
+      });
+    } catch (error) {
+      generated.status = 'failed';
+      generated.error = error.message;
+      logger.error('❌ Report generation failed', { reportId: schedule._id, error: error.message });
+    }
+
+    await generated.save();
+    return generated;
+  }
+
+  /**
+   * Helper: validate and copy editable fields, then recompute nextRunAt
+   */
+  async applyScheduleFields(report, data, brand) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        report[field] = data[field];
+      }
+    });
+
+    if (data.recipients !== undefined) {
+      if (!Array.isArray(data.recipients) || data.recipients.length === 0) {
+        throw new Error('At least one recipient is required');
+      }
+      const recipients = data.recipients.map(email => String(email).trim().toLowerCase());
+      const invalid = recipients.filter(email => !validator.isEmail(email));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid recipient email: ${invalid.join(', ')}`);
+      }
+      report.recipients = [...new Set(recipients)];
+    }
+
+    if (data.channels !== undefined) {
+      if (!Array.isArray(data.channels) || !data.channels.every(id => mongoose.Types.ObjectId.isValid(String(id)))) {
+        throw new Error('Invalid channels: expected an array of channel IDs');
+      }
+    }
+
+    if (data.channels?.length > 0) {
+      const count = await Channel.countDocuments({ _id: { $in: data.channels }, brand: brand._id });
+      if (count !== new Set(data.channels.map(String)).size) {
+        throw new Error('Invalid channel');
+      }
+    }
+
+    if (data.formats !== undefined && (!Array.isArray(data.formats) || data.formats.length === 0)) {
+      throw new Error('At least one format is required');
+    }
+
+    // Match the period to the cadence unless one was chosen
+    if (data.period === undefined && report.isNew) {
+      report.period = report.cadence === 'monthly' ? 'previous_month' : 'previous_week';
+    }
+
+    report.nextRunAt = report.status === 'active'
+      ? this.getNextRunAt(report, brand.settings?.timezone || 'UTC')
+      : undefined;
+  }
+
+  /**
+   * Next delivery time after `after` (brand timezone)
+   */
+  getNextRunAt(report, timezone = 'UTC', after = new Date()) {
+    const local = getZonedParts(after, timezone);
+
+    if (report.cadence === 'weekly') {
+      for (let offset = 0; offset <= 7; offset++) {
+        const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+        if (day.getUTCDay() !== report.dayOfWeek) continue;
+
+        const candidate = zonedTimeToUtc({
+          year: day.getUTCFullYear(),
+          month: day.getUTCMonth() + 1,
+          day: day.getUTCDate(),
+          hour: report.hour,
+        }, timezone);
+        if (candidate > after) return candidate;
+      }
+    }
+
+    // Monthly (dayOfMonth is capped at 28 so it exists in every month)
+    for (let offset = 0; offset <= 1; offset++) {
+      const candidate = zonedTimeToUtc({
+        year: local.year,
+        month: local.month + offset,
+        day: report.dayOfMonth,
+        hour: report.hour,
+      }, timezone);
+      if (candidate > after) return candidate;
+    }
+
+    return zonedTimeToUtc({
+      year: local.year,
+      month: local.month + 2,
+      day: report.dayOfMonth,
+      hour: report.hour,
+    }, timezone);
+  }
+
+  /**
+   * Resolve a report period to [start, end) in the brand timezone
+   */
+  getPeriodRange(period, timezone = 'UTC', now = new Date()) {
+    const local = getZonedParts(now, timezone);
+    const midnight = (year, month, day) => zonedTimeToUtc({ year, month, day }, timezone);
+
+    switch (period) {
+      case 'previous_month':
+        return {
+          start: midnight(local.year, local.month - 1, 1),
+          end: midnight(local.year, local.month, 1),
+        };
+      case 'last_7_days':
+        return {
+          start: midnight(local.year, local.month, local.day - 7),
+          end: midnight(local.year, local.month, local.day),
+        };
+      case 'last_30_days':
+        return {
+          start: midnight(local.year, local.month, local.day - 30),
+          end: midnight(local.year, local.month, local.day),
+        };
+      case 'previous_week':
+      default: {
+        // Weeks run Monday to Sunday
+        const mondayOffset = (local.weekday + 6) % 7;
+        return {
+          start: midnight(local.year, local.month, local.day - mondayOffset - 7),
+          end: midnight(local.year, local.month, local.day - mondayOffset),
+        };
+      }
+    }
+  }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,296 @@
+const Organization = require('../models/Organization');
+const Brand = require('../models/Brand');
+const Media = require('../models/Media');
+const Membership = require('../models/Membership');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Media library limits per subscription tier (null = unlimited). The organization limits are
+// shared by all its brands; the per-brand limits keep one brand from using up the whole pool.
+// Trashed media counts until it is purged.
+const STORAGE_QUOTAS = {
+  free: {
+    maxBytes: 2 * GB,
+    maxFiles: 500,
+    maxFileSize: 25 * MB,
+    perBrand: { maxBytes: 1 * GB, maxFiles: 250 },
+  },
+  pro: {
+    maxBytes: 100 * GB,
+    maxFiles: 20000,
+    maxFileSize: 100 * MB,
+    perBrand: { maxBytes: 25 * GB, maxFiles: 5000 },
+  },
+  enterprise: {
+    maxBytes: 1024 * GB,
+    maxFiles: null,
+    maxFileSize: 500 * MB,
+    perBrand: { maxBytes: 250 * GB, maxFiles: null },
+  },
+};
+
+// Usage percentages that warn the organization's owners (highest first)
+const WARNING_THRESHOLDS = [95, 80];
+
+class StorageQuotaService {
+  /**
+   * Largest file any tier accepts (upload middleware limit)
+   */
+  getMaxFileSize() {
+    return Math.max(...Object.values(STORAGE_QUOTAS).map(quota => quota.maxFileSize));
+  }
+
+  /**
+   * Tier whose quota applies: lapsed or inactive subscriptions fall back to free
+   */
+  getTier(organization) {
+    const { tier, status, validUntil } = organization.subscription || {};
+    if (!STORAGE_QUOTAS[tier] || status !== 'active' || (validUntil && validUntil < new Date())) {
+      return 'free';
+    }
+    return tier;
+  }
+
+  /**
+   * Helper: organization of a brand
+   */
+  async getBrandOrganization(brandId) {
+    const brand = await Brand.findById(brandId).select('organization');
+    if (!brand) {
+      throw new Error('Brand not found');
+    }
+
+    const organization = await Organization.findById(brand.organization);
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    return organization;
+  }
+
+  /**
+   * Bytes and files stored by an organization, in total and per brand
+   */
+  async getUsage(organization) {
+    const brands = await Brand.find({ organization: organization._id }).select('name status');
+    const totals = await Media.aggregate([
+      { $match: { brand: { $in: brands.map(b => b._id) } } },
+      { $group: { _id: '$brand', bytes: { $sum: '$size' }, files: { $sum: 1 } } },
+    ]);
+    const byBrand = new Map(totals.map(t => [t._id.toString(), t]));
+
+    const perBrand = brands.map(brand => ({
+      brand: brand._id,
+      name: brand.name,
+      status: brand.status,
+      bytes: byBrand.get(brand._id.toString())?.bytes || 0,
+      files: byBrand.get(brand._id.toString())?.files || 0,
+    }));
+
+    return {
+      bytes: perBrand.reduce((sum, b) => sum + b.bytes, 0),
+      files: perBrand.reduce((sum, b) => sum + b.files, 0),
+      brands: perBrand,
+    };
+  }
+
+  /**
+   * Helper: share of the quota in use (0-100+), the higher of bytes and files
+   */
+  getPercentUsed(usage, quota) {
+    const bytes = quota.maxBytes ? (usage.bytes / quota.maxBytes) * 100 : 0;
+    const files = quota.maxFiles ? (usage.files / quota.maxFiles) * 100 : 0;
+    return Math.round(Math.max(bytes, files) * 10) / 10;
+  }
+
+  /**
+   * Storage usage of an organization against its tier quota (any member)
+   */
+  async getOrganizationUsage(userId, organizationId) {
+    const organization = await Organization.findOne({ _id: organizationId, status: { $ne: 'deleted' } });
+    if (!organization) {
+      throw new Error('Organization not found');
+    }
+
+    const membership = await Membership.findOne({ user: userId, organization: organizationId });
+    if (!membership && !organization.owner.equals(userId)) {
+      throw new Error('Permission denied');
+    }
+
+    const tier = this.getTier(organization);
+    const quota = STORAGE_QUOTAS[tier];
+    const usage = await this.getUsage(organization);
+
+    return {
+      tier,
+      quota,
+      usage: {
+        bytes: usage.bytes,
+        files: usage.files,
+        percentUsed: this.getPercentUsed(usage, quota),
+        remainingBytes: quota.maxBytes === null ? null : Math.max(quota.maxBytes - usage.bytes, 0),
+        remainingFiles: quota.maxFiles === null ? null : Math.max(quota.maxFiles - usage.files, 0),
+      },
+      brands: usage.brands.map(brand => ({
+        ...brand,
+        percentUsed: this.getPercentUsed(brand, quota.perBrand),
+      })),
+    };
+  }
+
+  /**
+   * Whether the user belongs to the brand, directly or through its organization
+   */
+  async isBrandMember(userId, brandId) {
+    if (await Membership.exists({ user: userId, brand: brandId })) {
+      return true;
+    }
+
+    const brand = await Brand.findById(brandId).select('organization');
+    return !!brand && !!(await Membership.exists({ user: userId, organization: brand.organization }));
+  }
+
+  /**
+   * Throw a 413 error when files would exceed the brand's or its organization's quota
+   * Files with a contentHash already in the brand's library store nothing new and are not counted.
+   * @param {Array<{ size: number, originalname?: string, contentHash?: string }>} files
+   */
+  async assertCanStore(brandId, files) {
+    const organization = await this.getBrandOrganization(brandId);
+    const tier = this.getTier(organization);
+    const quota = STORAGE_QUOTAS[tier];
+
+    const hashes = files.map(file => file.contentHash).filter(Boolean);
+    const stored = new Set(hashes.length > 0
+      ? await Media.distinct('contentHash', { brand: brandId, contentHash: { $in: hashes }, status: { $ne: 'deleted' } })
+      : []);
+    const newFiles = files.filter(file => !stored.has(file.contentHash));
+    if (newFiles.length === 0) {
+      return { organization, tier, quota };
+    }
+
+    const tooLarge = newFiles.find(file => file.size > quota.maxFileSize);
+    if (tooLarge) {
+      throw this.quotaError(
+        `${tooLarge.originalname || 'File'} is larger than the ${this.formatBytes(quota.maxFileSize)} per-file limit of the ${tier} plan`,
+        { tier, quota }
+      );
+    }
+
+    const usage = await this.getUsage(organization);
+    const brandUsage = usage.brands.find(b => b.brand.toString() === brandId.toString()) || { bytes: 0, files: 0 };
+    const added = {
+      bytes: newFiles.reduce((sum, file) => sum + file.size, 0),
+      files: newFiles.length,
+    };
+
+    const limits = [
+      { scope: 'brand', label: 'This brand', limit: quota.perBrand, used: brandUsage },
+      { scope: 'organization', label: 'The organization', limit: quota, used: usage },
+    ];
+
+    for (const { scope, label, limit, used } of limits) {
+      const details = {
+        tier,
+        scope,
+        quota,
+        usage: { bytes: used.bytes, files: used.files },
+      };
+
+      if (limit.maxFiles !== null && used.files + added.files > limit.maxFiles) {
+        throw this.quotaError(
+          `${label} can store up to ${limit.maxFiles} files on the ${tier} plan and ${used.files} are in use`,
+          details
+        );
+      }
+      if (limit.maxBytes !== null && used.bytes + added.bytes > limit.maxBytes) {
+        throw this.quotaError(
+          `Storage quota exceeded: ${label.toLowerCase()} uses ${this.formatBytes(used.bytes)} of ${this.formatBytes(limit.maxBytes)} on the ${tier} plan`,
+          details
+        );
+      }
+    }
+
+    return { organization, tier, quota };
+  }
+
+  /**
+   * Helper: 413 error carrying quota details for the response
+   */
+  quotaError(message, details) {
+    const error = new Error(message);
+    error.statusCode = 413;
+    error.code = 'STORAGE_QUOTA_EXCEEDED';
+    error.quota = details;
+    return error;
+  }
+
+  /**
+   * Warn owners once when usage crosses 80% and again at 95%; dropping below 80% re-arms the warnings
+   */
+  async checkWarningThresholds(brandId) {
+    try {
+      const organization = await this.getBrandOrganization(brandId);
+      const tier = this.getTier(organization);
+      const quota = STORAGE_QUOTAS[tier];
+      const usage = await this.getUsage(organization);
+      const percentUsed = this.getPercentUsed(usage, quota);
+      const level = WARNING_THRESHOLDS.find(threshold => percentUsed >= threshold) || 0;
+      const warned = organization.storageWarningLevel || 0;
+
+      if (level === warned || (level > 0 && level < warned)) {
+        return;
+      }
+
+      // Conditional update so concurrent uploads send one warning
+      const { modifiedCount } = await Organization.updateOne(
+        { _id: organization._id, storageWarningLevel: warned === 0 ? { $in: [0, null] } : warned },
+        { $set: { storageWarningLevel: level } }
+      );
+      if (modifiedCount === 0 || level === 0) {
+        return;
+      }
+
+      const owners = await Membership.find({
+        organization: organization._id,
+        role: 'owner',
+        status: 'active',
+      }).distinct('user');
+      const recipients = [...new Set([...owners, organization.owner].map(String))];
+
+      for (const userId of recipients) {
+        await notificationService.notifyStorageQuotaWarning(userId, brandId, {
+          organizationId: organization._id,
+          organizationName: organization.name,
+          tier,
+          percentUsed,
+          threshold: level,
+        });
+      }
+
+      logger.info('📦 Storage quota warning sent', {
+        organizationId: organization._id,
+        percentUsed,
+        threshold: level,
+        recipients: recipients.length,
+      });
+    } catch (error) {
+      logger.error('❌ Storage quota check failed', { brandId, error: error.message });
+    }
+  }
+
+  /**
+   * Format bytes to human-readable size
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(0)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+  }
+}
+
+module.exports = new StorageQuotaService();
+module.exports.STORAGE_QUOTAS = STORAGE_QUOTAS;
@@ -0,0 +1,296 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const StorageFactory = require('../storage/StorageFactory');
+const { getContentType } = require('../storage/contentTypes');
+const logger = require('../utils/logger');
+
+/**
+ * File storage on the backend chosen by STORAGE_DRIVER (s3, cloudinary or local)
+ *
+ * Methods that address an existing object take an optional driver name, so items
+ * stored before a switch (Media.storageDriver) keep working until they are migrated
+ * with `npm run storage:migrate`.
+ */
+class StorageService {
+  constructor() {
+    this.driverName = (process.env.STORAGE_DRIVER || 's3').toLowerCase();
+    this.drivers = new Map();
+
+    this.mediaFolder = process.env.AWS_S3_MEDIA_FOLDER || 'media';
+    this.avatarsFolder = process.env.AWS_S3_AVATARS_FOLDER || 'avatars';
+    this.thumbnailsFolder = process.env.AWS_S3_THUMBNAILS_FOLDER || 'thumbnails';
+    this.reportsFolder = process.env.AWS_S3_REPORTS_FOLDER || 'reports';
+  }
+
+  /**
+   * Driver instance by name (default: the configured driver), created on first use
+   */
+  getDriver(driverName = this.driverName) {
+    const name = (driverName || this.driverName).toLowerCase();
+
+    if (!this.drivers.has(name)) {
+      this.drivers.set(name, StorageFactory.getDriver(name));
+    }
+
+    return this.drivers.get(name);
+  }
+
+  /**
+   * Generate unique filename
+   */
+  generateFileName(originalName, prefix = '') {
+    const ext = path.extname(originalName);
+    const uniqueId = crypto.randomBytes(16).toString('hex');
+    const timestamp = Date.now();
+    return `${prefix}${timestamp}-${uniqueId}${ext}`;
+  }
+
+  /**
+   * Upload a local file; the local copy is removed afterwards
+   * @param {string} filePath - Local file path
+   * @param {string} folder - Key prefix (media/avatars/thumbnails)
+   * @param {object} metadata - Additional metadata stored with the object
+   * @returns {object} - { url, key, fileName, size, contentType, bucket, driver }
+   */
+  async uploadFile(filePath, folder, metadata = {}) {
+    const driver = this.getDriver();
+
+    try {
+      const { size } = await fs.stat(filePath);
+      const originalName = path.basename(filePath);
+      const fileName = this.generateFileName(originalName);
+      const contentType = this.getContentType(path.extname(originalName).toLowerCase());
+      const key = `${folder}/${fileName}`;
+
+      logger.info('📤 Uploading to storage', {
+        driver: driver.name,
+        originalName,
+        key,
+        size: `${(size / 1024 / 1024).toFixed(2)}MB`,
+        contentType,
+      });
+
+      await driver.putFile(key, filePath, {
+        contentType,
+        metadata: {
+          'original-name': originalName,
+          'uploaded-at': new Date().toISOString(),
+          ...metadata,
+        },
+      });
+
+      const url = driver.getPublicUrl(key);
+
+      logger.info('✅ File uploaded to storage', {
+        driver: driver.name,
+        fileName,
+        key,
+        url,
+      });
+
+      // Clean up local file
+      try {
+        await fs.unlink(filePath);
+        logger.info('🗑️ Local file deleted', { filePath });
+      } catch (unlinkError) {
+        logger.warn('⚠️ Failed to delete local file', {
+          filePath,
+          error: unlinkError.message
+        });
+      }
+
+      return {
+        success: true,
+        url,
+        key,
+        fileName,
+        originalName,
+        size,
+        contentType,
+        bucket: driver.location,
+        driver: driver.name,
+      };
+    } catch (error) {
+      logger.error('❌ Storage upload failed', {
+        driver: driver.name,
+        filePath,
+        error: error.message,
+      });
+
+      const enhancedError = new Error(error.message);
+      enhancedError.originalError = error;
+      enhancedError.filePath = filePath;
+
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Upload an in-memory file (e.g. a generated report)
+   * @returns {object} - { url, key, size, contentType, driver }
+   */
+  async uploadBuffer(buffer, fileName, folder, contentType) {
+    const driver = this.getDriver();
+    const key = `${folder}/${this.generateFileName(fileName)}`;
+
+    try {
+      await driver.putBuffer(key, buffer, {
+        contentType,
+        metadata: {
+          'original-name': fileName,
+          'uploaded-at': new Date().toISOString(),
+        },
+      });
+
+      logger.info('✅ Buffer uploaded to storage', { driver: driver.name, key, size: buffer.length });
+
+      return {
+        success: true,
+        url: driver.getPublicUrl(key),
+        key,
+        size: buffer.length,
+        contentType,
+        driver: driver.name,
+      };
+    } catch (error) {
+      logger.error('❌ Storage buffer upload failed', { driver: driver.name, key, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Upload image
+   */
+  async uploadImage(filePath, metadata = {}) {
+    return await this.uploadFile(filePath, this.mediaFolder, {
+      type: 'image',
+      ...metadata,
+    });
+  }
+
+  /**
+   * Upload video
+   */
+  async uploadVideo(filePath, metadata = {}) {
+    return await this.uploadFile(filePath, this.mediaFolder, {
+      type: 'video',
+      ...metadata,
+    });
+  }
+
+  /**
+   * Upload avatar
+   */
+  async uploadAvatar(filePath, userId) {
+    return await this.uploadFile(filePath, this.avatarsFolder, {
+      type: 'avatar',
+      userId: String(userId),
+    });
+  }
+
+  /**
+   * Upload thumbnail
+   */
+  async uploadThumbnail(filePath, metadata = {}) {
+    return await this.uploadFile(filePath, this.thumbnailsFolder, {
+      type: 'thumbnail',
+      ...metadata,
+    });
+  }
+
+  /**
+   * Delete an object
+   */
+  async deleteFile(key, driverName) {
+    const driver = this.getDriver(driverName);
+
+    try {
+      await driver.delete(key);
+
+      logger.info('🗑️ File deleted from storage', { driver: driver.name, key });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('❌ Storage delete failed', {
+        driver: driver.name,
+        key,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Download an object to a local file
+   */
+  async downloadFile(key, destinationPath, driverName) {
+    const driver = this.getDriver(driverName);
+
+    try {
+      return await driver.download(key, destinationPath);
+    } catch (error) {
+      logger.error('❌ Storage download failed', {
+        driver: driver.name,
+        key,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate presigned URL for temporary access
+   */
+  async getPresignedUrl(key, expiresIn = 3600, driverName) {
+    const driver = this.getDriver(driverName);
+
+    try {
+      return await driver.getPresignedUrl(key, expiresIn);
+    } catch (error) {
+      logger.error('❌ Failed to generate presigned URL', {
+        driver: driver.name,
+        key,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get public URL of an object
+   */
+  getPublicUrl(key, driverName) {
+    return this.getDriver(driverName).getPublicUrl(key);
+  }
+
+  /**
+   * Get content type from file extension
+   */
+  getContentType(ext) {
+    return getContentType(ext);
+  }
+
+  /**
+   * Test the storage connection
+   */
+  async testConnection(driverName) {
+    const driver = this.getDriver(driverName);
+
+    try {
+      await driver.testConnection();
+
+      logger.info('✅ Storage connection test successful', { driver: driver.name });
+      return true;
+    } catch (error) {
+      logger.error('❌ Storage connection test failed', {
+        driver: driver.name,
+        location: driver.location,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+}
+
+module.exports = new StorageService();
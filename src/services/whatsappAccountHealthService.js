@@ -0,0 +1,260 @@
+const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
+const Channel = require('../models/Channel');
+const Brand = require('../models/Brand');
+const Membership = require('../models/Membership');
+const whatsappCampaignService = require('./whatsappCampaignService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+// Higher is worse; alerts go out when the rating moves up this scale
+const QUALITY_RANK = { UNKNOWN: 0, GREEN: 0, YELLOW: 1, RED: 2 };
+const LIMIT_RANK = {
+  TIER_NOT_SET: 0,
+  TIER_50: 1,
+  TIER_250: 2,
+  TIER_1K: 3,
+  TIER_10K: 4,
+  TIER_100K: 5,
+  TIER_UNLIMITED: 6,
+};
+
+// Entries kept on the health record (oldest dropped first)
+const MAX_HISTORY = 500;
+const MAX_ALERTS = 200;
+
+// Brand roles that receive quality alerts
+const ALERT_ROLES = ['owner', 'manager'];
+
+class WhatsAppAccountHealthService {
+  /**
+   * Helper: WhatsApp channel by ID with brand access check
+   */
+  async getChannelForUser(userId, channelId, permission = null) {
+    const channel = await Channel.findOne({ _id: channelId, provider: 'whatsapp' });
+    if (!channel) {
+      throw new Error('WhatsApp channel not found');
+    }
+
+    const membership = await Membership.findOne({ user: userId, brand: channel.brand });
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return channel;
+  }
+
+  /**
+   * Current quality rating and messaging limit of every WhatsApp number of a brand
+   */
+  async getBrandHealth(userId, brandId) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+    if (!membership) {
+      throw new Error('Permission denied');
+    }
+
+    const channels = await Channel.find({ brand: brandId, provider: 'whatsapp' })
+      .select('displayName platformUsername connectionStatus');
+    const records = await WhatsAppAccountHealth.find({ channel: { $in: channels.map(c => c._id) } })
+      .select('-history');
+    const recordsByChannel = new Map(records.map(r => [r.channel.toString(), r]));
+
+    return channels.map((channel) => {
+      const record = recordsByChannel.get(channel._id.toString());
+      return {
+        channel,
+        qualityRating: record?.qualityRating || 'UNKNOWN',
+        messagingLimit: record?.messagingLimit || 'TIER_NOT_SET',
+        qualityScore: record?.qualityScore,
+        lastUpdated: record?.lastUpdated,
+        openAlerts: (record?.alerts || []).filter(alert => !alert.acknowledged).length,
+      };
+    });
+  }
+
+  /**
+   * Health of one number with its history (newest first) and alerts
+   */
+  async getHealth(userId, channelId, { from, to, limit = 100, includeAcknowledged } = {}) {
+    const channel = await this.getChannelForUser(userId, channelId);
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+    if ((fromDate && Number.isNaN(fromDate.getTime())) || (toDate && Number.isNaN(toDate.getTime()))) {
+      throw new Error('Invalid date range');
+    }
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 100, 1), MAX_HISTORY);
+
+    const record = await WhatsAppAccountHealth.findOne({ channel: channel._id })
+      .populate('alerts.acknowledgedBy', 'name email');
+
+    const history = (record?.history || [])
+      .filter(entry => (!fromDate || entry.timestamp >= fromDate) && (!toDate || entry.timestamp <= toDate))
+      .reverse()
+      .slice(0, limitNum);
+    const alerts = (record?.alerts || [])
+      .filter(alert => [true, 'true'].includes(includeAcknowledged) || !alert.acknowledged)
+      .reverse();
+
+    return {
+      channel: {
+        _id: channel._id,
+        displayName: channel.displayName,
+        phoneNumber: channel.platformUsername,
+      },
+      qualityRating: record?.qualityRating || 'UNKNOWN',
+      messagingLimit: record?.messagingLimit || 'TIER_NOT_SET',
+      qualityScore: record?.qualityScore,
+      lastUpdated: record?.lastUpdated,
+      history,
+      alerts,
+    };
+  }
+
+  /**
+   * Mark an alert as seen
+   */
+  async acknowledgeAlert(userId, channelId, alertId) {
+    const channel = await this.getChannelForUser(userId, channelId, 'connect_channels');
+
+    const record = await WhatsAppAccountHealth.findOneAndUpdate(
+      { channel: channel._id, 'alerts._id': alertId },
+      {
+        $set: {
+          'alerts.$.acknowledged': true,
+          'alerts.$.acknowledgedBy': userId,
+          'alerts.$.acknowledgedAt': new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!record) {
+      throw new Error('Alert not found');
+    }
+
+    return record.alerts.id(alertId);
+  }
+
+  /**
+   * Record a quality/limit webhook for a channel: history, alerts, campaign pause and notifications
+   */
+  async recordQualityUpdate(channel, { qualityRating, qualityScore, messagingLimit, event }) {
+    const previous = await WhatsAppAccountHealth.findOne({ channel: channel._id })
+      .select('qualityRating messagingLimit');
+
+    const previousRating = previous?.qualityRating || 'UNKNOWN';
+    const previousLimit = previous?.messagingLimit || 'TIER_NOT_SET';
+    const rating = WhatsAppAccountHealth.QUALITY_RATINGS.includes(qualityRating) ? qualityRating : previousRating;
+    const limit = WhatsAppAccountHealth.MESSAGING_LIMITS.includes(messagingLimit) ? messagingLimit : previousLimit;
+    const now = new Date();
+
+    const alerts = [];
+    if (QUALITY_RANK[rating] > QUALITY_RANK[previousRating]) {
+      alerts.push({
+        type: 'QUALITY_DEGRADED',
+        severity: rating === 'RED' ? 'critical' : 'warning',
+        message: rating === 'RED'
+          ? 'Quality rating dropped to RED. Campaigns on this number are paused.'
+          : `Quality rating dropped to ${rating}. Sending to unengaged contacts may lower the messaging limit.`,
+        qualityRating: rating,
+        messagingLimit: limit,
+        createdAt: now,
+      });
+    }
+    // The first reported tier is not a change
+    if (limit !== previousLimit && previousLimit !== 'TIER_NOT_SET') {
+      const downgraded = LIMIT_RANK[limit] < LIMIT_RANK[previousLimit];
+      alerts.push({
+        type: 'LIMIT_CHANGED',
+        severity: downgraded ? 'warning' : 'info',
+        message: `Messaging limit ${downgraded ? 'lowered' : 'raised'} from ${previousLimit} to ${limit}.`,
+        qualityRating: rating,
+        messagingLimit: limit,
+        previousMessagingLimit: previousLimit,
+        createdAt: now,
+      });
+    }
+
+    // Pause before saving so the alerts record how many campaigns stopped
+    if (rating === 'RED') {
+      const paused = await whatsappCampaignService.pauseChannelCampaigns(channel._id, 'Quality rating is RED');
+      const qualityAlert = alerts.find(alert => alert.type === 'QUALITY_DEGRADED');
+      if (qualityAlert) qualityAlert.pausedCampaigns = paused;
+    }
+
+    const record = await WhatsAppAccountHealth.findOneAndUpdate(
+      { channel: channel._id },
+      {
+        $set: {
+          phoneNumberId: channel.providerData?.phoneNumberId,
+          qualityRating: rating,
+          messagingLimit: limit,
+          ...(qualityScore !== undefined && { qualityScore }),
+          lastUpdated: now,
+        },
+        $push: {
+          history: {
+            $each: [{ qualityRating: rating, qualityScore, messagingLimit: limit, timestamp: now, reason: event }],
+            $slice: -MAX_HISTORY,
+          },
+          ...(alerts.length > 0 && { alerts: { $each: alerts, $slice: -MAX_ALERTS } }),
+        },
+      },
+      { upsert: true, new: true }
+    );
+
+    if (alerts.length > 0) {
+      // Pushed alerts are the last ones; their IDs link the notifications
+      const created = record.alerts.slice(-alerts.length);
+      await this.notifyManagers(channel, created);
+    }
+
+    return { record, alerts: alerts.length };
+  }
+
+  /**
+   * Helper: in-app notification and email to the brand's owners and managers
+   */
+  async notifyManagers(channel, alerts) {
+    const [brand, memberships] = await Promise.all([
+      Brand.findById(channel.brand).select('name'),
+      Membership.find({ brand: channel.brand, role: { $in: ALERT_ROLES }, status: 'active' })
+        .populate('user', 'name email'),
+    ]);
+
+    for (const alert of alerts) {
+      for (const membership of memberships) {
+        if (!membership.user) continue;
+
+        await notificationService.notifyWhatsAppQualityAlert(membership.user._id, channel.brand, {
+          channelId: channel._id,
+          alertId: alert._id,
+          severity: alert.severity,
+          message: `${channel.displayName || channel.platformUsername}: ${alert.message}`,
+        });
+
+        if (membership.user.email) {
+          await emailService.sendWhatsAppQualityAlertEmail(membership.user.email, membership.user.name, {
+            channelId: channel._id,
+            brandName: brand?.name,
+            phoneNumber: channel.platformUsername,
+            severity: alert.severity,
+            message: alert.message,
+            qualityRating: alert.qualityRating,
+            messagingLimit: alert.messagingLimit,
+            pausedCampaigns: alert.pausedCampaigns,
+          });
+        }
+      }
+    }
+
+    logger.info('📣 WhatsApp quality alerts sent', {
+      channelId: channel._id,
+      alerts: alerts.map(alert => alert.type),
+      recipients: memberships.length,
+    });
+  }
+}
+
+module.exports = new WhatsAppAccountHealthService();
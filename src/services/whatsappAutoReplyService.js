@@ -0,0 +1,453 @@
+const WhatsAppAutoReplyRule = require('../models/WhatsAppAutoReplyRule');
+const WhatsAppAutoReplyLog = require('../models/WhatsAppAutoReplyLog');
+const WhatsAppConversation = require('../models/WhatsAppConversation');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const Channel = require('../models/Channel');
+const Brand = require('../models/Brand');
+const Membership = require('../models/Membership');
+const ProviderFactory = require('../providers/ProviderFactory');
+const whatsappInboxService = require('./whatsappInboxService');
+const { getZonedParts } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+// A flow waiting for an answer is dropped after this long
+const FLOW_SESSION_TTL_MS = 60 * 60 * 1000;
+// Guards against step cycles without branches
+const MAX_STEPS_PER_EXECUTION = 10;
+
+const EDITABLE_FIELDS = ['name', 'isActive', 'priority', 'trigger', 'cooldownMinutes', 'steps'];
+
+class WhatsAppAutoReplyService {
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkRuleAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Helper: rule by ID with access check
+   */
+  async getRuleForUser(userId, ruleId, permission = null) {
+    const rule = await WhatsAppAutoReplyRule.findById(ruleId);
+    if (!rule) {
+      throw new Error('Auto-reply rule not found');
+    }
+
+    await this.checkRuleAccess(userId, rule.brand, permission);
+    return rule;
+  }
+
+  /**
+   * List rules of a brand in evaluation order
+   */
+  async getRules(userId, brandId) {
+    await this.checkRuleAccess(userId, brandId);
+
+    return await WhatsAppAutoReplyRule.find({ brand: brandId })
+      .populate('channel', 'displayName platformUsername')
+      .sort({ priority: 1, createdAt: 1 });
+  }
+
+  /**
+   * Get rule
+   */
+  async getRule(userId, ruleId) {
+    return await this.getRuleForUser(userId, ruleId);
+  }
+
+  /**
+   * Create rule
+   */
+  async createRule(userId, data) {
+    const { brandId } = data;
+    await this.checkRuleAccess(userId, brandId, 'create_posts');
+
+    const rule = new WhatsAppAutoReplyRule({ brand: brandId, createdBy: userId });
+    await this.applyRuleFields(rule, data);
+    await rule.save();
+
+    logger.info('🤖 Auto-reply rule created', { ruleId: rule._id, brandId, trigger: rule.trigger.type });
+    return rule;
+  }
+
+  /**
+   * Update rule
+   */
+  async updateRule(userId, ruleId, data) {
+    const rule = await this.getRuleForUser(userId, ruleId, 'create_posts');
+
+    await this.applyRuleFields(rule, data);
+    await rule.save();
+
+    return rule;
+  }
+
+  /**
+   * Delete rule (its execution log expires on its own)
+   */
+  async deleteRule(userId, ruleId) {
+    const rule = await this.getRuleForUser(userId, ruleId, 'create_posts');
+
+    await WhatsAppConversation.updateMany(
+      { 'autoReplyFlow.rule': rule._id },
+      { $unset: { autoReplyFlow: 1 } }
+    );
+    await rule.deleteOne();
+
+    return { success: true };
+  }
+
+  /**
+   * Execution log of a rule (newest first)
+   */
+  async getLogs(userId, ruleId, { page = 1, limit = 50 } = {}) {
+    const rule = await this.getRuleForUser(userId, ruleId);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const [logs, total] = await Promise.all([
+      WhatsAppAutoReplyLog.find({ rule: rule._id })
+        .populate('contact', 'name phone')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WhatsAppAutoReplyLog.countDocuments({ rule: rule._id }),
+    ]);
+
+    return {
+      logs,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Reply to an inbound message: continue a waiting flow, else run the first matching rule
+   * (keyword/regex, then greeting for new contacts, then away outside business hours).
+   */
+  async handleInboundMessage({ channel, contact, conversation, message, reply, isNewContact = false }) {
+    try {
+      if (contact.hasOptedOut()) {
+        return null;
+      }
+
+      const flow = conversation.autoReplyFlow;
+      if (flow?.rule && flow.expiresAt > new Date()) {
+        const result = await this.continueFlow({ channel, contact, conversation, message, reply });
+        if (result) return result;
+      }
+
+      const rules = await WhatsAppAutoReplyRule.find({
+        brand: channel.brand,
+        isActive: true,
+        $or: [{ channel: null }, { channel: channel._id }],
+      }).sort({ priority: 1, createdAt: 1 });
+
+      if (rules.length === 0) {
+        return null;
+      }
+
+      const byType = (type) => rules.filter(rule => rule.trigger.type === type);
+      let match = rules.find(rule => ['keyword', 'regex'].includes(rule.trigger.type) && this.matchesTrigger(rule, reply.text));
+
+      if (!match && isNewContact) {
+        match = byType('greeting')[0];
+      }
+
+      if (!match) {
+        const awayRules = byType('away');
+        if (awayRules.length > 0) {
+          const brand = await Brand.findById(channel.brand).select('settings.timezone');
+          const timezone = brand?.settings?.timezone || 'UTC';
+          match = awayRules.find(rule => !this.isWithinBusinessHours(rule.trigger.businessHours, timezone));
+        }
+      }
+
+      if (!match || !(await this.isCooledDown(match, contact))) {
+        return null;
+      }
+
+      return await this.runSteps({
+        rule: match,
+        stepKey: match.steps[0].key,
+        trigger: match.trigger.type,
+        channel,
+        contact,
+        conversation,
+        message,
+      });
+    } catch (error) {
+      // Auto-replies never block storing the inbound message
+      logger.error('❌ Auto-reply failed', { contactId: contact._id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Advance a waiting flow by the contact's reply; unmatched replies end the flow
+   */
+  async continueFlow({ channel, contact, conversation, message, reply }) {
+    const { rule: ruleId, step: stepKey } = conversation.autoReplyFlow;
+    const rule = await WhatsAppAutoReplyRule.findOne({ _id: ruleId, isActive: true });
+    const step = rule?.steps.find(s => s.key === stepKey);
+
+    const answers = [reply.id, reply.text]
+      .filter(Boolean)
+      .map(value => String(value).trim().toLowerCase());
+    const branch = step?.branches.find(b => b.match.some(m => answers.includes(String(m).trim().toLowerCase())));
+
+    if (!branch) {
+      await WhatsAppConversation.updateOne({ _id: conversation._id }, { $unset: { autoReplyFlow: 1 } });
+      return null;
+    }
+
+    return await this.runSteps({
+      rule,
+      stepKey: branch.next,
+      trigger: 'flow',
+      channel,
+      contact,
+      conversation,
+      message,
+    });
+  }
+
+  /**
+   * Send a step and the steps chained after it, then wait on the first step with branches
+   */
+  async runSteps({ rule, stepKey, trigger, channel, contact, conversation, message }) {
+    const provider = ProviderFactory.getProvider('whatsapp', channel);
+    const sentSteps = [];
+    const sentMessageIds = [];
+    let waitingStep = null;
+    let error = null;
+    let key = stepKey;
+
+    try {
+      while (key && sentSteps.length < MAX_STEPS_PER_EXECUTION) {
+        const step = rule.steps.find(s => s.key === key);
+        if (!step) break;
+
+        const sent = await this.sendStepMessage(provider, channel, contact, conversation, step);
+        sentSteps.push(step.key);
+        sentMessageIds.push(sent.messageId);
+
+        if (step.branches.length > 0) {
+          waitingStep = step.key;
+          break;
+        }
+        key = step.next;
+      }
+    } catch (sendError) {
+      error = sendError.message;
+    }
+
+    await WhatsAppConversation.updateOne(
+      { _id: conversation._id },
+      waitingStep && !error
+        ? { autoReplyFlow: { rule: rule._id, step: waitingStep, expiresAt: new Date(Date.now() + FLOW_SESSION_TTL_MS) } }
+        : { $unset: { autoReplyFlow: 1 } }
+    );
+
+    await WhatsAppAutoReplyRule.updateOne(
+      { _id: rule._id },
+      { $inc: { executionCount: 1 }, lastExecutedAt: new Date() }
+    );
+
+    const log = await WhatsAppAutoReplyLog.create({
+      rule: rule._id,
+      brand: rule.brand,
+      contact: contact._id,
+      conversation: conversation._id,
+      trigger,
+      steps: sentSteps,
+      inboundMessageId: message.messageId,
+      sentMessageIds,
+      status: error ? 'failed' : 'sent',
+      error,
+    });
+
+    if (error) {
+      logger.error('❌ Auto-reply send failed', { ruleId: rule._id, contactId: contact._id, error });
+    } else {
+      logger.info('🤖 Auto-reply sent', { ruleId: rule._id, trigger, steps: sentSteps });
+    }
+
+    return log;
+  }
+
+  /**
+   * Helper: send one step through the provider and thread it into the inbox
+   */
+  async sendStepMessage(provider, channel, contact, conversation, step) {
+    const { type, text, mediaUrl, caption } = step.message;
+
+    const result = type === 'text'
+      ? await provider.sendTextMessage(contact.phone, text)
+      : await provider.sendMediaMessage(contact.phone, type, mediaUrl, caption);
+
+    const message = await WhatsAppMessage.create({
+      messageId: result.messageId,
+      brand: channel.brand,
+      channel: channel._id,
+      conversation: conversation._id,
+      from: channel.platformUsername || channel.providerData.phoneNumberId,
+      to: contact.phone,
+      phoneNumberId: channel.providerData.phoneNumberId,
+      direction: 'outbound',
+      type,
+      status: 'sent',
+      content: type === 'text' ? { text } : { [type]: { caption } },
+      timestamp: new Date(),
+    });
+
+    await whatsappInboxService.recordOutbound(conversation._id, message);
+    return result;
+  }
+
+  /**
+   * Helper: keyword or regex trigger match against the message text
+   */
+  matchesTrigger(rule, text) {
+    if (!text) return false;
+    const { type, keywords = [], matchType, pattern, caseSensitive } = rule.trigger;
+
+    if (type === 'regex') {
+      try {
+        return new RegExp(pattern, caseSensitive ? '' : 'i').test(text);
+      } catch (error) {
+        return false;
+      }
+    }
+
+    const normalize = (value) => (caseSensitive ? String(value) : String(value).toLowerCase()).trim();
+    const body = normalize(text);
+
+    return keywords.some(keyword => (matchType === 'contains'
+      ? body.includes(normalize(keyword))
+      : body === normalize(keyword)));
+  }
+
+  /**
+   * Helper: whether now falls inside one of the weekly business-hour ranges (brand timezone)
+   */
+  isWithinBusinessHours(businessHours = [], timezone = 'UTC', now = new Date()) {
+    const local = getZonedParts(now, timezone);
+    const minutes = local.hour * 60 + local.minute;
+    const toMinutes = (time) => {
+      const [hour, minute] = time.split(':').map(Number);
+      return hour * 60 + minute;
+    };
+
+    return businessHours.some(range => range.weekday === local.weekday
+      && minutes >= toMinutes(range.start)
+      && minutes < toMinutes(range.end));
+  }
+
+  /**
+   * Helper: whether the rule's cooldown for this contact has passed
+   */
+  async isCooledDown(rule, contact) {
+    if (!rule.cooldownMinutes) return true;
+
+    const recent = await WhatsAppAutoReplyLog.exists({
+      rule: rule._id,
+      contact: contact._id,
+      status: 'sent',
+      createdAt: { $gt: new Date(Date.now() - rule.cooldownMinutes * 60 * 1000) },
+    });
+
+    return !recent;
+  }
+
+  /**
+   * Helper: reply text and ID of an inbound message (typed text, or parsed button/list reply)
+   */
+  getReply({ text, reply }) {
+    return {
+      text: text || reply?.title || '',
+      id: reply?.id || null,
+    };
+  }
+
+  /**
+   * Helper: validate and copy editable fields
+   */
+  async applyRuleFields(rule, data) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        rule[field] = data[field];
+      }
+    });
+
+    // channelId null applies the rule to every number of the brand again
+    if (data.channelId !== undefined) {
+      if (data.channelId) {
+        const channel = await Channel.findOne({ _id: data.channelId, brand: rule.brand, provider: 'whatsapp' });
+        if (!channel) {
+          throw new Error('Invalid channel: not a WhatsApp number of this brand');
+        }
+      }
+      rule.channel = data.channelId || undefined;
+    }
+
+    const { type, keywords, pattern, businessHours } = rule.trigger || {};
+
+    if (type === 'keyword' && !(keywords || []).some(k => String(k).trim())) {
+      throw new Error('Invalid trigger: keyword rules need at least one keyword');
+    }
+    if (type === 'regex') {
+      if (!pattern) {
+        throw new Error('Invalid trigger: regex rules need a pattern');
+      }
+      try {
+        new RegExp(pattern);
+      } catch (error) {
+        throw new Error('Invalid trigger: pattern is not a valid regular expression');
+      }
+    }
+    if (type === 'away' && !(businessHours || []).length) {
+      throw new Error('Invalid trigger: away rules need business hours');
+    }
+    (businessHours || []).forEach(range => {
+      if (range.start >= range.end) {
+        throw new Error(`Invalid business hours: ${range.start}-${range.end} (end must be after start)`);
+      }
+    });
+
+    const keys = (rule.steps || []).map(step => step.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new Error('Invalid steps: step keys must be unique');
+    }
+
+    (rule.steps || []).forEach(step => {
+      const { type: messageType = 'text', text, mediaUrl } = step.message || {};
+      if (messageType === 'text' && !text) {
+        throw new Error(`Invalid step ${step.key}: text is required`);
+      }
+      if (messageType !== 'text' && !mediaUrl) {
+        throw new Error(`Invalid step ${step.key}: mediaUrl is required`);
+      }
+
+      const targets = [...step.branches.map(b => b.next), step.next].filter(Boolean);
+      const unknown = targets.find(target => !keys.includes(target));
+      if (unknown) {
+        throw new Error(`Invalid step ${step.key}: unknown next step ${unknown}`);
+      }
+    });
+  }
+}
+
+module.exports = new WhatsAppAutoReplyService();
@@ -0,0 +1,565 @@
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const WhatsAppCampaignRecipient = require('../models/WhatsAppCampaignRecipient');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
+const Channel = require('../models/Channel');
+const Membership = require('../models/Membership');
+const queueManager = require('../queues/queueManager');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Business-initiated conversations allowed per rolling 24 hours by messaging limit tier
+const MESSAGING_LIMITS = {
+  TIER_NOT_SET: 250,
+  TIER_50: 50,
+  TIER_250: 250,
+  TIER_1K: 1000,
+  TIER_10K: 10000,
+  TIER_100K: 100000,
+  TIER_UNLIMITED: Infinity,
+};
+
+const CONTACT_FIELDS = ['name', 'phone', 'email'];
+const EDITABLE_FIELDS = ['name', 'segment', 'variables'];
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const CANCELLABLE_STATUSES = ['draft', 'scheduled', 'sending', 'paused'];
+const PAUSABLE_STATUSES = ['scheduled', 'sending'];
+
+// Delivery progress order; a status webhook never moves a recipient backwards
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3 };
+
+class WhatsAppCampaignService {
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkCampaignAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Helper: campaign by ID with access check
+   */
+  async getCampaignForUser(userId, campaignId, permission = null) {
+    const campaign = await WhatsAppCampaign.findById(campaignId);
+    if (!campaign) {
+      throw new Error('Campaign not found');
+    }
+
+    await this.checkCampaignAccess(userId, campaign.brand, permission);
+    return campaign;
+  }
+
+  /**
+   * List campaigns of a brand
+   */
+  async getCampaigns(userId, brandId, { status, page = 1, limit = 20 } = {}) {
+    await this.checkCampaignAccess(userId, brandId);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+    const query = { brand: brandId };
+    if (status) query.status = status;
+
+    const [campaigns, total] = await Promise.all([
+      WhatsAppCampaign.find(query)
+        .populate('template', 'name language category status')
+        .populate('channel', 'displayName platformUsername')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WhatsAppCampaign.countDocuments(query),
+    ]);
+
+    return {
+      campaigns,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Get campaign with its current audience size (before sending)
+   */
+  async getCampaign(userId, campaignId) {
+    const campaign = await this.getCampaignForUser(userId, campaignId);
+    await campaign.populate([
+      { path: 'template', select: 'name language category status components' },
+      { path: 'channel', select: 'displayName platformUsername' },
+      { path: 'createdBy', select: 'name email' },
+    ]);
+
+    const result = campaign.toObject();
+    if (EDITABLE_STATUSES.includes(campaign.status)) {
+      result.audienceSize = await WhatsAppContact.countDocuments(
+        this.buildSegmentQuery(campaign.brand, campaign.segment)
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Create campaign (draft)
+   */
+  async createCampaign(userId, data) {
+    const { brandId, channelId, templateId } = data;
+    await this.checkCampaignAccess(userId, brandId, 'publish_posts');
+
+    const channel = await Channel.findOne({ _id: channelId, brand: brandId, provider: 'whatsapp' });
+    if (!channel) {
+      throw new Error('WhatsApp channel not found');
+    }
+
+    const template = await WhatsAppTemplate.findOne({ _id: templateId, brand: brandId });
+    if (!template) {
+      throw new Error('Template not found');
+    }
+    if (template.channel.toString() !== channel._id.toString()) {
+      throw new Error('Invalid template: it belongs to another WhatsApp channel');
+    }
+
+    const campaign = new WhatsAppCampaign({
+      brand: brandId,
+      channel: channel._id,
+      template: template._id,
+      createdBy: userId,
+    });
+    this.applyCampaignFields(campaign, data, template);
+    await campaign.save();
+
+    logger.info('📣 WhatsApp campaign created', { campaignId: campaign._id, brandId });
+    return campaign;
+  }
+
+  /**
+   * Update campaign name, segment or variables (before sending starts)
+   */
+  async updateCampaign(userId, campaignId, data) {
+    const campaign = await this.getCampaignForUser(userId, campaignId, 'publish_posts');
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw new Error(`Invalid campaign status: ${campaign.status} campaigns cannot be edited`);
+    }
+
+    const template = await WhatsAppTemplate.findById(campaign.template);
+    this.applyCampaignFields(campaign, data, template);
+    await campaign.save();
+
+    return campaign;
+  }
+
+  /**
+   * Delete campaign and its recipients (not while sending)
+   */
+  async deleteCampaign(userId, campaignId) {
+    const campaign = await this.getCampaignForUser(userId, campaignId, 'publish_posts');
+
+    if (campaign.status === 'sending') {
+      throw new Error('Invalid campaign status: cancel the campaign before deleting it');
+    }
+    if (campaign.jobId) {
+      await queueManager.cancelJob(campaign.jobId);
+    }
+
+    await WhatsAppCampaignRecipient.deleteMany({ campaign: campaign._id });
+    await campaign.deleteOne();
+
+    return { success: true };
+  }
+
+  /**
+   * Schedule campaign (now when scheduledFor is omitted)
+   */
+  async scheduleCampaign(userId, campaignId, scheduledFor) {
+    const campaign = await this.getCampaignForUser(userId, campaignId, 'publish_posts');
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+      throw new Error(`Invalid campaign status: ${campaign.status} campaigns cannot be scheduled`);
+    }
+
+    const sendAt = scheduledFor ? new Date(scheduledFor) : new Date();
+    if (Number.isNaN(sendAt.getTime())) {
+      throw new Error('Invalid scheduledFor date');
+    }
+
+    const template = await WhatsAppTemplate.findById(campaign.template);
+    if (!template || template.status !== 'APPROVED') {
+      throw new Error('Invalid template: only approved templates can be sent');
+    }
+
+    // Replace the previous schedule
+    if (campaign.jobId) {
+      await queueManager.cancelJob(campaign.jobId);
+    }
+
+    campaign.status = 'scheduled';
+    campaign.scheduledFor = sendAt;
+    campaign.error = undefined;
+    await campaign.save();
+
+    const job = await queueManager.addCampaignJob(campaign._id.toString(), sendAt.getTime() - Date.now());
+    campaign.jobId = job.id;
+    await campaign.save();
+
+    logger.info('📣 WhatsApp campaign scheduled', { campaignId: campaign._id, scheduledFor: sendAt });
+    return campaign;
+  }
+
+  /**
+   * Cancel campaign; recipients not yet messaged stay pending
+   */
+  async cancelCampaign(userId, campaignId) {
+    const campaign = await this.getCampaignForUser(userId, campaignId, 'publish_posts');
+
+    if (!CANCELLABLE_STATUSES.includes(campaign.status)) {
+      throw new Error(`Invalid campaign status: ${campaign.status} campaigns cannot be cancelled`);
+    }
+
+    if (campaign.jobId) {
+      await queueManager.cancelJob(campaign.jobId);
+    }
+
+    campaign.status = 'cancelled';
+    campaign.jobId = undefined;
+    campaign.completedAt = new Date();
+    campaign.pausedAt = undefined;
+    campaign.pausedReason = undefined;
+    await campaign.save();
+
+    logger.info('📣 WhatsApp campaign cancelled', { campaignId: campaign._id });
+    return campaign;
+  }
+
+  /**
+   * Resume a paused campaign (not while the number's quality rating is RED)
+   */
+  async resumeCampaign(userId, campaignId) {
+    const campaign = await this.getCampaignForUser(userId, campaignId, 'publish_posts');
+
+    if (campaign.status !== 'paused') {
+      throw new Error(`Invalid campaign status: ${campaign.status} campaigns cannot be resumed`);
+    }
+
+    const health = await WhatsAppAccountHealth.findOne({ channel: campaign.channel }).select('qualityRating');
+    if (health?.qualityRating === 'RED') {
+      throw new Error('Invalid campaign status: the number\'s quality rating is still RED');
+    }
+
+    // Campaigns paused before their first batch go back to their schedule
+    campaign.status = campaign.startedAt ? 'sending' : 'scheduled';
+    campaign.pausedAt = undefined;
+    campaign.pausedReason = undefined;
+    await campaign.save();
+
+    const delay = campaign.startedAt ? 0 : (campaign.scheduledFor?.getTime() || 0) - Date.now();
+    const job = await queueManager.addCampaignJob(campaign._id.toString(), delay);
+    campaign.jobId = job.id;
+    await campaign.save();
+
+    logger.info('📣 WhatsApp campaign resumed', { campaignId: campaign._id });
+    return campaign;
+  }
+
+  /**
+   * Pause a scheduled or sending campaign; a batch already running stops at its end
+   */
+  async pauseCampaign(campaign, reason) {
+    if (!PAUSABLE_STATUSES.includes(campaign.status)) {
+      return false;
+    }
+
+    if (campaign.jobId) {
+      // The running batch job can't be removed; it sees the status and stops
+      await queueManager.cancelJob(campaign.jobId).catch(() => {});
+    }
+
+    const { modifiedCount } = await WhatsAppCampaign.updateOne(
+      { _id: campaign._id, status: { $in: PAUSABLE_STATUSES } },
+      { status: 'paused', pausedAt: new Date(), pausedReason: reason, $unset: { jobId: 1 } }
+    );
+
+    if (modifiedCount > 0) {
+      logger.warn('⏸️ WhatsApp campaign paused', { campaignId: campaign._id, reason });
+    }
+    return modifiedCount > 0;
+  }
+
+  /**
+   * Pause every scheduled or sending campaign of a channel; returns how many were paused
+   */
+  async pauseChannelCampaigns(channelId, reason) {
+    const campaigns = await WhatsAppCampaign.find({ channel: channelId, status: { $in: PAUSABLE_STATUSES } })
+      .select('status jobId');
+
+    let paused = 0;
+    for (const campaign of campaigns) {
+      if (await this.pauseCampaign(campaign, reason)) paused++;
+    }
+
+    return paused;
+  }
+
+  /**
+   * Per-recipient delivery status of a campaign
+   */
+  async getRecipients(userId, campaignId, { status, page = 1, limit = 50 } = {}) {
+    const campaign = await this.getCampaignForUser(userId, campaignId);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const query = { campaign: campaign._id };
+    if (status) query.status = status;
+
+    const [recipients, total] = await Promise.all([
+      WhatsAppCampaignRecipient.find(query)
+        .populate('contact', 'name phone')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WhatsAppCampaignRecipient.countDocuments(query),
+    ]);
+
+    return {
+      recipients,
+      stats: campaign.stats,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Snapshot the segment into recipients and mark the campaign as sending
+   */
+  async startCampaign(campaign) {
+    const contacts = await WhatsAppContact.find(this.buildSegmentQuery(campaign.brand, campaign.segment))
+      .select('_id phone')
+      .lean();
+
+    if (contacts.length > 0) {
+      try {
+        await WhatsAppCampaignRecipient.insertMany(
+          contacts.map(contact => ({
+            campaign: campaign._id,
+            channel: campaign.channel,
+            contact: contact._id,
+            phone: contact.phone,
+          })),
+          { ordered: false }
+        );
+      } catch (error) {
+        // Recipients kept from an interrupted start are fine
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    campaign.status = 'sending';
+    campaign.startedAt = new Date();
+    campaign.stats.total = await WhatsAppCampaignRecipient.countDocuments({ campaign: campaign._id });
+    await campaign.save();
+
+    logger.info('📣 WhatsApp campaign started', {
+      campaignId: campaign._id,
+      recipients: campaign.stats.total,
+    });
+    return campaign;
+  }
+
+  /**
+   * Messages the channel may still send in the rolling 24h window of its messaging limit tier
+   */
+  async getSendingBudget(channelId, now = new Date()) {
+    const health = await WhatsAppAccountHealth.findOne({ channel: channelId }).select('messagingLimit');
+    const limit = MESSAGING_LIMITS[health?.messagingLimit] ?? MESSAGING_LIMITS.TIER_NOT_SET;
+
+    if (limit === Infinity) {
+      return { limit, remaining: Infinity, resetAt: null };
+    }
+
+    const windowStart = new Date(now.getTime() - DAY_MS);
+    const sent = await WhatsAppCampaignRecipient.countDocuments({
+      channel: channelId,
+      sentAt: { $gt: windowStart },
+    });
+
+    let resetAt = null;
+    if (sent >= limit) {
+      // Capacity frees up as the oldest message in the window ages out
+      const oldest = await WhatsAppCampaignRecipient.findOne({ channel: channelId, sentAt: { $gt: windowStart } })
+        .sort({ sentAt: 1 })
+        .select('sentAt');
+      resetAt = oldest ? new Date(oldest.sentAt.getTime() + DAY_MS) : now;
+    }
+
+    return { limit, remaining: Math.max(limit - sent, 0), resetAt };
+  }
+
+  /**
+   * Template components with placeholders filled from a contact
+   */
+  buildComponents(campaign, contact) {
+    const grouped = {};
+
+    [...campaign.variables]
+      .sort((a, b) => a.position - b.position)
+      .forEach((variable) => {
+        const value = this.getContactValue(contact, variable.field) || variable.fallback;
+        if (!value) {
+          throw new Error(`Missing value for ${variable.component} {{${variable.position}}} (${variable.field})`);
+        }
+
+        grouped[variable.component] = grouped[variable.component] || [];
+        grouped[variable.component].push({ type: 'text', text: String(value) });
+      });
+
+    return Object.entries(grouped).map(([component, parameters]) => ({
+      type: component.toLowerCase(),
+      parameters,
+    }));
+  }
+
+  /**
+   * Advance a campaign recipient from a message status webhook and update the totals
+   */
+  async handleStatusUpdate({ messageId, status, timestamp, errors }) {
+    const at = timestamp ? new Date(parseInt(timestamp) * 1000) : new Date();
+    let previous;
+    const inc = {};
+
+    if (status === 'failed') {
+      previous = await WhatsAppCampaignRecipient.findOneAndUpdate(
+        { messageId, status: { $ne: 'failed' } },
+        { status: 'failed', failedAt: at, error: errors?.[0]?.title || errors?.[0]?.message || 'Delivery failed' },
+        { new: false }
+      );
+      if (previous) inc['stats.failed'] = 1;
+    } else if (status === 'delivered' || status === 'read') {
+      const lowerStatuses = Object.keys(STATUS_RANK).filter(s => STATUS_RANK[s] < STATUS_RANK[status]);
+
+      previous = await WhatsAppCampaignRecipient.findOneAndUpdate(
+        { messageId, status: { $in: lowerStatuses } },
+        {
+          $set: { status, ...(status === 'read' && { readAt: at }) },
+          // A read receipt implies delivery, and may arrive first
+          $min: { deliveredAt: at },
+        },
+        { new: false }
+      );
+
+      if (previous) {
+        if (STATUS_RANK[previous.status] < STATUS_RANK.delivered) inc['stats.delivered'] = 1;
+        if (status === 'read') inc['stats.read'] = 1;
+      }
+    }
+
+    if (!previous || Object.keys(inc).length === 0) {
+      return null;
+    }
+
+    await WhatsAppCampaign.updateOne({ _id: previous.campaign }, { $inc: inc });
+    return previous.campaign;
+  }
+
+  /**
+   * Helper: contact query for a campaign segment
+   */
+  buildSegmentQuery(brandId, segment = {}) {
+    // Opted-out contacts are never part of an audience
+    const query = { brand: brandId, optedOutAt: { $exists: false } };
+
+    if (segment.tags?.length) {
+      query.tags = { $in: segment.tags };
+    }
+    if (segment.groups?.length) {
+      query.groups = { $in: segment.groups };
+    }
+
+    const customFields = segment.customFields instanceof Map
+      ? Object.fromEntries(segment.customFields)
+      : (segment.customFields || {});
+    Object.entries(customFields).forEach(([key, value]) => {
+      query[`customFields.${key}`] = value;
+    });
+
+    return query;
+  }
+
+  /**
+   * Helper: validate and copy editable fields
+   */
+  applyCampaignFields(campaign, data, template) {
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        campaign[field] = data[field];
+      }
+    });
+
+    const customFields = data.segment?.customFields || {};
+    const invalidKey = Object.keys(customFields).find(key => !/^[\w-]+$/.test(key));
+    if (invalidKey) {
+      throw new Error(`Invalid custom field name: ${invalidKey}`);
+    }
+
+    // Every placeholder of the template needs a value
+    const placeholders = this.getTemplatePlaceholders(template);
+    const missing = [];
+    Object.entries(placeholders).forEach(([component, positions]) => {
+      positions.forEach(position => {
+        const mapped = campaign.variables.some(v => v.component === component && v.position === position);
+        if (!mapped) missing.push(`${component} {{${position}}}`);
+      });
+    });
+    if (missing.length > 0) {
+      throw new Error(`Invalid variables: no mapping for ${missing.join(', ')}`);
+    }
+  }
+
+  /**
+   * Helper: {{n}} positions used by the template's header and body
+   */
+  getTemplatePlaceholders(template) {
+    const placeholders = {};
+
+    (template?.components || [])
+      .filter(component => ['HEADER', 'BODY'].includes(component.type) && component.text)
+      .forEach(component => {
+        const positions = [...component.text.matchAll(/\{\{(\d+)\}\}/g)].map(match => parseInt(match[1], 10));
+        if (positions.length > 0) {
+          placeholders[component.type] = [...new Set(positions)].sort((a, b) => a - b);
+        }
+      });
+
+    return placeholders;
+  }
+
+  /**
+   * Helper: contact attribute or custom field value
+   */
+  getContactValue(contact, field) {
+    if (CONTACT_FIELDS.includes(field)) {
+      return contact[field];
+    }
+    return contact.customFields instanceof Map
+      ? contact.customFields.get(field)
+      : contact.customFields?.[field];
+  }
+}
+
+module.exports = new WhatsAppCampaignService();
@@ -0,0 +1,197 @@
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppConsentLog = require('../models/WhatsAppConsentLog');
+const Brand = require('../models/Brand');
+const Membership = require('../models/Membership');
+const ProviderFactory = require('../providers/ProviderFactory');
+const logger = require('../utils/logger');
+
+const CONSENT_ACTIONS = ['opt_in', 'opt_out'];
+
+// Used when a brand predates the WhatsApp settings
+const DEFAULT_OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const DEFAULT_OPT_IN_KEYWORDS = ['START', 'SUBSCRIBE', 'UNSTOP'];
+
+class WhatsAppConsentService {
+  /**
+   * Opt-in/opt-out keyword the message consists of, if any
+   */
+  matchKeyword(text, settings = {}) {
+    const normalized = String(text || '').trim().replace(/[.!]+$/, '').toUpperCase();
+    if (!normalized) return null;
+
+    const optOut = (settings.optOutKeywords?.length ? settings.optOutKeywords : DEFAULT_OPT_OUT_KEYWORDS)
+      .map(k => k.trim().toUpperCase());
+    const optIn = (settings.optInKeywords?.length ? settings.optInKeywords : DEFAULT_OPT_IN_KEYWORDS)
+      .map(k => k.trim().toUpperCase());
+
+    if (optOut.includes(normalized)) return { action: 'opt_out', keyword: normalized };
+    if (optIn.includes(normalized)) return { action: 'opt_in', keyword: normalized };
+    return null;
+  }
+
+  /**
+   * Update a contact's consent and record it in the audit trail
+   * Returns false when the contact was already in that state; a keyword message is
+   * logged either way, marked changed: false when it changed nothing.
+   */
+  async setConsent(contact, action, { source, keyword, messageId, performedBy, note } = {}) {
+    if (!CONSENT_ACTIONS.includes(action)) {
+      throw new Error(`Invalid consent action: ${action}`);
+    }
+
+    const now = new Date();
+    const update = action === 'opt_out'
+      ? { $set: { optedIn: false, optedOutAt: now } }
+      : { $set: { optedIn: true, optedInAt: now }, $unset: { optedOutAt: 1 } };
+
+    // Conditional update so concurrent deliveries record a change only once
+    const changed = await WhatsAppContact.findOneAndUpdate(
+      action === 'opt_out'
+        ? { _id: contact._id, optedOutAt: { $exists: false } }
+        : { _id: contact._id, $or: [{ optedIn: { $ne: true } }, { optedOutAt: { $exists: true } }] },
+      update,
+      { new: true }
+    );
+
+    if (!changed && !messageId) {
+      return false;
+    }
+
+    await WhatsAppConsentLog.create({
+      brand: contact.brand,
+      contact: contact._id,
+      phone: contact.phone,
+      action,
+      source,
+      keyword,
+      messageId,
+      performedBy,
+      note,
+      changed: !!changed,
+    });
+
+    if (!changed) {
+      return false;
+    }
+
+    Object.assign(contact, {
+      optedIn: changed.optedIn,
+      optedInAt: changed.optedInAt,
+      optedOutAt: changed.optedOutAt,
+    });
+
+    logger.info(`📝 WhatsApp contact ${action === 'opt_out' ? 'opted out' : 'opted in'}`, {
+      contactId: contact._id,
+      source,
+      keyword,
+    });
+    return true;
+  }
+
+  /**
+   * Apply an inbound STOP/START style keyword and confirm it to the contact
+   * Returns the consent action taken, or null when the message is not a keyword.
+   */
+  async handleKeywordMessage({ contact, channel, text, messageId }) {
+    const brand = await Brand.findById(contact.brand).select('settings.whatsapp');
+    const settings = brand?.settings?.whatsapp || {};
+
+    const match = this.matchKeyword(text, settings);
+    if (!match) {
+      return null;
+    }
+
+    // Already applied (and confirmed) by an earlier attempt at this webhook event
+    if (messageId && await WhatsAppConsentLog.exists({ contact: contact._id, messageId })) {
+      return { ...match, changed: false };
+    }
+
+    let changed;
+    try {
+      changed = await this.setConsent(contact, match.action, {
+        source: 'keyword',
+        keyword: match.keyword,
+        messageId,
+      });
+    } catch (error) {
+      // A concurrent attempt at the same message logged (and confirms) it
+      if (error.code === 11000) {
+        return { ...match, changed: false };
+      }
+      throw error;
+    }
+
+    // Confirm every time, so a contact repeating STOP still gets an answer
+    const reply = match.action === 'opt_out' ? settings.optOutReply : settings.optInReply;
+    if (reply && channel) {
+      try {
+        const provider = ProviderFactory.getProvider('whatsapp', channel);
+        await provider.sendTextMessage(contact.phone, reply);
+      } catch (error) {
+        logger.error('❌ Failed to send consent confirmation', {
+          contactId: contact._id,
+          action: match.action,
+          error: error.message,
+        });
+      }
+    }
+
+    return { ...match, changed };
+  }
+
+  /**
+   * Change consent on behalf of a contact (team member with create_posts)
+   */
+  async updateContactConsent(userId, contactId, { action, note } = {}) {
+    const contact = await WhatsAppContact.findById(contactId);
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    await this.checkContactAccess(userId, contact.brand, 'create_posts');
+
+    await this.setConsent(contact, action, { source: 'manual', performedBy: userId, note });
+    return contact;
+  }
+
+  /**
+   * Consent audit trail of a contact (newest first)
+   */
+  async getConsentHistory(userId, contactId) {
+    const contact = await WhatsAppContact.findById(contactId);
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+
+    await this.checkContactAccess(userId, contact.brand);
+
+    return await WhatsAppConsentLog.find({ contact: contact._id })
+      .populate('performedBy', 'name email')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Split recipients into those that may be messaged and opted-out ones
+   */
+  partitionRecipients(contacts) {
+    return {
+      allowed: contacts.filter(contact => !contact.hasOptedOut()),
+      optedOut: contacts.filter(contact => contact.hasOptedOut()),
+    };
+  }
+
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkContactAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+}
+
+module.exports = new WhatsAppConsentService();
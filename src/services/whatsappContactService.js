@@ -0,0 +1,371 @@
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const validator = require('validator');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppContactImport = require('../models/WhatsAppContactImport');
+const Membership = require('../models/Membership');
+const queueManager = require('../queues/queueManager');
+const { parseCsv, toCsvRow } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const MAX_IMPORT_ROWS = 50000;
+const STANDARD_FIELDS = ['name', 'phone', 'email', 'tags', 'groups'];
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+
+class WhatsAppContactService {
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkContactAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Contact filter shared by the contact list and export
+   */
+  buildContactQuery(brandId, { tags, groups, search, optedOut } = {}) {
+    const query = { brand: brandId };
+
+    if (tags) {
+      query.tags = { $in: Array.isArray(tags) ? tags : [tags] };
+    }
+
+    if (groups) {
+      query.groups = { $in: Array.isArray(groups) ? groups : [groups] };
+    }
+
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [
+        { name: pattern },
+        { phone: pattern },
+        { email: pattern },
+      ];
+    }
+
+    if (optedOut === 'true' || optedOut === true) {
+      query.optedOutAt = { $exists: true };
+    } else if (optedOut === 'false' || optedOut === false) {
+      query.optedOutAt = { $exists: false };
+    }
+
+    return query;
+  }
+
+  /**
+   * Store an uploaded file and queue its import
+   */
+  async createImport(userId, brandId, file, { mapping, defaultCountryCode, updateExisting } = {}) {
+    try {
+      await this.checkContactAccess(userId, brandId, 'create_posts');
+
+      const parsedMapping = this.parseMapping(mapping);
+      const countryCode = defaultCountryCode ? String(defaultCountryCode).replace(/\D/g, '') : undefined;
+      if (defaultCountryCode && !/^[1-9]\d{0,3}$/.test(countryCode)) {
+        throw new Error('Invalid defaultCountryCode: use the dialling code without + (e.g. 49)');
+      }
+
+      const contactImport = await WhatsAppContactImport.create({
+        brand: brandId,
+        filename: file.originalname,
+        format: path.extname(file.originalname).toLowerCase().slice(1),
+        filePath: file.path,
+        mapping: parsedMapping,
+        defaultCountryCode: countryCode,
+        updateExisting: updateExisting === undefined ? true : [true, 'true'].includes(updateExisting),
+        createdBy: userId,
+      });
+
+      const job = await queueManager.addContactImportJob(contactImport._id);
+      contactImport.jobId = job.id;
+      await contactImport.save();
+
+      logger.info('📥 Contact import created', {
+        importId: contactImport._id,
+        brandId,
+        filename: file.originalname,
+      });
+
+      return contactImport;
+    } catch (error) {
+      // Nothing will read the upload
+      await fs.promises.unlink(file.path).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Recent imports of a brand
+   */
+  async getImports(userId, brandId, { limit = 20 } = {}) {
+    await this.checkContactAccess(userId, brandId);
+
+    return await WhatsAppContactImport.find({ brand: brandId })
+      .select('-rowErrors')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 20, 100));
+  }
+
+  /**
+   * Import progress and row errors
+   */
+  async getImport(userId, importId) {
+    const contactImport = await WhatsAppContactImport.findById(importId);
+    if (!contactImport) {
+      throw new Error('Import not found');
+    }
+
+    await this.checkContactAccess(userId, contactImport.brand);
+    return contactImport;
+  }
+
+  /**
+   * Stream the filtered contacts of a brand as CSV or XLSX
+   */
+  async exportContacts(userId, brandId, filters, format, res) {
+    await this.checkContactAccess(userId, brandId);
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      throw new Error('Invalid format: use csv or xlsx');
+    }
+
+    const query = this.buildContactQuery(brandId, filters);
+    const customFieldKeys = await this.getCustomFieldKeys(query);
+    const header = [
+      'name', 'phone', 'email', 'tags', 'groups', 'optedIn', 'optedOutAt', 'createdAt',
+      ...customFieldKeys,
+    ];
+    const toRow = (contact) => [
+      contact.name,
+      contact.phone,
+      contact.email,
+      (contact.tags || []).join(';'),
+      (contact.groups || []).join(';'),
+      contact.optedIn ? 'yes' : 'no',
+      contact.optedOutAt ? contact.optedOutAt.toISOString() : '',
+      contact.createdAt.toISOString(),
+      ...customFieldKeys.map(key => contact.customFields?.get(key) ?? ''),
+    ];
+
+    const filename = `whatsapp-contacts-${brandId}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Type', format === 'csv'
+      ? 'text/csv; charset=utf-8'
+      : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    const cursor = WhatsAppContact.find(query).sort({ createdAt: 1 }).cursor();
+    let count = 0;
+
+    if (format === 'csv') {
+      res.write(`\uFEFF${toCsvRow(header)}\r\n`);
+      for await (const contact of cursor) {
+        // Respect backpressure so large exports don't buffer in memory
+        if (!res.write(`${toCsvRow(toRow(contact))}\r\n`)) {
+          await new Promise(resolve => res.once('drain', resolve));
+        }
+        count++;
+      }
+      res.end();
+    } else {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false });
+      const worksheet = workbook.addWorksheet('Contacts');
+      worksheet.addRow(header).commit();
+      for await (const contact of cursor) {
+        worksheet.addRow(toRow(contact)).commit();
+        count++;
+      }
+      worksheet.commit();
+      await workbook.commit();
+    }
+
+    logger.info('📤 Contacts exported', { brandId, format, count });
+  }
+
+  /**
+   * Helper: custom field names used by the matching contacts (export columns)
+   */
+  async getCustomFieldKeys(query) {
+    // Aggregation doesn't cast, so reuse the query casting
+    const result = await WhatsAppContact.aggregate([
+      { $match: WhatsAppContact.find(query).cast() },
+      { $project: { keys: { $map: { input: { $objectToArray: { $ifNull: ['$customFields', {}] } }, in: '$$this.k' } } } },
+      { $unwind: '$keys' },
+      { $group: { _id: '$keys' } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return result.map(r => r._id);
+  }
+
+  /**
+   * Helper: column mapping from the request (JSON string in multipart forms)
+   */
+  parseMapping(mapping) {
+    if (!mapping) return {};
+
+    let parsed = mapping;
+    if (typeof mapping === 'string') {
+      try {
+        parsed = JSON.parse(mapping);
+      } catch (error) {
+        throw new Error('Invalid mapping: expected a JSON object');
+      }
+    }
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Invalid mapping: expected a JSON object');
+    }
+
+    const unknown = Object.keys(parsed).find(key => ![...STANDARD_FIELDS, 'customFields'].includes(key));
+    if (unknown) {
+      throw new Error(`Invalid mapping: unknown field ${unknown}`);
+    }
+    if (parsed.customFields && (typeof parsed.customFields !== 'object' || Array.isArray(parsed.customFields))) {
+      throw new Error('Invalid mapping: customFields maps field names to column headers');
+    }
+    const badField = Object.keys(parsed.customFields || {}).find(field => field.includes('.') || field.startsWith('$'));
+    if (badField) {
+      throw new Error(`Invalid mapping: custom field name ${badField} can't contain "." or start with "$"`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Header cells and data rows of an import file ({ line, values } keyed by header)
+   */
+  async readImportFile(filePath, format) {
+    let records;
+
+    if (format === 'csv') {
+      const rows = parseCsv(await fs.promises.readFile(filePath, 'utf8'));
+      records = rows.map((cells, i) => ({ line: i + 1, cells }));
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.readFile(filePath);
+      const worksheet = workbook.worksheets[0];
+      records = [];
+      worksheet?.eachRow((row, rowNumber) => {
+        const cells = [];
+        for (let i = 1; i <= row.cellCount; i++) {
+          cells.push(row.getCell(i).text || '');
+        }
+        records.push({ line: rowNumber, cells });
+      });
+    }
+
+    // Blank lines carry no data
+    records = records.filter(record => record.cells.some(cell => String(cell).trim() !== ''));
+
+    if (records.length < 2) {
+      throw new Error('The file has no data rows');
+    }
+    if (records.length - 1 > MAX_IMPORT_ROWS) {
+      throw new Error(`Too many rows: at most ${MAX_IMPORT_ROWS} contacts per import`);
+    }
+
+    const header = records[0].cells.map(cell => String(cell).trim());
+    return {
+      header,
+      rows: records.slice(1).map(({ line, cells }) => ({
+        line,
+        values: Object.fromEntries(header.map((column, c) => [column, String(cells[c] ?? '').trim()])),
+      })),
+    };
+  }
+
+  /**
+   * Column of each contact field: explicit mapping, else a header named like the field
+   */
+  resolveColumns(header, mapping = {}) {
+    const byName = new Map(header.map(column => [column.toLowerCase(), column]));
+    const columns = { customFields: {} };
+
+    STANDARD_FIELDS.forEach(field => {
+      const column = mapping[field] || byName.get(field);
+      if (column) columns[field] = column;
+    });
+
+    const customFields = mapping.customFields instanceof Map
+      ? Object.fromEntries(mapping.customFields)
+      : mapping.customFields || {};
+    Object.entries(customFields).forEach(([field, column]) => {
+      columns.customFields[field] = column;
+    });
+
+    if (!columns.phone) {
+      throw new Error('No phone column: map one or add a "phone" header');
+    }
+
+    const mapped = [...STANDARD_FIELDS.map(field => columns[field]), ...Object.values(columns.customFields)];
+    const missing = mapped.find(column => column && !header.includes(column));
+    if (missing) {
+      throw new Error(`Column not found in the file: ${missing}`);
+    }
+
+    return columns;
+  }
+
+  /**
+   * Contact fields of one row, or { error }
+   */
+  mapRow(values, columns, defaultCountryCode) {
+    const phone = this.normalizePhone(values[columns.phone], defaultCountryCode);
+    if (!phone) {
+      return { error: `Invalid phone number: ${values[columns.phone] || '(empty)'}` };
+    }
+
+    const email = columns.email ? values[columns.email] : '';
+    if (email && !validator.isEmail(email)) {
+      return { phone, error: `Invalid email: ${email}` };
+    }
+
+    const list = (column) => (column && values[column]
+      ? [...new Set(values[column].split(/[;,]/).map(v => v.trim()).filter(Boolean))]
+      : []);
+
+    const customFields = {};
+    Object.entries(columns.customFields).forEach(([field, column]) => {
+      if (values[column]) customFields[field] = values[column];
+    });
+
+    return {
+      phone,
+      name: (columns.name && values[columns.name]) || undefined,
+      email: email ? email.toLowerCase() : undefined,
+      tags: list(columns.tags),
+      groups: list(columns.groups),
+      customFields,
+    };
+  }
+
+  /**
+   * Helper: E.164 number, or null when it can't be one
+   * 00 and + prefixes are international; a leading 0 is a national trunk prefix
+   * replaced by defaultCountryCode; other numbers are taken to include their country code.
+   */
+  normalizePhone(raw, defaultCountryCode) {
+    if (!raw) return null;
+
+    let value = String(raw).trim().replace(/[\s().\-/]/g, '');
+    if (value.startsWith('00')) {
+      value = `+${value.slice(2)}`;
+    } else if (!value.startsWith('+')) {
+      if (defaultCountryCode && value.startsWith('0')) {
+        value = `+${defaultCountryCode}${value.replace(/^0+/, '')}`;
+      } else {
+        value = `+${value}`;
+      }
+    }
+
+    return E164_PATTERN.test(value) ? value : null;
+  }
+}
+
+module.exports = new WhatsAppContactService();
@@ -0,0 +1,421 @@
+const mongoose = require('mongoose');
+const WhatsAppConversation = require('../models/WhatsAppConversation');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const Channel = require('../models/Channel');
+const Membership = require('../models/Membership');
+const User = require('../models/User');
+const ProviderFactory = require('../providers/ProviderFactory');
+const notificationService = require('./notificationService');
+const logger = require('../utils/logger');
+
+const CONVERSATION_STATUSES = ['open', 'pending', 'closed'];
+const PREVIEW_LENGTH = 120;
+
+class WhatsAppInboxService {
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkInboxAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Helper: conversation by ID with access check
+   */
+  async getConversationForUser(userId, conversationId, permission = null) {
+    const conversation = await WhatsAppConversation.findById(conversationId);
+    if (!conversation) {
+      throw new Error('Conversation not found');
+    }
+
+    await this.checkInboxAccess(userId, conversation.brand, permission);
+    return conversation;
+  }
+
+  /**
+   * List conversations of a brand (most recent activity first) with inbox counts
+   * assignedTo: a user ID, "me" or "unassigned"
+   */
+  async getConversations(userId, brandId, { status, assignedTo, channelId, search, page = 1, limit = 30 } = {}) {
+    if (!mongoose.Types.ObjectId.isValid(String(brandId))) {
+      throw new Error('Invalid brand ID');
+    }
+    if (status && !CONVERSATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: must be one of ${CONVERSATION_STATUSES.join(', ')}`);
+    }
+    if (channelId && !mongoose.Types.ObjectId.isValid(String(channelId))) {
+      throw new Error('Invalid channel ID');
+    }
+    if (assignedTo && !['me', 'unassigned'].includes(assignedTo) && !mongoose.Types.ObjectId.isValid(String(assignedTo))) {
+      throw new Error('Invalid assignee: must be a user ID, "me" or "unassigned"');
+    }
+
+    await this.checkInboxAccess(userId, brandId);
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 30, 1), 100);
+
+    const query = { brand: brandId };
+    if (status) query.status = status;
+    if (channelId) query.channel = channelId;
+    if (assignedTo === 'me') query.assignedTo = userId;
+    else if (assignedTo === 'unassigned') query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+
+    if (search) {
+      const pattern = new RegExp(String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      const contacts = await WhatsAppContact.find({ brand: brandId, $or: [{ name: pattern }, { phone: pattern }] })
+        .select('_id')
+        .limit(500);
+      query.contact = { $in: contacts.map(c => c._id) };
+    }
+
+    const [conversations, total, counts] = await Promise.all([
+      WhatsAppConversation.find(query)
+        .select('-notes')
+        .populate('contact', 'name phone tags optedIn optedOutAt')
+        .populate('assignedTo', 'name email avatar')
+        .sort({ lastMessageAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      WhatsAppConversation.countDocuments(query),
+      this.getInboxCounts(brandId),
+    ]);
+
+    return {
+      conversations,
+      counts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    };
+  }
+
+  /**
+   * Conversations per status and unread totals of a brand
+   */
+  async getInboxCounts(brandId) {
+    const rows = await WhatsAppConversation.aggregate([
+      { $match: { brand: new mongoose.Types.ObjectId(brandId) } },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          unreadConversations: { $sum: { $cond: [{ $gt: ['$unreadCount', 0] }, 1, 0] } },
+          unreadMessages: { $sum: '$unreadCount' },
+        },
+      },
+    ]);
+
+    const counts = { open: 0, pending: 0, closed: 0, unreadConversations: 0, unreadMessages: 0 };
+    rows.forEach(row => {
+      counts[row._id] = row.count;
+      counts.unreadConversations += row.unreadConversations;
+      counts.unreadMessages += row.unreadMessages;
+    });
+
+    return counts;
+  }
+
+  /**
+   * Get conversation with contact, assignee and notes
+   */
+  async getConversation(userId, conversationId) {
+    const conversation = await this.getConversationForUser(userId, conversationId);
+
+    await conversation.populate([
+      { path: 'contact', select: 'name phone email tags groups customFields optedIn optedOutAt' },
+      { path: 'channel', select: 'displayName platformUsername' },
+      { path: 'assignedTo', select: 'name email avatar' },
+      { path: 'notes.author', select: 'name email avatar' },
+    ]);
+
+    const result = conversation.toObject();
+    result.windowOpen = conversation.isWindowOpen();
+    return result;
+  }
+
+  /**
+   * Messages of a conversation, newest first (page backwards with `before`)
+   */
+  async getMessages(userId, conversationId, { before, limit = 50 } = {}) {
+    const conversation = await this.getConversationForUser(userId, conversationId);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+
+    const query = { conversation: conversation._id };
+    if (before) query.timestamp = { $lt: new Date(before) };
+
+    const messages = await WhatsAppMessage.find(query)
+      .populate('sentBy', 'name email')
+      .sort({ timestamp: -1 })
+      .limit(limitNum + 1);
+
+    return {
+      messages: messages.slice(0, limitNum),
+      hasMore: messages.length > limitNum,
+    };
+  }
+
+  /**
+   * Reset the unread count once the team has seen the conversation
+   */
+  async markAsRead(userId, conversationId) {
+    const conversation = await this.getConversationForUser(userId, conversationId);
+
+    conversation.unreadCount = 0;
+    await conversation.save();
+
+    return conversation;
+  }
+
+  /**
+   * Assign conversation to a brand member (null unassigns)
+   */
+  async assignConversation(userId, conversationId, assigneeId) {
+    const conversation = await this.getConversationForUser(userId, conversationId);
+
+    if (!assigneeId) {
+      conversation.assignedTo = undefined;
+      conversation.assignedAt = undefined;
+      await conversation.save();
+      return conversation;
+    }
+
+    const assigneeMembership = await Membership.findOne({ user: assigneeId, brand: conversation.brand });
+    if (!assigneeMembership) {
+      throw new Error('Invalid assignee: user is not a member of this brand');
+    }
+
+    conversation.assignedTo = assigneeId;
+    conversation.assignedAt = new Date();
+    await conversation.save();
+
+    if (assigneeId.toString() !== userId.toString()) {
+      const [assigner, contact] = await Promise.all([
+        User.findById(userId).select('name'),
+        WhatsAppContact.findById(conversation.contact).select('name phone'),
+      ]);
+
+      await notificationService.notifyConversationAssigned(assigneeId, conversation.brand, {
+        conversationId: conversation._id,
+        contactName: contact?.name || conversation.phone,
+        assignedByName: assigner?.name,
+      });
+    }
+
+    logger.info('📥 WhatsApp conversation assigned', {
+      conversationId: conversation._id,
+      assignedTo: assigneeId,
+    });
+    return conversation;
+  }
+
+  /**
+   * Change conversation status (open, pending, closed)
+   */
+  async updateStatus(userId, conversationId, status) {
+    if (!CONVERSATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: must be one of ${CONVERSATION_STATUSES.join(', ')}`);
+    }
+
+    const conversation = await this.getConversationForUser(userId, conversationId);
+
+    conversation.status = status;
+    conversation.closedAt = status === 'closed' ? new Date() : undefined;
+    await conversation.save();
+
+    return conversation;
+  }
+
+  /**
+   * Add an internal note
+   */
+  async addNote(userId, conversationId, text) {
+    if (!text || !String(text).trim()) {
+      throw new Error('Invalid note: text is required');
+    }
+
+    const conversation = await this.getConversationForUser(userId, conversationId);
+
+    conversation.notes.push({ author: userId, text: String(text).trim() });
+    await conversation.save();
+
+    await conversation.populate('notes.author', 'name email avatar');
+    return conversation.notes[conversation.notes.length - 1];
+  }
+
+  /**
+   * Reply from the inbox
+   * Free-form text needs an open customer service window; a template can always be sent.
+   */
+  async sendReply(userId, conversationId, { text, templateName, languageCode, components } = {}) {
+    const conversation = await this.getConversationForUser(userId, conversationId, 'publish_posts');
+
+    if (!text && !templateName) {
+      throw new Error('Invalid message: text or templateName is required');
+    }
+
+    const contact = await WhatsAppContact.findById(conversation.contact);
+    if (!contact) {
+      throw new Error('Contact not found');
+    }
+    if (contact.hasOptedOut()) {
+      throw new Error('Invalid recipient: contact has opted out of WhatsApp messages');
+    }
+
+    if (!templateName && !conversation.isWindowOpen()) {
+      throw new Error('Customer service window closed: send an approved template to restart the conversation');
+    }
+
+    const channel = await Channel.findById(conversation.channel);
+    if (!channel || channel.connectionStatus !== 'active') {
+      throw new Error('WhatsApp channel not found or not connected');
+    }
+
+    const provider = ProviderFactory.getProvider('whatsapp', channel);
+    const language = languageCode || 'en';
+
+    const result = templateName
+      ? await provider.sendTemplate(contact.phone, templateName, language, components || [])
+      : await provider.sendTextMessage(contact.phone, text);
+
+    const message = await WhatsAppMessage.create({
+      messageId: result.messageId,
+      brand: conversation.brand,
+      channel: channel._id,
+      conversation: conversation._id,
+      from: channel.platformUsername || channel.providerData.phoneNumberId,
+      to: contact.phone,
+      phoneNumberId: channel.providerData.phoneNumberId,
+      direction: 'outbound',
+      type: templateName ? 'template' : 'text',
+      status: 'sent',
+      content: templateName
+        ? { template: { name: templateName, language, components: components || [] } }
+        : { text },
+      timestamp: new Date(),
+      sentBy: userId,
+    });
+
+    await this.recordOutbound(conversation._id, message);
+    await WhatsAppContact.updateOne({ _id: contact._id }, { lastMessageSentAt: message.timestamp });
+
+    return message;
+  }
+
+  /**
+   * Thread an inbound message: reopen the conversation and notify the assignee
+   */
+  async recordInbound(channel, contact, message) {
+    const update = {
+      $setOnInsert: { brand: channel.brand, phone: contact.phone },
+      $set: {
+        status: 'open',
+        lastMessagePreview: this.getPreview(message),
+        lastMessageDirection: 'inbound',
+      },
+      $max: { lastMessageAt: message.timestamp, lastInboundAt: message.timestamp },
+      $unset: { closedAt: 1 },
+    };
+
+    let conversation;
+    try {
+      conversation = await WhatsAppConversation.findOneAndUpdate(
+        { channel: channel._id, contact: contact._id },
+        update,
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Concurrent upsert for the same thread, the retry updates the created one
+      if (error.code !== 11000) throw error;
+      conversation = await WhatsAppConversation.findOneAndUpdate(
+        { channel: channel._id, contact: contact._id },
+        update,
+        { new: true }
+      );
+    }
+
+    // Only the attempt that links the message counts it as unread, so webhook retries don't
+    const { modifiedCount } = await WhatsAppMessage.updateOne(
+      { _id: message._id, conversation: null },
+      { conversation: conversation._id }
+    );
+    if (modifiedCount === 0) {
+      return conversation;
+    }
+
+    conversation = await WhatsAppConversation.findByIdAndUpdate(
+      conversation._id,
+      { $inc: { unreadCount: 1 } },
+      { new: true }
+    );
+
+    // Once per unread streak rather than on every message
+    if (conversation.assignedTo && conversation.unreadCount === 1) {
+      await notificationService.notifyWhatsAppMessage(conversation.assignedTo, conversation.brand, {
+        conversationId: conversation._id,
+        contactName: contact.name || contact.phone,
+        preview: conversation.lastMessagePreview,
+      });
+    }
+
+    return conversation;
+  }
+
+  /**
+   * Update the thread summary after an outbound message
+   */
+  async recordOutbound(conversationId, message) {
+    await WhatsAppConversation.updateOne(
+      { _id: conversationId },
+      {
+        $set: {
+          lastMessagePreview: this.getPreview(message),
+          lastMessageDirection: 'outbound',
+        },
+        $max: { lastMessageAt: message.timestamp },
+      }
+    );
+  }
+
+  /**
+   * IDs of contacts whose customer service window with the channel is open
+   */
+  async getOpenWindowContactIds(channelId, contactIds, now = new Date()) {
+    const conversations = await WhatsAppConversation.find({
+      channel: channelId,
+      contact: { $in: contactIds },
+      lastInboundAt: { $gt: new Date(now.getTime() - WhatsAppConversation.CUSTOMER_SERVICE_WINDOW_MS) },
+    }).select('contact');
+
+    return new Set(conversations.map(c => c.contact.toString()));
+  }
+
+  /**
+   * Helper: short text shown in the conversation list
+   */
+  getPreview(message) {
+    const text = message.content?.text
+      || message.content?.image?.caption
+      || message.content?.video?.caption
+      || message.content?.document?.caption
+      || message.content?.interactive?.title
+      || (message.type === 'template' && message.content?.template?.name
+        ? `[template: ${message.content.template.name}]`
+        : `[${message.type}]`);
+
+    return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH - 1)}…` : text;
+  }
+}
+
+module.exports = new WhatsAppInboxService();
@@ -0,0 +1,219 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const Folder = require('../models/Folder');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const storageService = require('./storageService');
+const mediaService = require('./mediaService');
+const storageQuotaService = require('./storageQuotaService');
+const logger = require('../utils/logger');
+
+const MB = 1024 * 1024;
+
+// Library folder that receives customer-sent files
+const WHATSAPP_FOLDER = 'WhatsApp';
+
+// Cloud API media types and size limits; anything else is not copied
+const INBOUND_MEDIA_LIMITS = {
+  image: {
+    maxBytes: 5 * MB,
+    mimeTypes: { 'image/jpeg': '.jpg', 'image/png': '.png' },
+  },
+  video: {
+    maxBytes: 16 * MB,
+    mimeTypes: { 'video/mp4': '.mp4', 'video/3gpp': '.3gp' },
+  },
+  audio: {
+    maxBytes: 16 * MB,
+    mimeTypes: {
+      'audio/aac': '.aac',
+      'audio/amr': '.amr',
+      'audio/mpeg': '.mp3',
+      'audio/mp4': '.m4a',
+      'audio/ogg': '.ogg',
+    },
+  },
+  document: {
+    maxBytes: 100 * MB,
+    mimeTypes: {
+      'application/pdf': '.pdf',
+      'text/plain': '.txt',
+      'application/msword': '.doc',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+      'application/vnd.ms-excel': '.xls',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+      'application/vnd.ms-powerpoint': '.ppt',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+    },
+  },
+};
+
+const downloadsDir = path.join(__dirname, '../../uploads/whatsapp');
+
+class WhatsAppMediaService {
+  /**
+   * Whether a message type carries media that should be copied
+   */
+  hasInboundMedia(type) {
+    return Object.prototype.hasOwnProperty.call(INBOUND_MEDIA_LIMITS, type);
+  }
+
+  /**
+   * Copy the media of an inbound message into the brand's library and link it from the message.
+   * Unsupported or oversized files and files over the storage quota are recorded in mediaError;
+   * download/upload failures throw to be retried.
+   */
+  async persistInboundMedia(messageId) {
+    const message = await WhatsAppMessage.findById(messageId);
+    if (!message || message.media || message.mediaError || !this.hasInboundMedia(message.type)) {
+      return { skipped: true };
+    }
+
+    const content = message.content?.[message.type] || {};
+    const limits = INBOUND_MEDIA_LIMITS[message.type];
+    const mimeType = (content.mime_type || '').split(';')[0].trim().toLowerCase();
+    const extension = limits.mimeTypes[mimeType];
+
+    if (!content.id) {
+      return await this.rejectMedia(message, 'No media ID in the message');
+    }
+    if (!extension) {
+      return await this.rejectMedia(message, `Unsupported ${message.type} type: ${mimeType || 'unknown'}`);
+    }
+
+    const channel = await Channel.findById(message.channel);
+    if (!channel) {
+      return await this.rejectMedia(message, 'WhatsApp channel no longer exists');
+    }
+
+    await fs.promises.mkdir(downloadsDir, { recursive: true });
+    const filePath = path.join(downloadsDir, `${message.type}-${crypto.randomBytes(16).toString('hex')}${extension}`);
+
+    let download;
+    try {
+      const provider = ProviderFactory.getProvider('whatsapp', channel);
+      download = await provider.downloadMedia(content.id, filePath, limits.maxBytes);
+    } catch (error) {
+      if (error.code === 'MEDIA_TOO_LARGE') {
+        return await this.rejectMedia(message, error.message);
+      }
+      throw error;
+    }
+
+    try {
+      // A file the customer sent before is linked to the existing library item
+      const contentHash = await mediaService.computeContentHash(filePath);
+      const existing = await Media.findOne({
+        brand: channel.brand,
+        contentHash,
+        status: { $ne: 'deleted' },
+      }).select('_id');
+      if (existing) {
+        await WhatsAppMessage.updateOne({ _id: message._id }, { media: existing._id });
+        return { mediaId: existing._id, duplicate: true };
+      }
+
+      // Customer-sent files count against the organization's storage quota like uploads
+      try {
+        await storageQuotaService.assertCanStore(channel.brand, [{
+          size: download.size,
+          originalname: content.filename,
+          contentHash,
+        }]);
+      } catch (error) {
+        if (error.code === 'STORAGE_QUOTA_EXCEEDED') {
+          return await this.rejectMedia(message, error.message);
+        }
+        throw error;
+      }
+
+      // Read before the upload removes the local file
+      const metadata = await mediaService.extractMetadata(filePath, message.type);
+      if (message.type === 'video') {
+        Object.assign(metadata, await mediaService.createVideoThumbnail(filePath, metadata, {
+          brandId: channel.brand.toString(),
+          source: 'whatsapp',
+        }));
+      }
+
+      const upload = await storageService.uploadFile(filePath, 'media', {
+        brandId: channel.brand.toString(),
+        source: 'whatsapp',
+        type: message.type,
+      });
+
+      await this.ensureFolder(channel);
+
+      const caption = content.caption ? content.caption.substring(0, 500) : '';
+      const media = await mediaService.createUniqueMedia({
+        brand: channel.brand,
+        uploadedBy: channel.connectedBy,
+        filename: upload.fileName,
+        originalName: content.filename || `whatsapp-${message.type}-${message.messageId}${extension}`,
+        mimeType,
+        size: download.size,
+        contentHash,
+        s3Key: upload.key,
+        s3Url: upload.url,
+        s3Bucket: upload.bucket,
+        storageDriver: upload.driver,
+        type: message.type,
+        metadata,
+        source: 'whatsapp',
+        folder: WHATSAPP_FOLDER,
+        tags: ['whatsapp'],
+        caption,
+      });
+
+      await WhatsAppMessage.updateOne({ _id: message._id }, { media: media._id });
+
+      logger.info('📎 WhatsApp media saved to library', {
+        messageId: message.messageId,
+        mediaId: media._id,
+        size: download.size,
+      });
+
+      if (!media.duplicate) {
+        await storageQuotaService.checkWarningThresholds(channel.brand);
+      }
+
+      return { mediaId: media._id, duplicate: !!media.duplicate };
+    } finally {
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  }
+
+  /**
+   * Helper: the brand's WhatsApp folder exists in the library
+   */
+  async ensureFolder(channel) {
+    await Folder.updateOne(
+      { brand: channel.brand, name: WHATSAPP_FOLDER },
+      {
+        $setOnInsert: {
+          description: 'Files sent by customers on WhatsApp',
+          createdBy: channel.connectedBy,
+        },
+      },
+      { upsert: true }
+    ).catch((error) => {
+      // Created concurrently by another download
+      if (error.code !== 11000) throw error;
+    });
+  }
+
+  /**
+   * Helper: record why the media is not copied (not retried)
+   */
+  async rejectMedia(message, reason) {
+    await WhatsAppMessage.updateOne({ _id: message._id }, { mediaError: reason });
+
+    logger.warn('⚠️ WhatsApp media not saved', { messageId: message.messageId, reason });
+    return { skipped: true, reason };
+  }
+}
+
+module.exports = new WhatsAppMediaService();
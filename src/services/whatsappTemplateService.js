@@ -0,0 +1,458 @@
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const Channel = require('../models/Channel');
+const Membership = require('../models/Membership');
+const ProviderFactory = require('../providers/ProviderFactory');
+const logger = require('../utils/logger');
+
+// Cloud API template limits
+const LIMITS = {
+  name: 512,
+  headerText: 60,
+  bodyText: 1024,
+  footerText: 60,
+  buttons: 10,
+  buttonText: 25,
+  urlButtons: 2,
+  phoneButtons: 1,
+  url: 2000,
+  phoneNumber: 20,
+  copyCode: 15,
+};
+
+const HEADER_FORMATS = ['TEXT', 'IMAGE', 'VIDEO', 'DOCUMENT', 'LOCATION'];
+const BUTTON_TYPES = ['QUICK_REPLY', 'URL', 'PHONE_NUMBER', 'COPY_CODE', 'OTP'];
+const CATEGORIES = ['MARKETING', 'UTILITY', 'AUTHENTICATION'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\d+)\s*\}\}/g;
+
+// Provider listings can lag behind a submission; newer local templates are not marked deleted
+const SYNC_GRACE_PERIOD_MS = 10 * 60 * 1000;
+
+// Status from a message_template_status_update event
+const EVENT_STATUSES = {
+  APPROVED: 'APPROVED',
+  REINSTATED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  PENDING: 'PENDING',
+  PAUSED: 'PAUSED',
+  FLAGGED: 'APPROVED', // Still sendable, quality warning only
+  DISABLED: 'DISABLED',
+  IN_APPEAL: 'IN_APPEAL',
+  PENDING_DELETION: 'PENDING_DELETION',
+  DELETED: 'DELETED',
+};
+
+class WhatsAppTemplateService {
+  /**
+   * Helper: brand membership, optionally with a permission
+   */
+  async checkTemplateAccess(userId, brandId, permission = null) {
+    const membership = await Membership.findOne({ user: userId, brand: brandId });
+
+    if (!membership || (permission && !membership.hasPermission(permission))) {
+      throw new Error('Permission denied');
+    }
+
+    return membership;
+  }
+
+  /**
+   * Helper: WhatsApp channel of the brand
+   */
+  async getBrandChannel(brandId, channelId) {
+    const channel = await Channel.findOne({ _id: channelId, brand: brandId, provider: 'whatsapp' });
+    if (!channel) {
+      throw new Error('Channel not found');
+    }
+    return channel;
+  }
+
+  /**
+   * Validate a template and render its preview (nothing is submitted)
+   */
+  previewTemplate(data) {
+    const { errors, components } = this.validateTemplate(data);
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      preview: errors.length === 0 ? this.renderPreview(components) : null,
+    };
+  }
+
+  /**
+   * Validate, submit for review and store a template
+   */
+  async createTemplate(userId, data) {
+    const { brandId, channelId, name, language, category } = data;
+    await this.checkTemplateAccess(userId, brandId, 'create_posts');
+    const channel = await this.getBrandChannel(brandId, channelId);
+
+    const { errors, components } = this.validateTemplate(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid template: ${errors.join('; ')}`);
+    }
+
+    const provider = ProviderFactory.getProvider('whatsapp', channel);
+    const result = await provider.createTemplate({ name, language, category, components });
+
+    const template = await WhatsAppTemplate.findOneAndUpdate(
+      { channel: channel._id, name, language },
+      {
+        brand: brandId,
+        category: result.category || category,
+        components,
+        platformTemplateId: result.id,
+        status: result.status || 'PENDING',
+        createdBy: userId,
+        $unset: { rejectedReason: 1, deletedAt: 1 },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    logger.info('📝 WhatsApp template submitted', { templateId: template._id, name, language });
+    return template;
+  }
+
+  /**
+   * Reconcile local templates of a channel with the provider list:
+   * add missing ones, refresh status/content/rejection reason, mark removed ones DELETED
+   */
+  async syncChannelTemplates(channel) {
+    const provider = ProviderFactory.getProvider('whatsapp', channel);
+    const remoteTemplates = await provider.getTemplates();
+    const now = new Date();
+    const result = { added: 0, updated: 0, deleted: 0 };
+
+    for (const remote of remoteTemplates) {
+      const status = EVENT_STATUSES[remote.status] || remote.status;
+      if (!WhatsAppTemplate.STATUSES.includes(status)) {
+        logger.warn('⚠️ Unknown WhatsApp template status', { name: remote.name, status: remote.status });
+        continue;
+      }
+
+      const update = await WhatsAppTemplate.updateOne(
+        { channel: channel._id, name: remote.name, language: remote.language },
+        {
+          $set: {
+            category: remote.category,
+            status,
+            components: remote.components || [],
+            platformTemplateId: remote.id,
+            lastSyncedAt: now,
+            ...(status !== 'APPROVED' && remote.rejected_reason && remote.rejected_reason !== 'NONE'
+              ? { rejectedReason: remote.rejected_reason }
+              : {}),
+          },
+          $unset: {
+            deletedAt: 1,
+            ...(status === 'APPROVED' && { rejectedReason: 1 }),
+          },
+          $setOnInsert: {
+            brand: channel.brand,
+            createdBy: channel.connectedBy,
+          },
+        },
+        { upsert: true, runValidators: true }
+      );
+
+      if (update.upsertedCount > 0) {
+        result.added++;
+      } else if (update.modifiedCount > 0) {
+        result.updated++;
+      }
+    }
+
+    const remoteKeys = new Set(remoteTemplates.map(t => `${t.name}:${t.language}`));
+    const localTemplates = await WhatsAppTemplate.find({
+      channel: channel._id,
+      status: { $ne: 'DELETED' },
+      createdAt: { $lt: new Date(now.getTime() - SYNC_GRACE_PERIOD_MS) },
+    }).select('name language');
+
+    const removedIds = localTemplates
+      .filter(template => !remoteKeys.has(`${template.name}:${template.language}`))
+      .map(template => template._id);
+
+    if (removedIds.length > 0) {
+      const deleted = await WhatsAppTemplate.updateMany(
+        { _id: { $in: removedIds } },
+        { status: 'DELETED', deletedAt: now, lastSyncedAt: now }
+      );
+      result.deleted = deleted.modifiedCount;
+    }
+
+    logger.info('🔄 WhatsApp templates synced', { channelId: channel._id, ...result });
+    return result;
+  }
+
+  /**
+   * Sync on request from the API
+   */
+  async syncTemplatesForUser(userId, brandId, channelId) {
+    await this.checkTemplateAccess(userId, brandId, 'create_posts');
+    const channel = await this.getBrandChannel(brandId, channelId);
+    return await this.syncChannelTemplates(channel);
+  }
+
+  /**
+   * Apply a message_template_status_update webhook event to the local copies
+   * (a template belongs to the business account, so every number of that account has one)
+   */
+  async handleStatusEvent({
+    businessAccountId, message_template_id, message_template_name, message_template_language, event, reason,
+  }) {
+    const status = EVENT_STATUSES[event];
+    if (!status) {
+      logger.warn('⚠️ Unknown WhatsApp template event', { event, name: message_template_name });
+      return 0;
+    }
+
+    const filter = {
+      $or: [
+        { name: message_template_name, language: message_template_language },
+        ...(message_template_id ? [{ platformTemplateId: String(message_template_id) }] : []),
+      ],
+    };
+    if (businessAccountId) {
+      const channels = await Channel.find({
+        provider: 'whatsapp',
+        'providerData.businessAccountId': businessAccountId,
+      }).select('_id');
+      filter.channel = { $in: channels.map(channel => channel._id) };
+    }
+
+    const result = await WhatsAppTemplate.updateMany(filter, {
+      $set: {
+        status,
+        ...(message_template_id && { platformTemplateId: String(message_template_id) }),
+        ...(status === 'DELETED' && { deletedAt: new Date() }),
+        ...(status !== 'APPROVED' && reason && reason !== 'NONE' && { rejectedReason: reason }),
+      },
+      ...(status === 'APPROVED' && { $unset: { rejectedReason: 1 } }),
+    });
+
+    return result.matchedCount;
+  }
+
+  /**
+   * Check components against the Cloud API rules; returns every problem found
+   * and the components to submit (example values included)
+   */
+  validateTemplate({ name, language, category, components }) {
+    const errors = [];
+
+    if (!name || !/^[a-z0-9_]+$/.test(name) || name.length > LIMITS.name) {
+      errors.push('name must be lowercase letters, digits and underscores');
+    }
+    if (!language || !/^[a-z]{2,3}(_[A-Z]{2})?$/.test(language)) {
+      errors.push('language must be a locale code such as en or en_US');
+    }
+    if (!CATEGORIES.includes(category)) {
+      errors.push(`category must be one of ${CATEGORIES.join(', ')}`);
+    }
+    if (!Array.isArray(components)) {
+      errors.push('components must be an array');
+      return { errors, components: [] };
+    }
+
+    const byType = {};
+    components.forEach(component => {
+      byType[component?.type] = (byType[component?.type] || 0) + 1;
+    });
+    Object.keys(byType)
+      .filter(type => !['HEADER', 'BODY', 'FOOTER', 'BUTTONS'].includes(type))
+      .forEach(type => errors.push(`unknown component type ${type}`));
+    Object.entries(byType)
+      .filter(([, count]) => count > 1)
+      .forEach(([type]) => errors.push(`only one ${type} component is allowed`));
+    if (!byType.BODY) {
+      errors.push('a BODY component is required');
+    }
+
+    components.forEach(component => {
+      switch (component?.type) {
+        case 'HEADER':
+          this.validateHeader(component, errors);
+          break;
+        case 'BODY':
+          this.validateBody(component, errors);
+          break;
+        case 'FOOTER':
+          this.validateText(component.text, 'FOOTER', LIMITS.footerText, errors);
+          if (this.getPlaceholders(component.text).length > 0) {
+            errors.push('FOOTER can\'t contain variables');
+          }
+          break;
+        case 'BUTTONS':
+          this.validateButtons(component, errors);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { errors, components };
+  }
+
+  /**
+   * Helper: header format, text and example
+   */
+  validateHeader(component, errors) {
+    const format = component.format || 'TEXT';
+    if (!HEADER_FORMATS.includes(format)) {
+      errors.push(`HEADER format must be one of ${HEADER_FORMATS.join(', ')}`);
+      return;
+    }
+
+    if (format === 'TEXT') {
+      this.validateText(component.text, 'HEADER', LIMITS.headerText, errors);
+      const positions = this.getPlaceholders(component.text);
+      if (positions.length > 1) {
+        errors.push('HEADER text allows one variable');
+      }
+      this.validateExamples('HEADER', positions, component.example?.header_text, errors);
+    } else if (format !== 'LOCATION' && !component.example?.header_handle?.length) {
+      errors.push(`HEADER ${format} needs a sample media handle (example.header_handle)`);
+    }
+  }
+
+  /**
+   * Helper: body text, variable placement and examples
+   */
+  validateBody(component, errors) {
+    this.validateText(component.text, 'BODY', LIMITS.bodyText, errors);
+    if (!component.text) return;
+
+    const positions = this.getPlaceholders(component.text);
+    const trimmed = component.text.trim();
+    if (positions.length > 0 && (/^\{\{\s*\d+\s*\}\}/.test(trimmed) || /\{\{\s*\d+\s*\}\}$/.test(trimmed))) {
+      errors.push('BODY can\'t start or end with a variable');
+    }
+
+    this.validateExamples('BODY', positions, component.example?.body_text?.[0], errors);
+  }
+
+  /**
+   * Helper: buttons count, types and per-type fields
+   */
+  validateButtons(component, errors) {
+    const buttons = component.buttons || [];
+    if (buttons.length === 0 || buttons.length > LIMITS.buttons) {
+      errors.push(`BUTTONS needs between 1 and ${LIMITS.buttons} buttons`);
+      return;
+    }
+
+    const count = (type) => buttons.filter(button => button.type === type).length;
+    if (count('URL') > LIMITS.urlButtons) {
+      errors.push(`at most ${LIMITS.urlButtons} URL buttons`);
+    }
+    if (count('PHONE_NUMBER') > LIMITS.phoneButtons) {
+      errors.push(`at most ${LIMITS.phoneButtons} PHONE_NUMBER button`);
+    }
+    if (count('COPY_CODE') > 1) {
+      errors.push('at most 1 COPY_CODE button');
+    }
+
+    buttons.forEach((button, i) => {
+      const label = `button ${i + 1}`;
+      if (!BUTTON_TYPES.includes(button.type)) {
+        errors.push(`${label} type must be one of ${BUTTON_TYPES.join(', ')}`);
+        return;
+      }
+      if (button.type !== 'COPY_CODE') {
+        this.validateText(button.text, label, LIMITS.buttonText, errors);
+      }
+
+      if (button.type === 'URL') {
+        if (!/^https?:\/\/\S+$/i.test(button.url || '') || button.url.length > LIMITS.url) {
+          errors.push(`${label} needs an http(s) url`);
+          return;
+        }
+        const positions = this.getPlaceholders(button.url);
+        if (positions.length > 1 || (positions.length === 1 && !/\{\{\s*1\s*\}\}$/.test(button.url))) {
+          errors.push(`${label} url allows one {{1}} variable at the end`);
+        }
+        this.validateExamples(label, positions, button.example, errors);
+      } else if (button.type === 'PHONE_NUMBER') {
+        if (!/^\+?[1-9]\d{1,18}$/.test(button.phone_number || '') || button.phone_number.length > LIMITS.phoneNumber) {
+          errors.push(`${label} needs a phone_number in international format`);
+        }
+      } else if (button.type === 'COPY_CODE') {
+        const code = Array.isArray(button.example) ? button.example[0] : button.example;
+        if (!code || String(code).length > LIMITS.copyCode) {
+          errors.push(`${label} needs an example code of up to ${LIMITS.copyCode} characters`);
+        }
+      }
+    });
+  }
+
+  /**
+   * Helper: required text within a length limit
+   */
+  validateText(text, label, max, errors) {
+    if (!text || !String(text).trim()) {
+      errors.push(`${label} text is required`);
+    } else if (text.length > max) {
+      errors.push(`${label} text exceeds ${max} characters`);
+    }
+  }
+
+  /**
+   * Helper: placeholders numbered 1..n without gaps, each with a non-empty example value
+   */
+  validateExamples(label, positions, examples, errors) {
+    if (positions.length === 0) return;
+
+    const unique = [...new Set(positions)].sort((a, b) => a - b);
+    if (unique.some((position, i) => position !== i + 1)) {
+      errors.push(`${label} variables must be numbered {{1}} to {{${unique.length}}} without gaps`);
+      return;
+    }
+
+    const values = Array.isArray(examples) ? examples : [];
+    if (values.length !== unique.length || values.some(value => !String(value ?? '').trim())) {
+      errors.push(`${label} needs ${unique.length} example value(s), one per variable`);
+    }
+  }
+
+  /**
+   * Helper: {{n}} positions in order of appearance
+   */
+  getPlaceholders(text) {
+    return [...String(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => parseInt(match[1], 10));
+  }
+
+  /**
+   * Helper: text with {{n}} replaced by example n
+   */
+  fillExamples(text, examples = []) {
+    return String(text || '').replace(PLACEHOLDER_PATTERN, (placeholder, n) => examples[n - 1] ?? placeholder);
+  }
+
+  /**
+   * Message as the recipient would see it, rendered with the example values
+   */
+  renderPreview(components) {
+    const find = (type) => components.find(component => component.type === type);
+    const header = find('HEADER');
+    const body = find('BODY');
+    const footer = find('FOOTER');
+    const buttons = find('BUTTONS');
+
+    return {
+      header: header && ((header.format || 'TEXT') === 'TEXT'
+        ? { format: 'TEXT', text: this.fillExamples(header.text, header.example?.header_text) }
+        : { format: header.format, media: header.example?.header_handle?.[0] }),
+      body: this.fillExamples(body.text, body.example?.body_text?.[0]),
+      footer: footer?.text,
+      buttons: (buttons?.buttons || []).map(button => ({
+        type: button.type,
+        text: button.text,
+        ...(button.url && { url: this.fillExamples(button.url, button.example) }),
+        ...(button.phone_number && { phoneNumber: button.phone_number }),
+      })),
+    };
+  }
+}
+
+module.exports = new WhatsAppTemplateService();
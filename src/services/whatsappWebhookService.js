@@ -1,18 +1,30 @@
 const WhatsAppContact = require('../models/WhatsAppContact');
 const WhatsAppMessage = require('../models/WhatsAppMessage');
-const WhatsAppTemplate = require('../models/WhatsAppTemplate');
 const Channel = require('../models/Channel');
-const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
 const notificationService = require('./notificationService');
+const whatsappCampaignService = require('./whatsappCampaignService');
+const whatsappConsentService = require('./whatsappConsentService');
+const whatsappInboxService = require('./whatsappInboxService');
+const whatsappAutoReplyService = require('./whatsappAutoReplyService');
+const whatsappTemplateService = require('./whatsappTemplateService');
+const whatsappMediaService = require('./whatsappMediaService');
+const whatsappAccountHealthService = require('./whatsappAccountHealthService');
+const queueManager = require('../queues/queueManager');
+const { parseInteractiveReply } = require('../utils/whatsappInteractive');
 const logger = require('../utils/logger');
 
+// Delivery progress order; status webhooks can be processed out of order and never move a message backwards
+const MESSAGE_STATUS_RANK = { sent: 0, delivered: 1, read: 2, failed: 3 };
+
 class WhatsAppWebhookService {
   /**
    * Handle incoming message
    */
   async handleIncomingMessage(data) {
     try {
-      const { from, messageId, timestamp, type, text, image, video, audio, document, contacts, metadata } = data;
+      const {
+        from, messageId, timestamp, type, text, image, video, audio, document, interactive, button, contacts, metadata,
+      } = data;
 
       logger.info('📩 Processing incoming WhatsApp message', {
         from,
@@ -21,51 +33,54 @@ class WhatsAppWebhookService {
         text: text?.substring(0, 50),
       });
 
-      // Find or create contact
+      // Resolve the brand from the receiving number, then the sender's contact
       const phoneNumberId = metadata?.phone_number_id;
       const displayPhoneNumber = metadata?.display_phone_number;
 
-      let contact = await WhatsAppContact.findOne({ phone: from });
+      const reply = parseInteractiveReply({ interactive, button });
 
-      if (!contact) {
-        const contactInfo = contacts?.find(c => c.wa_id === from);
-        
-        logger.info('📇 Creating new WhatsApp contact', {
-          from,
-          name: contactInfo?.profile?.name || 'Unknown',
-        });
+      const channel = await this.findChannelByPhoneNumberId(phoneNumberId);
+      let contact = null;
 
-        // Create new contact (determine brand based on phoneNumberId)
-        // For now, log it
-        logger.warn('⚠️ New contact from unknown brand', {
+      if (channel) {
+        contact = await this.findOrCreateContact(channel, from, contacts);
+      } else {
+        logger.warn('⚠️ Message for unknown WhatsApp number', {
           from,
           phoneNumberId,
           displayPhoneNumber,
         });
       }
 
-      // Save message to database
-      const message = await WhatsAppMessage.create({
-        messageId,
-        from,
-        to: displayPhoneNumber,
-        phoneNumberId,
-        timestamp: new Date(parseInt(timestamp) * 1000),
-        type,
-        direction: 'inbound',
-        status: 'received',
-        content: {
-          text,
-          image,
-          video,
-          audio,
-          document,
-        },
-        metadata: {
-          displayPhoneNumber,
+      // A retried delivery reuses the message saved by the failed attempt
+      let message = await WhatsAppMessage.findOne({ messageId });
+      if (!message) {
+        message = await this.saveIncomingMessage({
+          messageId,
+          brand: channel?.brand,
+          channel: channel?._id,
+          from,
+          to: displayPhoneNumber,
           phoneNumberId,
-        },
-      });
+          timestamp: new Date(parseInt(timestamp) * 1000),
+          type,
+          direction: 'inbound',
+          status: 'received',
+          content: {
+            text,
+            image,
+            video,
+            audio,
+            document,
+            interactive: reply || undefined,
+          },
+          metadata: {
+            displayPhoneNumber,
+            phoneNumberId,
+            contactName: contact?.name,
+          },
+        });
+      }
 
       logger.info('✅ WhatsApp message saved', {
         messageId: message._id,
@@ -73,8 +88,34 @@ class WhatsAppWebhookService {
         type,
       });
 
-      // TODO: Implement auto-reply logic here if needed
-      // TODO: Notify relevant users about new message
+      // Media IDs expire, so customer-sent files are copied into the brand's library
+      if (channel && whatsappMediaService.hasInboundMedia(type)) {
+        await queueManager.addWhatsAppMediaJob(message._id);
+      }
+
+      // Thread into the team inbox (reopens the conversation, starts the 24h window)
+      let conversation = null;
+      if (contact) {
+        conversation = await whatsappInboxService.recordInbound(channel, contact, message);
+      }
+
+      // STOP/START style keywords update consent and are confirmed to the sender
+      let consentKeyword = null;
+      if (contact && type === 'text') {
+        consentKeyword = await whatsappConsentService.handleKeywordMessage({ contact, channel, text, messageId });
+      }
+
+      // Auto-replies and chatbot flows (consent keywords already got their confirmation)
+      if (conversation && !consentKeyword) {
+        await whatsappAutoReplyService.handleInboundMessage({
+          channel,
+          contact,
+          conversation,
+          message,
+          reply: whatsappAutoReplyService.getReply({ text, reply }),
+          isNewContact: !!contact.$locals.createdFromInbound,
+        });
+      }
 
       return message;
     } catch (error) {
@@ -87,6 +128,18 @@ class WhatsAppWebhookService {
     }
   }
 
+  /**
+   * Helper: store an inbound message; a concurrent delivery that stored it first wins
+   */
+  async saveIncomingMessage(fields) {
+    try {
+      return await WhatsAppMessage.create(fields);
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return await WhatsAppMessage.findOne({ messageId: fields.messageId });
+    }
+  }
+
   /**
    * Handle message status update
    */
@@ -100,8 +153,11 @@ class WhatsAppWebhookService {
         status,
       });
 
+      const lowerStatuses = Object.keys(MESSAGE_STATUS_RANK)
+        .filter(s => MESSAGE_STATUS_RANK[s] < MESSAGE_STATUS_RANK[status]);
+
       const message = await WhatsAppMessage.findOneAndUpdate(
-        { messageId },
+        { messageId, status: { $in: lowerStatuses } },
         {
           status,
           lastStatusUpdate: new Date(parseInt(timestamp) * 1000),
@@ -110,8 +166,15 @@ class WhatsAppWebhookService {
         { new: true }
       );
 
+      // Campaign delivery tracking (no-op for messages sent outside campaigns)
+      await whatsappCampaignService.handleStatusUpdate({ messageId, status, timestamp, errors });
+
       if (!message) {
-        logger.warn('⚠️ Message not found for status update', { messageId });
+        if (!(await WhatsAppMessage.exists({ messageId }))) {
+          // The status can arrive before the sender stored the message; fail so the webhook job retries
+          throw new Error(`Message not found for status update: ${messageId}`);
+        }
+        logger.info('📊 Stale message status skipped', { messageId, status });
         return;
       }
 
@@ -205,40 +268,32 @@ class WhatsAppWebhookService {
    */
   async handleTemplateStatusUpdate(data) {
     try {
-      const { message_template_id, message_template_name, message_template_language, event } = data;
+      const { message_template_name, message_template_language, event, reason } = data;
 
       logger.info('📝 Processing template status update', {
         templateName: message_template_name,
-        event, // APPROVED, REJECTED, DISABLED
+        event, // APPROVED, REJECTED, PAUSED, DISABLED, ...
+        reason,
       });
 
-      // Update template status in database
-      const template = await WhatsAppTemplate.findOneAndUpdate(
-        {
-          name: message_template_name,
-          language: message_template_language,
-        },
-        {
-          status: event === 'APPROVED' ? 'APPROVED' : 'REJECTED',
-          platformTemplateId: message_template_id,
-        },
-        { new: true }
-      );
+      // Update template status (and keep the rejection reason) in database
+      const matched = await whatsappTemplateService.handleStatusEvent(data);
 
-      if (!template) {
-        logger.warn('⚠️ Template not found in database', { message_template_name });
+      if (!matched) {
+        logger.warn('⚠️ Template not found in database', { message_template_name, message_template_language });
         return;
       }
 
-      logger.info(`✅ Template ${event.toLowerCase()}`, {
-        templateId: template._id,
+      logger.info(`✅ Template ${String(event).toLowerCase()}`, {
         name: message_template_name,
+        language: message_template_language,
+        copies: matched,
       });
 
       // ✅ Notify user
       // TODO: Create notification
 
-      return template;
+      return matched;
     } catch (error) {
       logger.error('❌ Failed to process template status update', {
         error: error.message,
@@ -252,12 +307,14 @@ class WhatsAppWebhookService {
    */
   async handleQualityUpdate(data) {
     try {
-      const { phone_number, quality_score, quality_rating } = data;
+      const { phone_number, quality_score, quality_rating, current_limit, event } = data;
 
       logger.info('📊 Processing quality update', {
         phoneNumber: phone_number,
         qualityRating: quality_rating,
         qualityScore: quality_score,
+        messagingLimit: current_limit,
+        event,
       });
 
       // Find channel by phone number
@@ -271,40 +328,22 @@ class WhatsAppWebhookService {
         return;
       }
 
-      // Update or create health record
-      const healthRecord = await WhatsAppAccountHealth.findOneAndUpdate(
-        { channel: channel._id },
-        {
-          phoneNumberId: phone_number,
-          qualityRating: quality_rating,
-          qualityScore: quality_score,
-          lastUpdated: new Date(),
-          $push: {
-            history: {
-              qualityRating: quality_rating,
-              timestamp: new Date(),
-            },
-          },
-        },
-        { upsert: true, new: true }
-      );
+      // Update health record; alerts managers and pauses campaigns on RED
+      const { record, alerts } = await whatsappAccountHealthService.recordQualityUpdate(channel, {
+        qualityRating: quality_rating,
+        qualityScore: quality_score,
+        messagingLimit: current_limit,
+        event,
+      });
 
       logger.info('✅ Account health updated', {
         channelId: channel._id,
-        qualityRating: quality_rating,
+        qualityRating: record.qualityRating,
+        messagingLimit: record.messagingLimit,
+        alerts,
       });
 
-      // ✅ Create alert if quality degraded
-      if (quality_rating === 'YELLOW' || quality_rating === 'RED') {
-        logger.warn(`⚠️ Account quality degraded to ${quality_rating}`, {
-          phoneNumber: phone_number,
-          qualityScore: quality_score,
-        });
-
-        // TODO: Create notification
-      }
-
-      return healthRecord;
+      return record;
     } catch (error) {
       logger.error('❌ Failed to process quality update', {
         error: error.message,
@@ -357,6 +396,53 @@ class WhatsAppWebhookService {
     }
   }
 
+  /**
+   * Connected WhatsApp channel of a business phone number ID
+   */
+  async findChannelByPhoneNumberId(phoneNumberId) {
+    if (!phoneNumberId) return null;
+
+    return await Channel.findOne({
+      provider: 'whatsapp',
+      'providerData.phoneNumberId': phoneNumberId,
+      connectionStatus: { $ne: 'disconnected' },
+    });
+  }
+
+  /**
+   * Brand contact of an inbound sender, created on first contact
+   */
+  async findOrCreateContact(channel, from, contacts) {
+    const phone = this.formatPhoneNumber(from);
+
+    const existing = await WhatsAppContact.findOne({ brand: channel.brand, phone });
+    if (existing) return existing;
+
+    const contactInfo = contacts?.find(c => c.wa_id === from);
+
+    try {
+      const contact = await WhatsAppContact.create({
+        brand: channel.brand,
+        name: contactInfo?.profile?.name || phone,
+        phone,
+        createdBy: channel.connectedBy,
+      });
+      contact.$locals.createdFromInbound = true;
+
+      logger.info('📇 WhatsApp contact created from inbound message', {
+        contactId: contact._id,
+        brandId: channel.brand,
+      });
+      return contact;
+    } catch (error) {
+      // Created by a concurrent delivery
+      if (error.code === 11000) {
+        return await WhatsAppContact.findOne({ brand: channel.brand, phone });
+      }
+      throw error;
+    }
+  }
+
   /**
    * Format phone number to E.164
    */
@@ -0,0 +1,28 @@
+const S3StorageDriver = require('./s3StorageDriver');
+const CloudinaryStorageDriver = require('./cloudinaryStorageDriver');
+const LocalStorageDriver = require('./localStorageDriver');
+
+class StorageFactory {
+  static getDriver(driverName) {
+    switch (String(driverName).toLowerCase()) {
+      case 's3':
+        return new S3StorageDriver();
+      case 'cloudinary':
+        return new CloudinaryStorageDriver();
+      case 'local':
+        return new LocalStorageDriver();
+      default:
+        throw new Error(`Storage driver '${driverName}' is not supported`);
+    }
+  }
+
+  static getSupportedDrivers() {
+    return ['s3', 'cloudinary', 'local'];
+  }
+
+  static isDriverSupported(driverName) {
+    return this.getSupportedDrivers().includes(String(driverName).toLowerCase());
+  }
+}
+
+module.exports = StorageFactory;
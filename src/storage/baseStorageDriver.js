@@ -0,0 +1,77 @@
+/**
+ * Abstract Base Storage Driver
+ * All storage backends must extend this class. Objects are addressed by a key
+ * such as "media/1700000000000-ab12.jpg"; key generation, content types and
+ * local file cleanup live in storageService so every driver stores the same keys.
+ */
+class BaseStorageDriver {
+  constructor() {
+    this.name = this.constructor.name.replace('StorageDriver', '').toLowerCase();
+  }
+
+  /**
+   * Where objects are stored (bucket, cloud or directory name), recorded on Media
+   * Must be implemented by child classes
+   */
+  get location() {
+    throw new Error('location must be implemented');
+  }
+
+  /**
+   * Store a local file under key
+   * Must be implemented by child classes
+   */
+  async putFile(key, filePath, { contentType, metadata } = {}) {
+    throw new Error('putFile() must be implemented');
+  }
+
+  /**
+   * Store an in-memory buffer under key
+   * Must be implemented by child classes
+   */
+  async putBuffer(key, buffer, { contentType, metadata } = {}) {
+    throw new Error('putBuffer() must be implemented');
+  }
+
+  /**
+   * Remove an object
+   * Must be implemented by child classes
+   */
+  async delete(key) {
+    throw new Error('delete() must be implemented');
+  }
+
+  /**
+   * Copy an object to a local file
+   * Must be implemented by child classes
+   */
+  async download(key, destinationPath) {
+    throw new Error('download() must be implemented');
+  }
+
+  /**
+   * URL that grants temporary read access
+   * Must be implemented by child classes
+   */
+  async getPresignedUrl(key, expiresIn = 3600) {
+    throw new Error('getPresignedUrl() must be implemented');
+  }
+
+  /**
+   * Permanent URL of an object (published to social platforms)
+   * Must be implemented by child classes
+   */
+  getPublicUrl(key) {
+    throw new Error('getPublicUrl() must be implemented');
+  }
+
+  /**
+   * Check that the backend is reachable with the configured credentials
+   * Must be implemented by child classes
+   */
+  async testConnection() {
+    throw new Error('testConnection() must be implemented');
+  }
+}
+
+module.exports = BaseStorageDriver;
@@ -0,0 +1,148 @@
+const axios = require('axios');
+const path = require('path');
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const BaseStorageDriver = require('./baseStorageDriver');
+const { getContentType } = require('./contentTypes');
+
+/**
+ * Cloudinary, stored untransformed so published files match the upload
+ *
+ * Cloudinary drops the extension from image/video public IDs and files audio
+ * under the video resource type, so both are derived from the key.
+ */
+class CloudinaryStorageDriver extends BaseStorageDriver {
+  constructor() {
+    super();
+
+    // Required here so the client is only configured (and pinged) when Cloudinary is in use
+    this.cloudinary = require('../config/cloudinary');
+  }
+
+  get location() {
+    return process.env.CLOUDINARY_CLOUD_NAME;
+  }
+
+  /**
+   * Helper: { publicId, resourceType, format } of a key
+   */
+  getAsset(key) {
+    const ext = path.extname(key);
+    const [kind] = getContentType(ext).split('/');
+
+    if (kind === 'image' || kind === 'video' || kind === 'audio') {
+      return {
+        publicId: key.slice(0, key.length - ext.length),
+        resourceType: kind === 'image' ? 'image' : 'video',
+        format: ext.slice(1).toLowerCase(),
+      };
+    }
+
+    // Raw files keep their extension in the public ID
+    return { publicId: key, resourceType: 'raw', format: undefined };
+  }
+
+  /**
+   * Helper: upload options of a key
+   */
+  getUploadOptions(key, metadata = {}) {
+    const { publicId, resourceType } = this.getAsset(key);
+    const context = Object.fromEntries(
+      Object.entries(metadata)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => [name, String(value).replace(/[|=]/g, ' ')])
+    );
+
+    return {
+      public_id: publicId,
+      resource_type: resourceType,
+      overwrite: true,
+      context,
+    };
+  }
+
+  async putFile(key, filePath, { metadata } = {}) {
+    try {
+      // Chunked upload: the single-request API rejects videos over 100MB
+      await new Promise((resolve, reject) => {
+        this.cloudinary.uploader.upload_large(filePath, this.getUploadOptions(key, metadata), (error, result) => (
+          error ? reject(error) : resolve(result)
+        ));
+      });
+    } catch (error) {
+      throw new Error(`Cloudinary upload failed: ${error.message}`);
+    }
+  }
+
+  async putBuffer(key, buffer, { metadata } = {}) {
+    try {
+      await new Promise((resolve, reject) => {
+        this.cloudinary.uploader
+          .upload_stream(this.getUploadOptions(key, metadata), (error, result) => (
+            error ? reject(error) : resolve(result)
+          ))
+          .end(buffer);
+      });
+    } catch (error) {
+      throw new Error(`Cloudinary upload failed: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    const { publicId, resourceType } = this.getAsset(key);
+
+    try {
+      const result = await this.cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        invalidate: true,
+      });
+
+      if (result.result !== 'ok' && result.result !== 'not found') {
+        throw new Error(result.result);
+      }
+    } catch (error) {
+      throw new Error(`Cloudinary delete failed: ${error.message || error.error?.message}`);
+    }
+  }
+
+  async download(key, destinationPath) {
+    try {
+      const response = await axios.get(this.getPublicUrl(key), { responseType: 'stream' });
+      await pipeline(response.data, createWriteStream(destinationPath));
+
+      return destinationPath;
+    } catch (error) {
+      throw new Error(`Cloudinary download failed: ${error.message}`);
+    }
+  }
+
+  async getPresignedUrl(key, expiresIn = 3600) {
+    const { publicId, resourceType, format } = this.getAsset(key);
+
+    return this.cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType,
+      type: 'upload',
+      expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+    });
+  }
+
+  getPublicUrl(key) {
+    const { publicId, resourceType, format } = this.getAsset(key);
+
+    return this.cloudinary.url(publicId, {
+      resource_type: resourceType,
+      format,
+      secure: true,
+    });
+  }
+
+  async testConnection() {
+    try {
+      await this.cloudinary.api.ping();
+    } catch (error) {
+      throw new Error(`Cloudinary connection failed: ${error.message || error.error?.message}`);
+    }
+  }
+}
+
+module.exports = CloudinaryStorageDriver;
@@ -0,0 +1,49 @@
+const path = require('path');
+
+const CONTENT_TYPES = {
+  // Images
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+
+  // Videos
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo',
+  '.wmv': 'video/x-ms-wmv',
+  '.flv': 'video/x-flv',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+
+  '.3gp': 'video/3gpp',
+
+  // Audio
+  '.aac': 'audio/aac',
+  '.amr': 'audio/amr',
+  '.mp3': 'audio/mpeg',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+
+  // Documents
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.txt': 'text/plain',
+};
+
+/**
+ * Content type from a file extension (".jpg") or a file name / storage key
+ */
+const getContentType = (extOrName) => {
+  const ext = String(extOrName).startsWith('.') ? extOrName : path.extname(String(extOrName));
+  return CONTENT_TYPES[ext.toLowerCase()] || 'application/octet-stream';
+};
+
+module.exports = { CONTENT_TYPES, getContentType };
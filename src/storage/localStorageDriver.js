@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const BaseStorageDriver = require('./baseStorageDriver');
+const { getContentType } = require('./contentTypes');
+
+const projectRoot = path.join(__dirname, '../..');
+
+/**
+ * Local disk, for self-hosted installs and offline test environments
+ *
+ * Files are served by the app under LOCAL_STORAGE_URL (default APP_URL/storage).
+ * Like a public bucket every object can be read by its URL; presigned URLs add an
+ * HMAC signature and expiry so links can be handed out for a limited time.
+ */
+class LocalStorageDriver extends BaseStorageDriver {
+  constructor() {
+    super();
+
+    this.rootDir = path.resolve(projectRoot, process.env.LOCAL_STORAGE_DIR || 'storage');
+    this.baseUrl = (process.env.LOCAL_STORAGE_URL
+      || `${process.env.APP_URL || 'http://localhost:5000'}/storage`).replace(/\/+$/, '');
+    this.secret = process.env.LOCAL_STORAGE_SECRET || process.env.SESSION_SECRET;
+  }
+
+  get location() {
+    return 'local';
+  }
+
+  /**
+   * Helper: absolute path of a key, refusing keys that escape the storage directory
+   */
+  resolveKey(key) {
+    const filePath = path.resolve(this.rootDir, String(key));
+    if (!filePath.startsWith(`${this.rootDir}${path.sep}`)) {
+      throw new Error('Invalid storage key');
+    }
+    return filePath;
+  }
+
+  /**
+   * Helper: signature of a key and expiry (unix seconds)
+   */
+  sign(key, expires) {
+    if (!this.secret) {
+      throw new Error('LOCAL_STORAGE_SECRET is not configured');
+    }
+    return crypto.createHmac('sha256', this.secret).update(`${key}:${expires}`).digest('hex');
+  }
+
+  async putFile(key, filePath) {
+    const target = this.resolveKey(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.copyFile(filePath, target);
+  }
+
+  async putBuffer(key, buffer) {
+    const target = this.resolveKey(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolveKey(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Local delete failed: ${error.message}`);
+      }
+    }
+  }
+
+  async download(key, destinationPath) {
+    try {
+      await fs.copyFile(this.resolveKey(key), destinationPath);
+      return destinationPath;
+    } catch (error) {
+      throw new Error(`Local download failed: ${error.message}`);
+    }
+  }
+
+  async getPresignedUrl(key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getPublicUrl(key)}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+
+  getPublicUrl(key) {
+    return `${this.baseUrl}/${String(key).split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async testConnection() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+    await fs.access(this.rootDir, constants.W_OK);
+  }
+
+  /**
+   * Express handler serving stored files; a signature, when present, must be valid and unexpired
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+      }
+
+      let key;
+      let filePath;
+      try {
+        key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+        filePath = this.resolveKey(key);
+      } catch (error) {
+        return res.status(400).json({ success: false, message: 'Invalid storage key' });
+      }
+
+      const { expires, signature } = req.query;
+      if (signature !== undefined) {
+        const expected = Buffer.from(this.sign(key, expires));
+        const given = Buffer.from(String(signature));
+        const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+        if (!valid || !(Number(expires) > Date.now() / 1000)) {
+          return res.status(403).json({ success: false, message: 'Link expired or invalid' });
+        }
+      }
+
+      res.sendFile(filePath, { headers: { 'Content-Type': getContentType(key) } }, (error) => {
+        if (!error || res.headersSent) return;
+        if (error.code === 'ENOENT' || error.status === 404) {
+          return res.status(404).json({ success: false, message: 'File not found' });
+        }
+        next(error);
+      });
+    };
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,160 @@
+const { S3Client, PutObjectCommand, DeleteObjectCommand, GetObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const BaseStorageDriver = require('./baseStorageDriver');
+const logger = require('../utils/logger');
+
+/**
+ * AWS S3 (or CloudFront in front of it)
+ */
+class S3StorageDriver extends BaseStorageDriver {
+  constructor() {
+    super();
+
+    this.s3Client = new S3Client({
+      region: process.env.AWS_REGION,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      },
+    });
+
+    this.bucketName = process.env.AWS_S3_BUCKET_NAME;
+
+    logger.info('✅ AWS S3 storage initialized', {
+      region: process.env.AWS_REGION,
+      bucket: this.bucketName,
+    });
+  }
+
+  get location() {
+    return this.bucketName;
+  }
+
+  /**
+   * Sanitize metadata for S3
+   * S3 metadata MUST be HTTP-header compatible (string values only, no special chars)
+   */
+  sanitizeMetadata(metadata) {
+    const sanitized = {};
+
+    if (!metadata || typeof metadata !== 'object') {
+      return sanitized;
+    }
+
+    for (const [key, value] of Object.entries(metadata)) {
+      // Skip null, undefined, empty values
+      if (value === null || value === undefined || value === '') {
+        continue;
+      }
+
+      try {
+        // Convert everything to string first
+        let stringValue = String(value);
+
+        // Remove any characters that could break HTTP headers
+        // Keep only: letters, numbers, spaces, hyphens, underscores, periods, colons
+        stringValue = stringValue
+          .replace(/[^a-zA-Z0-9\s\-_.:/]/g, '')
+          .trim();
+
+        // Skip if empty after sanitization
+        if (stringValue.length === 0) {
+          continue;
+        }
+
+        // S3 metadata keys must be lowercase and use hyphens
+        const sanitizedKey = key
+          .toLowerCase()
+          .replace(/[^a-z0-9-]/g, '-')
+          .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+
+        if (sanitizedKey.length > 0) {
+          sanitized[sanitizedKey] = stringValue;
+        }
+      } catch (err) {
+        logger.warn('⚠️ Failed to sanitize metadata key', {
+          key,
+          value: String(value).substring(0, 50),
+          error: err.message
+        });
+      }
+    }
+
+    return sanitized;
+  }
+
+  async putFile(key, filePath, options = {}) {
+    return await this.putBuffer(key, await fs.readFile(filePath), options);
+  }
+
+  async putBuffer(key, buffer, { contentType, metadata } = {}) {
+    try {
+      await this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        Metadata: this.sanitizeMetadata(metadata),
+      }));
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+  }
+
+  async delete(key) {
+    try {
+      await this.s3Client.send(new DeleteObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+      }));
+    } catch (error) {
+      throw new Error(`S3 delete failed: ${error.message}`);
+    }
+  }
+
+  async download(key, destinationPath) {
+    try {
+      const response = await this.s3Client.send(new GetObjectCommand({
+        Bucket: this.bucketName,
+        Key: key,
+      }));
+
+      await pipeline(response.Body, createWriteStream(destinationPath));
+
+      return destinationPath;
+    } catch (error) {
+      throw new Error(`S3 download failed: ${error.message}`);
+    }
+  }
+
+  async getPresignedUrl(key, expiresIn = 3600) {
+    const command = new GetObjectCommand({
+      Bucket: this.bucketName,
+      Key: key,
+    });
+
+    return await getSignedUrl(this.s3Client, command, { expiresIn });
+  }
+
+  getPublicUrl(key) {
+    // If CloudFront is configured, use it
+    if (process.env.AWS_CLOUDFRONT_URL) {
+      return `${process.env.AWS_CLOUDFRONT_URL}/${key}`;
+    }
+
+    // Otherwise, use direct S3 URL
+    return `https://${this.bucketName}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+  }
+
+  async testConnection() {
+    await this.s3Client.send(new ListObjectsV2Command({
+      Bucket: this.bucketName,
+      MaxKeys: 1,
+    }));
+  }
+}
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,139 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const PublishedPost = require('../models/PublishedPost');
+const analyticsService = require('../services/analyticsService');
+
+const createPost = (id, analytics, publishedAt = '2026-03-01T10:00:00Z') => ({
+  _id: id,
+  provider: 'facebook',
+  channel: 'channel-1',
+  content: 'x'.repeat(300),
+  publishedAt: new Date(publishedAt),
+  analytics,
+});
+
+describe('Analytics engagement', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getEngagement and getEngagementRate', () => {
+    it('should add up interactions but not impressions or reach', () => {
+      const post = createPost('a', { likes: 5, comments: 2, shares: 1, clicks: 3, saves: 1, impressions: 1000, reach: 800 });
+      expect(analyticsService.getEngagement(post)).toBe(12);
+    });
+
+    it('should use impressions, fall back to reach, and return null without either', () => {
+      expect(analyticsService.getEngagementRate(12, { impressions: 1000, reach: 800 })).toBe(1.2);
+      expect(analyticsService.getEngagementRate(12, { reach: 800 })).toBe(1.5);
+      expect(analyticsService.getEngagementRate(12, {})).toBeNull();
+    });
+  });
+
+  describe('getPercentChange', () => {
+    it('should return the rounded change, or null when there is no baseline', () => {
+      expect(analyticsService.getPercentChange(150, 100)).toBe(50);
+      expect(analyticsService.getPercentChange(1, 3)).toBe(-66.7);
+      expect(analyticsService.getPercentChange(10, 0)).toBeNull();
+      expect(analyticsService.getPercentChange(null, 10)).toBeNull();
+    });
+  });
+
+  describe('summarizeEngagement', () => {
+    it('should only count posts with impressions or reach towards the rate', () => {
+      const summary = analyticsService.summarizeEngagement([
+        createPost('a', { likes: 10, impressions: 1000, lastSyncedAt: new Date() }),
+        createPost('b', { likes: 90 }),
+        createPost('c', {}),
+      ]);
+
+      expect(summary.totalEngagement).toBe(100);
+      expect(summary.avgEngagement).toBe(33.33);
+      expect(summary.impressions).toBe(1000);
+      expect(summary.engagementRate).toBe(1);
+      expect(summary.syncedPosts).toBe(1);
+    });
+
+    it('should return zeros and a null rate for no posts', () => {
+      const summary = analyticsService.summarizeEngagement([]);
+      expect(summary.totalEngagement).toBe(0);
+      expect(summary.avgEngagement).toBe(0);
+      expect(summary.engagementRate).toBeNull();
+    });
+  });
+
+  describe('rankPosts', () => {
+    const posts = [
+      createPost('low', { likes: 1, impressions: 10 }),
+      createPost('high', { likes: 50, impressions: 10000 }),
+      createPost('older', { likes: 20, impressions: 100 }, '2026-02-01T10:00:00Z'),
+      createPost('newer', { likes: 20, impressions: 100 }, '2026-03-05T10:00:00Z'),
+    ];
+
+    it('should rank by engagement and break ties by the newest post', () => {
+      const ranked = analyticsService.rankPosts(posts, 'engagement', 3);
+      expect(ranked.map(p => p._id)).toEqual(['high', 'newer', 'older']);
+      expect(ranked[0].content).toHaveLength(200);
+    });
+
+    it('should rank by engagement rate', () => {
+      const ranked = analyticsService.rankPosts(posts, 'engagementRate');
+      expect(ranked.map(p => p._id)).toEqual(['newer', 'older', 'low', 'high']);
+      expect(ranked[0].engagementRate).toBe(20);
+    });
+  });
+
+  describe('groupByPlatform', () => {
+    it('should count distinct channels and sort platforms by engagement', () => {
+      const stats = analyticsService.groupByPlatform([
+        { provider: 'facebook', channel: 'channel-1', analytics: { likes: 1 } },
+        { provider: 'twitter', channel: 'channel-2', analytics: { likes: 5 } },
+        { provider: 'twitter', channel: 'channel-3', analytics: { likes: 5 } },
+      ]);
+
+      expect(stats.map(s => s.provider)).toEqual(['twitter', 'facebook']);
+      expect(stats[0]).toMatchObject({ totalPosts: 2, totalChannels: 2, totalEngagement: 10, percentage: '66.7' });
+    });
+  });
+
+  describe('getPeriodComparison', () => {
+    it('should compare against the period right before the range', async () => {
+      const select = jest.fn().mockResolvedValue([{ analytics: { likes: 10, impressions: 500 } }]);
+      jest.spyOn(PublishedPost, 'find').mockReturnValue({ select });
+      const startDate = new Date('2026-03-01T00:00:00Z');
+
+      const comparison = await analyticsService.getPeriodComparison('brand-1', '7d', startDate, {
+        totalPublished: 2,
+        totalEngagement: 15,
+        impressions: 500,
+        reach: 0,
+        engagementRate: 3,
+      });
+
+      expect(PublishedPost.find.mock.calls[0][0].publishedAt).toEqual({
+        $gte: new Date('2026-02-22T00:00:00Z'),
+        $lt: startDate,
+      });
+      expect(comparison.totalPublished).toEqual({ current: 2, previous: 1, change: 100 });
+      expect(comparison.totalEngagement).toEqual({ current: 15, previous: 10, change: 50 });
+      expect(comparison.reach.change).toBeNull();
+    });
+
+    it('should return null for the all-time range', async () => {
+      await expect(analyticsService.getPeriodComparison('brand-1', 'all', new Date(0), {})).resolves.toBeNull();
+    });
+  });
+
+  describe('getTopPosts', () => {
+    it('should reject users without access to the brand', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue(null);
+      await expect(analyticsService.getTopPosts('brand-1', 'user-1')).rejects.toThrow('Permission denied');
+    });
+
+    it('should reject unknown sort fields', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue({ role: 'viewer' });
+      await expect(analyticsService.getTopPosts('brand-1', 'user-1', { sortBy: 'followers' }))
+        .rejects.toThrow('sortBy must be one of');
+    });
+  });
+});
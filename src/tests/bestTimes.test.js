@@ -0,0 +1,153 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Channel = require('../models/Channel');
+const PublishedPost = require('../models/PublishedPost');
+const analyticsService = require('../services/analyticsService');
+const postService = require('../services/postService');
+
+const channel = { _id: new mongoose.Types.ObjectId(), provider: 'twitter', displayName: 'Acme' };
+
+// 2026-03-04 is a Wednesday, 2026-03-02 a Monday
+const syncedPost = (publishedAt, analytics) => ({
+  publishedAt: new Date(publishedAt),
+  analytics: { lastSyncedAt: new Date(), ...analytics },
+});
+
+const mockHistory = (posts) => {
+  jest.spyOn(PublishedPost, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(posts) });
+};
+
+describe('Best times to post', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getChannelBestTimes', () => {
+    const history = [
+      syncedPost('2026-03-04T09:10:00Z', { likes: 10, impressions: 100 }),
+      syncedPost('2026-02-25T09:40:00Z', { likes: 6, impressions: 100 }),
+      syncedPost('2026-03-02T14:00:00Z', { likes: 2, impressions: 100 }),
+      syncedPost('2026-02-23T14:30:00Z', { likes: 4, impressions: 100 }),
+      syncedPost('2026-03-02T14:50:00Z', { likes: 3, impressions: 100 }),
+      // A single very good post isn't enough to rank its slot
+      syncedPost('2026-03-06T20:00:00Z', { likes: 90, impressions: 100 }),
+      syncedPost('2026-03-07T08:00:00Z', { likes: 1, impressions: 100 }),
+      syncedPost('2026-03-08T08:00:00Z', { likes: 1, impressions: 100 }),
+      syncedPost('2026-03-01T07:00:00Z', { likes: 1, impressions: 100 }),
+      syncedPost('2026-03-03T06:00:00Z', { likes: 1, impressions: 100 }),
+    ];
+
+    it('should rank slots with enough posts by average engagement rate', async () => {
+      mockHistory(history);
+
+      const result = await analyticsService.getChannelBestTimes(channel, 'UTC', 2);
+
+      expect(result.source).toBe('history');
+      expect(result.sampleSize).toBe(10);
+      expect(result.slots).toEqual([
+        { weekday: 3, hour: 9, score: 8, posts: 2, source: 'history' },
+        { weekday: 1, hour: 14, score: 3, posts: 3, source: 'history' },
+      ]);
+    });
+
+    it('should bucket posts by the brand timezone', async () => {
+      mockHistory(history);
+
+      const result = await analyticsService.getChannelBestTimes(channel, 'America/New_York', 1);
+
+      expect(result.slots[0]).toMatchObject({ weekday: 3, hour: 4 });
+    });
+
+    it('should top up ranked slots with platform defaults', async () => {
+      mockHistory(history);
+
+      const result = await analyticsService.getChannelBestTimes(channel, 'UTC', 5);
+
+      expect(result.slots.slice(2)).toEqual([
+        { weekday: 2, hour: 9, score: null, posts: 0, source: 'default' },
+        { weekday: 4, hour: 9, score: null, posts: 0, source: 'default' },
+        { weekday: 1, hour: 9, score: null, posts: 0, source: 'default' },
+      ]);
+    });
+
+    it('should fall back to platform defaults with too little history', async () => {
+      mockHistory(history.slice(0, 5));
+
+      const result = await analyticsService.getChannelBestTimes(channel, 'UTC', 3);
+
+      expect(result.source).toBe('default');
+      expect(result.sampleSize).toBe(5);
+      expect(result.slots.map(s => [s.weekday, s.hour])).toEqual([[3, 9], [2, 9], [4, 9]]);
+    });
+
+    it('should return no slots for a platform without defaults or history', async () => {
+      mockHistory([]);
+
+      const result = await analyticsService.getChannelBestTimes({ ...channel, provider: 'pinterest' });
+
+      expect(result.slots).toEqual([]);
+    });
+  });
+
+  describe('getPostScore', () => {
+    it('should prefer the engagement rate and fall back to raw engagement', () => {
+      expect(analyticsService.getPostScore({ analytics: { likes: 5, impressions: 50 } })).toBe(10);
+      expect(analyticsService.getPostScore({ analytics: { likes: 5, shares: 2 } })).toBe(7);
+    });
+  });
+
+  describe('getBestTimes', () => {
+    it('should reject users without access to the brand', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue(null);
+
+      await expect(analyticsService.getBestTimes('brand-1', 'user-1')).rejects.toThrow('Permission denied');
+    });
+
+    it('should reject a malformed channel ID', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue({ role: 'viewer' });
+      jest.spyOn(Brand, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      const find = jest.spyOn(Channel, 'find');
+
+      await expect(analyticsService.getBestTimes('brand-1', 'user-1', { channelId: 'nope' }))
+        .rejects.toThrow('Invalid channel ID');
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findBestTimeSlot', () => {
+    const brand = { settings: { timezone: 'Europe/Berlin' } };
+
+    it('should look for a free slot among the top recommendations', async () => {
+      jest.spyOn(analyticsService, 'getChannelBestTimes').mockResolvedValue({
+        slots: [{ weekday: 3, hour: 9, score: 8 }, { weekday: 1, hour: 14, score: 3 }],
+      });
+      const next = jest.spyOn(postService, 'findNextQueueSlot').mockResolvedValue(new Date('2026-03-11T08:00:00Z'));
+      const reserved = new Set();
+
+      const slot = await postService.findBestTimeSlot(brand, channel, reserved);
+
+      expect(slot).toEqual(new Date('2026-03-11T08:00:00Z'));
+      expect(analyticsService.getChannelBestTimes).toHaveBeenCalledWith(channel, 'Europe/Berlin', 3);
+      const [, channelId, reservedArg, after, candidates] = next.mock.calls[0];
+      expect(channelId).toBe(channel._id);
+      expect(reservedArg).toBe(reserved);
+      expect(after.getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+      expect(candidates).toEqual([{ weekday: 3, hour: 9, minute: 0 }, { weekday: 1, hour: 14, minute: 0 }]);
+    });
+
+    it('should use the queue slots when there are no recommendations', async () => {
+      jest.spyOn(analyticsService, 'getChannelBestTimes').mockResolvedValue({ slots: [] });
+      const next = jest.spyOn(postService, 'findNextQueueSlot').mockResolvedValue(new Date());
+
+      await postService.findBestTimeSlot(brand, channel);
+
+      expect(next.mock.calls[0]).toHaveLength(3);
+    });
+  });
+});
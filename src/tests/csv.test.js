@@ -0,0 +1,67 @@
+const { parseCsv, toCsvRow } = require('../utils/csv');
+
+describe('CSV helpers', () => {
+  describe('parseCsv', () => {
+    it('should parse plain rows', () => {
+      expect(parseCsv('phone,name\n+14155550100,Ada\n')).toEqual([
+        ['phone', 'name'],
+        ['+14155550100', 'Ada'],
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and line breaks', () => {
+      expect(parseCsv('name,note\n"Lovelace, Ada","Said ""hi""\nthen left"')).toEqual([
+        ['name', 'note'],
+        ['Lovelace, Ada', 'Said "hi"\nthen left'],
+      ]);
+    });
+
+    it('should accept CRLF line endings and strip a UTF-8 BOM', () => {
+      expect(parseCsv('\uFEFFphone,name\r\n+14155550100,Ada\r\n')).toEqual([
+        ['phone', 'name'],
+        ['+14155550100', 'Ada'],
+      ]);
+    });
+
+    it('should keep empty fields and blank lines', () => {
+      expect(parseCsv('a,,c\n\n,b,')).toEqual([
+        ['a', '', 'c'],
+        [''],
+        ['', 'b', ''],
+      ]);
+    });
+
+    it('should return no rows for empty input', () => {
+      expect(parseCsv('')).toEqual([]);
+    });
+  });
+
+  describe('toCsvRow', () => {
+    it('should quote cells that contain separators or quotes', () => {
+      expect(toCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines'])).toBe(
+        'plain,"a,b","say ""hi""","two\nlines"'
+      );
+    });
+
+    it('should write null and undefined as empty cells', () => {
+      expect(toCsvRow([null, undefined, 0, false])).toBe(',,0,false');
+    });
+
+    it('should neutralize cells a spreadsheet would run as formulas', () => {
+      expect(toCsvRow(['=SUM(A1)', '@cmd', '+A1', '-A1'])).toBe("'=SUM(A1),'@cmd,'+A1,'-A1");
+      expect(toCsvRow(['=1+1,2'])).toBe('"\'=1+1,2"');
+    });
+
+    it('should neutralize formulas that start with a signed number', () => {
+      expect(toCsvRow(['+1+HYPERLINK("http://x","y")'])).toBe('"\'+1+HYPERLINK(""http://x"",""y"")"');
+      expect(toCsvRow(["-2+3+cmd|' /C calc'!A0"])).toBe("'-2+3+cmd|' /C calc'!A0");
+      expect(toCsvRow(['- note', '\tvalue'])).toBe("'- note,'\tvalue");
+    });
+
+    it('should leave plain numbers and phone numbers alone', () => {
+      expect(toCsvRow(['-5', '+14155550100', '+1 (415) 555-0100', '-0.25', 42])).toBe(
+        '-5,+14155550100,+1 (415) 555-0100,-0.25,42'
+      );
+    });
+  });
+});
@@ -0,0 +1,87 @@
+jest.mock('../config/redis', () => ({
+  getCache: jest.fn(),
+}));
+
+const redisClient = require('../config/redis');
+const idempotency = require('../utils/idempotency');
+
+const createCacheClient = (overrides = {}) => ({
+  isOpen: true,
+  set: jest.fn().mockResolvedValue('OK'),
+  setEx: jest.fn().mockResolvedValue('OK'),
+  del: jest.fn().mockResolvedValue(1),
+  ...overrides,
+});
+
+describe('Idempotency keys', () => {
+  let cacheClient;
+
+  beforeEach(() => {
+    cacheClient = createCacheClient();
+    redisClient.getCache.mockReturnValue(cacheClient);
+  });
+
+  describe('claim', () => {
+    it('should claim a new key with NX and a processing TTL', async () => {
+      await expect(idempotency.claim('whatsapp:message:wamid.1')).resolves.toBe(true);
+
+      expect(cacheClient.set).toHaveBeenCalledWith(
+        'idempotency:whatsapp:message:wamid.1',
+        'processing',
+        { NX: true, EX: 300 }
+      );
+    });
+
+    it('should refuse a key that is already claimed or done', async () => {
+      cacheClient.set.mockResolvedValue(null);
+
+      await expect(idempotency.claim('whatsapp:message:wamid.1')).resolves.toBe(false);
+    });
+
+    it('should fail open when Redis is unavailable', async () => {
+      redisClient.getCache.mockReturnValue(createCacheClient({ isOpen: false }));
+      await expect(idempotency.claim('key')).resolves.toBe(true);
+
+      redisClient.getCache.mockReturnValue(null);
+      await expect(idempotency.claim('key')).resolves.toBe(true);
+
+      cacheClient.set.mockRejectedValue(new Error('Connection lost'));
+      redisClient.getCache.mockReturnValue(cacheClient);
+      await expect(idempotency.claim('key')).resolves.toBe(true);
+    });
+  });
+
+  describe('complete', () => {
+    it('should mark the key done for 7 days', async () => {
+      await idempotency.complete('whatsapp:message:wamid.1');
+
+      expect(cacheClient.setEx).toHaveBeenCalledWith(
+        'idempotency:whatsapp:message:wamid.1',
+        7 * 24 * 60 * 60,
+        'done'
+      );
+    });
+
+    it('should not throw when Redis fails', async () => {
+      cacheClient.setEx.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(idempotency.complete('key')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('release', () => {
+    it('should delete the claim so a retry can process the event', async () => {
+      await idempotency.release('whatsapp:message:wamid.1');
+
+      expect(cacheClient.del).toHaveBeenCalledWith('idempotency:whatsapp:message:wamid.1');
+    });
+
+    it('should skip Redis when it is unavailable', async () => {
+      cacheClient.isOpen = false;
+
+      await idempotency.release('key');
+
+      expect(cacheClient.del).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../storage/localStorageDriver');
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.sendFile = jest.fn();
+  return res;
+};
+
+const createRequest = (urlPath, query = {}) => ({ method: 'GET', path: urlPath, query });
+
+describe('Local storage driver', () => {
+  const originalEnv = { ...process.env };
+  let rootDir;
+  let driver;
+
+  beforeAll(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'socialflow-storage-'));
+    process.env.LOCAL_STORAGE_DIR = rootDir;
+    process.env.LOCAL_STORAGE_URL = 'https://api.example.com/storage/';
+    process.env.LOCAL_STORAGE_SECRET = 'test-storage-secret';
+    driver = new LocalStorageDriver();
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  describe('resolveKey', () => {
+    it('should resolve keys inside the storage directory', () => {
+      expect(driver.resolveKey('media/brand/a.jpg')).toBe(path.join(rootDir, 'media', 'brand', 'a.jpg'));
+    });
+
+    it('should refuse keys that escape the storage directory', () => {
+      for (const key of ['../outside.txt', 'media/../../outside.txt', '/etc/passwd', '', '.']) {
+        expect(() => driver.resolveKey(key)).toThrow('Invalid storage key');
+      }
+    });
+  });
+
+  describe('signed URLs', () => {
+    it('should sign a key and expiry deterministically', () => {
+      expect(driver.sign('media/a.jpg', 1700000000)).toBe(driver.sign('media/a.jpg', 1700000000));
+      expect(driver.sign('media/a.jpg', 1700000000)).not.toBe(driver.sign('media/b.jpg', 1700000000));
+      expect(driver.sign('media/a.jpg', 1700000000)).not.toBe(driver.sign('media/a.jpg', 1700000001));
+    });
+
+    it('should refuse to sign without a secret', () => {
+      const unsigned = new LocalStorageDriver();
+      unsigned.secret = undefined;
+
+      expect(() => unsigned.sign('media/a.jpg', 1700000000)).toThrow('LOCAL_STORAGE_SECRET is not configured');
+    });
+
+    it('should build presigned URLs under the public URL', async () => {
+      const url = new URL(await driver.getPresignedUrl('media/my photo.jpg', 60));
+
+      expect(`${url.origin}${url.pathname}`).toBe('https://api.example.com/storage/media/my%20photo.jpg');
+      expect(Number(url.searchParams.get('expires'))).toBeGreaterThan(Date.now() / 1000);
+      expect(url.searchParams.get('signature'))
+        .toBe(driver.sign('media/my photo.jpg', url.searchParams.get('expires')));
+    });
+  });
+
+  describe('middleware', () => {
+    const serve = (req) => {
+      const res = createResponse();
+      const next = jest.fn();
+      driver.middleware()(req, res, next);
+      return { res, next };
+    };
+
+    it('should serve unsigned and validly signed requests', async () => {
+      const url = new URL(await driver.getPresignedUrl('media/a.jpg', 60));
+      const query = Object.fromEntries(url.searchParams);
+
+      for (const req of [createRequest('/media/a.jpg'), createRequest('/media/a.jpg', query)]) {
+        const { res } = serve(req);
+
+        expect(res.status).not.toHaveBeenCalled();
+        expect(res.sendFile).toHaveBeenCalledWith(
+          path.join(rootDir, 'media', 'a.jpg'),
+          { headers: { 'Content-Type': 'image/jpeg' } },
+          expect.any(Function)
+        );
+      }
+    });
+
+    it('should reject tampered or expired signatures', () => {
+      const expires = Math.floor(Date.now() / 1000) + 60;
+      const expired = Math.floor(Date.now() / 1000) - 60;
+      const queries = [
+        { expires, signature: driver.sign('media/b.jpg', expires) },
+        { expires: expires + 1, signature: driver.sign('media/a.jpg', expires) },
+        { expires: expired, signature: driver.sign('media/a.jpg', expired) },
+        { expires, signature: 'abc' },
+      ];
+
+      for (const query of queries) {
+        const { res } = serve(createRequest('/media/a.jpg', query));
+
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.sendFile).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should reject keys outside the storage directory', () => {
+      const { res } = serve(createRequest('/..%2Foutside.txt'));
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+
+    it('should pass other methods through', () => {
+      const { res, next } = serve({ ...createRequest('/media/a.jpg'), method: 'POST' });
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+  });
+});
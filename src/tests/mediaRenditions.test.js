@@ -0,0 +1,200 @@
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const Media = require('../models/Media');
+const storageService = require('../services/storageService');
+const mediaService = require('../services/mediaService');
+const postValidationService = require('../services/postValidationService');
+const {
+  RENDITION_PROFILES,
+  getRenditionProfile,
+  getRenditionKey,
+  planRendition,
+} = require('../utils/mediaRenditions');
+
+const MB = 1024 * 1024;
+const instagram = postValidationService.getPlatformLimits('instagram');
+const twitter = postValidationService.getPlatformLimits('twitter');
+
+const image = (metadata, props = {}) => ({ type: 'image', mimeType: 'image/jpeg', size: 500 * 1024, metadata, ...props });
+const video = (metadata, props = {}) => ({
+  type: 'video',
+  mimeType: 'video/mp4',
+  size: 20 * MB,
+  metadata: { width: 1080, height: 1920, duration: 30, codec: 'h264', fps: 30, ...metadata },
+  ...props,
+});
+
+describe('Media renditions', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRenditionProfile', () => {
+    it('should return the platform profile for the media type', () => {
+      expect(getRenditionProfile('instagram', 'image', 'image/png')).toBe(RENDITION_PROFILES.instagram.image);
+      expect(getRenditionProfile('twitter', 'video', 'video/mp4')).toBe(RENDITION_PROFILES.twitter.video);
+    });
+
+    it('should never convert GIFs or media for platforms without a profile', () => {
+      expect(getRenditionProfile('instagram', 'image', 'image/gif')).toBeNull();
+      expect(getRenditionProfile('youtube', 'video', 'video/mp4')).toBeNull();
+      expect(getRenditionProfile('instagram', 'document', 'application/pdf')).toBeNull();
+    });
+
+    it('should version the cache key', () => {
+      expect(getRenditionKey('instagram', 'image')).toBe('instagram-image-v1');
+    });
+  });
+
+  describe('planRendition for images', () => {
+    const profile = RENDITION_PROFILES.instagram.image;
+
+    it('should keep images that already fit', () => {
+      expect(planRendition(image({ width: 1080, height: 1080 }), instagram, profile)).toBeNull();
+    });
+
+    it('should center-crop to the allowed ratio and then resize', () => {
+      expect(planRendition(image({ width: 3000, height: 1000 }), instagram, profile)).toEqual({
+        type: 'image',
+        crop: { width: 1910, height: 1000, left: 545, top: 0 },
+        width: 1440,
+        height: 754,
+        format: 'jpeg',
+        maxBytes: 8 * MB,
+      });
+    });
+
+    it('should not crop ratios within the validation tolerance', () => {
+      expect(planRendition(image({ width: 1915, height: 1000 }), instagram, profile)).toMatchObject({ crop: null });
+    });
+
+    it('should convert formats the platform does not take', () => {
+      expect(planRendition(image({ width: 1080, height: 1080 }, { mimeType: 'image/webp' }), instagram, profile))
+        .toMatchObject({ crop: null, width: 1080, height: 1080, format: 'jpeg' });
+    });
+
+    it('should convert oversized PNGs to JPEG', () => {
+      const png = image({ width: 1080, height: 1080 }, { mimeType: 'image/png', size: 6 * MB });
+
+      expect(planRendition(png, twitter, RENDITION_PROFILES.twitter.image)).toMatchObject({ format: 'jpeg', maxBytes: 5 * MB });
+    });
+
+    it('should skip items without recorded dimensions', () => {
+      expect(planRendition(image({}), instagram, profile)).toBeNull();
+    });
+  });
+
+  describe('planRendition for videos', () => {
+    const profile = RENDITION_PROFILES.instagram.video;
+
+    it('should keep videos that already fit', () => {
+      expect(planRendition(video(), instagram, profile)).toBeNull();
+    });
+
+    it('should re-encode unsupported codecs and containers', () => {
+      expect(planRendition(video({ codec: 'vp9' }), instagram, profile)).toMatchObject({
+        type: 'video',
+        crop: null,
+        width: 1080,
+        height: 1920,
+        fps: null,
+        videoBitrate: 8000000,
+      });
+      expect(planRendition(video({}, { mimeType: 'video/webm' }), instagram, profile)).not.toBeNull();
+    });
+
+    it('should scale 4K down and cap the frame rate', () => {
+      expect(planRendition(video({ width: 3840, height: 2160, fps: 120 }), instagram, profile)).toMatchObject({
+        width: 1920,
+        height: 1080,
+        fps: 60,
+      });
+    });
+
+    it('should size the bitrate to fit the byte limit', () => {
+      const plan = planRendition(video({ duration: 300 }, { size: 150 * MB }), instagram, profile);
+
+      expect(plan.videoBitrate).toBe(Math.floor((100 * MB * 8 * 0.9) / 300) - 128000);
+    });
+
+    it('should refuse videos too long to fit at a usable bitrate', () => {
+      expect(() => planRendition(video({ duration: 2000 }, { size: 150 * MB }), instagram, profile))
+        .toThrow('Video is too long to fit the platform size limit');
+    });
+  });
+
+  describe('getRendition', () => {
+    const libraryItem = (props = {}) => ({
+      _id: 'media-1',
+      type: 'image',
+      mimeType: 'image/jpeg',
+      size: 500 * 1024,
+      s3Key: 'media/a.jpg',
+      renditions: [],
+      toObject() {
+        return { metadata: this.metadata };
+      },
+      metadata: { width: 1080, height: 1080 },
+      ...props,
+    });
+
+    it('should return a cached rendition', async () => {
+      const cached = { profile: 'instagram-image-v1', s3Url: 'https://cdn.test/r.jpg' };
+
+      await expect(mediaService.getRendition(libraryItem({ renditions: [cached] }), 'instagram')).resolves.toBe(cached);
+    });
+
+    it('should not download originals that already fit', async () => {
+      const download = jest.spyOn(storageService, 'downloadFile');
+
+      await expect(mediaService.getRendition(libraryItem(), 'instagram')).resolves.toBeNull();
+      expect(download).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRenditionUrls', () => {
+    it('should return the original URLs for platforms without renditions', async () => {
+      const find = jest.spyOn(Media, 'find');
+
+      await expect(mediaService.getRenditionUrls('brand-1', ['https://cdn.test/a.mp4'], 'youtube'))
+        .resolves.toEqual(['https://cdn.test/a.mp4']);
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should swap library items for renditions and fall back to the original on failure', async () => {
+      jest.spyOn(Media, 'find').mockResolvedValue([
+        { _id: 'media-1', s3Url: 'https://cdn.test/a.jpg' },
+        { _id: 'media-2', s3Url: 'https://cdn.test/b.jpg' },
+        { _id: 'media-3', s3Url: 'https://cdn.test/c.jpg' },
+      ]);
+      jest.spyOn(mediaService, 'getRendition').mockImplementation(async (media) => {
+        if (media._id === 'media-1') return { s3Url: 'https://cdn.test/a-instagram.jpg' };
+        if (media._id === 'media-2') throw new Error('sharp failed');
+        return null;
+      });
+
+      const urls = await mediaService.getRenditionUrls('brand-1', [
+        'https://cdn.test/a.jpg',
+        'https://cdn.test/b.jpg',
+        'https://cdn.test/c.jpg',
+        'https://elsewhere.test/d.jpg',
+      ], 'instagram');
+
+      expect(urls).toEqual([
+        'https://cdn.test/a-instagram.jpg',
+        'https://cdn.test/b.jpg',
+        'https://cdn.test/c.jpg',
+        'https://elsewhere.test/d.jpg',
+      ]);
+    });
+  });
+
+  describe('canAdjust', () => {
+    it('should only soften errors that a rendition can fix', () => {
+      expect(postValidationService.canAdjust('instagram', instagram, video({ codec: 'vp9' }))).toBe(true);
+      expect(postValidationService.canAdjust('instagram', instagram, video({ duration: 2000 }, { size: 150 * MB }))).toBe(false);
+      expect(postValidationService.canAdjust('youtube', {}, video())).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const Post = require('../models/Post');
+const storageService = require('../services/storageService');
+const storageQuotaService = require('../services/storageQuotaService');
+const mediaService = require('../services/mediaService');
+const purgeMediaTrashJob = require('../jobs/purgeMediaTrashJob');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+const trashedItem = (props = {}) => ({
+  _id: 'media-1',
+  brand: 'brand-1',
+  s3Key: 'media/a.mp4',
+  s3Url: 'https://cdn.test/a.mp4',
+  storageDriver: 's3',
+  metadata: { thumbnailKey: 'thumbnails/a.jpg' },
+  renditions: [{ s3Key: 'renditions/a-instagram.mp4' }, { s3Key: 'renditions/a-twitter.mp4', storageDriver: 'local' }],
+  ...props,
+});
+
+describe('Media deduplication and trash', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeContentHash', () => {
+    it('should return the SHA-256 of the file contents', async () => {
+      const filePath = path.join(os.tmpdir(), `media-hash-${process.pid}.txt`);
+      fs.writeFileSync(filePath, 'same bytes');
+
+      try {
+        await expect(mediaService.computeContentHash(filePath))
+          .resolves.toBe(crypto.createHash('sha256').update('same bytes').digest('hex'));
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+  });
+
+  describe('Media indexes', () => {
+    it('should allow only one active item per brand and file', () => {
+      expect(Media.schema.indexes()).toContainEqual([
+        { brand: 1, contentHash: 1, status: 1 },
+        expect.objectContaining({
+          unique: true,
+          partialFilterExpression: { status: 'active', contentHash: { $type: 'string' } },
+        }),
+      ]);
+    });
+  });
+
+  describe('uploadMedia', () => {
+    it('should return the existing item for a file the brand already has', async () => {
+      const filePath = path.join(os.tmpdir(), `media-upload-${process.pid}.jpg`);
+      fs.writeFileSync(filePath, 'jpeg');
+      const existing = { _id: 'media-1' };
+      const findOne = jest.spyOn(Media, 'findOne').mockResolvedValue(existing);
+      const assertCanStore = jest.spyOn(storageQuotaService, 'assertCanStore');
+      const upload = jest.spyOn(storageService, 'uploadFile');
+
+      const media = await mediaService.uploadMedia(
+        { path: filePath, originalname: 'a.jpg', mimetype: 'image/jpeg', size: 4, contentHash: 'hash-1' },
+        'user-1',
+        'brand-1'
+      );
+
+      expect(media).toEqual({ _id: 'media-1', duplicate: true });
+      expect(findOne).toHaveBeenCalledWith({ brand: 'brand-1', contentHash: 'hash-1', status: { $ne: 'deleted' } });
+      expect(assertCanStore).not.toHaveBeenCalled();
+      expect(upload).not.toHaveBeenCalled();
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+
+  describe('createUniqueMedia', () => {
+    const fields = {
+      brand: 'brand-1',
+      contentHash: 'hash-1',
+      s3Key: 'media/b.mp4',
+      storageDriver: 's3',
+      metadata: { thumbnailKey: 'thumbnails/b.jpg' },
+    };
+
+    it('should return the item stored first by a concurrent upload and remove this copy', async () => {
+      jest.spyOn(Media, 'create').mockRejectedValue(duplicateKeyError());
+      jest.spyOn(Media, 'findOne').mockResolvedValue({ _id: 'media-1' });
+      const deleteFile = jest.spyOn(storageService, 'deleteFile').mockResolvedValue();
+
+      await expect(mediaService.createUniqueMedia(fields)).resolves.toEqual({ _id: 'media-1', duplicate: true });
+      expect(deleteFile.mock.calls).toEqual([['media/b.mp4', 's3'], ['thumbnails/b.jpg', 's3']]);
+    });
+
+    it('should rethrow other errors and unexplained duplicates', async () => {
+      jest.spyOn(Media, 'create').mockRejectedValueOnce(new Error('validation failed'));
+      await expect(mediaService.createUniqueMedia(fields)).rejects.toThrow('validation failed');
+
+      Media.create.mockRejectedValueOnce(duplicateKeyError());
+      jest.spyOn(Media, 'findOne').mockResolvedValue(null);
+      await expect(mediaService.createUniqueMedia(fields)).rejects.toMatchObject({ code: 11000 });
+    });
+  });
+
+  describe('findPendingReferences', () => {
+    it('should list posts that will still publish the media', async () => {
+      const select = jest.fn().mockResolvedValue([{
+        _id: 'post-1',
+        title: 'Launch',
+        schedules: [
+          { status: 'published', provider: 'twitter', scheduledFor: new Date('2026-03-01') },
+          { status: 'pending', provider: 'facebook', scheduledFor: new Date('2026-03-10') },
+          { status: 'queued', provider: 'instagram', scheduledFor: new Date('2026-03-05') },
+        ],
+        recurrence: { status: 'active' },
+      }]);
+      const find = jest.spyOn(Post, 'find').mockReturnValue({ select });
+
+      const references = await mediaService.findPendingReferences(trashedItem());
+
+      expect(references).toEqual([{
+        postId: 'post-1',
+        title: 'Launch',
+        nextScheduledFor: new Date('2026-03-05'),
+        providers: ['instagram', 'facebook'],
+        recurring: true,
+      }]);
+      const usage = find.mock.calls[0][0].$and[0].$or;
+      expect(usage).toContainEqual({ mediaLibraryItems: 'media-1' });
+      expect(usage).toContainEqual({ 'schedules.override.mediaUrls': 'https://cdn.test/a.mp4' });
+    });
+  });
+
+  describe('deleteMedia', () => {
+    let media;
+
+    beforeEach(() => {
+      media = { ...trashedItem(), softDelete: jest.fn(async () => {}) };
+      jest.spyOn(Media, 'findOne').mockResolvedValue(media);
+    });
+
+    it('should refuse media used by scheduled posts with a 409 listing them', async () => {
+      jest.spyOn(mediaService, 'findPendingReferences').mockResolvedValue([{ postId: 'post-1' }]);
+
+      await expect(mediaService.deleteMedia('media-1', 'brand-1', 'user-1')).rejects.toMatchObject({
+        message: 'Media is used by 1 scheduled post(s). Confirm to delete it anyway.',
+        statusCode: 409,
+        references: [{ postId: 'post-1' }],
+      });
+      expect(media.softDelete).not.toHaveBeenCalled();
+    });
+
+    it('should move confirmed media to the trash for the retention period', async () => {
+      const references = jest.spyOn(mediaService, 'findPendingReferences');
+
+      const result = await mediaService.deleteMedia('media-1', 'brand-1', 'user-1', { confirm: true });
+
+      expect(references).not.toHaveBeenCalled();
+      expect(media.softDelete).toHaveBeenCalledWith('user-1', result.purgeAt);
+      expect(result.purgeAt.getTime()).toBeGreaterThan(Date.now() + 29 * DAY);
+    });
+
+    it('should report each failure of a bulk delete', async () => {
+      jest.spyOn(mediaService, 'findPendingReferences')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ postId: 'post-1' }]);
+
+      const result = await mediaService.bulkDeleteMedia(['media-1', 'media-2'], 'brand-1', 'user-1');
+
+      expect(result.deleted).toEqual(['media-1']);
+      expect(result.failed).toEqual([expect.objectContaining({ mediaId: 'media-2', references: [{ postId: 'post-1' }] })]);
+    });
+  });
+
+  describe('restoreMedia', () => {
+    it('should refuse to restore a file that is already back in the library', async () => {
+      jest.spyOn(Media, 'findOne').mockResolvedValue({ restore: jest.fn().mockRejectedValue(duplicateKeyError()) });
+
+      await expect(mediaService.restoreMedia('media-1', 'brand-1')).rejects.toMatchObject({
+        message: 'The same file is already in the media library',
+        statusCode: 409,
+      });
+    });
+
+    it('should only restore trashed items', async () => {
+      jest.spyOn(Media, 'findOne').mockResolvedValue(null);
+
+      await expect(mediaService.restoreMedia('media-1', 'brand-1')).rejects.toThrow('Media not found in trash');
+    });
+  });
+
+  describe('purgeMedia', () => {
+    it('should delete the original, poster and renditions before the item', async () => {
+      const deleteFile = jest.spyOn(storageService, 'deleteFile').mockResolvedValue();
+      const deleteOne = jest.spyOn(Media, 'deleteOne').mockResolvedValue({});
+
+      await mediaService.purgeMedia(trashedItem());
+
+      expect(deleteFile.mock.calls).toEqual([
+        ['media/a.mp4', 's3'],
+        ['thumbnails/a.jpg', 's3'],
+        ['renditions/a-instagram.mp4', 's3'],
+        ['renditions/a-twitter.mp4', 'local'],
+      ]);
+      expect(deleteOne).toHaveBeenCalledWith({ _id: 'media-1' });
+    });
+
+    it('should keep the item when a file cannot be deleted', async () => {
+      jest.spyOn(storageService, 'deleteFile').mockRejectedValue(new Error('AccessDenied'));
+      const deleteOne = jest.spyOn(Media, 'deleteOne');
+
+      await expect(mediaService.purgeMedia(trashedItem())).rejects.toThrow('AccessDenied');
+      expect(deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('purgeExpiredTrash', () => {
+    it('should purge expired items, keep referenced ones and count failures', async () => {
+      const items = [trashedItem({ _id: 'media-1' }), trashedItem({ _id: 'media-2' }), trashedItem({ _id: 'media-3' })];
+      const find = jest.spyOn(Media, 'find').mockReturnValue({
+        cursor: async function* cursor() {
+          yield* items;
+        },
+      });
+      jest.spyOn(mediaService, 'findPendingReferences').mockImplementation(async (media) => (
+        media._id === 'media-2' ? [{ postId: 'post-1' }] : []
+      ));
+      jest.spyOn(mediaService, 'purgeMedia').mockImplementation(async (media) => {
+        if (media._id === 'media-3') throw new Error('AccessDenied');
+      });
+
+      await expect(mediaService.purgeExpiredTrash()).resolves.toEqual({ purged: 1, kept: 1, failed: 1 });
+      expect(find.mock.calls[0][0].status).toBe('deleted');
+    });
+  });
+
+  describe('purgeMediaTrashJob', () => {
+    it('should not start a run while one is in progress', async () => {
+      let finish;
+      const purge = jest.spyOn(mediaService, 'purgeExpiredTrash').mockImplementation(() => new Promise((resolve) => {
+        finish = () => resolve({ purged: 0, kept: 0, failed: 0 });
+      }));
+
+      const first = purgeMediaTrashJob.purge();
+      await purgeMediaTrashJob.purge();
+      finish();
+      await first;
+
+      expect(purge).toHaveBeenCalledTimes(1);
+      expect(purgeMediaTrashJob.isRunning).toBe(false);
+    });
+
+    it('should survive a failed run', async () => {
+      jest.spyOn(mediaService, 'purgeExpiredTrash').mockRejectedValue(new Error('connection lost'));
+
+      await expect(purgeMediaTrashJob.purge()).resolves.toBeUndefined();
+      expect(purgeMediaTrashJob.isRunning).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({
+  addPublishJob: jest.fn(),
+  cancelJob: jest.fn(async () => {}),
+}));
+jest.mock('../services/notificationService', () => ({
+  notifyApprovalGranted: jest.fn(async () => {}),
+  notifyApprovalRejected: jest.fn(async () => {}),
+  notifyApprovalRequested: jest.fn(async () => {}),
+}));
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const queueManager = require('../queues/queueManager');
+const postService = require('../services/postService');
+
+const HOUR = 60 * 60 * 1000;
+const submitterId = new mongoose.Types.ObjectId();
+const reviewerId = new mongoose.Types.ObjectId();
+
+const createPost = () => new Post({
+  brand: new mongoose.Types.ObjectId(),
+  createdBy: submitterId,
+  content: 'Launch day',
+  status: 'scheduled',
+  settings: { requireApproval: true, approvalStatus: 'pending', submittedBy: submitterId },
+  schedules: [
+    { channel: new mongoose.Types.ObjectId(), provider: 'facebook', scheduledFor: new Date(Date.now() - HOUR), status: 'pending' },
+    { channel: new mongoose.Types.ObjectId(), provider: 'linkedin', scheduledFor: new Date(Date.now() + 24 * HOUR), status: 'pending' },
+    { channel: new mongoose.Types.ObjectId(), provider: 'twitter', scheduledFor: new Date(Date.now() - HOUR), status: 'published' },
+  ],
+});
+
+describe('Post approval', () => {
+  let post;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    post = createPost();
+
+    jest.spyOn(Post, 'findById').mockResolvedValue(post);
+    jest.spyOn(Post.prototype, 'save').mockResolvedValue();
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Reviewer' }) });
+    jest.spyOn(postService, 'checkBrandAccess').mockResolvedValue({ role: 'manager' });
+    jest.spyOn(postService, 'getPopulatedPost').mockImplementation(async () => post);
+    queueManager.addPublishJob.mockImplementation(async (postId, scheduleId) => ({ id: `job-${scheduleId}` }));
+  });
+
+  describe('approvePost', () => {
+    it('should queue every pending schedule once', async () => {
+      await postService.approvePost(reviewerId, post._id, 'Looks good');
+
+      const [overdue, future, published] = post.schedules;
+      expect(queueManager.addPublishJob).toHaveBeenCalledTimes(2);
+      expect(overdue).toMatchObject({ status: 'queued', jobId: `job-${overdue._id}` });
+      expect(future).toMatchObject({ status: 'queued', jobId: `job-${future._id}` });
+      expect(published.status).toBe('published');
+      expect(post.status).toBe('publishing');
+      expect(post.settings).toMatchObject({ approvalStatus: 'approved', approvedBy: reviewerId });
+      expect(post.approvalHistory[0]).toMatchObject({ action: 'approved', comment: 'Looks good' });
+    });
+
+    it('should keep a post with only future schedules scheduled', async () => {
+      post.schedules.splice(0, 1);
+
+      await postService.approvePost(reviewerId, post._id);
+
+      expect(post.schedules[0].status).toBe('queued');
+      expect(post.status).toBe('scheduled');
+    });
+
+    it('should refuse the submitter approving their own post', async () => {
+      await expect(postService.approvePost(submitterId.toString(), post._id))
+        .rejects.toMatchObject({ message: 'You cannot approve a post you submitted', statusCode: 403 });
+      expect(queueManager.addPublishJob).not.toHaveBeenCalled();
+      expect(post.settings.approvalStatus).toBe('pending');
+    });
+
+    it('should only let owners and managers approve', async () => {
+      postService.checkBrandAccess.mockResolvedValue({ role: 'editor' });
+
+      await expect(postService.approvePost(reviewerId, post._id)).rejects.toThrow('Permission denied');
+    });
+
+    it('should only approve posts awaiting approval', async () => {
+      post.settings.approvalStatus = 'approved';
+
+      await expect(postService.approvePost(reviewerId, post._id)).rejects.toThrow('Post is not awaiting approval');
+    });
+  });
+
+  describe('rejectPost', () => {
+    it('should require a comment', async () => {
+      await expect(postService.rejectPost(reviewerId, post._id, '  '))
+        .rejects.toThrow('A comment is required when rejecting a post');
+    });
+  });
+
+  describe('resetApproval', () => {
+    it('should pull the queued jobs and return the schedules to pending', async () => {
+      post.settings.approvalStatus = 'approved';
+      post.status = 'publishing';
+      post.schedules[0].status = 'queued';
+      post.schedules[0].jobId = 'job-1';
+
+      await postService.resetApproval(post);
+
+      expect(queueManager.cancelJob).toHaveBeenCalledWith('job-1');
+      expect(post.schedules[0]).toMatchObject({ status: 'pending', jobId: undefined });
+      expect(post.schedules[2].status).toBe('published');
+      expect(post.status).toBe('scheduled');
+      expect(post.settings.approvalStatus).toBe('none');
+    });
+  });
+
+  describe('isAwaitingApproval', () => {
+    it('should hold posts that require approval until approved', () => {
+      expect(post.isAwaitingApproval()).toBe(true);
+      post.settings.approvalStatus = 'approved';
+      expect(post.isAwaitingApproval()).toBe(false);
+      post.settings.requireApproval = false;
+      post.settings.approvalStatus = 'none';
+      expect(post.isAwaitingApproval()).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const postValidationService = require('../services/postValidationService');
+
+const image = (props = {}) => ({
+  type: 'image',
+  mimeType: 'image/jpeg',
+  size: 500 * 1024,
+  metadata: { width: 1080, height: 1080 },
+  ...props,
+});
+
+const video = (props = {}) => ({
+  type: 'video',
+  mimeType: 'video/mp4',
+  size: 20 * 1024 * 1024,
+  metadata: { width: 1080, height: 1920, duration: 30, codec: 'h264', fps: 30 },
+  ...props,
+});
+
+describe('Post validation', () => {
+  describe('validateForPlatform', () => {
+    it('should accept a post within the platform limits', () => {
+      const result = postValidationService.validateForPlatform(
+        'instagram',
+        { content: 'Launch day #new', mediaUrls: ['https://cdn.example.com/a.jpg'] },
+        [image()]
+      );
+
+      expect(result).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('should count hashtags appended by the provider towards the text limit', () => {
+      const result = postValidationService.validateForPlatform('twitter', {
+        content: 'a'.repeat(270),
+        hashtags: ['#one', '#two'],
+      });
+
+      expect(result.errors).toEqual(['Text exceeds 280 character limit (281 chars)']);
+    });
+
+    it('should require content and platform media', () => {
+      const instagram = postValidationService.validateForPlatform('instagram', { content: ' ' });
+      const youtube = postValidationService.validateForPlatform('youtube', { content: 'Watch', title: 'Video' });
+
+      expect(instagram.errors).toEqual(['Content is required', 'At least 1 media item(s) required']);
+      expect(youtube.errors).toEqual(['YouTube requires a video']);
+    });
+
+    it('should reject mixed images and videos where the platform does not allow it', () => {
+      const result = postValidationService.validateForPlatform('twitter', {
+        content: 'Mixed',
+        mediaUrls: ['https://cdn.example.com/a.jpg', 'https://cdn.example.com/b.mp4'],
+      });
+
+      expect(result.errors).toContain('Images and videos cannot be combined in one post');
+    });
+
+    it('should count explicit and inline hashtags once each', () => {
+      const tags = Array.from({ length: 31 }, (_, i) => `#tag${i}`);
+      const result = postValidationService.validateForPlatform(
+        'instagram',
+        { content: `Post ${tags[0]} ${tags[1]}`, hashtags: tags, mediaUrls: ['https://cdn.example.com/a.jpg'] },
+        [image()]
+      );
+
+      expect(result.errors).toEqual(['Too many hashtags (31), maximum is 30']);
+    });
+
+    it('should reject videos outside the platform duration', () => {
+      const result = postValidationService.validateForPlatform(
+        'instagram',
+        { content: 'Clip', mediaUrls: ['https://cdn.example.com/a.mp4'] },
+        [video({ metadata: { width: 1080, height: 1920, duration: 2, codec: 'h264', fps: 30 } })]
+      );
+
+      expect(result.errors).toEqual(['Media 1 is 2s long, minimum is 3s']);
+    });
+
+    it('should warn about media that is not in the library', () => {
+      const result = postValidationService.validateForPlatform('facebook', {
+        content: 'External image',
+        mediaUrls: ['https://example.com/a.jpg'],
+      });
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toEqual([
+        'Media 1 is not in the media library, size and dimensions could not be checked',
+      ]);
+    });
+
+    it('should warn about a missing YouTube title', () => {
+      const result = postValidationService.validateForPlatform(
+        'youtube',
+        { content: 'Watch', mediaUrls: ['https://cdn.example.com/a.mp4'] },
+        [video()]
+      );
+
+      expect(result.errors).toEqual([]);
+      expect(result.warnings).toContain('No title set, the first 100 characters of the content will be used');
+    });
+
+    it('should only warn for providers without rules', () => {
+      const result = postValidationService.validateForPlatform('myspace', { content: '' });
+
+      expect(result).toEqual({ errors: [], warnings: ["No validation rules for provider 'myspace'"] });
+    });
+  });
+});
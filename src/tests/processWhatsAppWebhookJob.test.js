@@ -0,0 +1,109 @@
+jest.mock('../services/whatsappWebhookService', () => ({
+  handleIncomingMessage: jest.fn(),
+  handleMessageStatus: jest.fn(),
+  handleCallLog: jest.fn(),
+  handleTemplateStatusUpdate: jest.fn(),
+  handleQualityUpdate: jest.fn(),
+  handleMessageEcho: jest.fn(),
+}));
+jest.mock('../utils/idempotency', () => ({
+  claim: jest.fn(),
+  complete: jest.fn(),
+  release: jest.fn(),
+}));
+
+const whatsappWebhookService = require('../services/whatsappWebhookService');
+const idempotency = require('../utils/idempotency');
+const processWhatsAppWebhookJob = require('../jobs/processWhatsAppWebhookJob');
+
+const payload = {
+  entry: [{
+    id: 'waba-1',
+    time: 1700000100,
+    changes: [
+      {
+        field: 'messages',
+        value: {
+          metadata: { phone_number_id: 'phone-1' },
+          messages: [{ id: 'wamid.in', from: '14155550100', timestamp: '1700000000', type: 'text', text: { body: 'Hi' } }],
+          statuses: [
+            { id: 'wamid.out', status: 'delivered', timestamp: '1700000050', recipient_id: '14155550101' },
+            { id: 'wamid.out', status: 'read', timestamp: '1700000090', recipient_id: '14155550101' },
+          ],
+        },
+      },
+      {
+        field: 'message_template_status_update',
+        value: { message_template_id: 42, event: 'APPROVED' },
+      },
+    ],
+  }],
+};
+
+describe('WhatsApp webhook job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    idempotency.claim.mockResolvedValue(true);
+  });
+
+  describe('extractEvents', () => {
+    it('should key messages by ID and status and template events by their time', () => {
+      const keys = processWhatsAppWebhookJob.extractEvents(payload).map(event => event.key);
+
+      expect(keys).toEqual([
+        'whatsapp:message:wamid.in',
+        'whatsapp:status:wamid.out:delivered:1700000050',
+        'whatsapp:status:wamid.out:read:1700000090',
+        'whatsapp:template:42:APPROVED:1700000100',
+      ]);
+    });
+
+    it('should key quality updates by time and payload', () => {
+      const quality = (time, value) => processWhatsAppWebhookJob.extractEvents({
+        entry: [{ time, changes: [{ field: 'phone_number_quality_update', value }] }],
+      })[0].key;
+
+      expect(quality(1, { event: 'DOWNGRADE' })).toBe(quality(1, { event: 'DOWNGRADE' }));
+      expect(quality(1, { event: 'DOWNGRADE' })).not.toBe(quality(2, { event: 'DOWNGRADE' }));
+      expect(quality(1, { event: 'DOWNGRADE' })).not.toBe(quality(1, { event: 'UPGRADE' }));
+    });
+
+    it('should ignore empty payloads', () => {
+      expect(processWhatsAppWebhookJob.extractEvents(undefined)).toEqual([]);
+      expect(processWhatsAppWebhookJob.extractEvents({ entry: [{ changes: [{ field: 'messages' }] }] })).toEqual([]);
+    });
+  });
+
+  describe('process', () => {
+    it('should run each new event once and mark it complete', async () => {
+      const result = await processWhatsAppWebhookJob.process({ id: 1, attemptsMade: 0, data: { payload } });
+
+      expect(result).toEqual({ events: 4, processed: 4, duplicates: 0 });
+      expect(whatsappWebhookService.handleMessageStatus).toHaveBeenCalledWith(expect.objectContaining({
+        messageId: 'wamid.out',
+        status: 'read',
+        timestamp: '1700000090',
+      }));
+      expect(idempotency.complete).toHaveBeenCalledTimes(4);
+    });
+
+    it('should skip events that were already claimed', async () => {
+      idempotency.claim.mockImplementation(async key => !key.startsWith('whatsapp:status:'));
+
+      const result = await processWhatsAppWebhookJob.process({ id: 1, attemptsMade: 0, data: { payload } });
+
+      expect(result).toEqual({ events: 4, processed: 2, duplicates: 2 });
+      expect(whatsappWebhookService.handleMessageStatus).not.toHaveBeenCalled();
+    });
+
+    it('should release failed events and fail the job so Bull retries it', async () => {
+      whatsappWebhookService.handleIncomingMessage.mockRejectedValueOnce(new Error('Database unavailable'));
+
+      await expect(processWhatsAppWebhookJob.process({ id: 1, attemptsMade: 0, data: { payload } }))
+        .rejects.toThrow('1 of 4 webhook events failed');
+
+      expect(idempotency.release).toHaveBeenCalledWith('whatsapp:message:wamid.in');
+      expect(idempotency.complete).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const { isTransientError, getRetryAfterMs } = require('../utils/publishErrors');
+
+const errorWith = (message, props = {}) => Object.assign(new Error(message), props);
+
+describe('Publish error classification', () => {
+  describe('isTransientError', () => {
+    it('should treat network errors as transient', () => {
+      expect(isTransientError(errorWith('connect failed', { code: 'ECONNRESET' }))).toBe(true);
+      expect(isTransientError(errorWith('lookup failed', { code: 'EAI_AGAIN' }))).toBe(true);
+    });
+
+    it('should classify by HTTP status when one is known', () => {
+      expect(isTransientError(errorWith('Server error', { statusCode: 503 }))).toBe(true);
+      expect(isTransientError(errorWith('Slow down', { statusCode: 429 }))).toBe(true);
+      expect(isTransientError(errorWith('Request failed', { response: { status: 502 } }))).toBe(true);
+      expect(isTransientError(errorWith('Bad request', { statusCode: 400 }))).toBe(false);
+      expect(isTransientError(errorWith('Token expired', { statusCode: 401 }))).toBe(false);
+    });
+
+    it('should let the status win over a message that looks transient', () => {
+      expect(isTransientError(errorWith('Please try again later', { statusCode: 403 }))).toBe(false);
+    });
+
+    it('should fall back to the message when there is no status or code', () => {
+      expect(isTransientError(new Error('Application request limit reached'))).toBe(true);
+      expect(isTransientError(new Error('socket hang up'))).toBe(true);
+      expect(isTransientError(new Error('Request timed out'))).toBe(true);
+      expect(isTransientError(new Error('Invalid media type'))).toBe(false);
+    });
+
+    it('should treat a missing error as permanent', () => {
+      expect(isTransientError(null)).toBe(false);
+      expect(isTransientError(undefined)).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    it('should read Retry-After seconds', () => {
+      expect(getRetryAfterMs(errorWith('Slow down', { retryAfter: '120' }))).toBe(120000);
+      expect(getRetryAfterMs(errorWith('Slow down', { retryAfter: 0 }))).toBe(0);
+    });
+
+    it('should read a Retry-After HTTP date', () => {
+      const retryAfter = new Date(Date.now() + 60 * 1000).toUTCString();
+      const delay = getRetryAfterMs(errorWith('Slow down', { retryAfter }));
+
+      expect(delay).toBeGreaterThan(55 * 1000);
+      expect(delay).toBeLessThanOrEqual(60 * 1000);
+    });
+
+    it('should never return a negative delay for a past date', () => {
+      expect(getRetryAfterMs(errorWith('Slow down', { retryAfter: 'Mon, 01 Jan 2001 00:00:00 GMT' }))).toBe(0);
+    });
+
+    it('should return null when there is no usable Retry-After', () => {
+      expect(getRetryAfterMs(new Error('Slow down'))).toBeNull();
+      expect(getRetryAfterMs(errorWith('Slow down', { retryAfter: 'soon' }))).toBeNull();
+      expect(getRetryAfterMs(null)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({
+  getRetryDelay: jest.fn(() => 60000),
+  retryJob: jest.fn(async () => ({ id: 'retry-job-1' })),
+}));
+jest.mock('../services/emailService', () => ({
+  sendPostFailedEmail: jest.fn(async () => {}),
+  sendPostPublishedEmail: jest.fn(async () => {}),
+}));
+jest.mock('../services/notificationService', () => ({
+  notifyPostFailed: jest.fn(async () => {}),
+  notifyPostPublished: jest.fn(async () => {}),
+}));
+
+const Post = require('../models/Post');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const mediaService = require('../services/mediaService');
+const queueManager = require('../queues/queueManager');
+const publishPostJob = require('../jobs/publishPostJob');
+
+const createPost = ({ recurring = false, retryCount = 0, status = 'queued' } = {}) => {
+  const schedule = { _id: 'schedule-1', provider: 'facebook', channel: 'channel-1', status, retryCount };
+  return {
+    _id: 'post-1',
+    status: 'scheduled',
+    brand: { _id: 'brand-1', settings: {} },
+    createdBy: { _id: 'user-1', email: 'ada@example.com', name: 'Ada' },
+    schedules: Object.assign([schedule], { id: () => schedule }),
+    save: jest.fn(async () => {}),
+    hasActiveRecurrence: () => recurring,
+    isAwaitingApproval: () => false,
+    getContentForSchedule: () => ({ content: 'Hello', mediaUrls: [] }),
+  };
+};
+
+const mockFindPost = (post) => {
+  jest.spyOn(Post, 'findById').mockReturnValue({
+    populate: () => ({ populate: jest.fn().mockResolvedValue(post) }),
+  });
+};
+
+describe('Publish post job', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('handleFailure', () => {
+    it('should queue a retry for a transient error', async () => {
+      const post = createPost();
+      mockFindPost(post);
+      const error = Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+
+      await expect(publishPostJob.handleFailure(error, 'post-1', 'schedule-1')).resolves.toEqual({
+        success: false,
+        retrying: true,
+        attempt: 1,
+        error: 'Service unavailable',
+      });
+      expect(queueManager.retryJob).toHaveBeenCalledWith('post-1', 'schedule-1', 1, 60000);
+      expect(post.schedules[0]).toMatchObject({ status: 'queued', retryCount: 1, jobId: 'retry-job-1' });
+    });
+
+    it('should fail the schedule and post once retries are used up', async () => {
+      const post = createPost({ retryCount: 3 });
+      mockFindPost(post);
+      const error = Object.assign(new Error('Service unavailable'), { statusCode: 503 });
+
+      await expect(publishPostJob.handleFailure(error, 'post-1', 'schedule-1')).rejects.toThrow('Service unavailable');
+      expect(queueManager.retryJob).not.toHaveBeenCalled();
+      expect(post.schedules[0].status).toBe('failed');
+      expect(post.status).toBe('failed');
+    });
+
+    it('should keep an active recurring series scheduled when one occurrence fails', async () => {
+      const post = createPost({ recurring: true });
+      mockFindPost(post);
+
+      await expect(publishPostJob.handleFailure(new Error('Invalid media type'), 'post-1', 'schedule-1'))
+        .rejects.toThrow('Invalid media type');
+      expect(post.schedules[0]).toMatchObject({ status: 'failed', error: 'Invalid media type' });
+      expect(post.status).toBe('scheduled');
+      expect(post.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('process', () => {
+    beforeEach(() => {
+      jest.spyOn(Channel, 'findById').mockResolvedValue({ _id: 'channel-1', provider: 'facebook', connectionStatus: 'active' });
+      jest.spyOn(mediaService, 'getRenditionUrls').mockResolvedValue([]);
+    });
+
+    it('should skip schedules that were already processed', async () => {
+      mockFindPost(createPost({ status: 'published' }));
+      const publish = jest.fn();
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({ publish });
+
+      await expect(publishPostJob.process({ data: { postId: 'post-1', scheduleId: 'schedule-1' } })).resolves.toBeUndefined();
+      expect(publish).not.toHaveBeenCalled();
+    });
+
+    it('should never retry or fail a post the platform accepted', async () => {
+      mockFindPost(createPost());
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({
+        publish: jest.fn().mockResolvedValue({ id: 'fb-1', url: 'https://facebook.com/fb-1' }),
+      });
+      jest.spyOn(publishPostJob, 'recordPublished').mockRejectedValue(new Error('Database unavailable'));
+      const handleFailure = jest.spyOn(publishPostJob, 'handleFailure');
+
+      await expect(publishPostJob.process({ data: { postId: 'post-1', scheduleId: 'schedule-1' } }))
+        .resolves.toMatchObject({ success: true });
+      expect(handleFailure).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,139 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Channel = require('../models/Channel');
+const Membership = require('../models/Membership');
+const Post = require('../models/Post');
+const brandService = require('../services/brandService');
+const postService = require('../services/postService');
+
+const channelId = new mongoose.Types.ObjectId();
+
+describe('Queue slots', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('updateQueueSlots', () => {
+    let brand;
+
+    beforeEach(() => {
+      brand = { status: 'active', settings: { queueSlots: [] }, save: jest.fn(async () => {}) };
+      jest.spyOn(Brand, 'findById').mockResolvedValue(brand);
+      jest.spyOn(Membership, 'findOne').mockResolvedValue({ hasPermission: () => true });
+      jest.spyOn(Channel, 'countDocuments').mockResolvedValue(1);
+      jest.spyOn(brandService, 'getQueueSlots').mockImplementation(async () => ({ slots: brand.settings.queueSlots }));
+    });
+
+    it('should replace the slots and drop exact duplicates', async () => {
+      const slot = { channel: channelId.toString(), weekday: 1, hour: '9', minute: 30 };
+
+      const result = await brandService.updateQueueSlots('brand-1', 'user-1', {
+        slots: [slot, { ...slot }, { ...slot, hour: 14, minute: undefined }],
+      });
+
+      expect(result.slots).toEqual([
+        { channel: channelId.toString(), weekday: 1, hour: 9, minute: 30 },
+        { channel: channelId.toString(), weekday: 1, hour: 14, minute: 0 },
+      ]);
+      expect(brand.save).toHaveBeenCalled();
+    });
+
+    it('should reject malformed channel IDs with a 400 without querying', async () => {
+      await expect(brandService.updateQueueSlots('brand-1', 'user-1', {
+        slots: [{ channel: 'not-an-id', weekday: 1, hour: 9 }],
+      })).rejects.toMatchObject({ message: 'Invalid channel', statusCode: 400 });
+      expect(Channel.countDocuments).not.toHaveBeenCalled();
+    });
+
+    it('should reject channels of other brands with a 400', async () => {
+      Channel.countDocuments.mockResolvedValue(0);
+
+      await expect(brandService.updateQueueSlots('brand-1', 'user-1', {
+        slots: [{ channel: channelId.toString(), weekday: 1, hour: 9 }],
+      })).rejects.toMatchObject({ message: 'Invalid channel', statusCode: 400 });
+    });
+
+    it('should reject slots that are not a list of valid times with a 400', async () => {
+      const invalid = [
+        'Monday 9:00',
+        [null],
+        [{ channel: channelId.toString(), weekday: 7, hour: 9 }],
+        [{ channel: channelId.toString(), weekday: 1, hour: 9.5 }],
+        [{ channel: channelId.toString(), weekday: 1, hour: '' }],
+        [{ channel: channelId.toString(), weekday: 1, hour: 9, minute: 60 }],
+      ];
+
+      for (const slots of invalid) {
+        await expect(brandService.updateQueueSlots('brand-1', 'user-1', { slots }))
+          .rejects.toMatchObject({ statusCode: 400 });
+      }
+      expect(brand.save).not.toHaveBeenCalled();
+    });
+
+    it('should require manage_brand', async () => {
+      Membership.findOne.mockResolvedValue({ hasPermission: () => false });
+
+      await expect(brandService.updateQueueSlots('brand-1', 'user-1', { slots: [] })).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('findNextQueueSlot', () => {
+    const brand = {
+      _id: 'brand-1',
+      settings: {
+        timezone: 'America/New_York',
+        queueSlots: [
+          { channel: channelId, weekday: 1, hour: 9, minute: 0 },
+          { channel: channelId, weekday: 1, hour: 17, minute: 30 },
+          { channel: new mongoose.Types.ObjectId(), weekday: 2, hour: 8, minute: 0 },
+        ],
+      },
+    };
+    // Monday 2026-03-02 10:00 in New York
+    const after = new Date('2026-03-02T15:00:00Z');
+
+    const mockBusy = (times) => {
+      jest.spyOn(Post, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue(times.length === 0 ? [] : [{
+          schedules: times.map(time => ({ channel: channelId, status: 'queued', scheduledFor: new Date(time) })),
+        }]),
+      });
+    };
+
+    it('should pick the next slot of the channel in the brand timezone', async () => {
+      mockBusy([]);
+
+      await expect(postService.findNextQueueSlot(brand, channelId, new Set(), after))
+        .resolves.toEqual(new Date('2026-03-02T22:30:00Z'));
+    });
+
+    it('should skip slots taken by other posts or earlier in the request', async () => {
+      mockBusy(['2026-03-02T22:30:00Z']);
+      const reserved = new Set();
+
+      await expect(postService.findNextQueueSlot(brand, channelId, reserved, after))
+        .resolves.toEqual(new Date('2026-03-09T13:00:00Z'));
+      // Daylight saving time starts on 2026-03-08
+      await expect(postService.findNextQueueSlot(brand, channelId, reserved, after))
+        .resolves.toEqual(new Date('2026-03-09T21:30:00Z'));
+    });
+
+    it('should fall back to the default posting time every day', async () => {
+      mockBusy([]);
+      const otherChannel = new mongoose.Types.ObjectId();
+
+      await expect(postService.findNextQueueSlot(
+        { ...brand, settings: { ...brand.settings, defaultPostingTime: { hour: 8, minute: 15 } } },
+        otherChannel,
+        new Set(),
+        after
+      )).resolves.toEqual(new Date('2026-03-03T13:15:00Z'));
+    });
+  });
+});
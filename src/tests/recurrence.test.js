@@ -0,0 +1,143 @@
+const { parseRRule, getOccurrences, getNextOccurrence } = require('../utils/recurrence');
+
+const isoDates = occurrences => occurrences.map(o => o.date.toISOString());
+
+describe('Recurrence rules', () => {
+  describe('parseRRule', () => {
+    it('should parse a weekly rule with BYDAY and COUNT', () => {
+      const rule = parseRRule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=5');
+
+      expect(rule).toEqual({
+        freq: 'WEEKLY',
+        interval: 2,
+        byDay: [{ weekday: 1, ordinal: null }, { weekday: 3, ordinal: null }],
+        byMonthDay: [],
+        count: 5,
+        until: null,
+      });
+    });
+
+    it('should parse numbered weekdays and UNTIL for monthly rules', () => {
+      const rule = parseRRule('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20241231');
+
+      expect(rule.byDay).toEqual([{ weekday: 5, ordinal: -1 }]);
+      expect(rule.until.toISOString()).toBe('2024-12-31T23:59:59.000Z');
+    });
+
+    it.each([
+      ['', 'Recurrence rule is required'],
+      ['INTERVAL=2', 'Recurrence rule must include FREQ'],
+      ['FREQ=YEARLY', 'Unsupported recurrence frequency: YEARLY'],
+      ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer'],
+      ['FREQ=WEEKLY;BYDAY=XX', 'Invalid BYDAY value: XX'],
+      ['FREQ=DAILY;COUNT=3;UNTIL=20240101', 'Recurrence rule cannot have both COUNT and UNTIL'],
+      ['FREQ=WEEKLY;BYMONTHDAY=1', 'BYMONTHDAY is only supported with FREQ=MONTHLY'],
+      ['FREQ=WEEKLY;BYDAY=1MO', 'Numbered BYDAY values are only supported with FREQ=MONTHLY'],
+      ['FREQ=DAILY;WKST=SU', 'Only WKST=MO is supported'],
+      ['FREQ=DAILY;BYHOUR=9', 'Unsupported recurrence rule part: BYHOUR'],
+    ])('should reject %p', (rule, message) => {
+      expect(() => parseRRule(rule)).toThrow(message);
+    });
+  });
+
+  describe('getOccurrences', () => {
+    it('should repeat daily at the start time until COUNT is reached', () => {
+      const occurrences = getOccurrences('FREQ=DAILY;COUNT=3', new Date('2024-05-01T09:00:00Z'));
+
+      expect(isoDates(occurrences)).toEqual([
+        '2024-05-01T09:00:00.000Z',
+        '2024-05-02T09:00:00.000Z',
+        '2024-05-03T09:00:00.000Z',
+      ]);
+      expect(occurrences.map(o => o.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should generate the listed weekdays of every other week', () => {
+      // 2024-05-01 is a Wednesday
+      const occurrences = getOccurrences(
+        'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR',
+        new Date('2024-05-01T10:00:00Z'),
+        'UTC',
+        { limit: 4 }
+      );
+
+      expect(isoDates(occurrences)).toEqual([
+        '2024-05-01T10:00:00.000Z',
+        '2024-05-03T10:00:00.000Z',
+        '2024-05-13T10:00:00.000Z',
+        '2024-05-15T10:00:00.000Z',
+      ]);
+    });
+
+    it('should skip months without the start day', () => {
+      const occurrences = getOccurrences('FREQ=MONTHLY;COUNT=3', new Date('2024-01-31T08:00:00Z'));
+
+      expect(isoDates(occurrences)).toEqual([
+        '2024-01-31T08:00:00.000Z',
+        '2024-03-31T08:00:00.000Z',
+        '2024-05-31T08:00:00.000Z',
+      ]);
+    });
+
+    it('should resolve negative BYMONTHDAY and numbered BYDAY from the month end', () => {
+      const lastDay = getOccurrences('FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=2', new Date('2024-02-01T12:00:00Z'));
+      const lastFriday = getOccurrences('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', new Date('2024-02-01T12:00:00Z'));
+
+      expect(isoDates(lastDay)).toEqual(['2024-02-29T12:00:00.000Z', '2024-03-31T12:00:00.000Z']);
+      expect(isoDates(lastFriday)).toEqual(['2024-02-23T12:00:00.000Z', '2024-03-29T12:00:00.000Z']);
+    });
+
+    it('should keep the local time of day across a DST change', () => {
+      // 09:00 in New York is 14:00 UTC before 10 March 2024 and 13:00 UTC after
+      const occurrences = getOccurrences(
+        'FREQ=DAILY;COUNT=3',
+        new Date('2024-03-09T14:00:00Z'),
+        'America/New_York'
+      );
+
+      expect(isoDates(occurrences)).toEqual([
+        '2024-03-09T14:00:00.000Z',
+        '2024-03-10T13:00:00.000Z',
+        '2024-03-11T13:00:00.000Z',
+      ]);
+    });
+
+    it('should stop at UNTIL and respect after/before bounds', () => {
+      const start = new Date('2024-05-01T09:00:00Z');
+
+      expect(getOccurrences('FREQ=DAILY;UNTIL=20240503', start)).toHaveLength(3);
+
+      const bounded = getOccurrences('FREQ=DAILY', start, 'UTC', {
+        after: new Date('2024-05-02T09:00:00Z'),
+        before: new Date('2024-05-04T09:00:00Z'),
+      });
+      expect(isoDates(bounded)).toEqual(['2024-05-03T09:00:00.000Z', '2024-05-04T09:00:00.000Z']);
+      expect(bounded.map(o => o.index)).toEqual([2, 3]);
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    it('should return the first occurrence strictly after the date', () => {
+      const next = getNextOccurrence(
+        'FREQ=WEEKLY;BYDAY=TU',
+        new Date('2024-05-07T09:00:00Z'),
+        'UTC',
+        new Date('2024-05-07T09:00:00Z')
+      );
+
+      expect(next.date.toISOString()).toBe('2024-05-14T09:00:00.000Z');
+      expect(next.index).toBe(1);
+    });
+
+    it('should return null when the series has ended', () => {
+      const next = getNextOccurrence(
+        'FREQ=DAILY;COUNT=2',
+        new Date('2024-05-01T09:00:00Z'),
+        'UTC',
+        new Date('2024-05-02T09:00:00Z')
+      );
+
+      expect(next).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../services/emailService', () => ({
+  sendAnalyticsReportEmail: jest.fn(async () => ({ success: true })),
+}));
+jest.mock('../services/storageService', () => ({
+  reportsFolder: 'reports',
+  uploadBuffer: jest.fn(async (buffer, filename) => ({ key: `reports/${filename}`, driver: 'local', size: buffer.length })),
+}));
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const Channel = require('../models/Channel');
+const GeneratedReport = require('../models/GeneratedReport');
+const ScheduledReport = require('../models/ScheduledReport');
+const analyticsService = require('../services/analyticsService');
+const emailService = require('../services/emailService');
+const reportRenderService = require('../services/reportRenderService');
+const reportService = require('../services/reportService');
+
+const brand = { _id: new mongoose.Types.ObjectId(), name: 'Acme', settings: { timezone: 'Europe/Berlin' } };
+
+const createReport = (fields = {}) => new ScheduledReport({
+  brand: brand._id,
+  createdBy: new mongoose.Types.ObjectId(),
+  name: 'Weekly',
+  cadence: 'weekly',
+  recipients: ['team@acme.test'],
+  ...fields,
+});
+
+describe('Scheduled reports', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('checkReportAccess', () => {
+    const membership = (role, allowed = true) => ({ role, hasPermission: () => allowed });
+
+    it('should let any member with analytics access read reports', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue(membership('viewer'));
+      await expect(reportService.checkReportAccess('user-1', 'brand-1')).resolves.toMatchObject({ role: 'viewer' });
+    });
+
+    it('should only let owners and managers manage schedules', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue(membership('editor'));
+      await expect(reportService.checkReportAccess('user-1', 'brand-1', true)).rejects.toThrow('Permission denied');
+    });
+
+    it('should reject members without analytics access', async () => {
+      jest.spyOn(analyticsService, 'checkBrandAccess').mockResolvedValue(membership('owner', false));
+      await expect(reportService.checkReportAccess('user-1', 'brand-1')).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('applyScheduleFields', () => {
+    it('should normalize recipients and pick the period from the cadence', async () => {
+      const report = createReport({ recipients: undefined });
+
+      await reportService.applyScheduleFields(report, {
+        cadence: 'monthly',
+        recipients: [' Team@Acme.test', 'team@acme.test', 'ceo@acme.test'],
+      }, brand);
+
+      expect(report.recipients).toEqual(['team@acme.test', 'ceo@acme.test']);
+      expect(report.period).toBe('previous_month');
+      expect(report.nextRunAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject missing or invalid recipients', async () => {
+      await expect(reportService.applyScheduleFields(createReport(), { recipients: [] }, brand))
+        .rejects.toThrow('At least one recipient is required');
+      await expect(reportService.applyScheduleFields(createReport(), { recipients: ['ok@acme.test', 'nope'] }, brand))
+        .rejects.toThrow('Invalid recipient email: nope');
+    });
+
+    it('should reject malformed channel IDs before querying', async () => {
+      const count = jest.spyOn(Channel, 'countDocuments');
+
+      await expect(reportService.applyScheduleFields(createReport(), { channels: 'all' }, brand))
+        .rejects.toThrow('Invalid channels: expected an array of channel IDs');
+      await expect(reportService.applyScheduleFields(createReport(), { channels: ['nope'] }, brand))
+        .rejects.toThrow('Invalid channels: expected an array of channel IDs');
+      expect(count).not.toHaveBeenCalled();
+    });
+
+    it('should reject channels of another brand', async () => {
+      jest.spyOn(Channel, 'countDocuments').mockResolvedValue(1);
+      const channels = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+
+      await expect(reportService.applyScheduleFields(createReport(), { channels }, brand))
+        .rejects.toThrow('Invalid channel');
+    });
+
+    it('should reject an empty format list', async () => {
+      await expect(reportService.applyScheduleFields(createReport(), { formats: [] }, brand))
+        .rejects.toThrow('At least one format is required');
+    });
+
+    it('should clear nextRunAt when the schedule is paused', async () => {
+      const report = createReport();
+
+      await reportService.applyScheduleFields(report, { status: 'paused' }, brand);
+
+      expect(report.nextRunAt).toBeUndefined();
+    });
+  });
+
+  describe('getNextRunAt', () => {
+    // 2026-03-04 is a Wednesday
+    const after = new Date('2026-03-04T12:00:00Z');
+
+    it('should return the next weekday at the hour in the brand timezone', () => {
+      const next = reportService.getNextRunAt({ cadence: 'weekly', dayOfWeek: 1, hour: 8 }, 'Europe/Berlin', after);
+      expect(next).toEqual(new Date('2026-03-09T07:00:00Z'));
+    });
+
+    it('should run later the same day when the hour has not passed', () => {
+      const next = reportService.getNextRunAt({ cadence: 'weekly', dayOfWeek: 3, hour: 18 }, 'UTC', after);
+      expect(next).toEqual(new Date('2026-03-04T18:00:00Z'));
+    });
+
+    it('should roll monthly reports over to the next month', () => {
+      expect(reportService.getNextRunAt({ cadence: 'monthly', dayOfMonth: 10, hour: 8 }, 'UTC', after))
+        .toEqual(new Date('2026-03-10T08:00:00Z'));
+      expect(reportService.getNextRunAt({ cadence: 'monthly', dayOfMonth: 1, hour: 8 }, 'UTC', after))
+        .toEqual(new Date('2026-04-01T08:00:00Z'));
+    });
+  });
+
+  describe('getPeriodRange', () => {
+    const now = new Date('2026-03-04T12:00:00Z');
+
+    it('should resolve the previous Monday-to-Sunday week', () => {
+      expect(reportService.getPeriodRange('previous_week', 'UTC', now)).toEqual({
+        start: new Date('2026-02-23T00:00:00Z'),
+        end: new Date('2026-03-02T00:00:00Z'),
+      });
+    });
+
+    it('should resolve the previous month at brand-local midnight', () => {
+      expect(reportService.getPeriodRange('previous_month', 'Europe/Berlin', now)).toEqual({
+        start: new Date('2026-01-31T23:00:00Z'),
+        end: new Date('2026-02-28T23:00:00Z'),
+      });
+    });
+
+    it('should resolve rolling windows ending today', () => {
+      expect(reportService.getPeriodRange('last_7_days', 'UTC', now)).toEqual({
+        start: new Date('2026-02-25T00:00:00Z'),
+        end: new Date('2026-03-04T00:00:00Z'),
+      });
+    });
+  });
+
+  describe('generateReport', () => {
+    beforeEach(() => {
+      jest.spyOn(Brand, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(brand) });
+      jest.spyOn(GeneratedReport.prototype, 'save').mockResolvedValue();
+    });
+
+    it('should store the rendered files and email them', async () => {
+      jest.spyOn(analyticsService, 'getReportData').mockResolvedValue({ summary: {}, engagement: {} });
+      jest.spyOn(reportRenderService, 'render').mockResolvedValue([
+        { format: 'pdf', filename: 'acme-weekly.pdf', buffer: Buffer.from('pdf'), contentType: 'application/pdf' },
+      ]);
+
+      const generated = await reportService.generateReport(createReport());
+
+      expect(generated.status).not.toBe('failed');
+      expect(generated.files[0]).toMatchObject({ format: 'pdf', key: 'reports/acme-weekly.pdf', size: 3 });
+      expect(generated.sentAt).toBeInstanceOf(Date);
+      expect(emailService.sendAnalyticsReportEmail.mock.calls[0][0]).toEqual(['team@acme.test']);
+    });
+
+    it('should keep the files but record a failed email delivery', async () => {
+      jest.spyOn(analyticsService, 'getReportData').mockResolvedValue({ summary: {}, engagement: {} });
+      jest.spyOn(reportRenderService, 'render').mockResolvedValue([]);
+      emailService.sendAnalyticsReportEmail.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+
+      const generated = await reportService.generateReport(createReport());
+
+      expect(generated.error).toBe('Email delivery failed: SMTP down');
+      expect(generated.sentAt).toBeUndefined();
+    });
+
+    it('should record a failed run when rendering throws', async () => {
+      jest.spyOn(analyticsService, 'getReportData').mockResolvedValue({ summary: {}, engagement: {} });
+      jest.spyOn(reportRenderService, 'render').mockRejectedValue(new Error('Font missing'));
+
+      const generated = await reportService.generateReport(createReport());
+
+      expect(generated.status).toBe('failed');
+      expect(generated.error).toBe('Font missing');
+      expect(GeneratedReport.prototype.save).toHaveBeenCalled();
+      expect(emailService.sendAnalyticsReportEmail).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reportRenderService helpers', () => {
+    it('should fall back to default colors for invalid branding', () => {
+      expect(reportRenderService.getColors({ branding: { primaryColor: '#112233', secondaryColor: 'red' } })).toEqual({
+        primaryColor: '#112233',
+        secondaryColor: '#764ba2',
+        accentColor: '#f093fb',
+      });
+      expect(reportRenderService.toArgb('#a1b2c3')).toBe('FFA1B2C3');
+    });
+
+    it('should show the last day covered by the exclusive period end', () => {
+      expect(reportRenderService.formatPeriod({
+        periodStart: new Date('2026-02-23T00:00:00Z'),
+        periodEnd: new Date('2026-03-02T00:00:00Z'),
+        timezone: 'UTC',
+      })).toBe('2026-02-23 to 2026-03-01');
+    });
+
+    it('should build a slugged file name', () => {
+      expect(reportRenderService.getBaseFilename({
+        brand: { name: 'Acme & Co.' },
+        name: 'Weekly Report!',
+        periodStart: new Date('2026-02-23T00:00:00Z'),
+        timezone: 'UTC',
+      })).toBe('acme-co-weekly-report-2026-02-23');
+    });
+
+    it('should skip logos that are not http(s) URLs', async () => {
+      await expect(reportRenderService.loadLogo('file:///etc/passwd')).resolves.toBeNull();
+      await expect(reportRenderService.loadLogo(undefined)).resolves.toBeNull();
+    });
+  });
+});
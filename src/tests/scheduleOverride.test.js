@@ -0,0 +1,152 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const Media = require('../models/Media');
+const postService = require('../services/postService');
+
+const brandId = new mongoose.Types.ObjectId();
+const image = { _id: new mongoose.Types.ObjectId(), s3Url: 'https://cdn.example.com/a.jpg' };
+const video = { _id: new mongoose.Types.ObjectId(), s3Url: 'https://cdn.example.com/b.mp4' };
+
+describe('Per-channel overrides', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateScheduleOverride', () => {
+    it('should return undefined when nothing is overridden', async () => {
+      await expect(postService.validateScheduleOverride(undefined, brandId)).resolves.toBeUndefined();
+      await expect(postService.validateScheduleOverride({}, brandId)).resolves.toBeUndefined();
+    });
+
+    it('should keep the text fields and detect the media type of URLs', async () => {
+      await expect(postService.validateScheduleOverride({
+        title: 'Short title',
+        content: 'LinkedIn version',
+        hashtags: ['#launch'],
+        mediaUrls: ['https://example.com/a.jpg', 'https://example.com/b.jpg'],
+      }, brandId)).resolves.toEqual({
+        title: 'Short title',
+        content: 'LinkedIn version',
+        hashtags: ['#launch'],
+        mediaUrls: ['https://example.com/a.jpg', 'https://example.com/b.jpg'],
+        mediaType: 'multiImage',
+      });
+    });
+
+    it('should resolve library media in the requested order, repeats included', async () => {
+      const find = jest.spyOn(Media, 'find').mockResolvedValue([image, video]);
+
+      await expect(postService.validateScheduleOverride({
+        mediaLibraryIds: [video._id.toString(), image._id.toString(), video._id.toString()],
+        mediaUrls: ['https://example.com/ignored.jpg'],
+      }, brandId)).resolves.toEqual({
+        mediaLibraryItems: [video._id, image._id, video._id],
+        mediaUrls: [video.s3Url, image.s3Url, video.s3Url],
+        mediaType: 'video',
+      });
+      expect(find).toHaveBeenCalledWith({
+        _id: { $in: [video._id.toString(), image._id.toString()] },
+        brand: brandId,
+        status: 'active',
+      });
+    });
+
+    it('should reject media outside the brand library', async () => {
+      jest.spyOn(Media, 'find').mockResolvedValue([image]);
+
+      await expect(postService.validateScheduleOverride({
+        mediaLibraryIds: [image._id.toString(), video._id.toString()],
+      }, brandId)).rejects.toMatchObject({
+        message: 'Channel override references media that does not exist in this brand',
+        statusCode: 400,
+      });
+    });
+
+    it('should reject malformed media IDs without querying', async () => {
+      const find = jest.spyOn(Media, 'find');
+
+      await expect(postService.validateScheduleOverride({ mediaLibraryIds: ['not-an-id'] }, brandId))
+        .rejects.toMatchObject({ message: 'Channel override mediaLibraryIds must be media IDs', statusCode: 400 });
+      await expect(postService.validateScheduleOverride({ mediaLibraryIds: [{ $gt: '' }] }, brandId))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid fields with a 400', async () => {
+      const cases = [
+        [[], 'Channel override must be an object'],
+        [{ title: 'x'.repeat(201) }, 'Channel override title must be a string of at most 200 characters'],
+        [{ content: '  ' }, 'Channel override content must be a non-empty string'],
+        [{ content: 'x'.repeat(10001) }, 'Channel override content must be at most 10000 characters'],
+        [{ hashtags: '#launch' }, 'Channel override hashtags must be an array of strings'],
+        [{ mediaLibraryIds: 'abc' }, 'Channel override mediaLibraryIds must be an array'],
+        [{ mediaUrls: [1] }, 'Channel override mediaUrls must be an array of strings'],
+      ];
+
+      for (const [override, message] of cases) {
+        await expect(postService.validateScheduleOverride(override, brandId))
+          .rejects.toMatchObject({ message, statusCode: 400 });
+      }
+    });
+  });
+
+  describe('getContentForSchedule', () => {
+    const post = new Post({
+      brand: brandId,
+      createdBy: new mongoose.Types.ObjectId(),
+      title: 'Launch',
+      content: 'Main copy',
+      hashtags: ['#main'],
+      mediaUrls: ['https://cdn.example.com/a.jpg'],
+      mediaType: 'image',
+      schedules: [
+        { channel: new mongoose.Types.ObjectId(), provider: 'facebook', scheduledFor: new Date() },
+        {
+          channel: new mongoose.Types.ObjectId(),
+          provider: 'linkedin',
+          scheduledFor: new Date(),
+          override: { content: 'LinkedIn copy' },
+        },
+        {
+          channel: new mongoose.Types.ObjectId(),
+          provider: 'twitter',
+          scheduledFor: new Date(),
+          override: { mediaUrls: [], mediaType: 'none' },
+        },
+      ],
+    });
+
+    it('should use the post content where nothing is overridden', () => {
+      expect(post.getContentForSchedule(post.schedules[0])).toEqual({
+        title: 'Launch',
+        content: 'Main copy',
+        hashtags: ['#main'],
+        mediaUrls: ['https://cdn.example.com/a.jpg'],
+        mediaType: 'image',
+      });
+    });
+
+    it('should only replace the overridden fields', () => {
+      expect(post.getContentForSchedule(post.schedules[1])).toMatchObject({
+        content: 'LinkedIn copy',
+        hashtags: ['#main'],
+        mediaUrls: ['https://cdn.example.com/a.jpg'],
+        mediaType: 'image',
+      });
+    });
+
+    it('should let an override remove the media', () => {
+      expect(post.getContentForSchedule(post.schedules[2])).toMatchObject({
+        content: 'Main copy',
+        mediaUrls: [],
+        mediaType: 'none',
+      });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+jest.mock('../services/notificationService', () => ({
+  notifyStorageQuotaWarning: jest.fn(),
+}));
+
+const storageQuotaService = require('../services/storageQuotaService');
+const { STORAGE_QUOTAS } = require('../services/storageQuotaService');
+
+const GB = 1024 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Storage quotas', () => {
+  describe('getTier', () => {
+    it('should use the tier of an active subscription', () => {
+      expect(storageQuotaService.getTier({ subscription: { tier: 'pro', status: 'active' } })).toBe('pro');
+      expect(storageQuotaService.getTier({
+        subscription: { tier: 'enterprise', status: 'active', validUntil: new Date(Date.now() + DAY) },
+      })).toBe('enterprise');
+    });
+
+    it('should fall back to free for inactive, lapsed or unknown subscriptions', () => {
+      expect(storageQuotaService.getTier({ subscription: { tier: 'pro', status: 'suspended' } })).toBe('free');
+      expect(storageQuotaService.getTier({
+        subscription: { tier: 'pro', status: 'active', validUntil: new Date(Date.now() - DAY) },
+      })).toBe('free');
+      expect(storageQuotaService.getTier({ subscription: { tier: 'platinum', status: 'active' } })).toBe('free');
+      expect(storageQuotaService.getTier({})).toBe('free');
+    });
+  });
+
+  describe('getPercentUsed', () => {
+    it('should report the higher of the bytes and files share', () => {
+      const quota = { maxBytes: 10 * GB, maxFiles: 100 };
+
+      expect(storageQuotaService.getPercentUsed({ bytes: 5 * GB, files: 10 }, quota)).toBe(50);
+      expect(storageQuotaService.getPercentUsed({ bytes: 1 * GB, files: 80 }, quota)).toBe(80);
+    });
+
+    it('should ignore unlimited dimensions', () => {
+      expect(storageQuotaService.getPercentUsed({ bytes: 2 * GB, files: 1000000 }, { maxBytes: 8 * GB, maxFiles: null }))
+        .toBe(25);
+      expect(storageQuotaService.getPercentUsed({ bytes: 2 * GB, files: 10 }, { maxBytes: null, maxFiles: null }))
+        .toBe(0);
+    });
+
+    it('should round to one decimal and allow usage over the quota', () => {
+      expect(storageQuotaService.getPercentUsed({ bytes: 0, files: 1 }, { maxBytes: GB, maxFiles: 3 })).toBe(33.3);
+      expect(storageQuotaService.getPercentUsed({ bytes: 3 * GB, files: 0 }, { maxBytes: 2 * GB, maxFiles: 10 }))
+        .toBe(150);
+    });
+  });
+
+  describe('STORAGE_QUOTAS', () => {
+    it('should keep each brand limit within its organization limit', () => {
+      for (const quota of Object.values(STORAGE_QUOTAS)) {
+        expect(quota.perBrand.maxBytes).toBeLessThanOrEqual(quota.maxBytes);
+        if (quota.maxFiles !== null) {
+          expect(quota.perBrand.maxFiles).toBeLessThanOrEqual(quota.maxFiles);
+        }
+      }
+    });
+
+    it('should accept the largest per-file size of any tier at upload', () => {
+      expect(storageQuotaService.getMaxFileSize()).toBe(STORAGE_QUOTAS.enterprise.maxFileSize);
+    });
+  });
+});
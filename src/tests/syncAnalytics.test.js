@@ -0,0 +1,148 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({
+  addAnalyticsJob: jest.fn(async () => ({})),
+}));
+
+const PublishedPost = require('../models/PublishedPost');
+const AnalyticsSnapshot = require('../models/AnalyticsSnapshot');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const queueManager = require('../queues/queueManager');
+const syncAnalyticsJob = require('../jobs/syncAnalyticsJob');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('Analytics sync', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    syncAnalyticsJob.nextSlotAt.clear();
+  });
+
+  describe('getNextSyncAt', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const publishedAgo = ms => new Date(now.getTime() - ms);
+
+    it('should sync hourly on the first day, daily for a month, then weekly', () => {
+      expect(syncAnalyticsJob.getNextSyncAt(publishedAgo(2 * HOUR), now)).toEqual(new Date(now.getTime() + HOUR));
+      expect(syncAnalyticsJob.getNextSyncAt(publishedAgo(3 * DAY), now)).toEqual(new Date(now.getTime() + DAY));
+      expect(syncAnalyticsJob.getNextSyncAt(publishedAgo(45 * DAY), now)).toEqual(new Date(now.getTime() + 7 * DAY));
+    });
+
+    it('should stop syncing posts older than 90 days', () => {
+      expect(syncAnalyticsJob.getNextSyncAt(publishedAgo(91 * DAY), now)).toBeNull();
+    });
+  });
+
+  describe('normalizeMetrics', () => {
+    it('should map provider names onto the analytics fields', () => {
+      expect(syncAnalyticsJob.normalizeMetrics({ likes: 10, replies: 2, retweets: 3, views: 400, saved: 1 })).toEqual({
+        likes: 10,
+        comments: 2,
+        shares: 3,
+        impressions: 400,
+        views: 400,
+        saves: 1,
+      });
+    });
+
+    it('should leave out metrics the provider did not return', () => {
+      expect(syncAnalyticsJob.normalizeMetrics({ likes: 5, comments: null, shares: 'n/a', reach: NaN })).toEqual({ likes: 5 });
+    });
+  });
+
+  describe('scheduleDueSyncs', () => {
+    const mockDuePosts = (posts) => {
+      const query = { sort: () => query, limit: () => query, select: jest.fn().mockResolvedValue(posts) };
+      jest.spyOn(PublishedPost, 'find').mockReturnValue(query);
+      jest.spyOn(PublishedPost, 'updateOne').mockResolvedValue({});
+    };
+
+    it('should space pulls of one channel by its rate limit and defer the rest', async () => {
+      mockDuePosts([
+        { _id: 'post-1', channel: 'channel-1', provider: 'facebook' },
+        { _id: 'post-2', channel: 'channel-1', provider: 'facebook' },
+        { _id: 'post-3', channel: 'channel-2', provider: 'twitter' },
+        { _id: 'post-4', channel: 'channel-2', provider: 'twitter' },
+      ]);
+
+      await syncAnalyticsJob.scheduleDueSyncs();
+
+      // facebook: 150 calls per hour, one every 24 seconds; twitter: one per 15 minutes
+      expect(queueManager.addAnalyticsJob.mock.calls).toEqual([
+        ['post-1', 0],
+        ['post-2', 24000],
+        ['post-3', 0],
+      ]);
+      expect(PublishedPost.updateOne).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip channels already booked beyond the next run', async () => {
+      syncAnalyticsJob.nextSlotAt.set('channel-2', Date.now() + 10 * MINUTE);
+      mockDuePosts([]);
+
+      await syncAnalyticsJob.scheduleDueSyncs();
+
+      expect(PublishedPost.find.mock.calls[0][0].channel).toEqual({ $nin: ['channel-2'] });
+      expect(queueManager.addAnalyticsJob).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('process', () => {
+    const createPublishedPost = () => ({
+      _id: 'post-1',
+      status: 'published',
+      channel: 'channel-1',
+      provider: 'facebook',
+      platformPostId: 'fb-1',
+      publishedAt: new Date(Date.now() - 2 * HOUR),
+      analytics: { likes: 3, shares: 1, syncCount: 2 },
+      save: jest.fn(async () => {}),
+    });
+
+    it('should store a snapshot and update the post metrics', async () => {
+      const publishedPost = createPublishedPost();
+      jest.spyOn(PublishedPost, 'findById').mockResolvedValue(publishedPost);
+      jest.spyOn(Channel, 'findById').mockResolvedValue({ provider: 'facebook', connectionStatus: 'active' });
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({
+        getPostAnalytics: jest.fn().mockResolvedValue({ likes: 12, comments: 4 }),
+      });
+      jest.spyOn(AnalyticsSnapshot, 'create').mockResolvedValue({});
+
+      const result = await syncAnalyticsJob.process({ data: { publishedPostId: 'post-1' } });
+
+      expect(result.synced).toBe(true);
+      expect(AnalyticsSnapshot.create).toHaveBeenCalledWith(expect.objectContaining({
+        publishedPost: 'post-1',
+        metrics: { likes: 12, comments: 4 },
+      }));
+      expect(publishedPost.analytics).toMatchObject({ likes: 12, comments: 4, shares: 1, syncCount: 3 });
+      expect(publishedPost.analytics.lastSyncError).toBeUndefined();
+      expect(publishedPost.save).toHaveBeenCalled();
+    });
+
+    it('should record why a pull failed and still schedule the next one', async () => {
+      const publishedPost = createPublishedPost();
+      jest.spyOn(PublishedPost, 'findById').mockResolvedValue(publishedPost);
+      jest.spyOn(Channel, 'findById').mockResolvedValue({ provider: 'facebook', connectionStatus: 'expired' });
+      const snapshot = jest.spyOn(AnalyticsSnapshot, 'create');
+
+      const result = await syncAnalyticsJob.process({ data: { publishedPostId: 'post-1' } });
+
+      expect(result.synced).toBe(false);
+      expect(result.nextSyncAt).toBeInstanceOf(Date);
+      expect(publishedPost.analytics.lastSyncError).toBe('Channel is not active (status: expired)');
+      expect(publishedPost.analytics.likes).toBe(3);
+      expect(snapshot).not.toHaveBeenCalled();
+    });
+
+    it('should skip deleted posts', async () => {
+      jest.spyOn(PublishedPost, 'findById').mockResolvedValue({ status: 'deleted' });
+
+      await expect(syncAnalyticsJob.process({ data: { publishedPostId: 'post-1' } })).resolves.toEqual({ skipped: true });
+    });
+  });
+});
@@ -1,5 +1,5 @@
 require('dotenv').config();
-const s3Service = require('./src/services/s3Service');
+const storageService = require('./src/services/storageService');
 const path = require('path');
 const fs = require('fs');
 
@@ -21,7 +21,7 @@ async function testS3Upload() {
 
   // Step 2: Test S3 connection
   console.log('📋 Step 2: Testing S3 connection...');
-  const isConnected = await s3Service.testConnection();
+  const isConnected = await storageService.testConnection();
   
   if (!isConnected) {
     console.error('❌ S3 connection test failed!');
@@ -59,7 +59,7 @@ async function testS3Upload() {
   console.log('📋 Step 4: Uploading image to S3...');
   
   try {
-    const uploadResult = await s3Service.uploadImage(testImagePath, {
+    const uploadResult = await storageService.uploadImage(testImagePath, {
       provider: 'test',
       brandName: 'Test Brand',
       testUpload: true,
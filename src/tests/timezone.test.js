@@ -0,0 +1,73 @@
+const { isValidTimezone, getZonedParts, getTimezoneOffset, zonedTimeToUtc } = require('../utils/timezone');
+
+describe('Timezone helpers', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezone names', () => {
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('Asia/Colombo')).toBe(true);
+      expect(isValidTimezone('America/New_York')).toBe(true);
+    });
+
+    it('should reject unknown timezone names', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('should return wall-clock parts in the timezone', () => {
+      const parts = getZonedParts(new Date('2024-03-15T23:30:00Z'), 'Asia/Colombo');
+
+      expect(parts).toEqual({
+        year: 2024,
+        month: 3,
+        day: 16,
+        hour: 5,
+        minute: 0,
+        second: 0,
+        weekday: 6,
+      });
+    });
+
+    it('should report midnight as hour 0', () => {
+      expect(getZonedParts(new Date('2024-01-01T00:00:00Z'), 'UTC').hour).toBe(0);
+    });
+  });
+
+  describe('getTimezoneOffset', () => {
+    it('should follow daylight saving time', () => {
+      const hour = 60 * 60 * 1000;
+
+      expect(getTimezoneOffset(new Date('2024-01-15T12:00:00Z'), 'America/New_York')).toBe(-5 * hour);
+      expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'America/New_York')).toBe(-4 * hour);
+      expect(getTimezoneOffset(new Date('2024-07-15T12:00:00Z'), 'Asia/Kolkata')).toBe(5.5 * hour);
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('should convert a local wall-clock time to UTC', () => {
+      const date = zonedTimeToUtc({ year: 2024, month: 6, day: 1, hour: 9, minute: 30 }, 'Asia/Kolkata');
+      expect(date.toISOString()).toBe('2024-06-01T04:00:00.000Z');
+    });
+
+    it('should use the offset in effect on each side of a DST change', () => {
+      const before = zonedTimeToUtc({ year: 2024, month: 3, day: 9, hour: 9 }, 'America/New_York');
+      const after = zonedTimeToUtc({ year: 2024, month: 3, day: 11, hour: 9 }, 'America/New_York');
+
+      expect(before.toISOString()).toBe('2024-03-09T14:00:00.000Z');
+      expect(after.toISOString()).toBe('2024-03-11T13:00:00.000Z');
+    });
+
+    it('should roll over out-of-range days like Date.UTC', () => {
+      const date = zonedTimeToUtc({ year: 2024, month: 1, day: 32, hour: 0 }, 'UTC');
+      expect(date.toISOString()).toBe('2024-02-01T00:00:00.000Z');
+    });
+
+    it('should round-trip with getZonedParts', () => {
+      const date = zonedTimeToUtc({ year: 2024, month: 11, day: 3, hour: 14, minute: 5 }, 'Europe/Berlin');
+      const parts = getZonedParts(date, 'Europe/Berlin');
+
+      expect([parts.year, parts.month, parts.day, parts.hour, parts.minute]).toEqual([2024, 11, 3, 14, 5]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { verifyMetaSignature } = require('../middlewares/verifyWebhookSignature');
+
+const APP_SECRET = 'test-app-secret';
+const RAW_BODY = Buffer.from(JSON.stringify({ object: 'whatsapp_business_account', entry: [] }));
+
+const sign = (body, secret = APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const createRequest = (signature, rawBody = RAW_BODY) => ({
+  ip: '127.0.0.1',
+  rawBody,
+  get: (name) => (name.toLowerCase() === 'x-hub-signature-256' ? signature : undefined),
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Webhook signature verification', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.FACEBOOK_APP_SECRET;
+    process.env.WHATSAPP_APP_SECRET = APP_SECRET;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should accept a valid signature', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    verifyMetaSignature(createRequest(sign(RAW_BODY)), res, next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the Facebook app secret', () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    process.env.FACEBOOK_APP_SECRET = 'facebook-secret';
+    const next = jest.fn();
+
+    verifyMetaSignature(createRequest(sign(RAW_BODY, 'facebook-secret')), createResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('should fail closed when no secret is configured', () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    const res = createResponse();
+    const next = jest.fn();
+
+    verifyMetaSignature(createRequest(sign(RAW_BODY)), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(500);
+  });
+
+  it('should reject a missing or malformed signature header', () => {
+    for (const signature of [undefined, 'md5=abc']) {
+      const res = createResponse();
+      const next = jest.fn();
+
+      verifyMetaSignature(createRequest(signature), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Missing webhook signature' }));
+    }
+  });
+
+  it('should reject a request without a captured raw body', () => {
+    const res = createResponse();
+
+    verifyMetaSignature(createRequest(sign(RAW_BODY), null), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should reject a signature made with another secret or for another body', () => {
+    const signatures = [
+      sign(RAW_BODY, 'wrong-secret'),
+      sign(Buffer.from('{"tampered":true}')),
+      'sha256=abcd',
+    ];
+
+    for (const signature of signatures) {
+      const res = createResponse();
+      const next = jest.fn();
+
+      verifyMetaSignature(createRequest(signature), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Invalid webhook signature' }));
+    }
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+jest.mock('../utils/ffmpeg', () => ({
+  ...jest.requireActual('../utils/ffmpeg'),
+  probe: jest.fn(),
+  captureFrame: jest.fn(),
+}));
+
+const { probe, captureFrame, parseFrameRate } = require('../utils/ffmpeg');
+const storageService = require('../services/storageService');
+const mediaService = require('../services/mediaService');
+const postValidationService = require('../services/postValidationService');
+
+const videoStream = (props = {}) => ({
+  codec_type: 'video',
+  codec_name: 'h264',
+  width: 1920,
+  height: 1080,
+  avg_frame_rate: '30000/1001',
+  ...props,
+});
+
+describe('Video metadata', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    probe.mockReset();
+    captureFrame.mockReset();
+  });
+
+  describe('parseFrameRate', () => {
+    it('should convert ffprobe rates to frames per second', () => {
+      expect(parseFrameRate('30000/1001')).toBe(29.97);
+      expect(parseFrameRate('25/1')).toBe(25);
+      expect(parseFrameRate('24')).toBe(24);
+    });
+
+    it('should return null for unknown rates', () => {
+      expect(parseFrameRate('0/0')).toBeNull();
+      expect(parseFrameRate(undefined)).toBeNull();
+      expect(parseFrameRate('abc')).toBeNull();
+    });
+  });
+
+  describe('probeVideo', () => {
+    it('should read duration, dimensions, frame rate, codec and bitrate', async () => {
+      probe.mockResolvedValue({
+        format: { duration: '12.3456', bit_rate: '4000000' },
+        streams: [{ codec_type: 'audio', codec_name: 'aac' }, videoStream()],
+      });
+
+      await expect(mediaService.probeVideo('/tmp/clip.MP4')).resolves.toEqual({
+        width: 1920,
+        height: 1080,
+        aspectRatio: mediaService.calculateAspectRatio(1920, 1080),
+        duration: 12.35,
+        fps: 29.97,
+        codec: 'h264',
+        bitrate: 4000000,
+        format: 'mp4',
+      });
+    });
+
+    it('should swap dimensions of rotated phone videos', async () => {
+      probe.mockResolvedValueOnce({ format: {}, streams: [videoStream({ tags: { rotate: '90' } })] });
+      await expect(mediaService.probeVideo('/tmp/a.mov')).resolves.toMatchObject({ width: 1080, height: 1920 });
+
+      probe.mockResolvedValueOnce({ format: {}, streams: [videoStream({ rotation: -90 })] });
+      await expect(mediaService.probeVideo('/tmp/b.mov')).resolves.toMatchObject({ width: 1080, height: 1920 });
+
+      probe.mockResolvedValueOnce({ format: {}, streams: [videoStream({ rotation: 180 })] });
+      await expect(mediaService.probeVideo('/tmp/c.mov')).resolves.toMatchObject({ width: 1920, height: 1080 });
+    });
+
+    it('should fall back to stream values and leave unknown values out', async () => {
+      probe.mockResolvedValue({
+        format: {},
+        streams: [videoStream({ duration: '5', avg_frame_rate: '0/0', r_frame_rate: '25/1' })],
+      });
+
+      const metadata = await mediaService.probeVideo('/tmp/clip.mp4');
+
+      expect(metadata.duration).toBe(5);
+      expect(metadata.fps).toBe(25);
+      expect(metadata.bitrate).toBeUndefined();
+    });
+
+    it('should reject files without a video stream', async () => {
+      probe.mockResolvedValue({ format: {}, streams: [{ codec_type: 'audio' }] });
+
+      await expect(mediaService.probeVideo('/tmp/clip.mp4')).rejects.toThrow('No video stream found');
+    });
+  });
+
+  describe('extractMetadata', () => {
+    it('should return empty metadata when probing fails', async () => {
+      probe.mockRejectedValue(new Error('Invalid data found when processing input'));
+
+      await expect(mediaService.extractMetadata('/tmp/broken.mp4', 'video')).resolves.toEqual({});
+    });
+
+    it('should probe audio files', async () => {
+      probe.mockResolvedValue({
+        format: { duration: '61.006' },
+        streams: [{ codec_type: 'audio', codec_name: 'mp3', bit_rate: '128000' }],
+      });
+
+      await expect(mediaService.extractMetadata('/tmp/voice.mp3', 'audio')).resolves.toEqual({
+        duration: 61.01,
+        codec: 'mp3',
+        bitrate: 128000,
+        format: 'mp3',
+      });
+    });
+  });
+
+  describe('createVideoThumbnail', () => {
+    it('should capture a frame 1s in, capped at the thumbnail width, and upload it', async () => {
+      jest.spyOn(storageService, 'uploadThumbnail').mockResolvedValue({ url: 'https://cdn.test/poster.jpg', key: 'thumbnails/poster.jpg' });
+
+      const result = await mediaService.createVideoThumbnail('/tmp/clip.mp4', { duration: 30, width: 1920 }, { brandId: 'brand-1' });
+
+      expect(result).toEqual({ thumbnailUrl: 'https://cdn.test/poster.jpg', thumbnailKey: 'thumbnails/poster.jpg' });
+      expect(captureFrame).toHaveBeenCalledWith('/tmp/clip.mp4', expect.stringMatching(/clip-poster\.jpg$/), { seconds: 1, width: 640 });
+      expect(storageService.uploadThumbnail.mock.calls[0][1]).toEqual({ brandId: 'brand-1' });
+    });
+
+    it('should use the midpoint of very short clips', async () => {
+      jest.spyOn(storageService, 'uploadThumbnail').mockResolvedValue({});
+
+      await mediaService.createVideoThumbnail('/tmp/clip.mp4', { duration: 1.2, width: 320 });
+
+      expect(captureFrame.mock.calls[0][2]).toEqual({ seconds: 0.6, width: 320 });
+    });
+
+    it('should return no thumbnail when the frame cannot be captured', async () => {
+      captureFrame.mockRejectedValue(new Error('Output file is empty'));
+      const upload = jest.spyOn(storageService, 'uploadThumbnail');
+
+      await expect(mediaService.createVideoThumbnail('/tmp/clip.mp4', { duration: 30 })).resolves.toEqual({});
+      expect(upload).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('codec and frame rate checks', () => {
+    const validate = (metadata) => postValidationService.validateForPlatform(
+      'instagram',
+      { content: 'Clip', mediaUrls: ['https://cdn.example.com/a.mp4'] },
+      [{
+        type: 'video',
+        mimeType: 'video/mp4',
+        size: 20 * 1024 * 1024,
+        metadata: { width: 1080, height: 1920, duration: 30, ...metadata },
+      }]
+    );
+
+    it('should flag unsupported codecs', () => {
+      // Library videos are re-encoded by a rendition at publish time
+      expect(validate({ codec: 'vp9', fps: 30 })).toEqual({
+        errors: [],
+        warnings: ['Media 1 is encoded as vp9, supported codecs are h264, hevc, an adjusted copy will be published'],
+      });
+    });
+
+    it('should warn about frame rates outside the recommended range', () => {
+      expect(validate({ codec: 'h264', fps: 120 }).warnings).toEqual(['Media 1 runs at 120 fps, recommended range is 23-60 fps']);
+    });
+
+    it('should skip the checks when the values are unknown', () => {
+      expect(validate({})).toEqual({ errors: [], warnings: [] });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({}));
+jest.mock('../services/notificationService', () => ({
+  notifyWhatsAppQualityAlert: jest.fn(async () => {}),
+}));
+jest.mock('../services/emailService', () => ({
+  sendWhatsAppQualityAlertEmail: jest.fn(async () => ({ success: true })),
+}));
+
+const Brand = require('../models/Brand');
+const Channel = require('../models/Channel');
+const Membership = require('../models/Membership');
+const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
+const emailService = require('../services/emailService');
+const notificationService = require('../services/notificationService');
+const whatsappCampaignService = require('../services/whatsappCampaignService');
+const whatsappAccountHealthService = require('../services/whatsappAccountHealthService');
+
+const channel = {
+  _id: 'channel-1',
+  brand: 'brand-1',
+  displayName: 'Support',
+  platformUsername: '+15550001111',
+  providerData: { phoneNumberId: 'phone-1' },
+};
+
+describe('WhatsApp account health', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('recordQualityUpdate', () => {
+    let update;
+
+    const mockPrevious = (previous) => {
+      jest.spyOn(WhatsAppAccountHealth, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(previous) });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(whatsappAccountHealthService, 'notifyManagers').mockResolvedValue();
+      jest.spyOn(whatsappCampaignService, 'pauseChannelCampaigns').mockResolvedValue(2);
+      update = jest.spyOn(WhatsAppAccountHealth, 'findOneAndUpdate').mockImplementation(async (filter, changes) => ({
+        qualityRating: changes.$set.qualityRating,
+        messagingLimit: changes.$set.messagingLimit,
+        alerts: (changes.$push.alerts?.$each || []).map((alert, i) => ({ _id: `alert-${i}`, ...alert })),
+      }));
+    });
+
+    it('should only record history when nothing got worse', async () => {
+      mockPrevious({ qualityRating: 'YELLOW', messagingLimit: 'TIER_1K' });
+
+      const result = await whatsappAccountHealthService.recordQualityUpdate(channel, {
+        qualityRating: 'GREEN',
+        messagingLimit: 'TIER_1K',
+        event: 'UPGRADE',
+      });
+
+      expect(result.alerts).toBe(0);
+      const changes = update.mock.calls[0][1];
+      expect(changes.$set).toMatchObject({ phoneNumberId: 'phone-1', qualityRating: 'GREEN', messagingLimit: 'TIER_1K' });
+      expect(changes.$push.history.$each[0]).toMatchObject({ qualityRating: 'GREEN', reason: 'UPGRADE' });
+      expect(changes.$push.alerts).toBeUndefined();
+      expect(whatsappAccountHealthService.notifyManagers).not.toHaveBeenCalled();
+    });
+
+    it('should warn when the rating drops to YELLOW without pausing campaigns', async () => {
+      mockPrevious({ qualityRating: 'GREEN', messagingLimit: 'TIER_1K' });
+
+      await whatsappAccountHealthService.recordQualityUpdate(channel, { qualityRating: 'YELLOW', event: 'FLAGGED' });
+
+      const [, alerts] = whatsappAccountHealthService.notifyManagers.mock.calls[0];
+      expect(alerts).toEqual([expect.objectContaining({ type: 'QUALITY_DEGRADED', severity: 'warning', qualityRating: 'YELLOW' })]);
+      expect(whatsappCampaignService.pauseChannelCampaigns).not.toHaveBeenCalled();
+    });
+
+    it('should pause campaigns and raise a critical alert on RED', async () => {
+      mockPrevious({ qualityRating: 'YELLOW', messagingLimit: 'TIER_1K' });
+
+      await whatsappAccountHealthService.recordQualityUpdate(channel, { qualityRating: 'RED', event: 'FLAGGED' });
+
+      expect(whatsappCampaignService.pauseChannelCampaigns).toHaveBeenCalledWith('channel-1', 'Quality rating is RED');
+      const [, alerts] = whatsappAccountHealthService.notifyManagers.mock.calls[0];
+      expect(alerts[0]).toMatchObject({ _id: 'alert-0', severity: 'critical', pausedCampaigns: 2 });
+    });
+
+    it('should keep campaigns paused on repeated RED updates without a new alert', async () => {
+      mockPrevious({ qualityRating: 'RED', messagingLimit: 'TIER_1K' });
+
+      const result = await whatsappAccountHealthService.recordQualityUpdate(channel, { qualityRating: 'RED' });
+
+      expect(result.alerts).toBe(0);
+      expect(whatsappCampaignService.pauseChannelCampaigns).toHaveBeenCalled();
+    });
+
+    it('should alert on tier changes but not on the first reported tier', async () => {
+      mockPrevious({ qualityRating: 'GREEN', messagingLimit: 'TIER_10K' });
+      await whatsappAccountHealthService.recordQualityUpdate(channel, { messagingLimit: 'TIER_1K', event: 'DOWNGRADE' });
+
+      const [, alerts] = whatsappAccountHealthService.notifyManagers.mock.calls[0];
+      expect(alerts).toEqual([expect.objectContaining({
+        type: 'LIMIT_CHANGED',
+        severity: 'warning',
+        message: 'Messaging limit lowered from TIER_10K to TIER_1K.',
+        previousMessagingLimit: 'TIER_10K',
+      })]);
+
+      mockPrevious(null);
+      const first = await whatsappAccountHealthService.recordQualityUpdate(channel, { qualityRating: 'GREEN', messagingLimit: 'TIER_1K' });
+      expect(first.alerts).toBe(0);
+    });
+
+    it('should keep the previous values for unknown ratings and limits', async () => {
+      mockPrevious({ qualityRating: 'GREEN', messagingLimit: 'TIER_1K' });
+
+      await whatsappAccountHealthService.recordQualityUpdate(channel, { qualityRating: 'PURPLE', messagingLimit: 'TIER_9' });
+
+      expect(update.mock.calls[0][1].$set).toMatchObject({ qualityRating: 'GREEN', messagingLimit: 'TIER_1K' });
+    });
+  });
+
+  describe('notifyManagers', () => {
+    it('should notify and email every owner and manager for each alert', async () => {
+      jest.spyOn(Brand, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ name: 'Acme' }) });
+      const find = jest.spyOn(Membership, 'find').mockReturnValue({
+        populate: jest.fn().mockResolvedValue([
+          { user: { _id: 'user-1', name: 'Ana', email: 'ana@acme.test' } },
+          { user: { _id: 'user-2', name: 'Bo' } },
+          { user: null },
+        ]),
+      });
+
+      await whatsappAccountHealthService.notifyManagers(channel, [
+        { _id: 'alert-1', severity: 'critical', message: 'Quality rating dropped to RED.', qualityRating: 'RED', pausedCampaigns: 1 },
+      ]);
+
+      expect(find.mock.calls[0][0]).toEqual({ brand: 'brand-1', role: { $in: ['owner', 'manager'] }, status: 'active' });
+      expect(notificationService.notifyWhatsAppQualityAlert).toHaveBeenCalledTimes(2);
+      expect(notificationService.notifyWhatsAppQualityAlert).toHaveBeenCalledWith('user-1', 'brand-1', {
+        channelId: 'channel-1',
+        alertId: 'alert-1',
+        severity: 'critical',
+        message: 'Support: Quality rating dropped to RED.',
+      });
+      expect(emailService.sendWhatsAppQualityAlertEmail).toHaveBeenCalledTimes(1);
+      expect(emailService.sendWhatsAppQualityAlertEmail.mock.calls[0][2]).toMatchObject({ brandName: 'Acme', pausedCampaigns: 1 });
+    });
+  });
+
+  describe('access and history', () => {
+    it('should reject channels that are not WhatsApp numbers', async () => {
+      jest.spyOn(Channel, 'findOne').mockResolvedValue(null);
+
+      await expect(whatsappAccountHealthService.getHealth('user-1', 'channel-1')).rejects.toThrow('WhatsApp channel not found');
+    });
+
+    it('should reject members without the permission', async () => {
+      jest.spyOn(Channel, 'findOne').mockResolvedValue(channel);
+      jest.spyOn(Membership, 'findOne').mockResolvedValue({ hasPermission: () => false });
+
+      await expect(whatsappAccountHealthService.acknowledgeAlert('user-1', 'channel-1', 'alert-1'))
+        .rejects.toThrow('Permission denied');
+    });
+
+    it('should reject an invalid date range', async () => {
+      jest.spyOn(whatsappAccountHealthService, 'getChannelForUser').mockResolvedValue(channel);
+
+      await expect(whatsappAccountHealthService.getHealth('user-1', 'channel-1', { from: 'yesterday' }))
+        .rejects.toThrow('Invalid date range');
+    });
+
+    it('should return history newest first and hide acknowledged alerts', async () => {
+      jest.spyOn(whatsappAccountHealthService, 'getChannelForUser').mockResolvedValue(channel);
+      jest.spyOn(WhatsAppAccountHealth, 'findOne').mockReturnValue({
+        populate: jest.fn().mockResolvedValue({
+          qualityRating: 'YELLOW',
+          history: [
+            { qualityRating: 'GREEN', timestamp: new Date('2026-03-01T00:00:00Z') },
+            { qualityRating: 'YELLOW', timestamp: new Date('2026-03-05T00:00:00Z') },
+          ],
+          alerts: [{ _id: 'alert-1', acknowledged: true }, { _id: 'alert-2', acknowledged: false }],
+        }),
+      });
+
+      const health = await whatsappAccountHealthService.getHealth('user-1', 'channel-1', { from: '2026-02-01', limit: 5 });
+
+      expect(health.history.map(entry => entry.qualityRating)).toEqual(['YELLOW', 'GREEN']);
+      expect(health.alerts.map(alert => alert._id)).toEqual(['alert-2']);
+      expect(health.messagingLimit).toBe('TIER_NOT_SET');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../services/emailService', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+
+const mongoose = require('mongoose');
+const Brand = require('../models/Brand');
+const WhatsAppAutoReplyLog = require('../models/WhatsAppAutoReplyLog');
+const WhatsAppAutoReplyRule = require('../models/WhatsAppAutoReplyRule');
+const WhatsAppConversation = require('../models/WhatsAppConversation');
+const whatsappAutoReplyService = require('../services/whatsappAutoReplyService');
+
+const brandId = new mongoose.Types.ObjectId();
+
+const createRule = (trigger, steps = [{ key: 'start', message: { text: 'Hi!' } }], fields = {}) => new WhatsAppAutoReplyRule({
+  brand: brandId,
+  createdBy: new mongoose.Types.ObjectId(),
+  name: 'Rule',
+  trigger,
+  steps,
+  ...fields,
+});
+
+const mockRules = (rules) => {
+  jest.spyOn(WhatsAppAutoReplyRule, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue(rules) });
+};
+
+describe('WhatsApp auto-replies', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('matchesTrigger', () => {
+    it('should match exact keywords ignoring case and surrounding spaces', () => {
+      const rule = createRule({ type: 'keyword', keywords: ['Price'] });
+
+      expect(whatsappAutoReplyService.matchesTrigger(rule, '  PRICE ')).toBe(true);
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'what is the price')).toBe(false);
+      expect(whatsappAutoReplyService.matchesTrigger(rule, '')).toBe(false);
+    });
+
+    it('should match keywords anywhere in the message with contains', () => {
+      const rule = createRule({ type: 'keyword', keywords: ['price'], matchType: 'contains' });
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'What is the PRICE?')).toBe(true);
+    });
+
+    it('should respect case-sensitive keywords', () => {
+      const rule = createRule({ type: 'keyword', keywords: ['SALE'], caseSensitive: true });
+
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'SALE')).toBe(true);
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'sale')).toBe(false);
+    });
+
+    it('should match regex patterns and treat invalid ones as no match', () => {
+      const rule = createRule({ type: 'regex', pattern: '^order\\s*#?\\d+$' });
+
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'Order #1234')).toBe(true);
+      expect(whatsappAutoReplyService.matchesTrigger(rule, 'my order')).toBe(false);
+
+      rule.trigger.pattern = '(';
+      expect(whatsappAutoReplyService.matchesTrigger(rule, '(')).toBe(false);
+    });
+  });
+
+  describe('isWithinBusinessHours', () => {
+    const hours = [{ weekday: 3, start: '09:00', end: '17:00' }];
+
+    it('should check the range in the brand timezone', () => {
+      // Wednesday 15:30 UTC is 16:30 in Berlin and 10:30 in New York
+      const now = new Date('2026-03-04T15:30:00Z');
+
+      expect(whatsappAutoReplyService.isWithinBusinessHours(hours, 'Europe/Berlin', now)).toBe(true);
+      expect(whatsappAutoReplyService.isWithinBusinessHours(hours, 'Asia/Tokyo', now)).toBe(false);
+    });
+
+    it('should treat the end of a range as closed', () => {
+      expect(whatsappAutoReplyService.isWithinBusinessHours(hours, 'UTC', new Date('2026-03-04T17:00:00Z'))).toBe(false);
+      expect(whatsappAutoReplyService.isWithinBusinessHours(hours, 'UTC', new Date('2026-03-04T09:00:00Z'))).toBe(true);
+    });
+
+    it('should be closed on days without a range', () => {
+      expect(whatsappAutoReplyService.isWithinBusinessHours(hours, 'UTC', new Date('2026-03-05T12:00:00Z'))).toBe(false);
+      expect(whatsappAutoReplyService.isWithinBusinessHours(undefined, 'UTC')).toBe(false);
+    });
+  });
+
+  describe('getReply', () => {
+    it('should prefer typed text and fall back to the button title', () => {
+      expect(whatsappAutoReplyService.getReply({ text: 'hi' })).toEqual({ text: 'hi', id: null });
+      expect(whatsappAutoReplyService.getReply({ reply: { id: 'yes', title: 'Yes' } })).toEqual({ text: 'Yes', id: 'yes' });
+    });
+  });
+
+  describe('applyRuleFields', () => {
+    const apply = (data) => whatsappAutoReplyService.applyRuleFields(createRule({ type: 'greeting' }), data);
+
+    it('should require keywords, a valid pattern and business hours', async () => {
+      await expect(apply({ trigger: { type: 'keyword', keywords: [' '] } }))
+        .rejects.toThrow('Invalid trigger: keyword rules need at least one keyword');
+      await expect(apply({ trigger: { type: 'regex', pattern: '[a-' } }))
+        .rejects.toThrow('Invalid trigger: pattern is not a valid regular expression');
+      await expect(apply({ trigger: { type: 'away', businessHours: [] } }))
+        .rejects.toThrow('Invalid trigger: away rules need business hours');
+      await expect(apply({ trigger: { type: 'away', businessHours: [{ weekday: 1, start: '18:00', end: '09:00' }] } }))
+        .rejects.toThrow('Invalid business hours: 18:00-09:00 (end must be after start)');
+    });
+
+    it('should reject duplicate keys, missing content and unknown next steps', async () => {
+      await expect(apply({ steps: [{ key: 'a', message: { text: 'x' } }, { key: 'a', message: { text: 'y' } }] }))
+        .rejects.toThrow('Invalid steps: step keys must be unique');
+      await expect(apply({ steps: [{ key: 'a', message: { type: 'image' } }] }))
+        .rejects.toThrow('Invalid step a: mediaUrl is required');
+      await expect(apply({ steps: [{ key: 'a', message: { text: 'x' }, branches: [{ match: ['1'], next: 'b' }] }] }))
+        .rejects.toThrow('Invalid step a: unknown next step b');
+    });
+
+    it('should accept a branching flow', async () => {
+      await expect(apply({
+        steps: [
+          { key: 'menu', message: { text: 'Reply 1 or 2' }, branches: [{ match: ['1'], next: 'one' }, { match: ['2'], next: 'two' }] },
+          { key: 'one', message: { text: 'One' } },
+          { key: 'two', message: { text: 'Two' }, next: 'one' },
+        ],
+      })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('handleInboundMessage', () => {
+    const channel = { _id: new mongoose.Types.ObjectId(), brand: brandId };
+    const contact = { _id: 'contact-1', hasOptedOut: () => false };
+    const conversation = { _id: 'conversation-1' };
+    const message = { messageId: 'wamid.in' };
+
+    beforeEach(() => {
+      jest.spyOn(whatsappAutoReplyService, 'isCooledDown').mockResolvedValue(true);
+      jest.spyOn(whatsappAutoReplyService, 'runSteps').mockImplementation(async ({ rule, trigger }) => ({ rule, trigger }));
+    });
+
+    const handle = (text, extra = {}) => whatsappAutoReplyService.handleInboundMessage({
+      channel, contact, conversation, message, reply: { text, id: null }, ...extra,
+    });
+
+    it('should run the first matching keyword rule by priority', async () => {
+      const first = createRule({ type: 'keyword', keywords: ['hours'] });
+      mockRules([createRule({ type: 'keyword', keywords: ['price'] }), first, createRule({ type: 'greeting' })]);
+
+      const result = await handle('Hours');
+
+      expect(result.rule).toBe(first);
+      expect(result.trigger).toBe('keyword');
+    });
+
+    it('should greet new contacts when no keyword matches', async () => {
+      const greeting = createRule({ type: 'greeting' });
+      mockRules([createRule({ type: 'keyword', keywords: ['price'] }), greeting]);
+
+      await expect(handle('hello')).resolves.toBeNull();
+      await expect(handle('hello', { isNewContact: true })).resolves.toMatchObject({ rule: greeting });
+    });
+
+    it('should send away messages only outside business hours', async () => {
+      const away = createRule({ type: 'away', businessHours: [{ weekday: 0, start: '00:00', end: '23:59' }] });
+      mockRules([away]);
+      jest.spyOn(Brand, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ settings: { timezone: 'UTC' } }) });
+      const open = jest.spyOn(whatsappAutoReplyService, 'isWithinBusinessHours').mockReturnValue(true);
+
+      await expect(handle('hello')).resolves.toBeNull();
+
+      open.mockReturnValue(false);
+      await expect(handle('hello')).resolves.toMatchObject({ rule: away, trigger: 'away' });
+      expect(open).toHaveBeenCalledWith(away.trigger.businessHours, 'UTC');
+    });
+
+    it('should not reply during the cooldown or to opted-out contacts', async () => {
+      mockRules([createRule({ type: 'keyword', keywords: ['hi'] })]);
+      whatsappAutoReplyService.isCooledDown.mockResolvedValue(false);
+
+      await expect(handle('hi')).resolves.toBeNull();
+      await expect(handle('hi', { contact: { hasOptedOut: () => true } })).resolves.toBeNull();
+      expect(whatsappAutoReplyService.runSteps).not.toHaveBeenCalled();
+    });
+
+    it('should never throw when a rule fails', async () => {
+      jest.spyOn(WhatsAppAutoReplyRule, 'find').mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      await expect(handle('hi')).resolves.toBeNull();
+    });
+  });
+
+  describe('continueFlow', () => {
+    const rule = createRule({ type: 'keyword', keywords: ['menu'] }, [
+      { key: 'menu', message: { text: 'Reply 1 or 2' }, branches: [{ match: ['1', 'Sales'], next: 'sales' }] },
+      { key: 'sales', message: { text: 'Sales' } },
+    ]);
+    const conversation = { _id: 'conversation-1', autoReplyFlow: { rule: rule._id, step: 'menu' } };
+
+    beforeEach(() => {
+      jest.spyOn(WhatsAppAutoReplyRule, 'findOne').mockResolvedValue(rule);
+      jest.spyOn(WhatsAppConversation, 'updateOne').mockResolvedValue({});
+      jest.spyOn(whatsappAutoReplyService, 'runSteps').mockImplementation(async ({ stepKey, trigger }) => ({ stepKey, trigger }));
+    });
+
+    it('should follow the branch matching the button ID or typed text', async () => {
+      await expect(whatsappAutoReplyService.continueFlow({ conversation, reply: { text: ' sales ', id: null } }))
+        .resolves.toEqual({ stepKey: 'sales', trigger: 'flow' });
+      await expect(whatsappAutoReplyService.continueFlow({ conversation, reply: { text: 'Option', id: '1' } }))
+        .resolves.toEqual({ stepKey: 'sales', trigger: 'flow' });
+    });
+
+    it('should end the flow on an unmatched reply', async () => {
+      await expect(whatsappAutoReplyService.continueFlow({ conversation, reply: { text: 'what?' } })).resolves.toBeNull();
+      expect(WhatsAppConversation.updateOne).toHaveBeenCalledWith({ _id: 'conversation-1' }, { $unset: { autoReplyFlow: 1 } });
+    });
+  });
+
+  describe('isCooledDown', () => {
+    it('should skip the lookup when the rule has no cooldown', async () => {
+      const exists = jest.spyOn(WhatsAppAutoReplyLog, 'exists');
+
+      await expect(whatsappAutoReplyService.isCooledDown({ cooldownMinutes: 0 }, { _id: 'contact-1' })).resolves.toBe(true);
+      expect(exists).not.toHaveBeenCalled();
+    });
+
+    it('should wait until no reply was sent within the cooldown', async () => {
+      jest.spyOn(WhatsAppAutoReplyLog, 'exists').mockResolvedValue({ _id: 'log-1' });
+
+      await expect(whatsappAutoReplyService.isCooledDown({ _id: 'rule-1', cooldownMinutes: 30 }, { _id: 'contact-1' }))
+        .resolves.toBe(false);
+    });
+  });
+});
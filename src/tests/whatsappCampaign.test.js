@@ -0,0 +1,234 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({
+  addCampaignJob: jest.fn(),
+}));
+
+const WhatsAppCampaign = require('../models/WhatsAppCampaign');
+const WhatsAppCampaignRecipient = require('../models/WhatsAppCampaignRecipient');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const WhatsAppAccountHealth = require('../models/WhatsAppAccountHealth');
+const Channel = require('../models/Channel');
+const ProviderFactory = require('../providers/ProviderFactory');
+const whatsappCampaignService = require('../services/whatsappCampaignService');
+const sendWhatsAppCampaignJob = require('../jobs/sendWhatsAppCampaignJob');
+
+const template = {
+  name: 'order_update',
+  language: 'en',
+  status: 'APPROVED',
+  components: [
+    { type: 'HEADER', text: 'Hi {{1}}' },
+    { type: 'BODY', text: 'Order {{2}} ships on {{1}}, order {{2}} again' },
+    { type: 'FOOTER', text: 'Reply STOP' },
+  ],
+};
+
+const variables = [
+  { component: 'BODY', position: 2, field: 'order' },
+  { component: 'HEADER', position: 1, field: 'name' },
+  { component: 'BODY', position: 1, field: 'shipDate', fallback: 'soon' },
+];
+
+describe('WhatsApp campaigns', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('template placeholders', () => {
+    it('should list the header and body positions once each', () => {
+      expect(whatsappCampaignService.getTemplatePlaceholders(template)).toEqual({ HEADER: [1], BODY: [1, 2] });
+      expect(whatsappCampaignService.getTemplatePlaceholders(null)).toEqual({});
+    });
+
+    it('should require a mapping for every placeholder', () => {
+      const campaign = { variables: [] };
+
+      expect(() => whatsappCampaignService.applyCampaignFields(campaign, { variables: variables.slice(1) }, template))
+        .toThrow('Invalid variables: no mapping for BODY {{2}}');
+      expect(() => whatsappCampaignService.applyCampaignFields(campaign, { variables }, template)).not.toThrow();
+    });
+
+    it('should refuse custom field names that are not plain keys', () => {
+      expect(() => whatsappCampaignService.applyCampaignFields(
+        { variables: [] },
+        { segment: { customFields: { '$where': 'x' } } },
+        null
+      )).toThrow('Invalid custom field name: $where');
+    });
+
+    it('should fill the components from the contact in position order', () => {
+      const contact = { name: 'Ada', customFields: new Map([['order', 'A-17']]) };
+
+      expect(whatsappCampaignService.buildComponents({ variables }, contact)).toEqual([
+        { type: 'header', parameters: [{ type: 'text', text: 'Ada' }] },
+        { type: 'body', parameters: [{ type: 'text', text: 'soon' }, { type: 'text', text: 'A-17' }] },
+      ]);
+    });
+
+    it('should fail a contact missing a value without fallback', () => {
+      expect(() => whatsappCampaignService.buildComponents({ variables }, { name: 'Ada', customFields: {} }))
+        .toThrow('Missing value for BODY {{2}} (order)');
+    });
+  });
+
+  describe('buildSegmentQuery', () => {
+    it('should exclude opted-out contacts and match tags, groups and custom fields', () => {
+      expect(whatsappCampaignService.buildSegmentQuery('brand-1', {
+        tags: ['vip'],
+        groups: [],
+        customFields: new Map([['city', 'Lisbon']]),
+      })).toEqual({
+        brand: 'brand-1',
+        optedOutAt: { $exists: false },
+        tags: { $in: ['vip'] },
+        'customFields.city': 'Lisbon',
+      });
+    });
+  });
+
+  describe('getSendingBudget', () => {
+    it('should count the messages of the last 24 hours against the tier', async () => {
+      jest.spyOn(WhatsAppAccountHealth, 'findOne').mockReturnValue({
+        select: jest.fn().mockResolvedValue({ messagingLimit: 'TIER_1K' }),
+      });
+      jest.spyOn(WhatsAppCampaignRecipient, 'countDocuments').mockResolvedValue(400);
+
+      await expect(whatsappCampaignService.getSendingBudget('channel-1'))
+        .resolves.toEqual({ limit: 1000, remaining: 600, resetAt: null });
+    });
+
+    it('should resume when the oldest message of a full window ages out', async () => {
+      const now = new Date('2026-01-02T12:00:00Z');
+      const oldest = new Date('2026-01-01T15:00:00Z');
+      jest.spyOn(WhatsAppAccountHealth, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      jest.spyOn(WhatsAppCampaignRecipient, 'countDocuments').mockResolvedValue(250);
+      jest.spyOn(WhatsAppCampaignRecipient, 'findOne').mockReturnValue({
+        sort: () => ({ select: jest.fn().mockResolvedValue({ sentAt: oldest }) }),
+      });
+
+      await expect(whatsappCampaignService.getSendingBudget('channel-1', now)).resolves.toEqual({
+        limit: 250,
+        remaining: 0,
+        resetAt: new Date('2026-01-02T15:00:00Z'),
+      });
+    });
+  });
+
+  describe('handleStatusUpdate', () => {
+    it('should advance a recipient and count the first delivery', async () => {
+      const update = jest.spyOn(WhatsAppCampaignRecipient, 'findOneAndUpdate')
+        .mockResolvedValue({ campaign: 'campaign-1', status: 'sent' });
+      const totals = jest.spyOn(WhatsAppCampaign, 'updateOne').mockResolvedValue({});
+
+      await expect(whatsappCampaignService.handleStatusUpdate({ messageId: 'wamid.1', status: 'read', timestamp: '1700000000' }))
+        .resolves.toBe('campaign-1');
+
+      expect(update.mock.calls[0][0]).toEqual({ messageId: 'wamid.1', status: { $in: ['pending', 'sent', 'delivered'] } });
+      expect(totals).toHaveBeenCalledWith({ _id: 'campaign-1' }, { $inc: { 'stats.delivered': 1, 'stats.read': 1 } });
+    });
+
+    it('should ignore sent statuses and recipients that already moved on', async () => {
+      const update = jest.spyOn(WhatsAppCampaignRecipient, 'findOneAndUpdate').mockResolvedValue(null);
+      const totals = jest.spyOn(WhatsAppCampaign, 'updateOne');
+
+      await expect(whatsappCampaignService.handleStatusUpdate({ messageId: 'wamid.1', status: 'sent' })).resolves.toBeNull();
+      await expect(whatsappCampaignService.handleStatusUpdate({ messageId: 'wamid.1', status: 'delivered' })).resolves.toBeNull();
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(totals).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('send job', () => {
+    const campaign = {
+      _id: 'campaign-1',
+      brand: 'brand-1',
+      channel: 'channel-1',
+      template: 'template-1',
+      status: 'sending',
+      variables: [{ component: 'BODY', position: 1, field: 'name' }],
+    };
+    let sendTemplate;
+    let calls;
+
+    beforeEach(() => {
+      calls = [];
+      sendTemplate = jest.fn(async () => {
+        calls.push('send');
+        return { messageId: 'wamid.1' };
+      });
+
+      jest.spyOn(WhatsAppCampaign, 'findById').mockImplementation(() => {
+        const result = Promise.resolve({ ...campaign });
+        result.select = jest.fn().mockResolvedValue({ status: 'completed' });
+        return result;
+      });
+      jest.spyOn(WhatsAppCampaign, 'updateOne').mockResolvedValue({});
+      jest.spyOn(Channel, 'findById').mockResolvedValue({
+        _id: 'channel-1',
+        connectionStatus: 'active',
+        providerData: { phoneNumberId: 'phone-1' },
+      });
+      jest.spyOn(WhatsAppTemplate, 'findById').mockResolvedValue(template);
+      jest.spyOn(WhatsAppAccountHealth, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+      jest.spyOn(whatsappCampaignService, 'getSendingBudget').mockResolvedValue({ remaining: 100 });
+      jest.spyOn(WhatsAppCampaignRecipient, 'find').mockReturnValue({
+        sort: () => ({ limit: jest.fn().mockResolvedValue([{ _id: 'recipient-1', contact: 'contact-1', phone: '+14155550100' }]) }),
+      });
+      jest.spyOn(WhatsAppContact, 'find').mockResolvedValue([
+        { _id: 'contact-1', name: 'Ada', hasOptedOut: () => false },
+      ]);
+      jest.spyOn(WhatsAppContact, 'updateOne').mockResolvedValue({});
+      jest.spyOn(WhatsAppCampaignRecipient, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(WhatsAppCampaignRecipient, 'updateOne').mockImplementation(async (filter, update) => {
+        calls.push(update.status);
+        return { modifiedCount: 1 };
+      });
+      jest.spyOn(WhatsAppMessage, 'create').mockImplementation(async () => {
+        calls.push('record');
+        return {};
+      });
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({ sendTemplate });
+    });
+
+    it('should claim the recipient, send, then store the message ID before anything else', async () => {
+      await expect(sendWhatsAppCampaignJob.process({ data: { campaignId: 'campaign-1' } }))
+        .resolves.toEqual({ sent: 1, failed: 0, completed: true });
+
+      expect(calls).toEqual(['sending', 'send', 'sent', 'record']);
+      expect(WhatsAppCampaignRecipient.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'recipient-1' },
+        { status: 'sent', messageId: 'wamid.1', sentAt: expect.any(Date) }
+      );
+    });
+
+    it('should skip a recipient another batch already claimed', async () => {
+      WhatsAppCampaignRecipient.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      await expect(sendWhatsAppCampaignJob.process({ data: { campaignId: 'campaign-1' } }))
+        .resolves.toEqual({ sent: 0, failed: 0, completed: true });
+      expect(sendTemplate).not.toHaveBeenCalled();
+    });
+
+    it('should return a throttled recipient to pending and stop the batch', async () => {
+      sendTemplate.mockRejectedValue(Object.assign(new Error('Rate limit hit'), { statusCode: 429 }));
+
+      await sendWhatsAppCampaignJob.process({ data: { campaignId: 'campaign-1' } });
+
+      expect(WhatsAppCampaignRecipient.updateOne).toHaveBeenLastCalledWith(
+        { _id: 'recipient-1', status: 'sending' },
+        { status: 'pending' }
+      );
+    });
+
+    it('should count a sent message even when recording it fails', async () => {
+      WhatsAppContact.updateOne.mockRejectedValue(new Error('Database unavailable'));
+
+      await expect(sendWhatsAppCampaignJob.process({ data: { campaignId: 'campaign-1' } }))
+        .resolves.toEqual({ sent: 1, failed: 0, completed: true });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const Brand = require('../models/Brand');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppConsentLog = require('../models/WhatsAppConsentLog');
+const ProviderFactory = require('../providers/ProviderFactory');
+const whatsappConsentService = require('../services/whatsappConsentService');
+
+const settings = { optOutReply: 'You have been unsubscribed', optInReply: 'Welcome back' };
+
+describe('WhatsApp consent', () => {
+  describe('matchKeyword', () => {
+    it('should match the default keywords in any case with trailing punctuation', () => {
+      expect(whatsappConsentService.matchKeyword(' stop! ')).toEqual({ action: 'opt_out', keyword: 'STOP' });
+      expect(whatsappConsentService.matchKeyword('Unsubscribe.')).toEqual({ action: 'opt_out', keyword: 'UNSUBSCRIBE' });
+      expect(whatsappConsentService.matchKeyword('start')).toEqual({ action: 'opt_in', keyword: 'START' });
+    });
+
+    it('should only match a message that is just the keyword', () => {
+      expect(whatsappConsentService.matchKeyword('please stop calling')).toBeNull();
+      expect(whatsappConsentService.matchKeyword('')).toBeNull();
+      expect(whatsappConsentService.matchKeyword(undefined)).toBeNull();
+    });
+
+    it('should use the brand keywords when configured', () => {
+      const brandSettings = { optOutKeywords: ['Baja'], optInKeywords: ['Alta'] };
+
+      expect(whatsappConsentService.matchKeyword('BAJA', brandSettings)).toEqual({ action: 'opt_out', keyword: 'BAJA' });
+      expect(whatsappConsentService.matchKeyword('alta', brandSettings)).toEqual({ action: 'opt_in', keyword: 'ALTA' });
+      expect(whatsappConsentService.matchKeyword('STOP', brandSettings)).toBeNull();
+    });
+  });
+
+  describe('setConsent', () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(WhatsAppConsentLog, 'create').mockResolvedValue({});
+    });
+
+    it('should refuse unknown actions', async () => {
+      await expect(whatsappConsentService.setConsent({ _id: 'contact-1' }, 'delete'))
+        .rejects.toThrow('Invalid consent action: delete');
+    });
+
+    it('should not log a manual change that changes nothing', async () => {
+      jest.spyOn(WhatsAppContact, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(whatsappConsentService.setConsent({ _id: 'contact-1' }, 'opt_out', { source: 'manual' }))
+        .resolves.toBe(false);
+      expect(WhatsAppConsentLog.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('handleKeywordMessage', () => {
+    let contact;
+    let sendTextMessage;
+
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      contact = { _id: 'contact-1', brand: 'brand-1', phone: '+14155550100' };
+      sendTextMessage = jest.fn().mockResolvedValue({});
+
+      jest.spyOn(Brand, 'findById').mockReturnValue({
+        select: jest.fn().mockResolvedValue({ settings: { whatsapp: settings } }),
+      });
+      jest.spyOn(WhatsAppConsentLog, 'exists').mockResolvedValue(null);
+      jest.spyOn(WhatsAppConsentLog, 'create').mockResolvedValue({});
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({ sendTextMessage });
+    });
+
+    it('should opt the contact out, log it and confirm', async () => {
+      const optedOutAt = new Date();
+      jest.spyOn(WhatsAppContact, 'findOneAndUpdate').mockResolvedValue({ optedIn: false, optedOutAt });
+
+      const result = await whatsappConsentService.handleKeywordMessage({
+        contact, channel: {}, text: 'STOP', messageId: 'wamid.1',
+      });
+
+      expect(result).toEqual({ action: 'opt_out', keyword: 'STOP', changed: true });
+      expect(contact.optedOutAt).toBe(optedOutAt);
+      expect(WhatsAppConsentLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'opt_out',
+        source: 'keyword',
+        messageId: 'wamid.1',
+        changed: true,
+      }));
+      expect(sendTextMessage).toHaveBeenCalledWith('+14155550100', 'You have been unsubscribed');
+    });
+
+    it('should log and confirm a repeated keyword that changes nothing', async () => {
+      jest.spyOn(WhatsAppContact, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const result = await whatsappConsentService.handleKeywordMessage({
+        contact, channel: {}, text: 'stop', messageId: 'wamid.2',
+      });
+
+      expect(result).toEqual({ action: 'opt_out', keyword: 'STOP', changed: false });
+      expect(WhatsAppConsentLog.create).toHaveBeenCalledWith(expect.objectContaining({
+        messageId: 'wamid.2',
+        changed: false,
+      }));
+      expect(sendTextMessage).toHaveBeenCalledTimes(1);
+    });
+
+    it('should neither log nor confirm a message it already handled', async () => {
+      WhatsAppConsentLog.exists.mockResolvedValue({ _id: 'log-1' });
+      const update = jest.spyOn(WhatsAppContact, 'findOneAndUpdate');
+
+      const result = await whatsappConsentService.handleKeywordMessage({
+        contact, channel: {}, text: 'STOP', messageId: 'wamid.1',
+      });
+
+      expect(result).toEqual({ action: 'opt_out', keyword: 'STOP', changed: false });
+      expect(update).not.toHaveBeenCalled();
+      expect(sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    it('should not confirm when a concurrent attempt logged the message first', async () => {
+      jest.spyOn(WhatsAppContact, 'findOneAndUpdate').mockResolvedValue(null);
+      WhatsAppConsentLog.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(whatsappConsentService.handleKeywordMessage({
+        contact, channel: {}, text: 'STOP', messageId: 'wamid.1',
+      })).resolves.toEqual({ action: 'opt_out', keyword: 'STOP', changed: false });
+      expect(sendTextMessage).not.toHaveBeenCalled();
+    });
+
+    it('should keep the consent change when the confirmation fails', async () => {
+      jest.spyOn(WhatsAppContact, 'findOneAndUpdate').mockResolvedValue({ optedIn: true });
+      sendTextMessage.mockRejectedValue(new Error('Network error'));
+
+      await expect(whatsappConsentService.handleKeywordMessage({
+        contact, channel: {}, text: 'START', messageId: 'wamid.3',
+      })).resolves.toEqual({ action: 'opt_in', keyword: 'START', changed: true });
+    });
+
+    it('should ignore messages that are not keywords', async () => {
+      await expect(whatsappConsentService.handleKeywordMessage({ contact, text: 'Hello' })).resolves.toBeNull();
+      expect(WhatsAppConsentLog.create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,188 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../services/notificationService', () => ({
+  notifyWhatsAppMessage: jest.fn(async () => {}),
+  notifyConversationAssigned: jest.fn(async () => {}),
+}));
+jest.mock('../services/emailService', () => ({}));
+
+const mongoose = require('mongoose');
+const Membership = require('../models/Membership');
+const WhatsAppConversation = require('../models/WhatsAppConversation');
+const WhatsAppContact = require('../models/WhatsAppContact');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const notificationService = require('../services/notificationService');
+const whatsappInboxService = require('../services/whatsappInboxService');
+
+const HOUR = 60 * 60 * 1000;
+const brandId = new mongoose.Types.ObjectId().toString();
+const userId = new mongoose.Types.ObjectId();
+
+const chain = (result) => {
+  const query = {};
+  ['select', 'populate', 'sort', 'skip', 'limit'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.then = (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+  return query;
+};
+
+describe('WhatsApp inbox', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    jest.spyOn(Membership, 'findOne').mockResolvedValue({ hasPermission: () => true });
+  });
+
+  describe('getConversations', () => {
+    beforeEach(() => {
+      jest.spyOn(WhatsAppConversation, 'find').mockReturnValue(chain([]));
+      jest.spyOn(WhatsAppConversation, 'countDocuments').mockResolvedValue(0);
+      jest.spyOn(whatsappInboxService, 'getInboxCounts').mockResolvedValue({});
+    });
+
+    it('should filter by status, channel and assignee', async () => {
+      const channelId = new mongoose.Types.ObjectId().toString();
+
+      const result = await whatsappInboxService.getConversations(userId, brandId, {
+        status: 'open',
+        channelId,
+        assignedTo: 'me',
+        limit: 500,
+      });
+
+      expect(WhatsAppConversation.find).toHaveBeenCalledWith({
+        brand: brandId,
+        status: 'open',
+        channel: channelId,
+        assignedTo: userId,
+      });
+      expect(result.pagination).toEqual({ page: 1, limit: 100, total: 0, pages: 0 });
+    });
+
+    it('should list unassigned conversations', async () => {
+      await whatsappInboxService.getConversations(userId, brandId, { assignedTo: 'unassigned' });
+
+      expect(WhatsAppConversation.find).toHaveBeenCalledWith({ brand: brandId, assignedTo: null });
+    });
+
+    it('should reject malformed filters before querying', async () => {
+      const cases = [
+        [{ channelId: 'abc' }, 'Invalid channel ID'],
+        [{ assignedTo: 'someone' }, 'Invalid assignee: must be a user ID, "me" or "unassigned"'],
+        [{ status: 'archived' }, 'Invalid status: must be one of open, pending, closed'],
+        [{ status: ['open', 'closed'] }, 'Invalid status: must be one of open, pending, closed'],
+      ];
+
+      for (const [filters, message] of cases) {
+        await expect(whatsappInboxService.getConversations(userId, brandId, filters)).rejects.toThrow(message);
+      }
+      await expect(whatsappInboxService.getConversations(userId, 'brand-1')).rejects.toThrow('Invalid brand ID');
+      expect(Membership.findOne).not.toHaveBeenCalled();
+      expect(WhatsAppConversation.find).not.toHaveBeenCalled();
+    });
+
+    it('should require brand membership', async () => {
+      Membership.findOne.mockResolvedValue(null);
+
+      await expect(whatsappInboxService.getConversations(userId, brandId)).rejects.toThrow('Permission denied');
+    });
+  });
+
+  describe('sendReply', () => {
+    const conversation = (lastInboundAt) => new WhatsAppConversation({
+      brand: brandId,
+      channel: new mongoose.Types.ObjectId(),
+      contact: new mongoose.Types.ObjectId(),
+      phone: '+14155550100',
+      lastInboundAt,
+    });
+
+    it('should refuse free-form text outside the customer service window', async () => {
+      jest.spyOn(WhatsAppConversation, 'findById').mockResolvedValue(conversation(new Date(Date.now() - 25 * HOUR)));
+      jest.spyOn(WhatsAppContact, 'findById').mockResolvedValue({ hasOptedOut: () => false });
+
+      await expect(whatsappInboxService.sendReply(userId, 'conversation-1', { text: 'Hi' }))
+        .rejects.toThrow(/^Customer service window closed/);
+    });
+
+    it('should refuse opted-out contacts and empty replies', async () => {
+      jest.spyOn(WhatsAppConversation, 'findById').mockResolvedValue(conversation(new Date()));
+      jest.spyOn(WhatsAppContact, 'findById').mockResolvedValue({ hasOptedOut: () => true });
+
+      await expect(whatsappInboxService.sendReply(userId, 'conversation-1', {}))
+        .rejects.toThrow('Invalid message: text or templateName is required');
+      await expect(whatsappInboxService.sendReply(userId, 'conversation-1', { text: 'Hi' }))
+        .rejects.toThrow('Invalid recipient: contact has opted out of WhatsApp messages');
+    });
+
+    it('should check the window against the last inbound message', () => {
+      const now = new Date();
+
+      expect(conversation(new Date(now - 23 * HOUR)).isWindowOpen(now)).toBe(true);
+      expect(conversation(new Date(now - 24 * HOUR)).isWindowOpen(now)).toBe(false);
+      expect(conversation(undefined).isWindowOpen(now)).toBe(false);
+    });
+  });
+
+  describe('recordInbound', () => {
+    const channel = { _id: 'channel-1', brand: brandId };
+    const contact = { _id: 'contact-1', phone: '+14155550100', name: 'Ada' };
+    const message = { _id: 'message-1', type: 'text', content: { text: 'Hello' }, timestamp: new Date() };
+
+    beforeEach(() => {
+      jest.spyOn(WhatsAppConversation, 'findOneAndUpdate').mockResolvedValue({ _id: 'conversation-1' });
+    });
+
+    it('should count a newly linked message as unread and notify the assignee once per streak', async () => {
+      jest.spyOn(WhatsAppMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      jest.spyOn(WhatsAppConversation, 'findByIdAndUpdate').mockResolvedValue({
+        _id: 'conversation-1',
+        brand: brandId,
+        assignedTo: userId,
+        unreadCount: 1,
+        lastMessagePreview: 'Hello',
+      });
+
+      await whatsappInboxService.recordInbound(channel, contact, message);
+
+      expect(WhatsAppConversation.findByIdAndUpdate).toHaveBeenCalledWith(
+        'conversation-1',
+        { $inc: { unreadCount: 1 } },
+        { new: true }
+      );
+      expect(notificationService.notifyWhatsAppMessage).toHaveBeenCalledWith(userId, brandId, {
+        conversationId: 'conversation-1',
+        contactName: 'Ada',
+        preview: 'Hello',
+      });
+    });
+
+    it('should not count a message again on a webhook retry', async () => {
+      jest.spyOn(WhatsAppMessage, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+      const increment = jest.spyOn(WhatsAppConversation, 'findByIdAndUpdate');
+
+      await expect(whatsappInboxService.recordInbound(channel, contact, message))
+        .resolves.toEqual({ _id: 'conversation-1' });
+      expect(increment).not.toHaveBeenCalled();
+      expect(notificationService.notifyWhatsAppMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getPreview', () => {
+    it('should show text, captions or the message type', () => {
+      expect(whatsappInboxService.getPreview({ type: 'text', content: { text: 'Hello' } })).toBe('Hello');
+      expect(whatsappInboxService.getPreview({ type: 'image', content: { image: { caption: 'Receipt' } } })).toBe('Receipt');
+      expect(whatsappInboxService.getPreview({ type: 'audio', content: {} })).toBe('[audio]');
+      expect(whatsappInboxService.getPreview({ type: 'template', content: { template: { name: 'welcome' } } }))
+        .toBe('[template: welcome]');
+    });
+
+    it('should shorten long messages', () => {
+      const preview = whatsappInboxService.getPreview({ type: 'text', content: { text: 'x'.repeat(200) } });
+
+      expect(preview).toHaveLength(120);
+      expect(preview.endsWith('…')).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { LIMITS, buildInteractive, parseInteractiveReply } = require('../utils/whatsappInteractive');
+
+const buttons = (count) => Array.from({ length: count }, (_, i) => ({ id: `btn_${i}`, title: `Option ${i}` }));
+
+describe('WhatsApp interactive messages', () => {
+  describe('buildInteractive', () => {
+    it('should build reply buttons', () => {
+      const interactive = buildInteractive('buttons', {
+        header: { type: 'image', link: 'https://cdn.example.com/a.jpg' },
+        body: 'Pick one',
+        footer: 'Reply below',
+        buttons: buttons(2),
+      });
+
+      expect(interactive).toEqual({
+        type: 'button',
+        header: { type: 'image', image: { link: 'https://cdn.example.com/a.jpg' } },
+        body: { text: 'Pick one' },
+        footer: { text: 'Reply below' },
+        action: {
+          buttons: [
+            { type: 'reply', reply: { id: 'btn_0', title: 'Option 0' } },
+            { type: 'reply', reply: { id: 'btn_1', title: 'Option 1' } },
+          ],
+        },
+      });
+    });
+
+    it('should enforce the button limits', () => {
+      expect(() => buildInteractive('buttons', { body: 'Pick', buttons: [] }))
+        .toThrow(`between 1 and ${LIMITS.buttons} buttons are required`);
+      expect(() => buildInteractive('buttons', { body: 'Pick', buttons: buttons(LIMITS.buttons + 1) }))
+        .toThrow(`between 1 and ${LIMITS.buttons} buttons are required`);
+      expect(() => buildInteractive('buttons', { body: 'Pick', buttons: [{ id: 'a', title: 'x'.repeat(21) }] }))
+        .toThrow('Invalid interactive message: buttons[0].title exceeds 20 characters');
+      expect(() => buildInteractive('buttons', { body: 'Pick', buttons: [{ id: 'a', title: 'Yes' }, { id: 'a', title: 'No' }] }))
+        .toThrow('Invalid interactive message: button ids must be unique');
+      expect(() => buildInteractive('buttons', { body: 'Pick', buttons: [{ id: 'a', title: 'Yes' }, { id: 'b', title: 'Yes' }] }))
+        .toThrow('Invalid interactive message: button titles must be unique');
+    });
+
+    it('should require a body', () => {
+      expect(() => buildInteractive('buttons', { body: '  ', buttons: buttons(1) }))
+        .toThrow('Invalid interactive message: body is required');
+    });
+
+    it('should build a list and drop empty optional fields', () => {
+      const interactive = buildInteractive('list', {
+        body: 'Our menu',
+        footer: '',
+        buttonText: 'View',
+        sections: [{ rows: [{ id: 'r1', title: 'Coffee', description: 'Hot' }, { id: 'r2', title: 'Tea' }] }],
+      });
+
+      expect(interactive).toEqual({
+        type: 'list',
+        body: { text: 'Our menu' },
+        action: {
+          button: 'View',
+          sections: [{ rows: [{ id: 'r1', title: 'Coffee', description: 'Hot' }, { id: 'r2', title: 'Tea' }] }],
+        },
+      });
+    });
+
+    it('should enforce the list limits', () => {
+      const rows = (prefix, count) => Array.from({ length: count }, (_, i) => ({ id: `${prefix}${i}`, title: `Row ${i}` }));
+
+      expect(() => buildInteractive('list', {
+        body: 'Menu',
+        buttonText: 'View',
+        sections: [{ rows: rows('a', 1) }, { title: 'Drinks', rows: rows('b', 1) }],
+      })).toThrow('Invalid interactive message: sections[0].title is required');
+
+      expect(() => buildInteractive('list', {
+        body: 'Menu',
+        buttonText: 'View',
+        sections: [{ title: 'Food', rows: rows('a', 6) }, { title: 'Drinks', rows: rows('b', 5) }],
+      })).toThrow(`Invalid interactive message: at most ${LIMITS.rows} rows in total`);
+
+      expect(() => buildInteractive('list', {
+        body: 'Menu',
+        buttonText: 'View',
+        sections: [{ title: 'Food', rows: rows('a', 1) }, { title: 'Drinks', rows: rows('a', 1) }],
+      })).toThrow('Invalid interactive message: row ids must be unique');
+
+      expect(() => buildInteractive('list', {
+        header: { type: 'image', link: 'https://cdn.example.com/a.jpg' },
+        body: 'Menu',
+        buttonText: 'View',
+        sections: [{ rows: rows('a', 1) }],
+      })).toThrow('Invalid interactive message: header.type must be one of text');
+    });
+
+    it('should build a CTA URL button with an http(s) URL only', () => {
+      expect(buildInteractive('cta-url', { body: 'Read more', displayText: 'Open', url: 'https://example.com/post' }))
+        .toEqual({
+          type: 'cta_url',
+          body: { text: 'Read more' },
+          action: { name: 'cta_url', parameters: { display_text: 'Open', url: 'https://example.com/post' } },
+        });
+
+      expect(() => buildInteractive('cta-url', { body: 'Read more', displayText: 'Open', url: 'javascript:alert(1)' }))
+        .toThrow('Invalid interactive message: url must be an http(s) URL');
+    });
+
+    it('should reject an unknown kind', () => {
+      expect(() => buildInteractive('carousel', {}))
+        .toThrow('Invalid interactive message type: carousel (use buttons, list, cta-url)');
+    });
+  });
+
+  describe('parseInteractiveReply', () => {
+    it('should parse button and list replies', () => {
+      expect(parseInteractiveReply({
+        interactive: { type: 'button_reply', button_reply: { id: 'btn_0', title: 'Yes' } },
+      })).toEqual({ type: 'button_reply', id: 'btn_0', title: 'Yes' });
+
+      expect(parseInteractiveReply({
+        interactive: { type: 'list_reply', list_reply: { id: 'r1', title: 'Coffee', description: 'Hot' } },
+      })).toEqual({ type: 'list_reply', id: 'r1', title: 'Coffee', description: 'Hot' });
+    });
+
+    it('should parse template quick-reply buttons', () => {
+      expect(parseInteractiveReply({ button: { payload: 'STOP', text: 'Unsubscribe' } }))
+        .toEqual({ type: 'button', id: 'STOP', title: 'Unsubscribe' });
+    });
+
+    it('should return null for other messages', () => {
+      expect(parseInteractiveReply({ text: { body: 'Hello' } })).toBeNull();
+      expect(parseInteractiveReply()).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,211 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const Media = require('../models/Media');
+const Channel = require('../models/Channel');
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const ProviderFactory = require('../providers/ProviderFactory');
+const WhatsAppProvider = require('../providers/whatsappProvider');
+const storageService = require('../services/storageService');
+const mediaService = require('../services/mediaService');
+const storageQuotaService = require('../services/storageQuotaService');
+const whatsappMediaService = require('../services/whatsappMediaService');
+
+const message = (type, content) => ({
+  _id: 'message-1',
+  messageId: 'wamid.1',
+  channel: 'channel-1',
+  type,
+  content: { [type]: content },
+});
+
+describe('WhatsApp inbound media', () => {
+  let downloadMedia;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    downloadMedia = jest.fn().mockResolvedValue({ size: 3 * 1024 * 1024 });
+
+    jest.spyOn(WhatsAppMessage, 'findById').mockResolvedValue(
+      message('document', { id: 'media-1', mime_type: 'application/pdf', filename: 'invoice.pdf' })
+    );
+    jest.spyOn(WhatsAppMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Channel, 'findById').mockResolvedValue({ _id: 'channel-1', brand: 'brand-1', connectedBy: 'user-1' });
+    jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({ downloadMedia });
+    jest.spyOn(mediaService, 'computeContentHash').mockResolvedValue('hash-1');
+    jest.spyOn(Media, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    jest.spyOn(storageQuotaService, 'assertCanStore').mockResolvedValue({});
+    jest.spyOn(storageQuotaService, 'checkWarningThresholds').mockResolvedValue();
+    jest.spyOn(storageService, 'uploadFile').mockResolvedValue({});
+    jest.spyOn(whatsappMediaService, 'ensureFolder').mockResolvedValue();
+  });
+
+  it('should record unsupported media types without downloading them', async () => {
+    WhatsAppMessage.findById.mockResolvedValue(message('image', { id: 'media-1', mime_type: 'image/gif' }));
+
+    const result = await whatsappMediaService.persistInboundMedia('message-1');
+
+    expect(result).toEqual({ skipped: true, reason: 'Unsupported image type: image/gif' });
+    expect(WhatsAppMessage.updateOne).toHaveBeenCalledWith({ _id: 'message-1' }, { mediaError: result.reason });
+    expect(downloadMedia).not.toHaveBeenCalled();
+  });
+
+  it('should link a file the brand already stores without a quota check', async () => {
+    Media.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue({ _id: 'media-1' }) });
+
+    await expect(whatsappMediaService.persistInboundMedia('message-1'))
+      .resolves.toEqual({ mediaId: 'media-1', duplicate: true });
+    expect(storageQuotaService.assertCanStore).not.toHaveBeenCalled();
+  });
+
+  it('should record media over the storage quota instead of storing it', async () => {
+    const quotaError = storageQuotaService.quotaError('Storage quota exceeded: this brand uses 1.0 GB of 1.0 GB', {});
+    storageQuotaService.assertCanStore.mockRejectedValue(quotaError);
+
+    const result = await whatsappMediaService.persistInboundMedia('message-1');
+
+    expect(storageQuotaService.assertCanStore).toHaveBeenCalledWith('brand-1', [{
+      size: 3 * 1024 * 1024,
+      originalname: 'invoice.pdf',
+      contentHash: 'hash-1',
+    }]);
+    expect(result).toEqual({ skipped: true, reason: quotaError.message });
+    expect(WhatsAppMessage.updateOne).toHaveBeenCalledWith({ _id: 'message-1' }, { mediaError: quotaError.message });
+    expect(storageService.uploadFile).not.toHaveBeenCalled();
+  });
+
+  it('should retry when the quota cannot be checked', async () => {
+    storageQuotaService.assertCanStore.mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(whatsappMediaService.persistInboundMedia('message-1')).rejects.toThrow('Database unavailable');
+    expect(WhatsAppMessage.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should check the warning thresholds after storing a new file', async () => {
+    jest.spyOn(mediaService, 'extractMetadata').mockResolvedValue({});
+    jest.spyOn(mediaService, 'createUniqueMedia').mockResolvedValue({ _id: 'media-2' });
+
+    await expect(whatsappMediaService.persistInboundMedia('message-1'))
+      .resolves.toEqual({ mediaId: 'media-2', duplicate: false });
+    expect(storageQuotaService.checkWarningThresholds).toHaveBeenCalledWith('brand-1');
+  });
+
+  describe('media limits', () => {
+    it('should only copy image, video, audio and document messages', () => {
+      expect(['image', 'video', 'audio', 'document'].every(type => whatsappMediaService.hasInboundMedia(type))).toBe(true);
+      expect(whatsappMediaService.hasInboundMedia('sticker')).toBe(false);
+      expect(whatsappMediaService.hasInboundMedia('text')).toBe(false);
+    });
+
+    it('should skip messages already linked, rejected or without media', async () => {
+      WhatsAppMessage.findById.mockResolvedValueOnce({ ...message('image', {}), media: 'media-1' });
+      await expect(whatsappMediaService.persistInboundMedia('message-1')).resolves.toEqual({ skipped: true });
+
+      WhatsAppMessage.findById.mockResolvedValueOnce({ ...message('image', {}), mediaError: 'Too large' });
+      await expect(whatsappMediaService.persistInboundMedia('message-1')).resolves.toEqual({ skipped: true });
+
+      WhatsAppMessage.findById.mockResolvedValueOnce(null);
+      await expect(whatsappMediaService.persistInboundMedia('message-1')).resolves.toEqual({ skipped: true });
+
+      expect(WhatsAppMessage.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should record a message without a media ID', async () => {
+      WhatsAppMessage.findById.mockResolvedValue(message('image', { mime_type: 'image/png' }));
+
+      await expect(whatsappMediaService.persistInboundMedia('message-1'))
+        .resolves.toEqual({ skipped: true, reason: 'No media ID in the message' });
+    });
+
+    it('should pass the type limit to the download and record oversized files', async () => {
+      downloadMedia.mockRejectedValue(Object.assign(new Error('Media too large: 6000000 bytes (limit 5242880)'), {
+        code: 'MEDIA_TOO_LARGE',
+      }));
+      WhatsAppMessage.findById.mockResolvedValue(message('image', { id: 'media-1', mime_type: 'image/jpeg' }));
+
+      const result = await whatsappMediaService.persistInboundMedia('message-1');
+
+      expect(downloadMedia).toHaveBeenCalledWith('media-1', expect.stringMatching(/image-[0-9a-f]{32}\.jpg$/), 5 * 1024 * 1024);
+      expect(result).toEqual({ skipped: true, reason: 'Media too large: 6000000 bytes (limit 5242880)' });
+    });
+
+    it('should rethrow other download failures so the job is retried', async () => {
+      downloadMedia.mockRejectedValue(new Error('socket hang up'));
+
+      await expect(whatsappMediaService.persistInboundMedia('message-1')).rejects.toThrow('socket hang up');
+      expect(WhatsAppMessage.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should store the file in the WhatsApp folder with a fallback name', async () => {
+      WhatsAppMessage.findById.mockResolvedValue(message('audio', {
+        id: 'media-1',
+        mime_type: 'audio/ogg; codecs=opus',
+        caption: 'x'.repeat(600),
+      }));
+      jest.spyOn(mediaService, 'extractMetadata').mockResolvedValue({ duration: 3 });
+      const createUniqueMedia = jest.spyOn(mediaService, 'createUniqueMedia').mockResolvedValue({ _id: 'media-2' });
+
+      await whatsappMediaService.persistInboundMedia('message-1');
+
+      expect(createUniqueMedia).toHaveBeenCalledWith(expect.objectContaining({
+        brand: 'brand-1',
+        originalName: 'whatsapp-audio-wamid.1.ogg',
+        mimeType: 'audio/ogg',
+        type: 'audio',
+        source: 'whatsapp',
+        folder: 'WhatsApp',
+        tags: ['whatsapp'],
+        metadata: { duration: 3 },
+      }));
+      expect(createUniqueMedia.mock.calls[0][0].caption).toHaveLength(500);
+      expect(WhatsAppMessage.updateOne).toHaveBeenCalledWith({ _id: 'message-1' }, { media: 'media-2' });
+    });
+  });
+
+  describe('WhatsAppProvider.downloadMedia', () => {
+    const destination = path.join(os.tmpdir(), `whatsapp-media-${process.pid}.bin`);
+    let provider;
+
+    beforeEach(() => {
+      provider = new WhatsAppProvider({ providerData: {} });
+      jest.spyOn(provider, 'getAccessToken').mockReturnValue('token');
+    });
+
+    afterEach(async () => {
+      await fs.promises.unlink(destination).catch(() => {});
+    });
+
+    it('should refuse a file whose reported size is over the limit', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({ data: { url: 'https://cdn.test/m', file_size: 2048 } });
+
+      await expect(provider.downloadMedia('media-1', destination, 1024)).rejects.toMatchObject({ code: 'MEDIA_TOO_LARGE' });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop a download that grows past the limit and remove the partial file', async () => {
+      jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ data: { url: 'https://cdn.test/m', mime_type: 'image/png' } })
+        .mockResolvedValueOnce({ data: Readable.from([Buffer.alloc(600), Buffer.alloc(600)]) });
+
+      await expect(provider.downloadMedia('media-1', destination, 1024)).rejects.toMatchObject({ code: 'MEDIA_TOO_LARGE' });
+      expect(fs.existsSync(destination)).toBe(false);
+    });
+
+    it('should write the file and report its size', async () => {
+      jest.spyOn(axios, 'get')
+        .mockResolvedValueOnce({ data: { url: 'https://cdn.test/m', mime_type: 'image/png', sha256: 'abc' } })
+        .mockResolvedValueOnce({ data: Readable.from([Buffer.from('png-bytes')]) });
+
+      await expect(provider.downloadMedia('media-1', destination, 1024))
+        .resolves.toEqual({ mimeType: 'image/png', size: 9, sha256: 'abc' });
+      expect(fs.readFileSync(destination, 'utf8')).toBe('png-bytes');
+    });
+  });
+});
@@ -0,0 +1,221 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+const Channel = require('../models/Channel');
+const WhatsAppTemplate = require('../models/WhatsAppTemplate');
+const ProviderFactory = require('../providers/ProviderFactory');
+const whatsappTemplateService = require('../services/whatsappTemplateService');
+
+const validTemplate = () => ({
+  name: 'order_update',
+  language: 'en_US',
+  category: 'UTILITY',
+  components: [
+    { type: 'HEADER', format: 'TEXT', text: 'Order {{1}}', example: { header_text: ['#1234'] } },
+    { type: 'BODY', text: 'Hi {{1}}, your order ships on {{2}}.', example: { body_text: [['Ana', 'Monday']] } },
+    { type: 'FOOTER', text: 'Reply STOP to opt out' },
+    {
+      type: 'BUTTONS',
+      buttons: [
+        { type: 'URL', text: 'Track', url: 'https://shop.test/track/{{1}}', example: ['1234'] },
+        { type: 'QUICK_REPLY', text: 'Thanks' },
+      ],
+    },
+  ],
+});
+
+const errorsFor = (changes) => whatsappTemplateService.validateTemplate({ ...validTemplate(), ...changes }).errors;
+const withComponent = (type, component) => ({
+  components: validTemplate().components.map(c => (c.type === type ? component : c)),
+});
+
+describe('WhatsApp templates', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateTemplate', () => {
+    it('should accept a complete template', () => {
+      expect(errorsFor({})).toEqual([]);
+    });
+
+    it('should check name, language and category', () => {
+      expect(errorsFor({ name: 'Order Update', language: 'english', category: 'PROMO' })).toEqual([
+        'name must be lowercase letters, digits and underscores',
+        'language must be a locale code such as en or en_US',
+        'category must be one of MARKETING, UTILITY, AUTHENTICATION',
+      ]);
+    });
+
+    it('should require one BODY and reject unknown or repeated components', () => {
+      expect(errorsFor({ components: [{ type: 'FOOTER', text: 'x' }, { type: 'FOOTER', text: 'y' }, { type: 'STICKER' }] }))
+        .toEqual([
+          'unknown component type STICKER',
+          'only one FOOTER component is allowed',
+          'a BODY component is required',
+        ]);
+      expect(errorsFor({ components: 'BODY' })).toEqual(['components must be an array']);
+    });
+
+    it('should require placeholders numbered without gaps', () => {
+      expect(errorsFor(withComponent('BODY', { type: 'BODY', text: 'Hi {{1}}, see {{3}} now', example: { body_text: [['a', 'b']] } })))
+        .toEqual(['BODY variables must be numbered {{1}} to {{2}} without gaps']);
+    });
+
+    it('should require one non-empty example per placeholder', () => {
+      expect(errorsFor(withComponent('BODY', { type: 'BODY', text: 'Hi {{1}}, ships {{2}}.', example: { body_text: [['Ana']] } })))
+        .toEqual(['BODY needs 2 example value(s), one per variable']);
+      expect(errorsFor(withComponent('BODY', { type: 'BODY', text: 'Hi {{1}}, ships {{2}}.', example: { body_text: [['Ana', ' ']] } })))
+        .toEqual(['BODY needs 2 example value(s), one per variable']);
+    });
+
+    it('should count a repeated placeholder once', () => {
+      expect(errorsFor(withComponent('BODY', { type: 'BODY', text: 'Hi {{1}}, yes {{1}}!', example: { body_text: [['Ana']] } })))
+        .toEqual([]);
+    });
+
+    it('should not let the BODY start or end with a variable', () => {
+      expect(errorsFor(withComponent('BODY', { type: 'BODY', text: '{{1}} shipped', example: { body_text: [['Order']] } })))
+        .toEqual(['BODY can\'t start or end with a variable']);
+    });
+
+    it('should check header variables and media samples', () => {
+      expect(errorsFor(withComponent('HEADER', { type: 'HEADER', text: '{{1}} and {{2}}', example: { header_text: ['a', 'b'] } })))
+        .toEqual(['HEADER text allows one variable']);
+      expect(errorsFor(withComponent('HEADER', { type: 'HEADER', format: 'IMAGE' })))
+        .toEqual(['HEADER IMAGE needs a sample media handle (example.header_handle)']);
+      expect(errorsFor(withComponent('HEADER', { type: 'HEADER', format: 'LOCATION' }))).toEqual([]);
+    });
+
+    it('should reject variables and long text in the FOOTER', () => {
+      expect(errorsFor(withComponent('FOOTER', { type: 'FOOTER', text: 'Ref {{1}}' })))
+        .toEqual(['FOOTER can\'t contain variables']);
+      expect(errorsFor(withComponent('FOOTER', { type: 'FOOTER', text: 'x'.repeat(61) })))
+        .toEqual(['FOOTER text exceeds 60 characters']);
+    });
+
+    it('should check button counts and per-type fields', () => {
+      const buttons = (list) => errorsFor(withComponent('BUTTONS', { type: 'BUTTONS', buttons: list }));
+
+      expect(buttons([])).toEqual(['BUTTONS needs between 1 and 10 buttons']);
+      expect(buttons([
+        { type: 'PHONE_NUMBER', text: 'Call', phone_number: '+15551234567' },
+        { type: 'PHONE_NUMBER', text: 'Call', phone_number: '555-CALL' },
+      ])).toEqual([
+        'at most 1 PHONE_NUMBER button',
+        'button 2 needs a phone_number in international format',
+      ]);
+      expect(buttons([{ type: 'URL', text: 'Go', url: 'https://shop.test/{{1}}/track', example: ['1'] }]))
+        .toEqual(['button 1 url allows one {{1}} variable at the end']);
+      expect(buttons([{ type: 'URL', text: 'Go', url: 'ftp://shop.test' }])).toEqual(['button 1 needs an http(s) url']);
+      expect(buttons([{ type: 'COPY_CODE', example: 'CODE-TOO-LONG-FOR-IT' }]))
+        .toEqual(['button 1 needs an example code of up to 15 characters']);
+      expect(buttons([{ type: 'CALL', text: 'x' }]))
+        .toEqual(['button 1 type must be one of QUICK_REPLY, URL, PHONE_NUMBER, COPY_CODE, OTP']);
+    });
+  });
+
+  describe('previewTemplate', () => {
+    it('should render the message with the example values', () => {
+      expect(whatsappTemplateService.previewTemplate(validTemplate())).toEqual({
+        valid: true,
+        errors: [],
+        preview: {
+          header: { format: 'TEXT', text: 'Order #1234' },
+          body: 'Hi Ana, your order ships on Monday.',
+          footer: 'Reply STOP to opt out',
+          buttons: [
+            { type: 'URL', text: 'Track', url: 'https://shop.test/track/1234' },
+            { type: 'QUICK_REPLY', text: 'Thanks' },
+          ],
+        },
+      });
+    });
+
+    it('should return the errors without a preview for an invalid template', () => {
+      const result = whatsappTemplateService.previewTemplate({ ...validTemplate(), name: '' });
+
+      expect(result.valid).toBe(false);
+      expect(result.preview).toBeNull();
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should not submit an invalid template', async () => {
+      jest.spyOn(whatsappTemplateService, 'checkTemplateAccess').mockResolvedValue({});
+      jest.spyOn(Channel, 'findOne').mockResolvedValue({ _id: 'channel-1' });
+      const getProvider = jest.spyOn(ProviderFactory, 'getProvider');
+
+      await expect(whatsappTemplateService.createTemplate('user-1', { ...validTemplate(), category: 'PROMO', brandId: 'brand-1' }))
+        .rejects.toThrow('Invalid template: category must be one of MARKETING, UTILITY, AUTHENTICATION');
+      expect(getProvider).not.toHaveBeenCalled();
+    });
+
+    it('should reject channels that are not a WhatsApp number of the brand', async () => {
+      jest.spyOn(whatsappTemplateService, 'checkTemplateAccess').mockResolvedValue({});
+      jest.spyOn(Channel, 'findOne').mockResolvedValue(null);
+
+      await expect(whatsappTemplateService.createTemplate('user-1', { ...validTemplate(), brandId: 'brand-1' }))
+        .rejects.toThrow('Channel not found');
+    });
+  });
+
+  describe('syncChannelTemplates', () => {
+    const channel = { _id: 'channel-1', brand: 'brand-1', connectedBy: 'user-1' };
+
+    it('should upsert provider templates and mark missing ones deleted', async () => {
+      jest.spyOn(ProviderFactory, 'getProvider').mockReturnValue({
+        getTemplates: jest.fn().mockResolvedValue([
+          { id: '1', name: 'welcome', language: 'en', category: 'MARKETING', status: 'APPROVED' },
+          { id: '2', name: 'promo', language: 'en', category: 'MARKETING', status: 'REJECTED', rejected_reason: 'PROMOTIONAL' },
+          { id: '3', name: 'odd', language: 'en', category: 'MARKETING', status: 'LIMBO' },
+        ]),
+      });
+      const updateOne = jest.spyOn(WhatsAppTemplate, 'updateOne')
+        .mockResolvedValueOnce({ upsertedCount: 1, modifiedCount: 0 })
+        .mockResolvedValueOnce({ upsertedCount: 0, modifiedCount: 1 });
+      jest.spyOn(WhatsAppTemplate, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { _id: 'local-1', name: 'welcome', language: 'en' },
+          { _id: 'local-2', name: 'old', language: 'en' },
+        ]),
+      });
+      const updateMany = jest.spyOn(WhatsAppTemplate, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+      const result = await whatsappTemplateService.syncChannelTemplates(channel);
+
+      expect(result).toEqual({ added: 1, updated: 1, deleted: 1 });
+      expect(updateOne).toHaveBeenCalledTimes(2);
+      expect(updateOne.mock.calls[0][1].$unset).toEqual({ deletedAt: 1, rejectedReason: 1 });
+      expect(updateOne.mock.calls[1][1].$set.rejectedReason).toBe('PROMOTIONAL');
+      expect(updateMany.mock.calls[0][0]).toEqual({ _id: { $in: ['local-2'] } });
+    });
+  });
+
+  describe('handleStatusEvent', () => {
+    it('should update the template on every number of the business account', async () => {
+      jest.spyOn(Channel, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'channel-1' }, { _id: 'channel-2' }]) });
+      const updateMany = jest.spyOn(WhatsAppTemplate, 'updateMany').mockResolvedValue({ matchedCount: 2 });
+
+      const matched = await whatsappTemplateService.handleStatusEvent({
+        businessAccountId: 'waba-1',
+        message_template_id: 42,
+        message_template_name: 'promo',
+        message_template_language: 'en',
+        event: 'REJECTED',
+        reason: 'INCORRECT_CATEGORY',
+      });
+
+      expect(matched).toBe(2);
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter.channel).toEqual({ $in: ['channel-1', 'channel-2'] });
+      expect(update.$set).toEqual({ status: 'REJECTED', platformTemplateId: '42', rejectedReason: 'INCORRECT_CATEGORY' });
+    });
+
+    it('should ignore unknown events', async () => {
+      const updateMany = jest.spyOn(WhatsAppTemplate, 'updateMany');
+
+      await expect(whatsappTemplateService.handleStatusEvent({ event: 'ARCHIVED' })).resolves.toBe(0);
+      expect(updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+process.env.ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'a'.repeat(64);
+
+jest.mock('../queues/queueManager', () => ({}));
+jest.mock('../services/notificationService', () => ({}));
+jest.mock('../services/emailService', () => ({}));
+
+const WhatsAppMessage = require('../models/WhatsAppMessage');
+const whatsappCampaignService = require('../services/whatsappCampaignService');
+const whatsappWebhookService = require('../services/whatsappWebhookService');
+
+describe('WhatsApp webhook service', () => {
+  describe('handleMessageStatus', () => {
+    beforeEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(whatsappCampaignService, 'handleStatusUpdate').mockResolvedValue(null);
+      jest.spyOn(WhatsAppMessage, 'exists').mockResolvedValue({ _id: 'message-1' });
+    });
+
+    it('should only move a message forward', async () => {
+      const update = jest.spyOn(WhatsAppMessage, 'findOneAndUpdate').mockResolvedValue({ _id: 'message-1' });
+
+      await whatsappWebhookService.handleMessageStatus({ messageId: 'wamid.1', status: 'delivered', timestamp: '1700000000' });
+      await whatsappWebhookService.handleMessageStatus({ messageId: 'wamid.1', status: 'read', timestamp: '1700000001' });
+
+      expect(update.mock.calls[0][0]).toEqual({ messageId: 'wamid.1', status: { $in: ['sent'] } });
+      expect(update.mock.calls[0][1]).toEqual({ status: 'delivered', lastStatusUpdate: new Date(1700000000 * 1000) });
+      expect(update.mock.calls[1][0]).toEqual({ messageId: 'wamid.1', status: { $in: ['sent', 'delivered'] } });
+    });
+
+    it('should skip a status that arrives after a later one', async () => {
+      jest.spyOn(WhatsAppMessage, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(whatsappWebhookService.handleMessageStatus({
+        messageId: 'wamid.1',
+        status: 'delivered',
+        timestamp: '1700000000',
+      })).resolves.toBeUndefined();
+
+      expect(WhatsAppMessage.exists).toHaveBeenCalledWith({ messageId: 'wamid.1' });
+    });
+
+    it('should fail so the job retries when the message is not stored yet', async () => {
+      jest.spyOn(WhatsAppMessage, 'findOneAndUpdate').mockResolvedValue(null);
+      WhatsAppMessage.exists.mockResolvedValue(null);
+
+      await expect(whatsappWebhookService.handleMessageStatus({
+        messageId: 'wamid.2',
+        status: 'sent',
+        timestamp: '1700000000',
+      })).rejects.toThrow('Message not found for status update: wamid.2');
+      expect(whatsappCampaignService.handleStatusUpdate).toHaveBeenCalled();
+    });
+
+    it('should pass every status to campaign tracking', async () => {
+      jest.spyOn(WhatsAppMessage, 'findOneAndUpdate').mockResolvedValue({ _id: 'message-1' });
+      const errors = [{ code: 131026, title: 'Message undeliverable' }];
+
+      await whatsappWebhookService.handleMessageStatus({ messageId: 'wamid.1', status: 'failed', timestamp: '1700000000', errors });
+
+      expect(whatsappCampaignService.handleStatusUpdate).toHaveBeenCalledWith({
+        messageId: 'wamid.1',
+        status: 'failed',
+        timestamp: '1700000000',
+        errors,
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, embedded commas,
+ * quotes and line breaks, CRLF or LF line endings, optional UTF-8 BOM)
+ */
+
+/**
+ * Parse CSV text into rows of string cells (blank lines included as [''])
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Plain numbers and phone numbers are the only cells allowed to start with + or -
+const PLAIN_NUMBER = /^[+-]?\d[\d\s().-]*$/;
+
+/**
+ * Serialize one row; cells that spreadsheets would run as formulas are prefixed with '
+ */
+const toCsvRow = (values) => values.map((value) => {
+  let cell = value === undefined || value === null ? '' : String(value);
+
+  if (/^[=+\-@\t\r]/.test(cell) && !PLAIN_NUMBER.test(cell)) {
+    cell = `'${cell}`;
+  }
+
+  return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}).join(',');
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+};
@@ -0,0 +1,72 @@
+/**
+ * fluent-ffmpeg with bundled binaries (FFMPEG_PATH / FFPROBE_PATH override them)
+ * plus promise wrappers for probing and frame capture.
+ */
+
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegInstaller = require('@ffmpeg-installer/ffmpeg');
+const ffprobeInstaller = require('@ffprobe-installer/ffprobe');
+
+ffmpeg.setFfmpegPath(process.env.FFMPEG_PATH || ffmpegInstaller.path);
+ffmpeg.setFfprobePath(process.env.FFPROBE_PATH || ffprobeInstaller.path);
+
+// Kill ffmpeg runs that hang on a broken file
+const COMMAND_TIMEOUT_SECONDS = 120;
+
+/**
+ * Helper: last line of ffmpeg's stderr (the rest is the version banner)
+ */
+const toError = (error) => {
+  const lines = String(error.message).split('\n').map(line => line.trim()).filter(Boolean);
+  return new Error(lines[lines.length - 1] || 'ffmpeg failed');
+};
+
+/**
+ * ffprobe output ({ format, streams }) of a file
+ */
+const probe = (filePath) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(toError(error)) : resolve(data)));
+});
+
+/**
+ * Frames per second from an ffprobe rate such as "30000/1001" (null when unknown)
+ */
+const parseFrameRate = (rate) => {
+  const [num, den = 1] = String(rate || '').split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+};
+
+/**
+ * Run a prepared ffmpeg command to completion
+ */
+const run = (command) => new Promise((resolve, reject) => {
+  command
+    .on('end', () => resolve())
+    .on('error', error => reject(toError(error)))
+    .run();
+});
+
+/**
+ * Write the frame at `seconds` to a JPEG, scaled to `width` (rotation applied)
+ */
+const captureFrame = async (filePath, outputPath, { seconds = 0, width = 640 } = {}) => {
+  await run(
+    ffmpeg(filePath, { timeout: COMMAND_TIMEOUT_SECONDS })
+      .seekInput(seconds)
+      .frames(1)
+      .size(`${width}x?`)
+      .outputOptions(['-q:v 3'])
+      .output(outputPath)
+  );
+  return outputPath;
+};
+
+module.exports = {
+  ffmpeg,
+  COMMAND_TIMEOUT_SECONDS,
+  probe,
+  parseFrameRate,
+  run,
+  captureFrame,
+};
@@ -0,0 +1,68 @@
+const redisClient = require('../config/redis');
+const logger = require('./logger');
+
+// A claim blocks concurrent deliveries of the same event while it is being processed
+const PROCESSING_TTL_SECONDS = 5 * 60;
+// Meta keeps redelivering unacknowledged webhooks for up to 7 days
+const COMPLETED_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Claim an event for processing
+ * Returns false when the event is already being processed or was processed before.
+ * Fails open (returns true) when Redis is unavailable so events are never dropped.
+ */
+const claim = async (key, ttlSeconds = PROCESSING_TTL_SECONDS) => {
+  const cacheClient = redisClient.getCache();
+  if (!cacheClient?.isOpen) {
+    return true;
+  }
+
+  try {
+    const result = await cacheClient.set(`idempotency:${key}`, 'processing', {
+      NX: true,
+      EX: ttlSeconds,
+    });
+    return result === 'OK';
+  } catch (error) {
+    logger.warn('⚠️ Idempotency claim failed', { key, error: error.message });
+    return true;
+  }
+};
+
+/**
+ * Mark a claimed event as processed
+ */
+const complete = async (key, ttlSeconds = COMPLETED_TTL_SECONDS) => {
+  const cacheClient = redisClient.getCache();
+  if (!cacheClient?.isOpen) {
+    return;
+  }
+
+  try {
+    await cacheClient.setEx(`idempotency:${key}`, ttlSeconds, 'done');
+  } catch (error) {
+    logger.warn('⚠️ Idempotency complete failed', { key, error: error.message });
+  }
+};
+
+/**
+ * Release a claim after a failure so a retry can process the event again
+ */
+const release = async (key) => {
+  const cacheClient = redisClient.getCache();
+  if (!cacheClient?.isOpen) {
+    return;
+  }
+
+  try {
+    await cacheClient.del(`idempotency:${key}`);
+  } catch (error) {
+    logger.warn('⚠️ Idempotency release failed', { key, error: error.message });
+  }
+};
+
+module.exports = {
+  claim,
+  complete,
+  release,
+};
@@ -0,0 +1,170 @@
+/**
+ * Per-platform media renditions: output settings and the pure "what needs to change" plan
+ *
+ * Size, aspect ratio and codec limits come from postValidationService's platform limits,
+ * so a rendition fixes exactly what validation would flag. Bump RENDITION_VERSION when
+ * profiles change so cached renditions are rebuilt.
+ */
+
+const RENDITION_VERSION = 1;
+
+// Platforms without a profile (YouTube transcodes uploads itself) get the original
+const RENDITION_PROFILES = {
+  instagram: {
+    image: { maxDimension: 1440, formats: ['jpeg'] },
+    video: { maxDimension: 1920, maxFps: 60, maxBitrate: 8000000 },
+  },
+  twitter: {
+    image: { maxDimension: 4096, formats: ['jpeg', 'png', 'webp'] },
+    video: { maxDimension: 1920, maxFps: 60, maxBitrate: 8000000 },
+  },
+  facebook: {
+    image: { maxDimension: 2048, formats: ['jpeg', 'png'] },
+    video: { maxDimension: 1920, maxFps: 60, maxBitrate: 8000000 },
+  },
+  linkedin: {
+    image: { maxDimension: 4096, formats: ['jpeg', 'png'] },
+    video: { maxDimension: 1920, maxFps: 60, maxBitrate: 8000000 },
+  },
+};
+
+const VIDEO_CODECS = ['h264'];
+const VIDEO_MIME_TYPES = ['video/mp4', 'video/quicktime'];
+const AUDIO_BITRATE = 128000;
+const MIN_VIDEO_BITRATE = 250000;
+// Leave room for container overhead when sizing to a byte limit
+const SIZE_HEADROOM = 0.9;
+// Same tolerance as validation, so near-miss ratios are not cropped
+const RATIO_TOLERANCE = 0.01;
+
+const even = (value) => Math.max(2, Math.floor(value / 2) * 2);
+
+/**
+ * Rendition profile of a platform for a media type (null when the original is always used)
+ * Animated GIFs are never converted.
+ */
+const getRenditionProfile = (platform, type, mimeType) => {
+  if (mimeType === 'image/gif') return null;
+  return RENDITION_PROFILES[platform]?.[type] || null;
+};
+
+/**
+ * Helper: centered crop box that brings width/height inside the ratio range (null when it fits)
+ */
+const getCrop = (width, height, ratioLimits, roundTo = Math.round) => {
+  if (!ratioLimits) return null;
+
+  const ratio = width / height;
+  let box = null;
+  if (ratio > ratioLimits.max + RATIO_TOLERANCE) {
+    box = { width: roundTo(height * ratioLimits.max), height: roundTo(height) };
+  } else if (ratio < ratioLimits.min - RATIO_TOLERANCE) {
+    box = { width: roundTo(width), height: roundTo(width / ratioLimits.min) };
+  }
+
+  return box && {
+    ...box,
+    left: Math.floor((width - box.width) / 2),
+    top: Math.floor((height - box.height) / 2),
+  };
+};
+
+/**
+ * Helper: size scaled so the longest side fits maxDimension (null when it already does)
+ */
+const getResize = (width, height, maxDimension, roundTo = Math.round) => {
+  const longest = Math.max(width, height);
+  if (!maxDimension || longest <= maxDimension) return null;
+
+  const scale = maxDimension / longest;
+  return { width: roundTo(width * scale), height: roundTo(height * scale) };
+};
+
+/**
+ * What a platform needs changed in a media item, or null when the original can be published
+ *
+ * @param {Object} media - { type, mimeType, size, metadata: { width, height, duration, codec, fps } }
+ * @param {Object} limits - platform limits (aspectRatio, videoAspectRatio, imageMaxBytes, videoMaxBytes, videoCodecs)
+ * @param {Object} profile - rendition profile of the platform for the media type
+ */
+const planRendition = (media, limits = {}, profile) => {
+  const { width, height, duration, codec, fps } = media.metadata || {};
+  if (!profile || !width || !height) return null;
+
+  if (media.type === 'image') {
+    const format = String(media.mimeType || '').replace('image/', '').replace('jpg', 'jpeg');
+    const crop = getCrop(width, height, limits.aspectRatio);
+    const cropped = crop || { width, height };
+    const resize = getResize(cropped.width, cropped.height, profile.maxDimension);
+    const maxBytes = limits.imageMaxBytes;
+    const tooLarge = maxBytes && media.size > maxBytes;
+    // Lossless PNGs over the limit only shrink enough as JPEG
+    const convert = !profile.formats.includes(format) || (tooLarge && format === 'png');
+
+    if (!crop && !resize && !convert && !tooLarge) {
+      return null;
+    }
+
+    const output = resize || cropped;
+    return {
+      type: 'image',
+      crop,
+      width: output.width,
+      height: output.height,
+      format: convert ? 'jpeg' : format,
+      maxBytes,
+    };
+  }
+
+  if (media.type === 'video') {
+    const crop = getCrop(width, height, limits.videoAspectRatio || limits.aspectRatio, even);
+    const cropped = crop || { width, height };
+    const resize = getResize(cropped.width, cropped.height, profile.maxDimension, even);
+    const maxBytes = limits.videoMaxBytes;
+    const codecs = limits.videoCodecs || VIDEO_CODECS;
+    const reencode = (codec && !codecs.includes(codec)) || !VIDEO_MIME_TYPES.includes(media.mimeType);
+    const tooLarge = maxBytes && media.size > maxBytes;
+    const tooFast = fps && profile.maxFps && fps > profile.maxFps;
+
+    if (!crop && !resize && !reencode && !tooLarge && !tooFast) {
+      return null;
+    }
+
+    // Cap the bitrate so the whole file fits the platform's byte limit
+    let videoBitrate = profile.maxBitrate;
+    if (maxBytes && duration) {
+      const budget = Math.floor((maxBytes * 8 * SIZE_HEADROOM) / duration) - AUDIO_BITRATE;
+      videoBitrate = Math.min(videoBitrate, budget);
+    }
+    if (videoBitrate < MIN_VIDEO_BITRATE) {
+      throw new Error('Video is too long to fit the platform size limit');
+    }
+
+    const output = resize || cropped;
+    return {
+      type: 'video',
+      crop,
+      width: even(output.width),
+      height: even(output.height),
+      fps: tooFast ? profile.maxFps : null,
+      videoBitrate,
+      audioBitrate: AUDIO_BITRATE,
+      maxBytes,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Cache key of a platform rendition
+ */
+const getRenditionKey = (platform, type) => `${platform}-${type}-v${RENDITION_VERSION}`;
+
+module.exports = {
+  RENDITION_VERSION,
+  RENDITION_PROFILES,
+  getRenditionProfile,
+  getRenditionKey,
+  planRendition,
+};
@@ -0,0 +1,75 @@
+/**
+ * Classify publish failures as transient (worth retrying) or permanent
+ *
+ * Providers rethrow with a readable message and, when known, the HTTP status
+ * (statusCode) and network code (code) of the original request error.
+ */
+
+const TRANSIENT_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EPIPE',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+];
+
+const TRANSIENT_STATUSES = [408, 425, 429];
+
+const TRANSIENT_MESSAGE_PATTERN = new RegExp([
+  'rate limit',
+  'too many requests',
+  'limit reached',
+  'timed? ?out',
+  'socket hang up',
+  'temporarily',
+  'try again',
+  'service unavailable',
+  'bad gateway',
+  'internal server error',
+  'unexpected error has occurred',
+  ...TRANSIENT_CODES,
+].join('|'), 'i');
+
+/**
+ * True when the failure is likely to succeed if the same request is sent later
+ */
+const isTransientError = (error) => {
+  if (!error) return false;
+
+  if (error.code && TRANSIENT_CODES.includes(error.code)) {
+    return true;
+  }
+
+  const status = error.statusCode || error.response?.status;
+  if (status) {
+    return status >= 500 || TRANSIENT_STATUSES.includes(status);
+  }
+
+  return TRANSIENT_MESSAGE_PATTERN.test(error.message || '');
+};
+
+/**
+ * Delay (ms) requested by the platform's Retry-After header, or null when absent
+ */
+const getRetryAfterMs = (error) => {
+  const value = error?.retryAfter;
+  if (value === undefined || value === null) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+module.exports = {
+  isTransientError,
+  getRetryAfterMs,
+};
@@ -0,0 +1,238 @@
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+/**
+ * RFC 5545 RRULE subset used for recurring posts
+ *
+ * Supported parts:
+ * - FREQ=DAILY|WEEKLY|MONTHLY (required)
+ * - INTERVAL=n
+ * - BYDAY=MO,WE (weekly) or BYDAY=1MO,-1FR (monthly, nth weekday of month)
+ * - BYMONTHDAY=1,15,-1 (monthly, negative counts from month end)
+ * - COUNT=n or UNTIL=YYYYMMDD[THHMMSSZ]
+ *
+ * Occurrences keep the wall-clock time of the series start in the brand timezone,
+ * so a 09:00 post stays at 09:00 across DST changes. Weeks start on Monday (WKST=MO).
+ */
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bound on generated periods so a bad rule can't loop forever (~13 years of daily posts)
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE string into a rule object
+ * Throws on unsupported or malformed parts.
+ */
+const parseRRule = (rule) => {
+  if (!rule || typeof rule !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parsed = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+
+  rule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach((part) => {
+    const [rawKey, rawValue] = part.split('=');
+    const key = (rawKey || '').toUpperCase();
+    const value = (rawValue || '').toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported recurrence frequency: ${value}`);
+        }
+        parsed.freq = value;
+        break;
+      case 'INTERVAL':
+        parsed.interval = parseInt(value, 10);
+        if (!Number.isInteger(parsed.interval) || parsed.interval < 1) {
+          throw new Error('INTERVAL must be a positive integer');
+        }
+        break;
+      case 'BYDAY':
+        parsed.byDay = value.split(',').map((token) => {
+          const match = token.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value: ${token}`);
+          }
+          return {
+            weekday: WEEKDAYS.indexOf(match[2]),
+            ordinal: match[1] ? parseInt(match[1], 10) : null,
+          };
+        });
+        break;
+      case 'BYMONTHDAY':
+        parsed.byMonthDay = value.split(',').map((token) => {
+          const day = parseInt(token, 10);
+          if (!Number.isInteger(day) || day === 0 || day < -31 || day > 31) {
+            throw new Error(`Invalid BYMONTHDAY value: ${token}`);
+          }
+          return day;
+        });
+        break;
+      case 'COUNT':
+        parsed.count = parseInt(value, 10);
+        if (!Number.isInteger(parsed.count) || parsed.count < 1) {
+          throw new Error('COUNT must be a positive integer');
+        }
+        break;
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+        if (!match) {
+          throw new Error(`Invalid UNTIL value: ${value}`);
+        }
+        const [, y, mo, d, h = '23', mi = '59', s = '59'] = match;
+        parsed.until = new Date(Date.UTC(+y, +mo - 1, +d, +h, +mi, +s));
+        break;
+      }
+      case 'WKST':
+        if (value !== 'MO') {
+          throw new Error('Only WKST=MO is supported');
+        }
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${key}`);
+    }
+  });
+
+  if (!parsed.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (parsed.count && parsed.until) {
+    throw new Error('Recurrence rule cannot have both COUNT and UNTIL');
+  }
+  if (parsed.freq !== 'MONTHLY' && parsed.byMonthDay.length > 0) {
+    throw new Error('BYMONTHDAY is only supported with FREQ=MONTHLY');
+  }
+  if (parsed.freq !== 'MONTHLY' && parsed.byDay.some(d => d.ordinal !== null)) {
+    throw new Error('Numbered BYDAY values are only supported with FREQ=MONTHLY');
+  }
+
+  return parsed;
+};
+
+/**
+ * Calendar days (as UTC midnight ms) matching the rule in period n
+ */
+const getPeriodDays = (parsed, startDay, startWeekday, n) => {
+  const start = new Date(startDay);
+
+  if (parsed.freq === 'DAILY') {
+    return [startDay + n * parsed.interval * DAY_MS];
+  }
+
+  if (parsed.freq === 'WEEKLY') {
+    const mondayOffset = (startWeekday + 6) % 7;
+    const weekStart = startDay - mondayOffset * DAY_MS + n * parsed.interval * 7 * DAY_MS;
+    const weekdays = parsed.byDay.length > 0 ? parsed.byDay.map(d => d.weekday) : [startWeekday];
+
+    return [...new Set(weekdays)]
+      .map(weekday => weekStart + ((weekday + 6) % 7) * DAY_MS)
+      .sort((a, b) => a - b);
+  }
+
+  // MONTHLY
+  const totalMonths = start.getUTCMonth() + n * parsed.interval;
+  const year = start.getUTCFullYear() + Math.floor(totalMonths / 12);
+  const month = totalMonths % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = [];
+
+  if (parsed.byMonthDay.length > 0) {
+    parsed.byMonthDay.forEach((day) => {
+      const resolved = day > 0 ? day : daysInMonth + day + 1;
+      if (resolved >= 1 && resolved <= daysInMonth) {
+        days.push(Date.UTC(year, month, resolved));
+      }
+    });
+  } else if (parsed.byDay.length > 0) {
+    parsed.byDay.forEach(({ weekday, ordinal }) => {
+      const matches = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+          matches.push(Date.UTC(year, month, day));
+        }
+      }
+      if (ordinal === null) {
+        days.push(...matches);
+      } else {
+        const match = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (match !== undefined) days.push(match);
+      }
+    });
+  } else {
+    // Months without the start day (e.g. the 31st) are skipped, as in RFC 5545
+    const day = start.getUTCDate();
+    if (day <= daysInMonth) {
+      days.push(Date.UTC(year, month, day));
+    }
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+/**
+ * Generate occurrences of a rule
+ *
+ * @param {string|Object} rule - RRULE string or parsed rule
+ * @param {Date} startAt - series start (its brand-local time of day is reused)
+ * @param {string} timeZone - brand timezone
+ * @param {Object} options - { after: Date (exclusive), before: Date (inclusive), limit: number }
+ * @returns {Array<{ date: Date, index: number }>} index is the 0-based position in the series
+ */
+const getOccurrences = (rule, startAt, timeZone = 'UTC', options = {}) => {
+  const parsed = typeof rule === 'string' ? parseRRule(rule) : rule;
+  const { after = null, before = null, limit = 100 } = options;
+
+  const start = new Date(startAt);
+  const local = getZonedParts(start, timeZone);
+  const startDay = Date.UTC(local.year, local.month - 1, local.day);
+
+  const results = [];
+  let index = 0;
+
+  for (let n = 0; n < MAX_PERIODS; n++) {
+    const days = getPeriodDays(parsed, startDay, local.weekday, n);
+
+    for (const dayMs of days) {
+      const day = new Date(dayMs);
+      const date = zonedTimeToUtc({
+        year: day.getUTCFullYear(),
+        month: day.getUTCMonth() + 1,
+        day: day.getUTCDate(),
+        hour: local.hour,
+        minute: local.minute,
+        second: local.second,
+      }, timeZone);
+
+      if (date < start) continue;
+      if (parsed.until && date > parsed.until) return results;
+      if (parsed.count && index >= parsed.count) return results;
+      if (before && date > before) return results;
+
+      if (!after || date > after) {
+        results.push({ date, index });
+        if (results.length >= limit) return results;
+      }
+
+      index++;
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Next occurrence strictly after a date, or null when the series has ended
+ */
+const getNextOccurrence = (rule, startAt, timeZone, after) => {
+  const [next] = getOccurrences(rule, startAt, timeZone, { after, limit: 1 });
+  return next || null;
+};
+
+module.exports = {
+  parseRRule,
+  getOccurrences,
+  getNextOccurrence,
+};
@@ -0,0 +1,92 @@
+/**
+ * Timezone helpers built on Intl (no tz database dependency)
+ * Brand-local wall-clock times are converted to/from UTC Dates here.
+ */
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check that a timezone name is understood by Intl
+ */
+const isValidTimezone = (timeZone) => {
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get wall-clock parts of a UTC date in a timezone
+ * Returns { year, month (1-12), day, hour, minute, second, weekday (0=Sunday) }
+ */
+const getZonedParts = (date, timeZone = 'UTC') => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+    second: parseInt(parts.second, 10),
+    weekday: WEEKDAY_INDEX[parts.weekday],
+  };
+};
+
+/**
+ * Offset (ms) of a timezone from UTC at a given instant
+ */
+const getTimezoneOffset = (date, timeZone = 'UTC') => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC Date
+ * Month is 1-12; out-of-range days roll over like Date.UTC.
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = 'UTC') => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = getTimezoneOffset(guess, timeZone);
+  let result = guess - offset;
+
+  // Re-check once in case the guess and the result sit on different sides of a DST change
+  const correctedOffset = getTimezoneOffset(result, timeZone);
+  if (correctedOffset !== offset) {
+    result = guess - correctedOffset;
+  }
+
+  return new Date(result);
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getTimezoneOffset,
+  zonedTimeToUtc,
+};
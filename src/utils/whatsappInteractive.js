@@ -0,0 +1,221 @@
+/**
+ * Build and parse WhatsApp interactive messages (reply buttons, lists, CTA URLs)
+ *
+ * Builders validate against the Cloud API limits and throw 'Invalid ...' errors,
+ * so a bad payload is refused before anything is sent.
+ */
+
+const LIMITS = {
+  headerText: 60,
+  body: { button: 1024, list: 4096, cta_url: 1024 },
+  footer: 60,
+  buttons: 3,
+  buttonId: 256,
+  buttonTitle: 20,
+  listButton: 20,
+  sections: 10,
+  rows: 10,
+  sectionTitle: 24,
+  rowId: 200,
+  rowTitle: 24,
+  rowDescription: 72,
+  ctaDisplayText: 20,
+};
+
+const MEDIA_HEADER_TYPES = ['image', 'video', 'document'];
+
+const requireText = (value, field, max) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`Invalid interactive message: ${field} is required`);
+  }
+  if (value.length > max) {
+    throw new Error(`Invalid interactive message: ${field} exceeds ${max} characters`);
+  }
+  return value;
+};
+
+const optionalText = (value, field, max) => (value === undefined || value === null || value === ''
+  ? undefined
+  : requireText(value, field, max));
+
+const requireUnique = (values, field) => {
+  if (new Set(values).size !== values.length) {
+    throw new Error(`Invalid interactive message: ${field} must be unique`);
+  }
+};
+
+/**
+ * Header: text, or media by link (list messages only allow text)
+ */
+const buildHeader = (header, allowMedia) => {
+  if (!header) return undefined;
+
+  if (header.type === 'text') {
+    return { type: 'text', text: requireText(header.text, 'header.text', LIMITS.headerText) };
+  }
+  if (allowMedia && MEDIA_HEADER_TYPES.includes(header.type)) {
+    if (!/^https?:\/\//i.test(header.link || '')) {
+      throw new Error('Invalid interactive message: header.link must be an http(s) URL');
+    }
+    return { type: header.type, [header.type]: { link: header.link } };
+  }
+
+  const allowed = allowMedia ? ['text', ...MEDIA_HEADER_TYPES] : ['text'];
+  throw new Error(`Invalid interactive message: header.type must be one of ${allowed.join(', ')}`);
+};
+
+const buildCommon = (kind, { header, body, footer }, allowMediaHeader) => {
+  const footerText = optionalText(footer, 'footer', LIMITS.footer);
+
+  return {
+    type: kind,
+    ...(header && { header: buildHeader(header, allowMediaHeader) }),
+    body: { text: requireText(body, 'body', LIMITS.body[kind]) },
+    ...(footerText && { footer: { text: footerText } }),
+  };
+};
+
+/**
+ * Reply buttons: { header?, body, footer?, buttons: [{ id, title }] } (1-3 buttons)
+ */
+const buildButtonMessage = (data) => {
+  const { buttons } = data;
+
+  if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > LIMITS.buttons) {
+    throw new Error(`Invalid interactive message: between 1 and ${LIMITS.buttons} buttons are required`);
+  }
+
+  const replies = buttons.map((button, i) => ({
+    type: 'reply',
+    reply: {
+      id: requireText(button.id, `buttons[${i}].id`, LIMITS.buttonId),
+      title: requireText(button.title, `buttons[${i}].title`, LIMITS.buttonTitle),
+    },
+  }));
+
+  requireUnique(replies.map(r => r.reply.id), 'button ids');
+  requireUnique(replies.map(r => r.reply.title), 'button titles');
+
+  return {
+    ...buildCommon('button', data, true),
+    action: { buttons: replies },
+  };
+};
+
+/**
+ * List: { header?, body, footer?, buttonText, sections: [{ title?, rows: [{ id, title, description? }] }] }
+ * (up to 10 sections and 10 rows in total; titles are required with several sections)
+ */
+const buildListMessage = (data) => {
+  const { buttonText, sections } = data;
+
+  if (!Array.isArray(sections) || sections.length === 0 || sections.length > LIMITS.sections) {
+    throw new Error(`Invalid interactive message: between 1 and ${LIMITS.sections} sections are required`);
+  }
+
+  const builtSections = sections.map((section, s) => {
+    if (!Array.isArray(section.rows) || section.rows.length === 0) {
+      throw new Error(`Invalid interactive message: sections[${s}] needs at least one row`);
+    }
+
+    const title = sections.length > 1
+      ? requireText(section.title, `sections[${s}].title`, LIMITS.sectionTitle)
+      : optionalText(section.title, `sections[${s}].title`, LIMITS.sectionTitle);
+
+    return {
+      ...(title && { title }),
+      rows: section.rows.map((row, r) => {
+        const description = optionalText(row.description, `sections[${s}].rows[${r}].description`, LIMITS.rowDescription);
+        return {
+          id: requireText(row.id, `sections[${s}].rows[${r}].id`, LIMITS.rowId),
+          title: requireText(row.title, `sections[${s}].rows[${r}].title`, LIMITS.rowTitle),
+          ...(description && { description }),
+        };
+      }),
+    };
+  });
+
+  const rowIds = builtSections.flatMap(section => section.rows.map(row => row.id));
+  if (rowIds.length > LIMITS.rows) {
+    throw new Error(`Invalid interactive message: at most ${LIMITS.rows} rows in total`);
+  }
+  requireUnique(rowIds, 'row ids');
+
+  return {
+    ...buildCommon('list', data, false),
+    action: {
+      button: requireText(buttonText, 'buttonText', LIMITS.listButton),
+      sections: builtSections,
+    },
+  };
+};
+
+/**
+ * Call-to-action URL button: { header?, body, footer?, displayText, url }
+ */
+const buildCtaUrlMessage = (data) => {
+  const { displayText, url } = data;
+
+  if (!/^https?:\/\/\S+$/i.test(url || '')) {
+    throw new Error('Invalid interactive message: url must be an http(s) URL');
+  }
+
+  return {
+    ...buildCommon('cta_url', data, true),
+    action: {
+      name: 'cta_url',
+      parameters: {
+        display_text: requireText(displayText, 'displayText', LIMITS.ctaDisplayText),
+        url,
+      },
+    },
+  };
+};
+
+const BUILDERS = {
+  buttons: buildButtonMessage,
+  list: buildListMessage,
+  'cta-url': buildCtaUrlMessage,
+};
+
+/**
+ * Interactive object for the Cloud API by kind (buttons | list | cta-url)
+ */
+const buildInteractive = (kind, data = {}) => {
+  const build = BUILDERS[kind];
+  if (!build) {
+    throw new Error(`Invalid interactive message type: ${kind} (use ${Object.keys(BUILDERS).join(', ')})`);
+  }
+  return build(data);
+};
+
+/**
+ * Structured reply of an inbound interactive (button_reply/list_reply)
+ * or template quick-reply button message; null for anything else
+ */
+const parseInteractiveReply = ({ interactive, button } = {}) => {
+  const reply = interactive?.button_reply || interactive?.list_reply;
+
+  if (reply) {
+    return {
+      type: interactive.type,
+      id: reply.id,
+      title: reply.title,
+      ...(reply.description && { description: reply.description }),
+    };
+  }
+  if (button) {
+    return {
+      type: 'button',
+      id: button.payload,
+      title: button.text,
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  LIMITS,
+  buildInteractive,
+  parseInteractiveReply,
+};
@@ -1,6 +1,14 @@
 const queueManager = require('./queues/queueManager');
 const publishPostJob = require('./jobs/publishPostJob');
 const scheduleChecker = require('./jobs/checkDueSchedules'); 
+const syncAnalyticsJob = require('./jobs/syncAnalyticsJob');
+const scheduledReportSender = require('./jobs/sendScheduledReports');
+const whatsappTemplateSync = require('./jobs/syncWhatsAppTemplatesJob');
+const mediaTrashPurge = require('./jobs/purgeMediaTrashJob');
+const processWhatsAppWebhookJob = require('./jobs/processWhatsAppWebhookJob');
+const sendWhatsAppCampaignJob = require('./jobs/sendWhatsAppCampaignJob');
+const importWhatsAppContactsJob = require('./jobs/importWhatsAppContactsJob');
+const whatsappMediaService = require('./services/whatsappMediaService');
 const logger = require('./utils/logger'); 
 
 class WorkerManager {
@@ -17,8 +25,7 @@ class WorkerManager {
 
     logger.info('🔧 Starting workers...');
 
-    // ✅ CRITICAL FIX: Register processor with concurrency
-    const processor = queueManager.publishQueue.process(5, async (job) => {
+    const handleJob = async (job) => {
       logger.info('🔄 Worker picked up job', {
         jobId: job.id,
         postId: job.data.postId,
@@ -40,13 +47,61 @@ class WorkerManager {
         });
         throw error;
       }
-    });
+    };
 
+    // ✅ CRITICAL FIX: Register processor with concurrency
+    const processor = queueManager.publishQueue.process(5, handleJob);
     this.processors.push(processor);
 
+    // Republish attempts (transient failures with backoff, manual retries)
+    const retryProcessor = queueManager.retryQueue.process(2, handleJob);
+    this.processors.push(retryProcessor);
+
+    // Engagement metrics pulls (rate-limited per channel by the sync scheduler)
+    const analyticsProcessor = queueManager.analyticsQueue.process(2, async (job) => {
+      try {
+        return await syncAnalyticsJob.process(job);
+      } catch (error) {
+        logger.error('❌ Analytics sync job failed', {
+          jobId: job.id,
+          error: error.message,
+        });
+        throw error;
+      }
+    });
+    this.processors.push(analyticsProcessor);
+
+    // WhatsApp webhook deliveries (acknowledged by the controller, processed here with retries)
+    const webhookProcessor = queueManager.webhookQueue.process(5, (job) => processWhatsAppWebhookJob.process(job));
+    this.processors.push(webhookProcessor);
+
+    // WhatsApp campaign batches (one at a time so channels share their messaging limit correctly)
+    const campaignProcessor = queueManager.campaignQueue.process(1, (job) => sendWhatsAppCampaignJob.process(job));
+    this.processors.push(campaignProcessor);
+
+    // WhatsApp contact imports (one file at a time)
+    const contactImportProcessor = queueManager.contactImportQueue.process(1, (job) => importWhatsAppContactsJob.process(job));
+    this.processors.push(contactImportProcessor);
+
+    // Inbound WhatsApp media copied into the brand's library
+    const mediaProcessor = queueManager.mediaQueue.process(2, (job) => whatsappMediaService.persistInboundMedia(job.data.messageId));
+    this.processors.push(mediaProcessor);
+
     // Start schedule checker cron
     scheduleChecker.start();
 
+    // Start analytics sync scheduler
+    syncAnalyticsJob.start();
+
+    // Start scheduled report delivery
+    scheduledReportSender.start();
+
+    // Reconcile WhatsApp templates with the provider
+    whatsappTemplateSync.start();
+
+    // Purge media trash past its retention
+    mediaTrashPurge.start();
+
     // Clean old jobs daily
     this.cleanupInterval = setInterval(() => {
       queueManager.cleanJobs();
@@ -76,7 +131,17 @@ class WorkerManager {
     this.isRunning = true;
     logger.info('🔧 Workers started successfully');
     logger.info('   ✓ Publish queue processor (concurrency: 5)');
+    logger.info('   ✓ Retry queue processor (concurrency: 2)');
+    logger.info('   ✓ Analytics sync processor (concurrency: 2)');
+    logger.info('   ✓ WhatsApp webhook processor (concurrency: 5)');
+    logger.info('   ✓ WhatsApp campaign processor (concurrency: 1)');
+    logger.info('   ✓ WhatsApp contact import processor (concurrency: 1)');
+    logger.info('   ✓ WhatsApp media processor (concurrency: 2)');
     logger.info('   ✓ Schedule checker (every 1 minute)');
+    logger.info('   ✓ Analytics sync scheduler (every 5 minutes)');
+    logger.info('   ✓ Scheduled reports (every 15 minutes)');
+    logger.info('   ✓ WhatsApp template sync (every hour)');
+    logger.info('   ✓ Media trash purge (daily)');
     logger.info('   ✓ Queue cleanup (every 24 hours)');
   }
 
@@ -97,6 +162,10 @@ class WorkerManager {
 
     // Stop schedule checker
     scheduleChecker.stop();
+    syncAnalyticsJob.stop();
+    scheduledReportSender.stop();
+    whatsappTemplateSync.stop();
+    mediaTrashPurge.stop();
 
     // Wait for active jobs to complete (with timeout)
     try {
@@ -112,6 +181,11 @@ class WorkerManager {
     // Close queues
     await queueManager.publishQueue.close();
     await queueManager.retryQueue.close();
+    await queueManager.analyticsQueue.close();
+    await queueManager.webhookQueue.close();
+    await queueManager.campaignQueue.close();
+    await queueManager.contactImportQueue.close();
+    await queueManager.mediaQueue.close();
 
     this.isRunning = false;
     logger.info('🛑 Workers stopped');